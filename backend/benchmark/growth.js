@@ -0,0 +1,103 @@
+// Growth classes measurements are fitted against, as log f(n) so that
+// exponential growth does not overflow
+const GROWTH_CLASSES = [
+  { name: 'O(1)', degree: 0, logs: 0, logF: () => 0 },
+  { name: 'O(log n)', degree: 0, logs: 1, logF: n => Math.log(Math.log2(n)) },
+  { name: 'O(sqrt n)', degree: 0.5, logs: 0, logF: n => 0.5 * Math.log(n) },
+  { name: 'O(n)', degree: 1, logs: 0, logF: n => Math.log(n) },
+  { name: 'O(n log n)', degree: 1, logs: 1, logF: n => Math.log(n) + Math.log(Math.log2(n)) },
+  { name: 'O(n^2)', degree: 2, logs: 0, logF: n => 2 * Math.log(n) },
+  { name: 'O(n^3)', degree: 3, logs: 0, logF: n => 3 * Math.log(n) },
+  { name: 'O(2^n)', degree: Infinity, logs: 0, logF: n => n * Math.LN2 }
+];
+
+// Classes too close to tell apart over the sizes a benchmark can reach
+const NEIGHBOURS = {
+  'O(1)': ['O(log n)'],
+  'O(log n)': ['O(1)', 'O(sqrt n)'],
+  'O(sqrt n)': ['O(log n)', 'O(n)'],
+  'O(n)': ['O(n log n)', 'O(sqrt n)'],
+  'O(n log n)': ['O(n)', 'O(n^2)'],
+  'O(n^2)': ['O(n log n)', 'O(n^3)'],
+  'O(n^3)': ['O(n^2)'],
+  'O(2^n)': ['O(n^3)']
+};
+
+// Function to fit samples ({ n, value }) to each growth class with least
+// squares in log space, returning the best fit and its curve
+function fitGrowth(samples) {
+  const points = samples.filter(sample => sample.n > 1 && sample.value > 0);
+  if (points.length < 3) return null;
+
+  const fits = GROWTH_CLASSES.map(growth => {
+    const offsets = points.map(point => Math.log(point.value) - growth.logF(point.n));
+    const logC = offsets.reduce((sum, offset) => sum + offset, 0) / offsets.length;
+    const error = offsets.reduce((sum, offset) => sum + (offset - logC) ** 2, 0) / offsets.length;
+    return { growth, logC, error };
+  });
+
+  const best = fits.reduce((min, fit) => (fit.error < min.error ? fit : min));
+  return {
+    fitted: best.growth.name,
+    error: Number(best.error.toFixed(4)),
+    curve: samples.map(sample => ({
+      n: sample.n,
+      value: Math.exp(best.logC + best.growth.logF(Math.max(sample.n, 2)))
+    }))
+  };
+}
+
+// Function to map a stated complexity such as "O(n log n)", "O(N^2)" or
+// "O(m * n)" to a growth class name. Every variable is read as n, since the
+// benchmark grows all inputs together. Returns null when there is no match.
+function parseComplexity(text) {
+  const inner = String(text).match(/O\s*\(([^]*)\)/i)?.[1];
+  if (!inner) return null;
+
+  const normalized = inner
+    .toLowerCase()
+    .replace(/²/g, '^2')
+    .replace(/³/g, '^3')
+    .replace(/√\s*/g, 'sqrt')
+    .replace(/\s+/g, '')
+    .replace(/log_?2?\(([a-z])\)/g, 'log$1')
+    .replace(/log_?2?/g, 'L')
+    .replace(/sqrt\(?([a-z])\)?/g, 'S')
+    .replace(/[a-z]/g, 'n');
+
+  if (/^2\^n$/.test(normalized)) return 'O(2^n)';
+
+  // Keep the dominant term of a sum, e.g. n + n log n
+  const terms = normalized.split('+').map(term => {
+    const cleaned = term.replace(/[*·().]/g, '');
+    if (!/^(n(\^\d)?|L|Ln|S|1)*$/.test(cleaned)) return null;
+    let degree = 0;
+    (cleaned.match(/n(\^\d)?/g) || []).forEach(factor => {
+      degree += factor.length > 1 ? Number(factor.slice(2)) : 1;
+    });
+    degree -= (cleaned.match(/Ln/g) || []).length;
+    degree += 0.5 * (cleaned.match(/S/g) || []).length;
+    return { degree, logs: (cleaned.match(/L/g) || []).length };
+  });
+  if (terms.some(term => term === null)) return null;
+
+  const dominant = terms.reduce((max, term) =>
+    term.degree > max.degree || (term.degree === max.degree && term.logs > max.logs) ? term : max
+  );
+  return GROWTH_CLASSES.find(growth => growth.degree === dominant.degree && growth.logs === dominant.logs)?.name || null;
+}
+
+// Function to compare a fitted class with the stated one
+function compareComplexity(fitted, stated) {
+  if (!fitted || !stated) return 'unknown';
+  if (fitted === stated) return 'agrees';
+  if (NEIGHBOURS[stated]?.includes(fitted)) return 'close';
+  return 'disagrees';
+}
+
+module.exports = {
+  GROWTH_CLASSES,
+  fitGrowth,
+  parseComplexity,
+  compareComplexity
+};
@@ -0,0 +1,161 @@
+const path = require('path');
+const { runNodeScript } = require('../sandbox');
+const { parseProblemText } = require('../ingest/html');
+const { computeCacheKey } = require('../cache');
+const { getStoredBenchmark, saveBenchmark } = require('../db');
+const { parseExampleInput, createInputBuilder } = require('./inputs');
+const { fitGrowth, parseComplexity, compareComplexity } = require('./growth');
+
+// Bump when measuring or fitting changes, so stored results are not reused
+const BENCHMARK_VERSION = 2;
+
+const MIN_SIZE = 8;
+const MAX_SIZE = 1 << 20;
+// The young generation (a few semi-spaces) is kept small, so short-lived
+// garbage is collected during the call instead of showing up as heap growth...
+const SEMI_SPACE_MB = 1;
+// ...and below this much growth the solution is treated as using constant space
+const CONSTANT_MEMORY_BYTES = 1024 * 1024;
+const MIN_FIT_BYTES = 256 * 1024;
+// Runs faster than this are timer noise and are left out of the fit
+const MIN_FIT_MS = 0.01;
+
+// Error carrying the HTTP status for a benchmark that cannot be run
+class BenchmarkError extends Error {
+  constructor(message, status = 500) {
+    super(message);
+    this.name = 'BenchmarkError';
+    this.status = status;
+  }
+}
+
+function readNumber(name, fallback) {
+  const value = Number(process.env[name]);
+  return Number.isFinite(value) && value > 0 ? value : fallback;
+}
+
+// Function to read the limits applied to a benchmark run
+function getBenchmarkLimits() {
+  return {
+    timeoutMs: readNumber('BENCHMARK_TIMEOUT_MS', 20000),
+    maxRunMs: readNumber('BENCHMARK_MAX_RUN_MS', 1000),
+    memoryMb: readNumber('BENCHMARK_MEMORY_MB', 512)
+  };
+}
+
+// Function to run the benchmark script on untrusted code in a sandboxed child
+// process. Running out of time or memory just ends the samples early.
+async function runWorker(code, exampleInput, limits) {
+  const outcome = { samples: [], entry: null, input: null, error: null, stoppedEarly: false };
+  const result = await runNodeScript(path.join(__dirname, 'worker.js'), {
+    modules: [path.join(__dirname, 'inputs.js'), path.join(__dirname, '..', 'tracer', 'entry.js')],
+    data: { code, exampleInput, minSize: MIN_SIZE, maxSize: MAX_SIZE, maxRunMs: limits.maxRunMs },
+    heapMb: limits.memoryMb,
+    nodeFlags: ['--expose-gc', `--max-semi-space-size=${SEMI_SPACE_MB}`],
+    cpuSeconds: Math.ceil(limits.timeoutMs / 1000),
+    timeoutMs: limits.timeoutMs
+  });
+
+  result.messages.forEach(message => {
+    if (message.type === 'sample') {
+      outcome.samples.push({ n: message.n, timeMs: message.timeMs, memoryBytes: message.memoryBytes });
+    } else if (message.type === 'entry') {
+      outcome.entry = message.name;
+      outcome.input = message.input;
+    } else if (message.type === 'error') {
+      outcome.error = message.message;
+    }
+  });
+
+  const finished = result.messages.some(message => message.type === 'done' || message.type === 'error');
+  if (!finished) {
+    outcome.stoppedEarly = true;
+    const outOfMemory = /out of memory|Cannot allocate memory/i.test(result.errorOutput);
+    if (!result.timedOut && !outOfMemory && result.signal !== 'SIGXCPU') {
+      outcome.error = result.errorOutput.trim().split('\n').pop() || 'The benchmark stopped unexpectedly';
+    }
+  }
+  return outcome;
+}
+
+// Function to fit one kind of measurement and compare it with the stated complexity
+function analyze(samples, stated, { isConstant = false, minValue = 0 } = {}) {
+  const statedClass = parseComplexity(stated);
+  const mean = samples.reduce((sum, sample) => sum + sample.value, 0) / (samples.length || 1);
+  const fit = isConstant
+    ? { fitted: 'O(1)', curve: samples.map(sample => ({ n: sample.n, value: mean })) }
+    : fitGrowth(samples.filter(sample => sample.value >= minValue));
+
+  return {
+    stated,
+    statedClass,
+    fitted: fit?.fitted || null,
+    verdict: compareComplexity(fit?.fitted, statedClass),
+    curve: fit?.curve || []
+  };
+}
+
+// Benchmarks run one at a time, so they do not skew each other's timings
+let queue = Promise.resolve();
+const inflightBenchmarks = new Map();
+
+function enqueue(task) {
+  const run = queue.then(task);
+  queue = run.catch(() => {});
+  return run;
+}
+
+// Function to measure an approach's JavaScript code on generated inputs of
+// increasing size, built from the first usable example in the question, and
+// check the measurements against the stated time and space complexity
+async function benchmarkApproach(question, approach) {
+  const example = parseProblemText(question).examples.find(candidate => {
+    const params = parseExampleInput(candidate.input);
+    return params && createInputBuilder(params);
+  });
+  if (!example) {
+    throw new BenchmarkError('The question has no example input that can be scaled up (arrays or strings)', 422);
+  }
+
+  const code = approach.code.jsCode;
+  const key = computeCacheKey({ code, input: example.input, version: BENCHMARK_VERSION });
+  const stored = getStoredBenchmark(key);
+  if (stored) return stored;
+
+  if (!inflightBenchmarks.has(key)) {
+    const run = enqueue(async () => {
+      const outcome = await runWorker(code, example.input, getBenchmarkLimits());
+      if (outcome.error && outcome.samples.length === 0) {
+        throw new BenchmarkError(outcome.error, 422);
+      }
+
+      const timeSamples = outcome.samples.map(sample => ({ n: sample.n, value: sample.timeMs }));
+      const memorySamples = outcome.samples.map(sample => ({ n: sample.n, value: sample.memoryBytes }));
+      const benchmark = {
+        entry: outcome.entry,
+        input: outcome.input,
+        samples: outcome.samples,
+        stoppedEarly: outcome.stoppedEarly,
+        message: outcome.error,
+        time: analyze(timeSamples, approach.timeComplexity, { minValue: MIN_FIT_MS }),
+        space: analyze(memorySamples, approach.spaceComplexity, {
+          isConstant: memorySamples.every(sample => sample.value < CONSTANT_MEMORY_BYTES),
+          minValue: MIN_FIT_BYTES
+        })
+      };
+
+      saveBenchmark(key, benchmark);
+      console.log(`Benchmarked ${approach.title || 'approach'}: time ${benchmark.time.fitted}, space ${benchmark.space.fitted}`);
+      return benchmark;
+    }).finally(() => inflightBenchmarks.delete(key));
+    inflightBenchmarks.set(key, run);
+  }
+
+  return inflightBenchmarks.get(key);
+}
+
+module.exports = {
+  BenchmarkError,
+  getBenchmarkLimits,
+  benchmarkApproach
+};
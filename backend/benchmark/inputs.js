@@ -0,0 +1,170 @@
+// Function to split "a = 1, b = [2, 3]" at top-level commas
+function splitTopLevel(text) {
+  const parts = [];
+  let depth = 0;
+  let quote = null;
+  let current = '';
+
+  for (const char of text) {
+    if (quote) {
+      if (char === quote) quote = null;
+    } else if (char === '"' || char === "'") {
+      quote = char;
+    } else if ('[{('.includes(char)) {
+      depth++;
+    } else if (']})'.includes(char)) {
+      depth--;
+    } else if ((char === ',' || char === '\n') && depth === 0) {
+      parts.push(current);
+      current = '';
+      continue;
+    }
+    current += char;
+  }
+  parts.push(current);
+  return parts.map(part => part.trim()).filter(Boolean);
+}
+
+// Function to parse an example input such as `nums = [2,7,11,15], target = 9`
+// (LeetCode) or `arr[] = {1, 2, 3}` (GeeksforGeeks) into named values.
+// Returns null if any value is not plain JSON-like data.
+function parseExampleInput(text) {
+  const params = [];
+  for (const part of splitTopLevel(text)) {
+    const match = part.match(/^([A-Za-z_$][\w$]*)(?:\[\])*\s*=\s*([^]+)$/);
+    if (!match) return null;
+    try {
+      const json = match[2].trim().replace(/\{/g, '[').replace(/\}/g, ']').replace(/'/g, '"');
+      params.push({ name: match[1], value: JSON.parse(json) });
+    } catch {
+      return null;
+    }
+  }
+  return params.length > 0 ? params : null;
+}
+
+// Small seeded generator, so every run of a benchmark sees the same inputs
+function createRandom(seed = 42) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+const isNumberArray = value => Array.isArray(value) && value.length > 0 && value.every(item => typeof item === 'number');
+const isStringArray = value => Array.isArray(value) && value.length > 0 && value.every(item => typeof item === 'string');
+const isSorted = values => values.every((value, index) => index === 0 || values[index - 1] <= value);
+
+// Function to build a generator that scales one example value to size n.
+// Plain numbers, booleans and null are kept as they are.
+function scaleValue(value) {
+  if (isNumberArray(value)) {
+    const low = Math.min(...value);
+    const high = Math.max(...value);
+    const integers = value.every(Number.isInteger);
+    const sorted = value.length > 1 && isSorted(value);
+    return {
+      describe: n => `${n} ${integers ? 'integers' : 'numbers'}${sorted ? ', sorted' : ''}`,
+      build: (n, random) => {
+        const top = Math.max(high, low + n);
+        const values = Array.from({ length: n }, () => {
+          const number = low + random() * (top - low);
+          return integers ? Math.floor(number) : number;
+        });
+        return sorted ? values.sort((a, b) => a - b) : values;
+      }
+    };
+  }
+
+  if (typeof value === 'string') {
+    const alphabet = [...new Set(value)].join('') || 'ab';
+    return {
+      describe: n => `string of length ${n}`,
+      build: (n, random) => Array.from({ length: n }, () => alphabet[Math.floor(random() * alphabet.length)]).join('')
+    };
+  }
+
+  if (isStringArray(value)) {
+    const alphabet = [...new Set(value.join(''))].join('') || 'ab';
+    const lengths = value.map(item => item.length);
+    return {
+      describe: n => `${n} strings`,
+      build: (n, random) => Array.from({ length: n }, () => {
+        const length = lengths[Math.floor(random() * lengths.length)];
+        return Array.from({ length }, () => alphabet[Math.floor(random() * alphabet.length)]).join('');
+      })
+    };
+  }
+
+  if (Array.isArray(value) && value.length > 0 && value.every(Array.isArray)) {
+    const width = value[0].length;
+    const cells = value.flat();
+    const rectangular = value.every(row => row.length === width);
+
+    // Short fixed-length rows (edges, intervals, points) scale in count;
+    // anything else is a grid that grows to about n cells
+    if (rectangular && width <= 3 && width !== value.length && cells.every(cell => typeof cell === 'number')) {
+      const columns = Array.from({ length: width }, (_, column) => value.map(row => row[column]));
+      const ranges = columns.map(column => [Math.min(...column), Math.max(...column)]);
+      return {
+        describe: n => `${n} tuples of ${width}`,
+        build: (n, random) => Array.from({ length: n }, () =>
+          ranges.map(([low, high]) => {
+            const top = Math.max(high, low + n);
+            return Math.floor(low + random() * (top - low));
+          })
+        )
+      };
+    }
+
+    if (cells.length > 0) {
+      return {
+        describe: n => {
+          const side = Math.max(1, Math.round(Math.sqrt(n)));
+          return `${side}x${side} grid`;
+        },
+        build: (n, random) => {
+          const side = Math.max(1, Math.round(Math.sqrt(n)));
+          return Array.from({ length: side }, () =>
+            Array.from({ length: side }, () => cells[Math.floor(random() * cells.length)])
+          );
+        }
+      };
+    }
+  }
+
+  return {
+    describe: () => JSON.stringify(value),
+    build: () => JSON.parse(JSON.stringify(value))
+  };
+}
+
+// Function to turn an example's parsed parameters into a builder of
+// arguments of size n, or null if nothing in the example can grow
+function createInputBuilder(params) {
+  const lengths = params.filter(param => Array.isArray(param.value)).map(param => param.value.length);
+  const scalers = params.map(param => {
+    // A count that matches an array's length (GeeksforGeeks' N) grows with it
+    if (Number.isInteger(param.value) && lengths.includes(param.value)) {
+      return { name: param.name, describe: n => String(n), build: n => n };
+    }
+    return { name: param.name, ...scaleValue(param.value) };
+  });
+  const scalable = params.some(param => Array.isArray(param.value) || typeof param.value === 'string');
+  if (!scalable) return null;
+
+  return {
+    describe: n => scalers.map(scaler => `${scaler.name}: ${scaler.describe(n)}`).join(', '),
+    build: (n, random) => scalers.map(scaler => scaler.build(n, random))
+  };
+}
+
+module.exports = {
+  parseExampleInput,
+  createInputBuilder,
+  createRandom
+};
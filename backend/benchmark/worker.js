@@ -0,0 +1,85 @@
+// Runs in a sandboxed child process (see sandbox/runNodeScript) started with
+// --expose-gc: reads an approach's JavaScript and example input as JSON on
+// stdin, finds its entry function and times it on inputs of doubling size,
+// printing one JSON line per size so samples survive a timeout
+const fs = require('fs');
+const { performance } = require('perf_hooks');
+const vm = require('vm');
+const { parseExampleInput, createInputBuilder, createRandom } = require('./inputs');
+const { findEntry } = require('../tracer/entry');
+
+const send = message => process.stdout.write(`${JSON.stringify(message)}\n`);
+
+// Repeat fast runs until at least this much time has been measured
+const MIN_MEASURED_MS = 20;
+const MAX_REPEATS = 50;
+// ...but stop repeating once a size (including building its inputs) took this long
+const MAX_SIZE_MS = 250;
+
+function run() {
+  const { code, exampleInput, minSize, maxSize, maxRunMs } = JSON.parse(fs.readFileSync(0, 'utf8'));
+
+  const params = parseExampleInput(exampleInput);
+  const builder = params && createInputBuilder(params);
+  if (!builder) {
+    send({ type: 'error', message: `Cannot generate inputs from the example "${exampleInput}"` });
+    return;
+  }
+
+  // The context keeps the solution's globals apart from this script's. It is
+  // not a security boundary: the arguments are this realm's arrays, so the
+  // solution can reach process through them. The sandboxed process is the boundary.
+  const context = vm.createContext({});
+  vm.runInContext('globalThis.console = { log() {}, error() {}, warn() {} };', context);
+  try {
+    vm.runInContext(code, context, { timeout: 5000 });
+  } catch (error) {
+    send({ type: 'error', message: `The code failed to load: ${error.message}` });
+    return;
+  }
+
+  const entry = findEntry(code, context, params.length);
+  if (!entry) {
+    send({ type: 'error', message: 'No function to benchmark was found in the JavaScript code' });
+    return;
+  }
+  send({ type: 'entry', name: entry.name, input: builder.describe('n') });
+
+  const random = createRandom();
+  for (let n = minSize; n <= maxSize; n *= 2) {
+    let repeats = 0;
+    let measured = 0;
+    let fastest = Infinity;
+    let memoryBytes = Infinity;
+    const sizeStart = performance.now();
+
+    while (repeats === 0 || (repeats < MAX_REPEATS && measured < MIN_MEASURED_MS && performance.now() - sizeStart < MAX_SIZE_MS)) {
+      // Fresh arguments every time, since solutions may sort or modify them
+      const args = builder.build(n, random);
+      global.gc();
+      const heapBefore = process.memoryUsage().heapUsed;
+      const start = performance.now();
+      try {
+        entry.fn(...args);
+      } catch (error) {
+        send({ type: 'error', message: `The solution threw on an input of size ${n}: ${error.message}` });
+        return;
+      }
+      const elapsed = performance.now() - start;
+      // Heap growth over the call: roughly what the solution allocated,
+      // including its result. The smallest run has the least JIT noise.
+      memoryBytes = Math.min(memoryBytes, process.memoryUsage().heapUsed - heapBefore);
+
+      fastest = Math.min(fastest, elapsed);
+      measured += elapsed;
+      repeats++;
+    }
+
+    send({ type: 'sample', n, timeMs: fastest, memoryBytes: Math.max(memoryBytes, 0) });
+    if (fastest > maxRunMs) break;
+  }
+
+  send({ type: 'done' });
+}
+
+run();
@@ -0,0 +1,85 @@
+const path = require('path');
+const fs = require('fs');
+const crypto = require('crypto');
+
+const videosDir = path.join(__dirname, 'videos');
+const indexPath = path.join(videosDir, 'index.json');
+
+let index = null;
+
+// JSON with sorted keys, so equal inputs always hash the same
+function stableStringify(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value)
+      .sort()
+      .filter(key => value[key] !== undefined)
+      .map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`)
+      .join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+// Function to hash everything that determines what a render looks like
+function computeCacheKey(parts) {
+  return crypto.createHash('sha256').update(stableStringify(parts)).digest('hex');
+}
+
+function loadIndex() {
+  if (index) return index;
+  try {
+    index = JSON.parse(fs.readFileSync(indexPath, 'utf8'));
+  } catch {
+    index = {};
+  }
+  return index;
+}
+
+function saveIndex() {
+  try {
+    fs.mkdirSync(videosDir, { recursive: true });
+    const tempPath = `${indexPath}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify(index, null, 2));
+    fs.renameSync(tempPath, indexPath);
+  } catch (error) {
+    console.error('Error saving render cache index:', error);
+  }
+}
+
+// Function to look up a finished render, dropping entries whose files are gone
+function getCachedVideo(key) {
+  const entry = loadIndex()[key];
+  if (!entry) return null;
+
+  const videoPath = path.join(__dirname, entry.videoUrl);
+  if (!fs.existsSync(videoPath)) {
+    delete index[key];
+    saveIndex();
+    return null;
+  }
+  return entry;
+}
+
+function setCachedVideo(key, entry) {
+  loadIndex()[key] = { ...entry, createdAt: new Date().toISOString() };
+  saveIndex();
+}
+
+// Function to drop the entries of renders whose files are being deleted
+function dropCachedRenders(renderIds) {
+  const entries = loadIndex();
+  const dropped = Object.keys(entries).filter(key => renderIds.includes(entries[key].renderId));
+  if (dropped.length === 0) return;
+
+  dropped.forEach(key => delete entries[key]);
+  saveIndex();
+}
+
+module.exports = {
+  computeCacheKey,
+  getCachedVideo,
+  setCachedVideo,
+  dropCachedRenders
+};
@@ -0,0 +1,71 @@
+// Longest caption line, and lines per cue, before a step is split across cues
+const MAX_LINE_LENGTH = 42;
+const MAX_LINES_PER_CUE = 2;
+
+// Function to format seconds as a WebVTT timestamp (HH:MM:SS.mmm)
+function formatTimestamp(seconds) {
+  const totalMs = Math.max(0, Math.round(seconds * 1000));
+  const hours = Math.floor(totalMs / 3600000);
+  const minutes = Math.floor((totalMs % 3600000) / 60000);
+  const secs = Math.floor((totalMs % 60000) / 1000);
+  const ms = totalMs % 1000;
+  const pad = (value, length = 2) => String(value).padStart(length, '0');
+  return `${pad(hours)}:${pad(minutes)}:${pad(secs)}.${pad(ms, 3)}`;
+}
+
+// Cue text is parsed as markup, so these characters must be escaped
+function escapeCueText(text) {
+  return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+// Function to word-wrap text into lines of at most MAX_LINE_LENGTH characters
+function wrapLines(text) {
+  const lines = [];
+  let line = '';
+  // Scripts written without spaces (e.g. Chinese) are broken at the line length
+  const words = text.split(/\s+/).filter(Boolean)
+    .flatMap(word => word.match(new RegExp(`.{1,${MAX_LINE_LENGTH}}`, 'gu')));
+  words.forEach(word => {
+    if (line && line.length + 1 + word.length > MAX_LINE_LENGTH) {
+      lines.push(line);
+      line = word;
+    } else {
+      line = line ? `${line} ${word}` : word;
+    }
+  });
+  if (line) lines.push(line);
+  return lines;
+}
+
+// Function to split one narration step into cues that each fit on screen,
+// sharing the step's spoken duration in proportion to their length
+function buildStepCues(step) {
+  const lines = wrapLines(step.text);
+  const groups = [];
+  for (let i = 0; i < lines.length; i += MAX_LINES_PER_CUE) {
+    groups.push(lines.slice(i, i + MAX_LINES_PER_CUE));
+  }
+
+  const totalLength = groups.reduce((sum, group) => sum + group.join(' ').length, 0) || 1;
+  let start = step.start;
+  return groups.map(group => {
+    const duration = step.duration * group.join(' ').length / totalLength;
+    const cue = { start, end: start + duration, lines: group };
+    start += duration;
+    return cue;
+  });
+}
+
+// Function to build a WebVTT caption track from a narration timing manifest
+function buildWebVtt(timing) {
+  const cues = timing.steps.flatMap(buildStepCues);
+  const body = cues.map((cue, index) =>
+    `${index + 1}\n${formatTimestamp(cue.start)} --> ${formatTimestamp(cue.end)}\n${escapeCueText(cue.lines.join('\n'))}`
+  );
+  return `WEBVTT\n\n${body.join('\n\n')}\n`;
+}
+
+module.exports = {
+  formatTimestamp,
+  buildWebVtt
+};
@@ -0,0 +1,45 @@
+// Longest chapter title before the narration text is cut off
+const MAX_TITLE_LENGTH = 60;
+
+// Function to shorten a narration step into a chapter title
+function toChapterTitle(text) {
+  const title = text.trim().replace(/\s+/g, ' ');
+  if (title.length <= MAX_TITLE_LENGTH) return title;
+  return `${title.slice(0, MAX_TITLE_LENGTH - 3).replace(/\s+\S*$/, '')}...`;
+}
+
+// Function to turn a narration timing manifest into one chapter per step,
+// each lasting until the next step starts. `lines` holds the [first, last]
+// lines of code the step explains, by language; older renders have none.
+function buildChapters(timing) {
+  return timing.steps.map(step => ({
+    index: step.index,
+    title: toChapterTitle(step.text),
+    text: step.text,
+    start: step.start,
+    end: Math.round((step.start + step.slot) * 1000) / 1000,
+    lines: step.lines || {}
+  }));
+}
+
+// FFmetadata treats these characters as syntax, so they are backslash-escaped
+function escapeMetadata(value) {
+  return value.replace(/[=;#\\\n]/g, match => `\\${match}`);
+}
+
+// Function to write chapters in FFmpeg's metadata format, for embedding in the MP4
+function buildFfmetadata(chapters) {
+  const sections = chapters.map(chapter => [
+    '[CHAPTER]',
+    'TIMEBASE=1/1000',
+    `START=${Math.round(chapter.start * 1000)}`,
+    `END=${Math.round(chapter.end * 1000)}`,
+    `title=${escapeMetadata(`${chapter.index + 1}. ${chapter.title}`)}`
+  ].join('\n'));
+  return `;FFMETADATA1\n${sections.join('\n\n')}\n`;
+}
+
+module.exports = {
+  buildChapters,
+  buildFfmetadata
+};
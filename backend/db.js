@@ -0,0 +1,277 @@
+const path = require('path');
+const fs = require('fs');
+const Database = require('better-sqlite3');
+const { v4: uuidv4 } = require('uuid');
+
+const dbPath = process.env.DB_PATH || path.join(__dirname, 'data', 'code2concept.db');
+fs.mkdirSync(path.dirname(dbPath), { recursive: true });
+
+const db = new Database(dbPath);
+db.pragma('journal_mode = WAL');
+db.pragma('foreign_keys = ON');
+
+db.exec(`
+  CREATE TABLE IF NOT EXISTS problems (
+    id TEXT PRIMARY KEY,
+    title TEXT NOT NULL,
+    question TEXT NOT NULL,
+    language TEXT NOT NULL DEFAULT 'en',
+    created_at TEXT NOT NULL
+  );
+
+  CREATE TABLE IF NOT EXISTS approaches (
+    id TEXT PRIMARY KEY,
+    problem_id TEXT NOT NULL REFERENCES problems(id) ON DELETE CASCADE,
+    position INTEGER NOT NULL,
+    data TEXT NOT NULL
+  );
+
+  CREATE TABLE IF NOT EXISTS renders (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    render_id TEXT NOT NULL,
+    approach_id TEXT REFERENCES approaches(id) ON DELETE CASCADE,
+    cache_key TEXT,
+    video_url TEXT NOT NULL,
+    narration TEXT,
+    script TEXT,
+    created_at TEXT NOT NULL
+  );
+
+  CREATE TABLE IF NOT EXISTS traces (
+    cache_key TEXT PRIMARY KEY,
+    data TEXT NOT NULL,
+    created_at TEXT NOT NULL
+  );
+
+  CREATE TABLE IF NOT EXISTS verifications (
+    cache_key TEXT PRIMARY KEY,
+    data TEXT NOT NULL,
+    created_at TEXT NOT NULL
+  );
+
+  CREATE TABLE IF NOT EXISTS benchmarks (
+    cache_key TEXT PRIMARY KEY,
+    data TEXT NOT NULL,
+    created_at TEXT NOT NULL
+  );
+
+  CREATE INDEX IF NOT EXISTS approaches_problem ON approaches(problem_id, position);
+  CREATE INDEX IF NOT EXISTS renders_approach ON renders(approach_id, created_at);
+`);
+
+// Databases created before analyses had a language get the column added
+const problemColumns = db.prepare('PRAGMA table_info(problems)').all().map(column => column.name);
+if (!problemColumns.includes('language')) {
+  db.exec("ALTER TABLE problems ADD COLUMN language TEXT NOT NULL DEFAULT 'en'");
+}
+
+// Renders saved before their stream and quality were kept get those columns added
+const renderColumns = db.prepare('PRAGMA table_info(renders)').all().map(column => column.name);
+if (!renderColumns.includes('hls_url')) {
+  db.exec('ALTER TABLE renders ADD COLUMN hls_url TEXT');
+}
+if (!renderColumns.includes('quality')) {
+  db.exec('ALTER TABLE renders ADD COLUMN quality TEXT');
+}
+
+// Function to derive a short display title from the pasted question
+function deriveTitle(question) {
+  const firstLine = question
+    .split('\n')
+    .map(line => line.trim())
+    .find(line => line.length > 0) || 'Untitled problem';
+
+  const title = firstLine.replace(/^(problem|question)\s*[:-]\s*/i, '');
+  return title.length > 80 ? `${title.slice(0, 77)}...` : title;
+}
+
+// Function to store a question together with its generated approaches
+const saveProblem = db.transaction(({ question, approaches, language = 'en' }) => {
+  const problem = {
+    id: uuidv4(),
+    title: deriveTitle(question),
+    question,
+    language,
+    createdAt: new Date().toISOString()
+  };
+
+  db.prepare('INSERT INTO problems (id, title, question, language, created_at) VALUES (?, ?, ?, ?, ?)')
+    .run(problem.id, problem.title, problem.question, problem.language, problem.createdAt);
+
+  const insertApproach = db.prepare(
+    'INSERT INTO approaches (id, problem_id, position, data) VALUES (?, ?, ?, ?)'
+  );
+  const storedApproaches = approaches.map((approach, position) => {
+    const stored = { ...approach, id: uuidv4() };
+    insertApproach.run(stored.id, problem.id, position, JSON.stringify(approach));
+    return stored;
+  });
+
+  return { ...problem, approaches: storedApproaches };
+});
+
+function listProblems({ limit = 20, offset = 0 } = {}) {
+  const rows = db.prepare(`
+    SELECT p.id, p.title, p.language, p.created_at, COUNT(a.id) AS approach_count
+    FROM problems p
+    LEFT JOIN approaches a ON a.problem_id = p.id
+    GROUP BY p.id
+    ORDER BY p.created_at DESC
+    LIMIT ? OFFSET ?
+  `).all(limit, offset);
+
+  const { total } = db.prepare('SELECT COUNT(*) AS total FROM problems').get();
+
+  return {
+    total,
+    problems: rows.map(row => ({
+      id: row.id,
+      title: row.title,
+      language: row.language,
+      createdAt: row.created_at,
+      approachCount: row.approach_count
+    }))
+  };
+}
+
+// Function to load a stored problem with its approaches and their latest render
+function getProblem(id) {
+  const problem = db.prepare('SELECT * FROM problems WHERE id = ?').get(id);
+  if (!problem) return null;
+
+  const latestRender = db.prepare(`
+    SELECT render_id, video_url, hls_url, quality, narration, created_at FROM renders
+    WHERE approach_id = ?
+    ORDER BY created_at DESC
+    LIMIT 1
+  `);
+
+  const approaches = db.prepare('SELECT * FROM approaches WHERE problem_id = ? ORDER BY position')
+    .all(id)
+    .map(row => {
+      const render = latestRender.get(row.id);
+      return {
+        ...JSON.parse(row.data),
+        id: row.id,
+        render: render
+          ? {
+            renderId: render.render_id,
+            videoUrl: render.video_url,
+            hlsUrl: render.hls_url,
+            quality: render.quality,
+            narrationSteps: JSON.parse(render.narration || '[]'),
+            createdAt: render.created_at
+          }
+          : null
+      };
+    });
+
+  return {
+    id: problem.id,
+    title: problem.title,
+    question: problem.question,
+    language: problem.language,
+    createdAt: problem.created_at,
+    approaches
+  };
+}
+
+// Function to delete a problem with its approaches and their renders. Returns
+// the ids of the renders no other stored render uses any more, so their files
+// can be removed too, or null if there is no such problem.
+const deleteProblem = db.transaction((id) => {
+  const renderIds = db.prepare(`
+    SELECT DISTINCT r.render_id FROM renders r
+    JOIN approaches a ON a.id = r.approach_id
+    WHERE a.problem_id = ?
+  `).all(id).map(row => row.render_id);
+
+  if (db.prepare('DELETE FROM problems WHERE id = ?').run(id).changes === 0) return null;
+
+  const stillUsed = db.prepare('SELECT 1 FROM renders WHERE render_id = ? LIMIT 1');
+  return renderIds.filter(renderId => !stillUsed.get(renderId));
+});
+
+// Function to record a finished render, linked to its stored approach if known.
+// Cache hits reuse the narration and script stored with the original render.
+function saveRender({ renderId, approachId, cacheKey, videoUrl, hlsUrl, quality, narrationSteps, script }) {
+  const approachExists = approachId
+    && db.prepare('SELECT 1 FROM approaches WHERE id = ?').get(approachId);
+  const original = db.prepare(
+    'SELECT narration, script FROM renders WHERE render_id = ? ORDER BY id LIMIT 1'
+  ).get(renderId);
+
+  db.prepare(`
+    INSERT INTO renders (render_id, approach_id, cache_key, video_url, hls_url, quality, narration, script, created_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `).run(
+    renderId,
+    approachExists ? approachId : null,
+    cacheKey,
+    videoUrl,
+    hlsUrl ?? null,
+    quality ?? null,
+    narrationSteps ? JSON.stringify(narrationSteps) : original?.narration ?? null,
+    script ?? original?.script ?? null,
+    new Date().toISOString()
+  );
+}
+
+// Function to load the narration and script a render was made from, so it can
+// be rendered again (e.g. at a higher quality) without generating them anew
+function getRenderSource(renderId) {
+  const row = db.prepare(
+    'SELECT narration, script FROM renders WHERE render_id = ? AND script IS NOT NULL ORDER BY id LIMIT 1'
+  ).get(renderId);
+  if (!row) return null;
+
+  return {
+    narrationSteps: JSON.parse(row.narration || '[]'),
+    script: row.script
+  };
+}
+
+function getStoredTrace(cacheKey) {
+  const row = db.prepare('SELECT data FROM traces WHERE cache_key = ?').get(cacheKey);
+  return row ? JSON.parse(row.data) : null;
+}
+
+function saveTrace(cacheKey, trace) {
+  db.prepare('INSERT OR REPLACE INTO traces (cache_key, data, created_at) VALUES (?, ?, ?)')
+    .run(cacheKey, JSON.stringify(trace), new Date().toISOString());
+}
+
+function getStoredVerification(cacheKey) {
+  const row = db.prepare('SELECT data FROM verifications WHERE cache_key = ?').get(cacheKey);
+  return row ? JSON.parse(row.data) : null;
+}
+
+function saveVerification(cacheKey, verification) {
+  db.prepare('INSERT OR REPLACE INTO verifications (cache_key, data, created_at) VALUES (?, ?, ?)')
+    .run(cacheKey, JSON.stringify(verification), new Date().toISOString());
+}
+
+function getStoredBenchmark(cacheKey) {
+  const row = db.prepare('SELECT data FROM benchmarks WHERE cache_key = ?').get(cacheKey);
+  return row ? JSON.parse(row.data) : null;
+}
+
+function saveBenchmark(cacheKey, benchmark) {
+  db.prepare('INSERT OR REPLACE INTO benchmarks (cache_key, data, created_at) VALUES (?, ?, ?)')
+    .run(cacheKey, JSON.stringify(benchmark), new Date().toISOString());
+}
+
+module.exports = {
+  saveProblem,
+  listProblems,
+  getProblem,
+  deleteProblem,
+  saveRender,
+  getRenderSource,
+  getStoredTrace,
+  saveTrace,
+  getStoredVerification,
+  saveVerification,
+  getStoredBenchmark,
+  saveBenchmark
+};
@@ -0,0 +1,166 @@
+const path = require('path');
+const fs = require('fs');
+const { runFfmpeg } = require('./media');
+
+const videosDir = path.join(__dirname, 'videos');
+
+// Width of the GIF export and of each storyboard frame
+const GIF_WIDTH = 640;
+const GIF_FPS = 10;
+const STORYBOARD_FRAME_WIDTH = 320;
+
+// Error carrying the HTTP status for an export that cannot be made
+class ExportError extends Error {
+  constructor(message, status = 500) {
+    super(message);
+    this.name = 'ExportError';
+    this.status = status;
+  }
+}
+
+// Formats a finished render can be exported to, generated on first request
+const EXPORT_FORMATS = {
+  gif: {
+    label: 'Animated GIF',
+    fileName: 'animation.gif',
+    // A palette built from the video itself keeps the GIF's colours faithful
+    build: ({ videoPath, outputPath }) => runFfmpeg([
+      '-i', videoPath,
+      '-vf', `fps=${GIF_FPS},scale=${GIF_WIDTH}:-1:flags=lanczos,split[a][b];[a]palettegen[p];[b][p]paletteuse`,
+      '-loop', '0',
+      outputPath
+    ])
+  },
+  webm: {
+    label: 'WebM video',
+    fileName: 'animation.webm',
+    build: ({ videoPath, outputPath }) => runFfmpeg([
+      '-i', videoPath,
+      '-c:v', 'libvpx-vp9',
+      '-crf', '33',
+      '-b:v', '0',
+      '-row-mt', '1',
+      '-deadline', 'good',
+      '-cpu-used', '4',
+      '-c:a', 'libopus',
+      outputPath
+    ])
+  },
+  storyboard: {
+    label: 'Storyboard (PNG)',
+    fileName: 'storyboard.png',
+    build: buildStoryboard
+  }
+};
+
+// Function to write a horizontal strip with one frame per narration step,
+// each taken halfway through the step's narration
+async function buildStoryboard({ videoPath, outputPath, publicDir }) {
+  const timingPath = path.join(publicDir, 'timing.json');
+  if (!fs.existsSync(timingPath)) {
+    throw new ExportError('This render has no narration timing, so no storyboard can be made', 409);
+  }
+
+  const { steps } = JSON.parse(fs.readFileSync(timingPath, 'utf8'));
+  const inputs = steps.flatMap(step => [
+    '-ss', (step.start + step.duration / 2).toFixed(3),
+    '-i', videoPath
+  ]);
+  const frames = steps.map((_, i) => `[${i}:v]trim=end_frame=1,scale=${STORYBOARD_FRAME_WIDTH}:-2[f${i}]`);
+  const strip = steps.length > 1
+    ? `${steps.map((_, i) => `[f${i}]`).join('')}hstack=inputs=${steps.length}[out]`
+    : '[f0]null[out]';
+
+  await runFfmpeg([
+    ...inputs,
+    '-filter_complex', `${frames.join(';')};${strip}`,
+    '-map', '[out]',
+    '-frames:v', '1',
+    outputPath
+  ]);
+}
+
+// Exports being generated, so concurrent requests share one FFmpeg run
+const inflightExports = new Map();
+
+function getRenderDir(renderId) {
+  return path.join(videosDir, path.basename(renderId));
+}
+
+// Function to find the narrated MP4 of a finished render
+function findRenderVideo(renderId) {
+  const publicDir = getRenderDir(renderId);
+  if (!fs.existsSync(publicDir)) return null;
+
+  const fileName = fs.readdirSync(publicDir).find(file => file.endsWith('_with_audio.mp4'));
+  return fileName ? path.join(publicDir, fileName) : null;
+}
+
+function getExportUrl(renderId, format) {
+  return `/videos/${path.basename(renderId)}/exports/${EXPORT_FORMATS[format].fileName}`;
+}
+
+// Function to list a render's export formats with the URL of those already made
+function listExports(renderId) {
+  if (!findRenderVideo(renderId)) {
+    throw new ExportError('Render not found', 404);
+  }
+
+  const exportsDir = path.join(getRenderDir(renderId), 'exports');
+  return Object.entries(EXPORT_FORMATS).map(([format, { label, fileName }]) => ({
+    format,
+    label,
+    url: fs.existsSync(path.join(exportsDir, fileName)) ? getExportUrl(renderId, format) : null
+  }));
+}
+
+// Function to make (or reuse) an export of a render and return its URL
+async function createExport(renderId, format) {
+  // Own keys only, so names such as "constructor" are not formats
+  if (!Object.hasOwn(EXPORT_FORMATS, format)) {
+    throw new ExportError(`Unknown export format "${format}"`, 400);
+  }
+  const definition = EXPORT_FORMATS[format];
+
+  const videoPath = findRenderVideo(renderId);
+  if (!videoPath) {
+    throw new ExportError('Render not found', 404);
+  }
+
+  const publicDir = getRenderDir(renderId);
+  const exportsDir = path.join(publicDir, 'exports');
+  const outputPath = path.join(exportsDir, definition.fileName);
+  const url = getExportUrl(renderId, format);
+
+  if (fs.existsSync(outputPath)) {
+    return url;
+  }
+
+  const key = `${renderId}/${format}`;
+  if (!inflightExports.has(key)) {
+    // Write to a temporary file so a half-written export is never served
+    const tempPath = path.join(exportsDir, `tmp-${definition.fileName}`);
+    const run = (async () => {
+      fs.mkdirSync(exportsDir, { recursive: true });
+      await definition.build({ videoPath, outputPath: tempPath, publicDir });
+      fs.renameSync(tempPath, outputPath);
+      console.log(`Exported render ${renderId} as ${format}`);
+    })()
+      .catch(error => {
+        if (fs.existsSync(tempPath)) fs.unlinkSync(tempPath);
+        throw error;
+      })
+      .finally(() => inflightExports.delete(key));
+    inflightExports.set(key, run);
+  }
+
+  await inflightExports.get(key);
+  return url;
+}
+
+module.exports = {
+  EXPORT_FORMATS,
+  ExportError,
+  listExports,
+  createExport
+};
@@ -0,0 +1,498 @@
+const { generateText } = require('./llm');
+const { generateValidatedJson } = require('./validation');
+const {
+  approachesSchema,
+  APPROACH_TEXT_FIELDS,
+  translationSchema,
+  CODE_LANGUAGES,
+  narrationStepsSchema,
+  stepLinesSchema,
+  traceSchema,
+  harnessesSchema,
+  normalizeApproaches,
+  normalizeTranslation,
+  normalizeNarrationSteps,
+  normalizeStepLines,
+  normalizeTrace,
+  normalizeHarnesses
+} = require('./schemas');
+const { DEFAULT_LANGUAGE, getLanguage } = require('./languages');
+const { formatTrace } = require('./tracer');
+
+// Bump whenever a prompt changes in a way that affects rendered videos,
+// so cached renders made with the old prompts are not reused
+const PROMPT_VERSION = 6;
+
+// Same, for the execution traces shown by the interactive visualizer
+const TRACE_PROMPT_VERSION = 1;
+
+// Same, for the test programs that verify solutions against the examples
+const HARNESS_PROMPT_VERSION = 1;
+
+// Function to clean Python code response
+function cleanPythonResponse(text) {
+  text = text.replace(/```python\n?/g, '');
+  text = text.replace(/```\n?/g, '');
+  text = text.trim();
+  return text;
+}
+
+// Function to tell the model which language to write prose in. English needs
+// no instruction, so English prompts are unchanged.
+function formatLanguagePrompt(language, fields) {
+  if (language === DEFAULT_LANGUAGE) return '';
+  const { name } = getLanguage(language);
+  return `
+
+LANGUAGE:
+- Write ${fields} in ${name}
+- Keep code, variable names, function names and other identifiers exactly as they appear in the code; do not translate them
+- Keep JSON keys in English`;
+}
+
+// Function to prefix each line of code with its 1-based line number
+function numberLines(code) {
+  return code.split('\n').map((line, index) => `${String(index + 1).padStart(3)} | ${line}`).join('\n');
+}
+
+// Function to show the model a recorded run of the solution, so the
+// narration and animation follow real values instead of invented ones
+function formatTracePrompt(trace) {
+  if (!trace) return '';
+  return `
+
+EXECUTION TRACE:
+This is a real run of the JavaScript version of the solution on the example input below. Each step is a line about to run, with the variables and array elements that changed since the previous step.
+- Use exactly this example input
+- Describe the steps in this order, with these values; do not invent other values
+- You may summarize repeated iterations, but the values you mention must match the trace
+
+${formatTrace(trace)}`;
+}
+
+// Function to generate narration steps
+async function generateNarrationSteps(code, { language = DEFAULT_LANGUAGE, trace = null } = {}) {
+  const prompt = `You are an expert DSA educator. Generate clear, concise narration steps that explain what's happening in the algorithm visualization.
+
+Create a JSON array of narration steps. Each step should be a short, clear sentence that explains what's happening at that moment in the algorithm execution.
+
+Requirements:
+- Each step should be 1-2 sentences maximum
+- Use simple, clear language suitable for audio narration
+- Focus on the key operations: comparisons, swaps, movements, updates
+- Explain the "why" behind each action when relevant
+- Keep each step under 150 characters for natural speech flow
+
+Return ONLY a JSON array of strings, no markdown formatting.
+
+Example format:
+[
+  "We start with an unsorted array of 6 elements",
+  "The algorithm compares the first two elements: 5 and 2",
+  "Since 5 is greater than 2, we swap their positions",
+  "Now we move to the next pair and repeat the comparison"
+]
+
+Algorithm code:
+${code}${formatTracePrompt(trace)}${formatLanguagePrompt(language, 'every narration step')}`;
+
+  try {
+    const steps = await generateValidatedJson({
+      stage: 'narration',
+      prompt,
+      schema: narrationStepsSchema,
+      normalize: normalizeNarrationSteps
+    });
+    console.log("Generated narration steps:", steps);
+    return steps;
+  } catch (error) {
+    console.error('Error generating narration steps:', error);
+    throw error;
+  }
+}
+
+// Function to find, for each narration step, the lines it explains in every
+// language's version of the solution, so the code viewer can follow the video
+async function generateStepLines(code, narrationSteps) {
+  const languages = CODE_LANGUAGES.filter(language => code[language]);
+  const steps = narrationSteps.map((step, index) => `${index + 1}. ${step}`).join('\n');
+  const sources = languages.map(language => `${language}:\n${numberLines(code[language])}`).join('\n\n');
+
+  const prompt = `You are an expert DSA educator. Below are the narration steps of a video explaining an algorithm, and the same solution in several languages with numbered lines. For each narration step, find the lines of code that step is about in each language.
+
+Return ONLY a JSON array with NO markdown formatting and exactly one object per narration step, in order:
+[
+  { ${languages.map(language => `"${language}": [first, last] | null`).join(', ')} }
+]
+
+Requirements:
+- [first, last] is the smallest range of line numbers, from that language's numbered code, covering what the step describes; use [n, n] for a single line
+- Use null when a step is not about any particular line (e.g. an introduction or a summary)
+- Ranges in different languages should point at the same logic
+- Only use line numbers that exist in that language's code
+
+Narration steps:
+${steps}
+
+${sources}`;
+
+  try {
+    return await generateValidatedJson({
+      stage: 'narration',
+      prompt,
+      schema: stepLinesSchema,
+      normalize: data => normalizeStepLines(data, {
+        stepCount: narrationSteps.length,
+        lineCounts: Object.fromEntries(languages.map(language => [language, code[language].split('\n').length]))
+      })
+    });
+  } catch (error) {
+    console.error('Error mapping narration steps to code lines:', error);
+    throw error;
+  }
+}
+// Function to generate approaches using the configured LLM
+async function generateApproaches(question, { language = DEFAULT_LANGUAGE } = {}) {
+  console.log("question:", question);
+
+  const prompt = `You are an expert DSA mentor. For the given DSA problem, provide all possible solution approaches.
+
+Return ONLY a JSON array of objects, with NO markdown formatting, NO explanations, and NO extra text. Each object must have these exact fields:
+{
+  "title": string,
+  "timeComplexity": string,
+  "spaceComplexity": string,
+  "description": string,
+  "code": {
+    "javaCode": string (Java code),
+    "pythonCode": string (Python code),
+    "cppCode": string (C++ code),
+    "jsCode": string (JavaScript code)
+  },
+  "pros": string[],
+  "cons": string[],
+  "concepts": string[]
+}
+
+Problem:
+${question}${formatLanguagePrompt(language, 'the title, description, pros, cons and concepts')}`;
+
+  try {
+    const approaches = await generateValidatedJson({
+      stage: 'approaches',
+      prompt,
+      schema: approachesSchema,
+      normalize: normalizeApproaches
+    });
+    if (approaches.length === 0) {
+      throw new Error('Model returned no usable approaches');
+    }
+    console.log("approaches:", approaches);
+    return approaches;
+  } catch (error) {
+    console.error('Error generating approaches:', error);
+    throw error;
+  }
+}
+
+// Function to translate the prose of already generated approaches into
+// another language. Only the text is sent, so the code, complexities and
+// number of approaches cannot change.
+async function translateApproaches(approaches, { language = DEFAULT_LANGUAGE } = {}) {
+  const { name } = getLanguage(language);
+  const texts = approaches.map(approach =>
+    Object.fromEntries(APPROACH_TEXT_FIELDS.map(field => [field, approach[field]]))
+  );
+
+  const prompt = `Translate the DSA solution approaches below into ${name}.
+
+Return ONLY a JSON array with NO markdown formatting: one object per approach, in the same order, with the same fields (${APPROACH_TEXT_FIELDS.join(', ')}) and the same number of items in every list.
+
+Requirements:
+- Translate the text only; keep the meaning, tone and length
+- Keep code, variable names, function names, data structure names used as identifiers and complexity notation such as O(n log n) exactly as they are
+- Keep JSON keys in English
+
+Approaches:
+${JSON.stringify(texts, null, 2)}`;
+
+  try {
+    return await generateValidatedJson({
+      stage: 'translate',
+      prompt,
+      schema: translationSchema,
+      normalize: data => normalizeTranslation(data, { approaches })
+    });
+  } catch (error) {
+    console.error('Error translating approaches:', error);
+    throw error;
+  }
+}
+
+// Function to generate a step-by-step execution trace of the code on a small
+// example input, for the in-browser visualizer
+async function generateTrace(code, { language = DEFAULT_LANGUAGE } = {}) {
+  const lines = code.split('\n');
+  const numbered = numberLines(code);
+
+  const prompt = `You are an expert DSA educator. Trace the execution of the JavaScript code below on one small, concrete example input, the way a student would step through it in a debugger.
+
+Return ONLY a JSON object with NO markdown formatting, in this exact shape:
+{
+  "input": string (the example input, e.g. "nums = [2, 7, 11, 15], target = 9"),
+  "steps": [
+    {
+      "line": number (the line number, from the numbered code below, being executed in this step),
+      "description": string (one short sentence saying what happens in this step),
+      "arrays": [{ "name": string, "values": (number | string | boolean | null)[], "highlight": number[] (indices being compared, swapped or updated) }],
+      "pointers": [{ "name": string (e.g. "i", "left"), "array": string (name of an entry in "arrays"), "index": number }],
+      "variables": { "<name>": number | string | boolean | null }
+    }
+  ]
+}
+
+Requirements:
+- Pick an input small enough that the whole run fits in at most 60 steps
+- Every step must show the full current state: every array and every scalar variable in scope, with their values after the line runs
+- Only use line numbers that exist in the numbered code
+- Index pointers (loop counters, left/right, slow/fast) go in "pointers", not only in "variables"
+- Show maps, sets and objects as arrays of "key: value" strings
+- The last step should show the returned result in "variables" as "result"
+
+Code:
+${numbered}${formatLanguagePrompt(language, 'the description of every step')}`;
+
+  try {
+    const trace = await generateValidatedJson({
+      stage: 'trace',
+      prompt,
+      schema: traceSchema,
+      normalize: data => normalizeTrace(data, { lineCount: lines.length })
+    });
+    if (trace.steps.length === 0) {
+      throw new Error('Model returned no usable trace steps');
+    }
+    return trace;
+  } catch (error) {
+    console.error('Error generating trace:', error);
+    throw error;
+  }
+}
+
+// Function to wrap each language's solution in a program that runs it on the
+// problem's example inputs. The expected outputs are deliberately not given to
+// the model; the programs only print what the solution returns.
+async function generateHarnesses(code, examples) {
+  const inputs = examples.map((example, index) => `Example ${index + 1}: ${example.input}`).join('\n');
+
+  const prompt = `You are an expert competitive programmer. For each solution below, write a complete, runnable test program that calls the solution on every example input and prints what it returns.
+
+Return ONLY a JSON object with NO markdown formatting and these exact fields:
+{
+  "javaCode": string (Java program),
+  "pythonCode": string (Python 3 program),
+  "cppCode": string (C++17 program),
+  "jsCode": string (JavaScript program for Node.js)
+}
+
+Requirements:
+- Include the solution code exactly as given; do not fix, change or optimize it
+- Call it once per example, in order, with the example's input values hard-coded
+- Print exactly one line per example: the returned value as compact JSON (arrays as [1,2], strings in double quotes, true/false, null) and nothing else
+- For functions that modify their input in place and return nothing, print the modified input
+- Use only the standard library; do not read files, stdin or the network
+- The Java program must have a public class named Main; C++ must have int main()
+
+Example inputs:
+${inputs}
+
+Java solution:
+${code.javaCode}
+
+Python solution:
+${code.pythonCode}
+
+C++ solution:
+${code.cppCode}
+
+JavaScript solution:
+${code.jsCode}`;
+
+  try {
+    return await generateValidatedJson({
+      stage: 'harness',
+      prompt,
+      schema: harnessesSchema,
+      normalize: normalizeHarnesses
+    });
+  } catch (error) {
+    console.error('Error generating test programs:', error);
+    throw error;
+  }
+}
+
+// Function to describe how long each narration step's animation must last
+function formatTimingPrompt(timing) {
+  const lines = timing.steps.map(step =>
+    `- Step ${step.index + 1} (${step.slot}s total): "${step.text}"`
+  );
+
+  return `Each narration step is spoken from its own audio clip, and the clips play back to back.
+The animation for each step MUST last exactly the number of seconds given below, so the visuals stay in sync with the voice.
+- Give every self.play() call an explicit run_time
+- End each step with a self.wait() that pads the step to its exact duration (step duration minus the run_time of its animations)
+- Do not add any extra waits or animations between steps, before the first step or after the last step
+- The whole scene must last ${timing.totalDuration}s
+
+${lines.join('\n')}`;
+}
+
+async function generateManimScript(code, narrationSteps, { timing = null, repair = null, language = DEFAULT_LANGUAGE, trace = null } = {}) {
+
+//   const prompt = `You are an expert in the Manim animation library.
+
+// Generate a clean, error-free Manim script that visually demonstrates the working of the given Java algorithm using a specific example input. The animation should be synchronized with the provided narration steps.
+
+// Narration Steps: ${JSON.stringify(narrationSteps)}
+
+// Constraints:
+// - Do not include or reference the original code in the video.
+// - Explain the algorithm only through animations using a step-by-step example.
+// - Use appropriate Manim classes like Rectangle, Text, VGroup, and Arrow.
+// - Animate index pointers (like i and j), variable values (like sum, count), and array traversal clearly.
+// - Each animation step should correspond to a narration step
+// - Add appropriate wait times between steps to match audio pacing (use self.wait(2) between major steps)
+// - Ensure all elements are visible within screen bounds and do not overlap.
+// - Make sure the text or any element does not overlap with each other. Everything should be clearly visible on the screen.
+// - There should be proper spacing between texts and any other element.
+// - All texts, shapes, and animations should be well-aligned and spaced.
+// - Return only the Manim Python code, nothing else. Do not include markdown formatting.
+
+// Code:
+// ${code}
+// `;
+
+const prompt = `You are an expert in the Manim animation library. Generate a clean, error-free Manim script that visually demonstrates the working of the given Java algorithm using a specific example input.
+
+CRITICAL REQUIREMENTS FOR ERROR-FREE CODE:
+1. Always start with these two imports: from manim import * and from dsa_primitives import *
+2. Use proper Manim syntax and method names (e.g., Create() not create(), FadeIn() not fade_in())
+3. All animations must use self.play() to execute
+4. Use self.wait() for pauses, not wait()
+5. Ensure proper scene class inheritance from Scene
+6. Use correct positioning methods like .to_edge(), .next_to(), .shift()
+7. Always check that referenced objects exist before animating them
+8. Use proper color constants (RED, BLUE, GREEN, etc.)
+9. Only import manim, dsa_primitives, math, numpy, random, itertools or collections. Never use os, sys, subprocess, open(), eval() or exec() - the script runs in a sandbox that rejects them
+
+ANIMATION STRUCTURE:
+- Create a Scene class that inherits from Scene
+- Implement construct(self) method
+- Use concrete example data (e.g., array = [3, 7, 1, 9, 2] for sorting algorithms)
+- Show algorithm execution step-by-step with the example data
+
+DATA STRUCTURE PRIMITIVES (from dsa_primitives import *):
+Draw every data structure with these classes; never build arrays, pointers, lists, trees, graphs, maps, stacks, queues or tables from Rectangle, Square, Circle, Arrow or Line yourself.
+Each is a VGroup: position it with .move_to(), .to_edge() or .next_to() and show it with Create() or FadeIn(). Each operation returns an animation to pass to self.play().
+- ArrayViz(values, cell_size=0.8, show_indices=True, label=None): highlight(*indices, color=HIGHLIGHT), unhighlight(*indices), swap(i, j), set_value(i, value), dim_outside(low, high), cell(i)
+- Pointer(array, index, label, color=ACTIVE, direction=DOWN): move_to_index(index); the index may be one past the end
+- LinkedListViz(values): highlight(*indices), unhighlight(*indices), set_value(i, value), append(value), reverse_link(i), node(i)
+- BinaryTreeViz(level_order_values) with None for missing children, e.g. [3, 9, 20, None, None, 15, 7]: highlight(*positions), unhighlight(*positions), set_value(position, value), node(position); positions are indices into the list
+- GraphViz(edges, nodes=None, directed=False): highlight_node(v), highlight_edge(u, v), unhighlight(), node(v)
+- HashMapViz(entries=None, title="map"): put(key, value), delete(key), highlight(key), unhighlight()
+- StackViz(values=(), label="stack"): push(value), pop(), top(), highlight(*indices), unhighlight()
+- QueueViz(values=(), label="queue"): enqueue(value), dequeue(), front(), highlight(*indices), unhighlight()
+- MatrixViz(rows, cell_size=0.6, row_labels=None, col_labels=None) for grids and DP tables, with None for empty cells: highlight(*cells, color=HIGHLIGHT) with (row, col) pairs, unhighlight(*cells), set_value(row, col, value), cell(row, col)
+- VariablePanel(**values): set_value(name, value), which also adds new names
+- Colors: HIGHLIGHT for the elements being compared or changed, VISITED for finished or visited ones, ACTIVE for pointers
+- Operations update the structure as soon as they are called, so call each one exactly once, inside self.play()
+- Never combine two operations on the same element in one self.play()
+- Status Messages: Use Text objects to show the current operation
+
+Example:
+array = ArrayViz([3, 7, 1], label="nums").move_to(ORIGIN)
+i = Pointer(array, 0, "i")
+panel = VariablePanel(swaps=0).to_edge(UP + RIGHT)
+self.play(Create(array), FadeIn(i), FadeIn(panel), run_time=1)
+self.play(array.highlight(0, 1), run_time=0.5)
+self.play(array.swap(0, 1), i.move_to_index(1), panel.set_value("swaps", 1), run_time=0.8)
+
+SPACING AND LAYOUT:
+- Position the main data structure in the center: .move_to(ORIGIN)
+- Place the VariablePanel at top-right: .to_edge(UP + RIGHT)
+- Pointers place themselves below (or, with direction=UP, above) their cell
+- Ensure minimum 0.5 unit spacing between text elements and structures
+
+ANIMATION SYNCHRONIZATION:
+- Each animation step should correspond to a narration step
+${timing ? formatTimingPrompt(timing) : `- Use self.wait(2) between major algorithm steps
+- Use self.wait(1) for minor transitions
+- Add self.wait(0.5) after highlighting elements`}
+
+ERROR PREVENTION CHECKLIST:
+- Verify all object names match throughout the script
+- Check that all animations use self.play()
+- Ensure all waits use self.wait()
+- Confirm proper import statement
+- Validate that scene class extends Scene
+- Check method is named construct(self)
+
+EXAMPLE STRUCTURE:
+python
+from manim import *
+from dsa_primitives import *
+
+class AlgorithmDemo(Scene):
+    def construct(self):
+        # Create visual elements
+        # Show initial state
+        # Step through algorithm with example
+        # Each step: animate + wait
+
+
+Narration Steps: ${JSON.stringify(narrationSteps)}
+
+Algorithm Code: ${code}${formatTracePrompt(trace)}
+
+Generate ONLY the Python Manim code with no markdown formatting or explanations.${language === DEFAULT_LANGUAGE ? '' : `
+
+ON-SCREEN TEXT LANGUAGE:
+- Write all on-screen labels, captions and status messages in ${getLanguage(language).name}
+- Keep variable names, indices and values from the code unchanged (e.g. i, j, sum, nums)
+- Use Text() for any words, never Tex() or MathTex(), since LaTeX cannot render non-English scripts`}`;
+
+  // When repairing, show the model the script that failed and why
+  const repairPrompt = repair ? `
+
+The previous version of this script failed to render. Fix the error below and return the complete corrected script.
+Keep the same scene, animations and step durations, and only change what is needed to fix the error.
+
+Error:
+${repair.error}
+
+Failing script:
+${repair.script}` : '';
+
+  try {
+    const text = await generateText('manim', prompt + repairPrompt);
+    const scriptContent = cleanPythonResponse(text);
+
+    return { scriptContent };
+  } catch (error) {
+    console.error('Error generating Manim script:', error);
+    throw error;
+  }
+}
+
+module.exports = {
+  PROMPT_VERSION,
+  TRACE_PROMPT_VERSION,
+  HARNESS_PROMPT_VERSION,
+  generateApproaches,
+  generateNarrationSteps,
+  generateStepLines,
+  generateManimScript,
+  generateTrace,
+  generateHarnesses,
+  translateApproaches
+};
@@ -0,0 +1,71 @@
+const cheerio = require('cheerio');
+const { parseProblemHtml } = require('./html');
+
+const API_URL = 'https://practiceapi.geeksforgeeks.org/api/latest/problems';
+
+// geeksforgeeks.org/problems/<slug>/1 (practice) or any article URL
+function getSlug(url) {
+  const { hostname, pathname } = new URL(url);
+  if (!/(^|\.)geeksforgeeks\.org$/.test(hostname)) return null;
+  const practice = pathname.match(/^\/problems\/([\w-]+)/);
+  if (practice) return practice[1];
+  const article = pathname.split('/').filter(Boolean).pop();
+  return article ? `article:${article}` : null;
+}
+
+// Function to normalize either a practice API response or an article page
+function parseGfgResponse(data, url) {
+  if (typeof data === 'string') {
+    return parseGfgArticle(data, url);
+  }
+
+  const problem = data?.results;
+  if (!problem || !problem.problem_question) {
+    throw new Error('GeeksforGeeks response did not contain the problem');
+  }
+
+  const { statement, examples, constraints } = parseProblemHtml(problem.problem_question);
+
+  return {
+    source: 'gfg',
+    url,
+    title: problem.problem_name,
+    difficulty: problem.difficulty || null,
+    statement,
+    examples,
+    constraints
+  };
+}
+
+function parseGfgArticle(html, url) {
+  const $ = cheerio.load(html);
+  const title = $('h1').first().text().trim();
+  const content = $('article .text').first().html() || $('article').first().html();
+
+  if (!title || !content) {
+    throw new Error('Could not find a problem on this GeeksforGeeks page');
+  }
+
+  const { statement, examples, constraints } = parseProblemHtml(content);
+  return { source: 'gfg', url, title, difficulty: null, statement, examples, constraints };
+}
+
+async function fetchGfgProblem(slug, { fetchImpl = fetch, url } = {}) {
+  const isArticle = slug.startsWith('article:');
+  const response = await fetchImpl(isArticle ? url : `${API_URL}/${slug}/metainfo/`, {
+    headers: { 'User-Agent': 'Mozilla/5.0 (compatible; Code2Concept)' }
+  });
+
+  if (!response.ok) {
+    throw new Error(`GeeksforGeeks request failed with status ${response.status}`);
+  }
+  return isArticle ? response.text() : response.json();
+}
+
+module.exports = {
+  name: 'gfg',
+  format: (slug) => (slug.startsWith('article:') ? 'html' : 'json'),
+  getSlug,
+  fetchRaw: fetchGfgProblem,
+  parse: parseGfgResponse
+};
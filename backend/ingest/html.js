@@ -0,0 +1,85 @@
+const cheerio = require('cheerio');
+
+// Function to turn problem HTML into plain text, keeping line structure
+function htmlToText(html) {
+  const $ = cheerio.load(html);
+  $('br').replaceWith('\n');
+  $('sup').each((_, element) => {
+    $(element).replaceWith(`^${$(element).text()}`);
+  });
+  $('li').each((_, element) => {
+    $(element).prepend('- ').append('\n');
+  });
+  $('p, pre, div, ul, ol, h1, h2, h3, h4').each((_, element) => {
+    $(element).append('\n');
+  });
+
+  return $.root()
+    .text()
+    .replace(/\u00a0/g, ' ')
+    .replace(/[ \t]+\n/g, '\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+// Function to parse one "Input: ... Output: ... Explanation: ..." block
+function parseExample(text) {
+  const input = text.match(/Input\s*:?\s*([\s\S]*?)(?=\n?\s*Output\s*:|$)/i);
+  const output = text.match(/Output\s*:?\s*([\s\S]*?)(?=\n?\s*Explanation\s*:|$)/i);
+  const explanation = text.match(/Explanation\s*:?\s*([\s\S]*)$/i);
+
+  if (!input || !output) return null;
+  return {
+    input: input[1].trim(),
+    output: output[1].trim(),
+    explanation: explanation ? explanation[1].trim() : null
+  };
+}
+
+// Function to split a problem's text into statement, examples and constraints
+function parseProblemText(text) {
+  const exampleStart = text.search(/^\s*Examples?\s*\d*\s*:?/im);
+  const constraintsStart = text.search(/^\s*Constraints?\s*:?/im);
+  const followUpStart = text.search(/^\s*(Follow[- ]up|Expected Time Complexity|Your Task)\s*:?/im);
+
+  const firstSectionStart = [exampleStart, constraintsStart, followUpStart]
+    .filter(index => index !== -1)
+    .reduce((min, index) => Math.min(min, index), text.length);
+
+  const statement = text.slice(0, firstSectionStart).trim();
+
+  const examplesEnd = [constraintsStart, followUpStart]
+    .filter(index => index > exampleStart)
+    .reduce((min, index) => Math.min(min, index), text.length);
+  const examples = exampleStart === -1
+    ? []
+    : text
+      .slice(exampleStart, examplesEnd)
+      .replace(/^\s*Examples?\s*\d*\s*:?/gim, '')
+      .split(/(?=^\s*Input\s*:)/im)
+      .map(block => parseExample(block.trim()))
+      .filter(Boolean);
+
+  let constraints = [];
+  if (constraintsStart !== -1) {
+    const end = followUpStart > constraintsStart ? followUpStart : text.length;
+    constraints = text
+      .slice(constraintsStart, end)
+      .replace(/^\s*Constraints?\s*:?/i, '')
+      .split('\n')
+      .map(line => line.trim().replace(/^-\s*/, ''))
+      .filter(Boolean);
+  }
+
+  return { statement, examples, constraints };
+}
+
+function parseProblemHtml(html) {
+  return parseProblemText(htmlToText(html));
+}
+
+module.exports = {
+  htmlToText,
+  parseProblemText,
+  parseProblemHtml
+};
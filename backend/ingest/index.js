@@ -0,0 +1,99 @@
+const path = require('path');
+const fs = require('fs');
+const leetcode = require('./leetcode');
+const gfg = require('./gfg');
+
+const adapters = [leetcode, gfg];
+
+// Error carrying the HTTP status to answer a failed ingestion with
+class IngestError extends Error {
+  constructor(message, status = 502) {
+    super(message);
+    this.name = 'IngestError';
+    this.status = status;
+  }
+}
+
+function isProblemUrl(text) {
+  return /^https?:\/\/\S+$/i.test(text.trim());
+}
+
+function findAdapter(url) {
+  for (const adapter of adapters) {
+    const slug = adapter.getSlug(url);
+    if (slug) return { adapter, slug };
+  }
+  return null;
+}
+
+// With INGEST_FIXTURES_DIR set, adapters read recorded responses named
+// <site>-<slug>.<json|html> from disk instead of going to the network
+function getFixturePath(adapter, slug) {
+  const fixturesDir = process.env.INGEST_FIXTURES_DIR;
+  if (!fixturesDir) return null;
+  const fileName = `${adapter.name}-${slug.replace(/[^\w-]/g, '-')}.${adapter.format(slug)}`;
+  return path.resolve(fixturesDir, fileName);
+}
+
+async function loadRaw(adapter, slug, url) {
+  const fixturePath = getFixturePath(adapter, slug);
+  if (!fixturePath) {
+    return adapter.fetchRaw(slug, { url });
+  }
+
+  if (!fs.existsSync(fixturePath)) {
+    throw new IngestError(`No recorded fixture for ${url} (expected ${path.basename(fixturePath)})`, 404);
+  }
+  const content = fs.readFileSync(fixturePath, 'utf8');
+  return adapter.format(slug) === 'json' ? JSON.parse(content) : content;
+}
+
+// Function to fetch a problem page and normalize it into
+// { source, url, title, difficulty, statement, examples, constraints }
+async function ingestProblem(url) {
+  let match;
+  try {
+    match = findAdapter(url.trim());
+  } catch {
+    throw new IngestError('Invalid URL', 400);
+  }
+  if (!match) {
+    throw new IngestError('Only LeetCode and GeeksforGeeks problem URLs are supported', 400);
+  }
+
+  const { adapter, slug } = match;
+  try {
+    const raw = await loadRaw(adapter, slug, url.trim());
+    return adapter.parse(raw, url.trim());
+  } catch (error) {
+    if (error instanceof IngestError) throw error;
+    throw new IngestError(`Failed to import problem: ${error.message}`);
+  }
+}
+
+// Function to format a normalized problem as the question text sent for analysis
+function toQuestionText(problem) {
+  const sections = [`Problem: ${problem.title}`, problem.statement];
+
+  problem.examples.forEach((example, index) => {
+    sections.push([
+      `Example ${index + 1}:`,
+      `Input: ${example.input}`,
+      `Output: ${example.output}`,
+      example.explanation ? `Explanation: ${example.explanation}` : null
+    ].filter(Boolean).join('\n'));
+  });
+
+  if (problem.constraints.length > 0) {
+    sections.push(`Constraints:\n${problem.constraints.join('\n')}`);
+  }
+
+  return sections.join('\n\n');
+}
+
+module.exports = {
+  IngestError,
+  isProblemUrl,
+  ingestProblem,
+  toQuestionText
+};
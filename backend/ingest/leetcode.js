@@ -0,0 +1,66 @@
+const { parseProblemHtml } = require('./html');
+
+const GRAPHQL_URL = 'https://leetcode.com/graphql';
+
+const QUESTION_QUERY = `query questionData($titleSlug: String!) {
+  question(titleSlug: $titleSlug) {
+    questionFrontendId
+    title
+    titleSlug
+    content
+    difficulty
+    exampleTestcases
+  }
+}`;
+
+// leetcode.com/problems/<slug>/..., including leetcode.cn
+function getSlug(url) {
+  const { hostname, pathname } = new URL(url);
+  if (!/(^|\.)leetcode\.(com|cn)$/.test(hostname)) return null;
+  const match = pathname.match(/^\/problems\/([\w-]+)/);
+  return match ? match[1] : null;
+}
+
+// Function to normalize a recorded or live GraphQL response
+function parseLeetCodeResponse(data, url) {
+  const question = data?.data?.question;
+  if (!question || !question.content) {
+    throw new Error('LeetCode response did not contain the problem (it may be premium-only)');
+  }
+
+  const { statement, examples, constraints } = parseProblemHtml(question.content);
+
+  return {
+    source: 'leetcode',
+    url,
+    title: question.questionFrontendId ? `${question.questionFrontendId}. ${question.title}` : question.title,
+    difficulty: question.difficulty || null,
+    statement,
+    examples,
+    constraints
+  };
+}
+
+async function fetchLeetCodeProblem(slug, { fetchImpl = fetch } = {}) {
+  const response = await fetchImpl(GRAPHQL_URL, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      Referer: `https://leetcode.com/problems/${slug}/`
+    },
+    body: JSON.stringify({ query: QUESTION_QUERY, variables: { titleSlug: slug } })
+  });
+
+  if (!response.ok) {
+    throw new Error(`LeetCode request failed with status ${response.status}`);
+  }
+  return response.json();
+}
+
+module.exports = {
+  name: 'leetcode',
+  format: () => 'json',
+  getSlug,
+  fetchRaw: fetchLeetCodeProblem,
+  parse: parseLeetCodeResponse
+};
@@ -0,0 +1,318 @@
+const { EventEmitter } = require('events');
+const { v4: uuidv4 } = require('uuid');
+const {
+  runAnimationPipeline,
+  normalizeRenderOptions,
+  getRenderCacheKey,
+  PipelineError,
+  PIPELINE_STAGES
+} = require('./pipeline');
+const { getCachedVideo, setCachedVideo } = require('./cache');
+const { saveRender } = require('./db');
+const { findTraceInput } = require('./tracer');
+
+// Finished jobs are kept around this long so clients can still read the result
+const JOB_TTL_MS = 24 * 60 * 60 * 1000;
+
+// Manim progress updates are coalesced so subscribers aren't flooded
+const PROGRESS_THROTTLE_MS = 500;
+
+// Starting guesses for how long each stage takes; refined from finished stages
+const stageDurations = {
+  narration: 8000,
+  tts: 10000,
+  script: 20000,
+  render: 90000,
+  mux: 5000
+};
+
+function recordStageDuration(stage, durationMs) {
+  if (stageDurations[stage] === undefined) return;
+  stageDurations[stage] = Math.round(stageDurations[stage] * 0.7 + durationMs * 0.3);
+}
+
+// Function to work out overall progress and time left from the stage
+// history, Manim's own progress and typical stage durations
+function computeProgress(job) {
+  if (job.status === 'completed') {
+    return { stageFraction: 1, overall: 1, etaSeconds: 0, animation: null };
+  }
+
+  const total = PIPELINE_STAGES.reduce((sum, stage) => sum + stageDurations[stage], 0);
+  const currentIndex = PIPELINE_STAGES.indexOf(job.stage);
+  const current = job.stages[job.stages.length - 1];
+  let done = 0;
+  let remaining = 0;
+  let stageFraction = 0;
+
+  PIPELINE_STAGES.forEach((stage, index) => {
+    if (index < currentIndex) done += stageDurations[stage];
+    if (index > currentIndex || currentIndex === -1) remaining += stageDurations[stage];
+  });
+
+  if (currentIndex !== -1 && current) {
+    const estimate = stageDurations[job.stage];
+    const elapsed = Date.now() - new Date(current.startedAt).getTime();
+
+    if (job.stageProgress !== null && job.stageProgress > 0.05) {
+      // Extrapolate from measured progress, e.g. Manim's animation count
+      stageFraction = job.stageProgress;
+      remaining += elapsed * (1 - stageFraction) / stageFraction;
+    } else {
+      stageFraction = Math.min(elapsed / estimate, 0.95);
+      remaining += Math.max(estimate - elapsed, estimate * 0.05);
+    }
+    done += estimate * stageFraction;
+  }
+
+  return {
+    stageFraction,
+    overall: job.status === 'failed' ? done / total : Math.min(done / total, 0.99),
+    etaSeconds: job.status === 'failed' ? null : Math.round(remaining / 1000),
+    animation: job.animation
+  };
+}
+
+const jobs = new Map();
+const queue = [];
+// Cache key -> id of the job currently rendering it, to share identical requests
+const inflightJobs = new Map();
+let runningCount = 0;
+
+// Emits 'update' with the serialized job whenever a job changes
+const jobEvents = new EventEmitter();
+jobEvents.setMaxListeners(0);
+
+function getConcurrency() {
+  const value = Number(process.env.RENDER_CONCURRENCY);
+  return Number.isInteger(value) && value >= 1 ? value : 1;
+}
+
+function serializeJob(job) {
+  return {
+    id: job.id,
+    title: job.title,
+    status: job.status,
+    stage: job.stage,
+    stages: job.stages,
+    queuePosition: job.status === 'queued' ? queue.indexOf(job) + 1 : null,
+    createdAt: job.createdAt,
+    startedAt: job.startedAt,
+    finishedAt: job.finishedAt,
+    updatedAt: job.updatedAt,
+    progress: computeProgress(job),
+    result: job.result,
+    error: job.error
+  };
+}
+
+function updateJob(job, changes) {
+  Object.assign(job, changes, { updatedAt: new Date().toISOString() });
+  jobEvents.emit('update', serializeJob(job));
+}
+
+// Function to move a job to the next pipeline stage, closing the previous one
+function setStage(job, stage) {
+  const now = new Date().toISOString();
+  const current = job.stages[job.stages.length - 1];
+  if (current && !current.finishedAt) {
+    current.finishedAt = now;
+    recordStageDuration(current.name, new Date(now) - new Date(current.startedAt));
+  }
+  if (stage !== 'done') job.stages.push({ name: stage, startedAt: now, finishedAt: null });
+  updateJob(job, { stage, stageProgress: null, animation: null });
+}
+
+// Function to record Manim's per-animation progress on the render stage
+function setRenderProgress(job, progress) {
+  job.stageProgress = progress.fraction;
+  job.animation = {
+    index: progress.animation,
+    total: progress.totalAnimations,
+    percent: progress.percent,
+    attempt: progress.attempt
+  };
+
+  const now = Date.now();
+  if (!job.lastProgressEmit || now - job.lastProgressEmit >= PROGRESS_THROTTLE_MS) {
+    job.lastProgressEmit = now;
+    updateJob(job, {});
+  }
+}
+
+// Function to store a render in the database without failing the job over it
+function recordRender(job, render) {
+  try {
+    saveRender({ ...render, approachId: job.approach.id, cacheKey: job.cacheKey });
+  } catch (error) {
+    console.error('Error saving render to database:', error);
+  }
+}
+
+function serializeError(error) {
+  if (error instanceof PipelineError) {
+    return { message: error.message, status: error.status, ...error.details };
+  }
+  return {
+    message: 'Failed to generate animation with audio',
+    status: 500,
+    details: error.message
+  };
+}
+
+async function runJob(job) {
+  updateJob(job, { status: 'running', startedAt: new Date().toISOString() });
+
+  try {
+    const { script, ...result } = await runAnimationPipeline(job.approach, {
+      options: job.options,
+      sourceRenderId: job.sourceRenderId,
+      traceInput: job.traceInput,
+      onStage: (stage) => setStage(job, stage),
+      onProgress: (progress) => setRenderProgress(job, progress)
+    });
+    setCachedVideo(job.cacheKey, {
+      videoUrl: result.videoUrl,
+      captionsUrl: result.captionsUrl,
+      chaptersUrl: result.chaptersUrl,
+      hlsUrl: result.hlsUrl,
+      renderId: result.renderId,
+      title: job.title
+    });
+    recordRender(job, { ...result, script });
+    setStage(job, 'done');
+    updateJob(job, { status: 'completed', result, finishedAt: new Date().toISOString() });
+  } catch (error) {
+    console.error(`Animation job ${job.id} failed:`, error);
+    const current = job.stages[job.stages.length - 1];
+    if (current && !current.finishedAt) current.finishedAt = new Date().toISOString();
+    updateJob(job, { status: 'failed', error: serializeError(error), finishedAt: new Date().toISOString() });
+  } finally {
+    inflightJobs.delete(job.cacheKey);
+  }
+}
+
+function processQueue() {
+  while (runningCount < getConcurrency() && queue.length > 0) {
+    const job = queue.shift();
+    runningCount++;
+    runJob(job).finally(() => {
+      runningCount--;
+      processQueue();
+    });
+  }
+
+  // Queue positions shift whenever a job leaves the queue
+  queue.forEach(job => jobEvents.emit('update', serializeJob(job)));
+}
+
+// Function to queue a render for an approach and return the new job. A cached
+// render comes back as an already completed job, and a render identical to one
+// in progress returns that job instead of starting another. With
+// sourceRenderId, that render's script is re-rendered with the new options.
+// With the question, the solution is traced on its first example input.
+function createJob(approach, options = {}, { sourceRenderId = null, question = null } = {}) {
+  const traceInput = findTraceInput(question);
+  const cacheKey = getRenderCacheKey(approach, options, traceInput);
+
+  const inflightId = inflightJobs.get(cacheKey);
+  if (inflightId && jobs.has(inflightId)) {
+    return serializeJob(jobs.get(inflightId));
+  }
+
+  const cached = getCachedVideo(cacheKey);
+  const now = new Date().toISOString();
+  const job = {
+    id: uuidv4(),
+    cacheKey,
+    approach,
+    options,
+    sourceRenderId,
+    traceInput,
+    title: approach.title,
+    status: 'queued',
+    stage: 'queued',
+    stages: [],
+    stageProgress: null,
+    animation: null,
+    lastProgressEmit: null,
+    createdAt: now,
+    startedAt: null,
+    finishedAt: null,
+    updatedAt: now,
+    result: null,
+    error: null
+  };
+
+  jobs.set(job.id, job);
+
+  if (cached) {
+    console.log(`Render cache hit for "${approach.title}": ${cached.videoUrl}`);
+    recordRender(job, {
+      renderId: cached.renderId,
+      videoUrl: cached.videoUrl,
+      hlsUrl: cached.hlsUrl,
+      quality: normalizeRenderOptions(options).quality
+    });
+    Object.assign(job, {
+      status: 'completed',
+      stage: 'done',
+      startedAt: now,
+      finishedAt: now,
+      result: {
+        videoUrl: cached.videoUrl,
+        captionsUrl: cached.captionsUrl,
+        chaptersUrl: cached.chaptersUrl,
+        hlsUrl: cached.hlsUrl,
+        renderId: cached.renderId,
+        quality: normalizeRenderOptions(options).quality,
+        cached: true
+      }
+    });
+    return serializeJob(job);
+  }
+
+  inflightJobs.set(cacheKey, job.id);
+  queue.push(job);
+  processQueue();
+  return serializeJob(job);
+}
+
+function getJob(id) {
+  const job = jobs.get(id);
+  return job ? serializeJob(job) : null;
+}
+
+// Function to resolve once a job has completed or failed
+function waitForJob(id) {
+  return new Promise((resolve, reject) => {
+    const job = getJob(id);
+    if (!job) return reject(new Error(`Job ${id} not found`));
+    if (job.status === 'completed' || job.status === 'failed') return resolve(job);
+
+    const onUpdate = (updated) => {
+      if (updated.id === id && (updated.status === 'completed' || updated.status === 'failed')) {
+        jobEvents.off('update', onUpdate);
+        resolve(updated);
+      }
+    };
+    jobEvents.on('update', onUpdate);
+  });
+}
+
+// Drop finished jobs once nobody is likely to ask for them anymore
+setInterval(() => {
+  const cutoff = Date.now() - JOB_TTL_MS;
+  for (const [id, job] of jobs) {
+    if (job.finishedAt && new Date(job.finishedAt).getTime() < cutoff) {
+      jobs.delete(id);
+    }
+  }
+}, 60 * 60 * 1000).unref();
+
+module.exports = {
+  jobEvents,
+  createJob,
+  getJob,
+  waitForJob
+};
@@ -0,0 +1,45 @@
+// Languages explanations and narration can be generated in. `espeak` is the
+// espeak-ng voice for the language; the code is also used to pick pyttsx3 and
+// Piper voices.
+const LANGUAGES = {
+  en: { name: 'English', espeak: 'en' },
+  es: { name: 'Spanish', espeak: 'es' },
+  fr: { name: 'French', espeak: 'fr' },
+  de: { name: 'German', espeak: 'de' },
+  pt: { name: 'Portuguese', espeak: 'pt' },
+  it: { name: 'Italian', espeak: 'it' },
+  ru: { name: 'Russian', espeak: 'ru' },
+  hi: { name: 'Hindi', espeak: 'hi' },
+  bn: { name: 'Bengali', espeak: 'bn' },
+  ar: { name: 'Arabic', espeak: 'ar' },
+  zh: { name: 'Chinese (Mandarin)', espeak: 'cmn' },
+  ja: { name: 'Japanese', espeak: 'ja' }
+};
+
+const DEFAULT_LANGUAGE = 'en';
+
+function isSupportedLanguage(code) {
+  return Object.prototype.hasOwnProperty.call(LANGUAGES, code);
+}
+
+// Function to fall back to the default language for missing or unknown codes
+function normalizeLanguage(code) {
+  return isSupportedLanguage(code) ? code : DEFAULT_LANGUAGE;
+}
+
+function getLanguage(code) {
+  const normalized = normalizeLanguage(code);
+  return { code: normalized, ...LANGUAGES[normalized] };
+}
+
+function listLanguages() {
+  return Object.entries(LANGUAGES).map(([code, { name }]) => ({ code, name }));
+}
+
+module.exports = {
+  DEFAULT_LANGUAGE,
+  isSupportedLanguage,
+  normalizeLanguage,
+  getLanguage,
+  listLanguages
+};
@@ -0,0 +1,27 @@
+const { GoogleGenerativeAI } = require('@google/generative-ai');
+
+// Adapter for Google Gemini through the official SDK
+function createGeminiProvider({ apiKey = process.env.GEMINI_API_KEY } = {}) {
+  let client = null;
+
+  return {
+    name: 'gemini',
+
+    async generate({ model, prompt, temperature }) {
+      if (!apiKey) {
+        throw new Error('GEMINI_API_KEY is not set');
+      }
+      if (!client) {
+        client = new GoogleGenerativeAI(apiKey);
+      }
+
+      const generationConfig = temperature !== undefined ? { temperature } : undefined;
+      const generativeModel = client.getGenerativeModel({ model, generationConfig });
+      const result = await generativeModel.generateContent(prompt);
+      const response = await result.response;
+      return response.text();
+    }
+  };
+}
+
+module.exports = { createGeminiProvider };
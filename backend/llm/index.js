@@ -0,0 +1,81 @@
+const { createGeminiProvider } = require('./gemini');
+const { createOpenAIProvider } = require('./openai');
+const { createOllamaProvider } = require('./ollama');
+
+// Call types the pipeline asks the model for. Each one can be pointed at a
+// different provider/model with LLM_<STAGE>_PROVIDER and LLM_<STAGE>_MODEL,
+// falling back to LLM_PROVIDER / LLM_MODEL.
+const STAGES = ['approaches', 'translate', 'narration', 'manim', 'trace', 'harness'];
+
+const DEFAULT_PROVIDER = 'gemini';
+
+const DEFAULT_MODELS = {
+  gemini: 'gemini-2.0-flash',
+  openai: 'gpt-4o-mini',
+  llamacpp: 'default',
+  ollama: 'llama3.1'
+};
+
+function getTimeoutMs() {
+  return Number(process.env.LLM_TIMEOUT_MS) || 120000;
+}
+
+const providerFactories = {
+  gemini: () => createGeminiProvider(),
+  openai: () => createOpenAIProvider({ timeoutMs: getTimeoutMs() }),
+  llamacpp: () => createOpenAIProvider({
+    name: 'llamacpp',
+    baseUrl: process.env.LLAMACPP_BASE_URL || 'http://localhost:8080/v1',
+    apiKey: process.env.LLAMACPP_API_KEY,
+    timeoutMs: getTimeoutMs()
+  }),
+  ollama: () => createOllamaProvider({ timeoutMs: getTimeoutMs() })
+};
+
+const providers = {};
+
+function readStageEnv(stage, key) {
+  return process.env[`LLM_${stage.toUpperCase()}_${key}`] || process.env[`LLM_${key}`];
+}
+
+// Function to resolve which provider and model a call type should use
+function getStageConfig(stage) {
+  const provider = (readStageEnv(stage, 'PROVIDER') || DEFAULT_PROVIDER).toLowerCase();
+  if (!providerFactories[provider]) {
+    throw new Error(`Unknown LLM provider "${provider}" for stage "${stage}"`);
+  }
+
+  const model = readStageEnv(stage, 'MODEL') || DEFAULT_MODELS[provider];
+  // Unset or unreadable temperatures leave the provider's default
+  const rawTemperature = readStageEnv(stage, 'TEMPERATURE');
+  let temperature = rawTemperature !== undefined ? Number(rawTemperature) : undefined;
+  if (temperature !== undefined && !Number.isFinite(temperature)) {
+    console.warn(`Ignoring invalid LLM temperature "${rawTemperature}" for stage "${stage}"`);
+    temperature = undefined;
+  }
+
+  return {
+    provider,
+    model,
+    temperature
+  };
+}
+
+function getProvider(name) {
+  if (!providers[name]) {
+    providers[name] = providerFactories[name]();
+  }
+  return providers[name];
+}
+
+// Function to generate text for a given call type with its configured model
+async function generateText(stage, prompt) {
+  const { provider, model, temperature } = getStageConfig(stage);
+  return getProvider(provider).generate({ model, prompt, temperature });
+}
+
+module.exports = {
+  STAGES,
+  getStageConfig,
+  generateText
+};
@@ -0,0 +1,39 @@
+// Adapter for a local Ollama server using its native chat API
+function createOllamaProvider({
+  baseUrl = process.env.OLLAMA_BASE_URL || 'http://localhost:11434',
+  timeoutMs
+} = {}) {
+  const endpoint = `${baseUrl.replace(/\/+$/, '')}/api/chat`;
+
+  return {
+    name: 'ollama',
+
+    async generate({ model, prompt, temperature }) {
+      const response = await fetch(endpoint, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          model,
+          messages: [{ role: 'user', content: prompt }],
+          stream: false,
+          options: temperature !== undefined ? { temperature } : undefined
+        }),
+        signal: timeoutMs ? AbortSignal.timeout(timeoutMs) : undefined
+      });
+
+      if (!response.ok) {
+        const errorText = await response.text().catch(() => '');
+        throw new Error(`ollama request failed with status ${response.status}: ${errorText}`);
+      }
+
+      const data = await response.json();
+      const content = data.message?.content;
+      if (typeof content !== 'string') {
+        throw new Error('ollama response did not contain a message');
+      }
+      return content;
+    }
+  };
+}
+
+module.exports = { createOllamaProvider };
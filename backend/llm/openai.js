@@ -0,0 +1,46 @@
+// Adapter for any endpoint speaking the OpenAI chat completions API
+// (OpenAI itself, vLLM, LM Studio, llama.cpp's llama-server, ...)
+function createOpenAIProvider({
+  name = 'openai',
+  baseUrl = process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1',
+  apiKey = process.env.OPENAI_API_KEY,
+  timeoutMs
+} = {}) {
+  const endpoint = `${baseUrl.replace(/\/+$/, '')}/chat/completions`;
+
+  return {
+    name,
+
+    async generate({ model, prompt, temperature }) {
+      const headers = { 'Content-Type': 'application/json' };
+      if (apiKey) {
+        headers.Authorization = `Bearer ${apiKey}`;
+      }
+
+      const response = await fetch(endpoint, {
+        method: 'POST',
+        headers,
+        body: JSON.stringify({
+          model,
+          messages: [{ role: 'user', content: prompt }],
+          temperature
+        }),
+        signal: timeoutMs ? AbortSignal.timeout(timeoutMs) : undefined
+      });
+
+      if (!response.ok) {
+        const errorText = await response.text().catch(() => '');
+        throw new Error(`${name} request failed with status ${response.status}: ${errorText}`);
+      }
+
+      const data = await response.json();
+      const content = data.choices?.[0]?.message?.content;
+      if (typeof content !== 'string') {
+        throw new Error(`${name} response did not contain a message`);
+      }
+      return content;
+    }
+  };
+}
+
+module.exports = { createOpenAIProvider };
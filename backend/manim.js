@@ -0,0 +1,227 @@
+const path = require('path');
+const fs = require('fs');
+const { createPatch } = require('diff');
+const { checkScript, runSandboxed } = require('./sandbox');
+
+const logsDir = path.join(__dirname, 'logs', 'renders');
+
+// Named render quality presets, each a Manim quality level with an explicit
+// resolution and frame rate; the preset is part of the render cache key
+const QUALITY_PRESETS = {
+  draft: { label: 'Draft (480p15)', flag: '-ql', resolution: [854, 480], frameRate: 15 },
+  standard: { label: 'Standard (720p30)', flag: '-qm', resolution: [1280, 720], frameRate: 30 },
+  hd: { label: 'HD (1080p60)', flag: '-qh', resolution: [1920, 1080], frameRate: 60 },
+  '4k': { label: '4K (2160p60)', flag: '-qk', resolution: [3840, 2160], frameRate: 60 }
+};
+
+const DEFAULT_QUALITY = 'draft';
+
+function normalizeQuality(name) {
+  return Object.prototype.hasOwnProperty.call(QUALITY_PRESETS, name) ? name : DEFAULT_QUALITY;
+}
+
+// Function to build the Manim command line flags for a quality preset
+function getQualityArgs(name) {
+  const { flag, resolution, frameRate } = QUALITY_PRESETS[normalizeQuality(name)];
+  return [flag, '--resolution', resolution.join(','), '--frame_rate', String(frameRate)];
+}
+
+function getQualityPreset(name) {
+  return QUALITY_PRESETS[normalizeQuality(name)];
+}
+
+function listQualityPresets() {
+  return Object.entries(QUALITY_PRESETS).map(([name, { label, resolution, frameRate }]) => ({
+    name,
+    label,
+    resolution,
+    frameRate
+  }));
+}
+
+function getMaxAttempts() {
+  const value = Number(process.env.MANIM_MAX_ATTEMPTS);
+  return Number.isInteger(value) && value >= 1 ? value : 3;
+}
+
+// Function to find video file recursively
+function findVideoFile(dir) {
+  try {
+    if (!fs.existsSync(dir)) return null;
+    
+    const items = fs.readdirSync(dir, { withFileTypes: true });
+    
+    // First, look for .mp4 files in current directory
+    for (const item of items) {
+      if (item.isFile() && item.name.endsWith('.mp4')) {
+        return path.join(dir, item.name);
+      }
+    }
+    
+    // Then, recursively search subdirectories
+    for (const item of items) {
+      if (item.isDirectory()) {
+        const result = findVideoFile(path.join(dir, item.name));
+        if (result) return result;
+      }
+    }
+    
+    return null;
+  } catch (error) {
+    console.error('Error finding video file:', error);
+    return null;
+  }
+}
+
+// Function to estimate how many animations Manim will render; every
+// self.play() and self.wait() becomes one partial movie file
+function countAnimations(script) {
+  return Math.max((script.match(/\bself\.(play|wait)\(/g) || []).length, 1);
+}
+
+// Function to turn Manim's progress bars ("Animation 3: Create(Square):  40%|...")
+// into progress callbacks
+function createProgressParser(script, onProgress) {
+  const totalAnimations = countAnimations(script);
+  let lastKey = null;
+
+  return (chunk) => {
+    const matches = [...chunk.matchAll(/Animation (\d+)\s*:[^\n\r]*?(\d+)%\|/g)];
+    if (matches.length === 0) return;
+
+    const [, index, percent] = matches[matches.length - 1];
+    const key = `${index}:${percent}`;
+    if (key === lastKey) return;
+    lastKey = key;
+
+    const animation = Number(index);
+    onProgress({
+      animation,
+      totalAnimations: Math.max(totalAnimations, animation + 1),
+      percent: Number(percent),
+      fraction: Math.min((animation + Number(percent) / 100) / Math.max(totalAnimations, animation + 1), 0.99)
+    });
+  };
+}
+
+// Function to run Manim on animation.py inside a render directory, sandboxed
+async function runManim(renderDir, { script = '', quality, onProgress } = {}) {
+  const result = await runSandboxed(['animation.py', ...getQualityArgs(quality)], {
+    cwd: renderDir,
+    onOutput: onProgress ? createProgressParser(script, onProgress) : undefined
+  });
+  console.log(`Manim process exited with code ${result.code}`);
+  return result;
+}
+
+// Function to pull the Python traceback out of Manim's output
+function extractTraceback(output, errorOutput) {
+  const combined = `${errorOutput}\n${output}`;
+  const start = combined.lastIndexOf('Traceback');
+  const traceback = start !== -1 ? combined.slice(start) : combined;
+  return traceback.trim().slice(-4000);
+}
+
+// Function to render a script, feeding failures back through repairScript
+// until Manim succeeds or the attempt limit is reached
+async function renderWithRepair({ renderDir, script, quality, repairScript, onProgress }) {
+  const maxAttempts = getMaxAttempts();
+  const scriptPath = path.join(renderDir, 'animation.py');
+  const attempts = [];
+  let currentScript = script;
+  let previousScript = null;
+  let lastResult = null;
+
+  for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+    fs.writeFileSync(scriptPath, currentScript);
+
+    const startedAt = new Date().toISOString();
+    const violations = await checkScript(currentScript);
+    lastResult = violations.length > 0
+      ? {
+        code: null,
+        output: '',
+        errorOutput: '',
+        sandbox: {
+          type: 'static',
+          message: 'Script uses imports or calls outside the sandbox allowlist',
+          violations
+        }
+      }
+      : await runManim(renderDir, {
+        script: currentScript,
+        quality,
+        onProgress: onProgress && ((progress) => onProgress({ ...progress, attempt }))
+      });
+    const videoPath = lastResult.code === 0 ? findVideoFile(renderDir) : null;
+
+    const record = {
+      attempt,
+      startedAt,
+      finishedAt: new Date().toISOString(),
+      exitCode: lastResult.code,
+      diff: previousScript !== null
+        ? createPatch('animation.py', previousScript, currentScript)
+        : null,
+      error: null,
+      sandbox: lastResult.sandbox || null
+    };
+    attempts.push(record);
+
+    if (videoPath) {
+      return { success: true, videoPath, script: currentScript, attempts, ...lastResult };
+    }
+
+    if (violations.length > 0) {
+      record.error = violations.map(violation => `Line ${violation.line}: ${violation.message}`).join('\n');
+    } else if (lastResult.sandbox) {
+      record.error = lastResult.sandbox.message;
+    } else {
+      record.error = lastResult.code === 0
+        ? 'Manim exited successfully but no video file was generated'
+        : extractTraceback(lastResult.output, lastResult.errorOutput);
+    }
+    console.error(`Manim attempt ${attempt}/${maxAttempts} failed:`, record.error);
+
+    // Limit and runtime policy violations are not script bugs, so don't retry them
+    if (lastResult.sandbox && lastResult.sandbox.type !== 'static') {
+      break;
+    }
+
+    // Without a repair callback (e.g. re-rendering a stored script) there is nothing new to try
+    if (!repairScript) {
+      break;
+    }
+
+    if (attempt < maxAttempts) {
+      previousScript = currentScript;
+      currentScript = await repairScript(currentScript, record.error);
+    }
+  }
+
+  return { success: false, videoPath: null, script: currentScript, attempts, ...lastResult };
+}
+
+// Function to persist the attempt history so failed renders can be inspected later
+function saveRenderLog(renderId, attempts) {
+  try {
+    fs.mkdirSync(logsDir, { recursive: true });
+    fs.writeFileSync(
+      path.join(logsDir, `${renderId}.json`),
+      JSON.stringify({ renderId, attempts }, null, 2)
+    );
+  } catch (error) {
+    console.error('Error saving render log:', error);
+  }
+}
+
+module.exports = {
+  DEFAULT_QUALITY,
+  normalizeQuality,
+  getQualityPreset,
+  listQualityPresets,
+  findVideoFile,
+  runManim,
+  renderWithRepair,
+  saveRenderLog
+};
@@ -0,0 +1,256 @@
+const path = require('path');
+const fs = require('fs');
+const { spawn } = require('child_process');
+const { synthesizeSteps } = require('./tts');
+
+const audioDir = path.join(__dirname, 'audio');
+fs.mkdirSync(audioDir, { recursive: true });
+
+// Silence inserted after each narration step before the next one starts
+const STEP_GAP_SECONDS = 0.5;
+
+// Function to read a WAV file's duration in seconds from its header
+function readWavDuration(filePath) {
+  const buffer = fs.readFileSync(filePath);
+  if (buffer.toString('ascii', 0, 4) !== 'RIFF' || buffer.toString('ascii', 8, 12) !== 'WAVE') {
+    return null;
+  }
+
+  let byteRate = null;
+  let offset = 12;
+  while (offset + 8 <= buffer.length) {
+    const chunkId = buffer.toString('ascii', offset, offset + 4);
+    let chunkSize = buffer.readUInt32LE(offset + 4);
+
+    if (chunkId === 'fmt ') {
+      byteRate = buffer.readUInt32LE(offset + 16);
+    } else if (chunkId === 'data' && byteRate) {
+      // Streamed WAVs may leave the size as a placeholder; use what is on disk
+      chunkSize = Math.min(chunkSize, buffer.length - offset - 8);
+      return chunkSize / byteRate;
+    }
+    offset += 8 + chunkSize + (chunkSize % 2);
+  }
+  return null;
+}
+
+// Function to measure an audio file's duration with ffprobe
+function probeDuration(filePath) {
+  return new Promise((resolve, reject) => {
+    const ffprobe = spawn('ffprobe', [
+      '-v', 'error',
+      '-show_entries', 'format=duration',
+      '-of', 'default=noprint_wrappers=1:nokey=1',
+      filePath
+    ]);
+
+    let output = '';
+    ffprobe.stdout.on('data', (data) => {
+      output += data.toString();
+    });
+
+    ffprobe.on('close', (code) => {
+      const duration = parseFloat(output);
+      if (code === 0 && Number.isFinite(duration)) {
+        resolve(duration);
+      } else {
+        reject(new Error(`ffprobe could not read the duration of ${filePath}`));
+      }
+    });
+
+    ffprobe.on('error', (error) => {
+      reject(new Error(`Failed to start ffprobe: ${error.message}`));
+    });
+  });
+}
+
+// Function to get an audio clip's duration, preferring the WAV header
+async function getAudioDuration(filePath) {
+  const duration = readWavDuration(filePath);
+  return duration !== null ? duration : probeDuration(filePath);
+}
+
+// Function to generate one text-to-speech clip per narration step with the
+// requested voice settings, in a voice for the narration's language unless a
+// voice was picked. Returns the clips with their measured durations, in step order
+async function generateStepAudio(narrationSteps, audioId, voiceSettings, language) {
+  const outputDir = path.join(audioDir, audioId);
+  fs.mkdirSync(outputDir, { recursive: true });
+
+  console.log(`Generating audio for ${narrationSteps.length} narration steps`);
+
+  try {
+    const clipPaths = await synthesizeSteps(narrationSteps, outputDir, voiceSettings, { language });
+
+    const clips = [];
+    for (let index = 0; index < clipPaths.length; index++) {
+      if (!fs.existsSync(clipPaths[index])) {
+        throw new Error(`Audio generation produced no clip for step ${index + 1}`);
+      }
+      const duration = await getAudioDuration(clipPaths[index]);
+      clips.push({ index, text: narrationSteps[index], path: clipPaths[index], duration });
+    }
+
+    console.log('Audio generated successfully');
+    return { outputDir, clips };
+  } catch (error) {
+    console.error('Audio generation failed:', error);
+    throw new Error(`Audio generation failed: ${error.message}`);
+  }
+}
+
+// Function to lay the step clips out on a timeline
+// Each step gets a slot as long as its clip plus a short gap; the animation
+// for a step is expected to fill exactly its slot
+function buildTimingManifest(clips, gap = STEP_GAP_SECONDS) {
+  let start = 0;
+  const steps = clips.map(clip => {
+    const duration = Math.round(clip.duration * 1000) / 1000;
+    const slot = Math.round((duration + gap) * 1000) / 1000;
+    const step = { index: clip.index, text: clip.text, start, duration, slot };
+    start = Math.round((start + slot) * 1000) / 1000;
+    return step;
+  });
+
+  return { gap, totalDuration: start, steps };
+}
+
+// Function to run FFmpeg with the given arguments, rejecting with its stderr on failure
+function runFfmpeg(args, { cwd } = {}) {
+  return new Promise((resolve, reject) => {
+    const ffmpeg = spawn('ffmpeg', ['-y', ...args], { cwd });
+
+    let errorOutput = '';
+
+    ffmpeg.stderr.on('data', (data) => {
+      errorOutput += data.toString();
+    });
+
+    ffmpeg.on('close', (code) => {
+      if (code === 0) {
+        resolve();
+      } else {
+        console.error('FFmpeg failed:', errorOutput);
+        reject(new Error(`FFmpeg failed with code ${code}: ${errorOutput}`));
+      }
+    });
+
+    ffmpeg.on('error', (error) => {
+      reject(new Error(`Failed to start FFmpeg: ${error.message}`));
+    });
+  });
+}
+
+// Function to place each step clip at its start time in a single narration track
+async function assembleNarrationTrack(clips, manifest, outputPath) {
+  const inputs = clips.flatMap(clip => ['-i', clip.path]);
+  const delays = manifest.steps.map((step, i) => {
+    const delayMs = Math.round(step.start * 1000);
+    return `[${i}:a]adelay=${delayMs}|${delayMs}[a${i}]`;
+  });
+  const mixInputs = manifest.steps.map((_, i) => `[a${i}]`).join('');
+  const filter = `${delays.join(';')};${mixInputs}amix=inputs=${clips.length}:duration=longest:normalize=0,apad=whole_dur=${manifest.totalDuration}[out]`;
+
+  await runFfmpeg([
+    ...inputs,
+    '-filter_complex', filter,
+    '-map', '[out]',
+    outputPath
+  ]);
+  console.log('Narration track assembled successfully');
+  return outputPath;
+}
+
+// Function to combine video and audio using FFmpeg
+// With captionsPath, the captions are burned into the picture, which means
+// re-encoding the video instead of copying it. With chaptersPath, the chapters
+// in that FFmetadata file are embedded in the MP4.
+async function combineVideoAndAudio(videoPath, audioPath, outputPath, { captionsPath = null, chaptersPath = null } = {}) {
+  const videoArgs = captionsPath
+    ? [
+      // Run from the captions' directory so the filter argument needs no path escaping
+      '-vf', `subtitles=${path.basename(captionsPath)}`,
+      '-c:v', 'libx264',
+      '-pix_fmt', 'yuv420p'
+    ]
+    : ['-c:v', 'copy'];         // Copy video stream without re-encoding
+
+  await runFfmpeg([
+    '-i', videoPath,           // Input video
+    '-i', audioPath,           // Input audio
+    ...(chaptersPath ? ['-i', chaptersPath, '-map_chapters', '2'] : []),
+    '-map', '0:v:0',
+    '-map', '1:a:0',
+    ...videoArgs,
+    '-c:a', 'aac',             // Encode audio to AAC
+    // No -shortest: the scene is paced to the narration track, so neither
+    // stream should cut the other off
+    outputPath
+  ], { cwd: captionsPath ? path.dirname(captionsPath) : undefined });
+  console.log('Video and audio combined successfully');
+  return outputPath;
+}
+
+// HLS renditions, highest first; only those no taller than the source are made
+const HLS_RENDITIONS = [
+  { name: '1080p', height: 1080, videoBitrate: '5000k', audioBitrate: '128k' },
+  { name: '720p', height: 720, videoBitrate: '2800k', audioBitrate: '128k' },
+  { name: '480p', height: 480, videoBitrate: '1400k', audioBitrate: '96k' },
+  { name: '360p', height: 360, videoBitrate: '800k', audioBitrate: '64k' }
+];
+const HLS_SEGMENT_SECONDS = 4;
+
+function isHlsEnabled() {
+  return process.env.HLS_ENABLED === 'true';
+}
+
+// Function to package a narrated MP4 as HLS with several bitrate renditions
+// and a master playlist at outputDir/master.m3u8
+async function packageHls(videoPath, outputDir, { sourceHeight }) {
+  const fitting = HLS_RENDITIONS.filter(rendition => rendition.height <= sourceHeight);
+  const renditions = fitting.length > 0 ? fitting : HLS_RENDITIONS.slice(-1);
+
+  const split = `[0:v]split=${renditions.length}${renditions.map((_, i) => `[s${i}]`).join('')}`;
+  const scales = renditions.map((rendition, i) => `[s${i}]scale=-2:${rendition.height}[v${i}]`);
+  const streamArgs = renditions.flatMap((rendition, i) => [
+    '-map', `[v${i}]`,
+    `-c:v:${i}`, 'libx264',
+    `-b:v:${i}`, rendition.videoBitrate,
+    `-maxrate:v:${i}`, rendition.videoBitrate,
+    `-bufsize:v:${i}`, `${parseInt(rendition.videoBitrate, 10) * 2}k`,
+    '-map', 'a:0',
+    `-c:a:${i}`, 'aac',
+    `-b:a:${i}`, rendition.audioBitrate
+  ]);
+
+  fs.mkdirSync(outputDir, { recursive: true });
+  await runFfmpeg([
+    '-i', videoPath,
+    '-filter_complex', [split, ...scales].join(';'),
+    ...streamArgs,
+    '-pix_fmt', 'yuv420p',
+    // Keyframes on segment boundaries so players can switch renditions cleanly
+    '-force_key_frames', `expr:gte(t,n_forced*${HLS_SEGMENT_SECONDS})`,
+    '-f', 'hls',
+    '-hls_time', String(HLS_SEGMENT_SECONDS),
+    '-hls_playlist_type', 'vod',
+    '-hls_segment_filename', '%v/segment_%03d.ts',
+    '-master_pl_name', 'master.m3u8',
+    '-var_stream_map', renditions.map((rendition, i) => `v:${i},a:${i},name:${rendition.name}`).join(' '),
+    '%v/index.m3u8'
+  ], { cwd: outputDir });
+
+  console.log(`Packaged HLS renditions: ${renditions.map(rendition => rendition.name).join(', ')}`);
+  return path.join(outputDir, 'master.m3u8');
+}
+
+module.exports = {
+  STEP_GAP_SECONDS,
+  generateStepAudio,
+  buildTimingManifest,
+  assembleNarrationTrack,
+  combineVideoAndAudio,
+  runFfmpeg,
+  isHlsEnabled,
+  packageHls
+};
@@ -0,0 +1,277 @@
+const path = require('path');
+const fs = require('fs');
+const { v4: uuidv4 } = require('uuid');
+const { PROMPT_VERSION, generateNarrationSteps, generateStepLines, generateManimScript } = require('./generators');
+const {
+  generateStepAudio,
+  buildTimingManifest,
+  assembleNarrationTrack,
+  combineVideoAndAudio,
+  isHlsEnabled,
+  packageHls
+} = require('./media');
+const { normalizeQuality, getQualityPreset, renderWithRepair, saveRenderLog } = require('./manim');
+const { getRenderSource } = require('./db');
+const { computeCacheKey } = require('./cache');
+const { buildWebVtt } = require('./captions');
+const { buildChapters, buildFfmetadata } = require('./chapters');
+const { normalizeVoiceSettings } = require('./tts');
+const { normalizeLanguage } = require('./languages');
+const { traceApproach } = require('./tracer');
+const { TEMPLATE_VERSION, buildTemplateScript } = require('./templates');
+const { deleteDirectory } = require('./utils');
+
+const rendersDir = path.join(__dirname, 'renders');
+const videosDir = path.join(__dirname, 'videos');
+fs.mkdirSync(rendersDir, { recursive: true });
+fs.mkdirSync(videosDir, { recursive: true });
+
+// Stages a render goes through, in order
+// Audio comes before the script so the scene can be paced to the measured clips
+const PIPELINE_STAGES = ['narration', 'tts', 'script', 'render', 'mux'];
+
+// Error carrying the HTTP status and response fields for a failed render
+class PipelineError extends Error {
+  constructor(message, { status = 500, details = {} } = {}) {
+    super(message);
+    this.name = 'PipelineError';
+    this.status = status;
+    this.details = details;
+  }
+}
+
+// Function to fill in defaults for the per-request render settings
+function normalizeRenderOptions(options) {
+  const { burnCaptions, voice, language, quality } = options || {};
+  return {
+    burnCaptions: burnCaptions === true,
+    voice: normalizeVoiceSettings(voice),
+    language: normalizeLanguage(language),
+    quality: normalizeQuality(quality)
+  };
+}
+
+// Function to load what is needed to render an earlier render's script again,
+// or null if its script, timing or narration audio is gone
+function loadRenderSource(renderId) {
+  const publicDir = path.join(videosDir, path.basename(renderId));
+  const timingPath = path.join(publicDir, 'timing.json');
+  const audioPath = path.join(publicDir, 'narration.wav');
+  const stored = getRenderSource(renderId);
+
+  if (!stored || !fs.existsSync(timingPath) || !fs.existsSync(audioPath)) {
+    return null;
+  }
+  return {
+    ...stored,
+    timing: JSON.parse(fs.readFileSync(timingPath, 'utf8')),
+    audioPath
+  };
+}
+
+// Function to compute the cache key for rendering an approach; the traced
+// example input is only part of the key when there is one
+function getRenderCacheKey(approach, options, traceInput = null) {
+  return computeCacheKey({
+    code: approach.code,
+    options: normalizeRenderOptions(options),
+    traceInput: traceInput || undefined,
+    promptVersion: PROMPT_VERSION,
+    templateVersion: TEMPLATE_VERSION
+  });
+}
+
+// Function to turn an approach into a narrated video, reporting each stage
+// and Manim's per-animation progress. With sourceRenderId, the script and
+// narration of that earlier render are rendered again (e.g. at a higher
+// quality) instead of being generated. With traceInput, the JavaScript
+// solution is run on that example input and the recorded trace guides the
+// narration and the script
+async function runAnimationPipeline(approach, {
+  options,
+  sourceRenderId = null,
+  traceInput = null,
+  onStage = () => {},
+  onProgress = () => {}
+} = {}) {
+  const { burnCaptions, voice, language, quality } = normalizeRenderOptions(options);
+  let renderDir = null;
+  let audioDir = null;
+
+  try {
+    console.log("---------------------");
+    console.log("Generating animation with audio for approach:", approach.title);
+
+    let code = approach.code.javaCode 
+        || approach.code.cppCode 
+        || approach.code.pythonCode 
+        || approach.code.jsCode;
+
+    // Create a unique directory for this render
+    const renderId = uuidv4();
+    renderDir = path.join(rendersDir, renderId);
+    fs.mkdirSync(renderDir, { recursive: true });
+    const audioFilePath = path.join(renderDir, 'narration.wav');
+
+    let narrationSteps;
+    let timing;
+    let scriptContent;
+    let trace = null;
+
+    if (sourceRenderId) {
+      // Re-render a stored script with its recorded narration; no LLM or TTS calls
+      const source = loadRenderSource(sourceRenderId);
+      if (!source) {
+        throw new PipelineError(`Render ${sourceRenderId} can no longer be re-rendered`, { status: 404 });
+      }
+      ({ narrationSteps, timing, script: scriptContent } = source);
+      fs.copyFileSync(source.audioPath, audioFilePath);
+      console.log(`Re-rendering script of render ${sourceRenderId} as ${renderId}`);
+    } else {
+      // Generate narration steps
+      onStage('narration');
+      if (traceInput) trace = await traceApproach(approach, traceInput);
+      // The trace is of the JavaScript version, so that is the code the model
+      // explains; its line numbers point into it
+      if (trace) code = approach.code.jsCode;
+      narrationSteps = await generateNarrationSteps(code, { language, trace });
+      // The lines each step explains let the code viewer follow the video;
+      // the video is still worth rendering without them
+      const stepLines = await generateStepLines(approach.code, narrationSteps).catch(() => []);
+
+      // Record one clip per step and lay them out on a timeline
+      onStage('tts');
+      const stepAudio = await generateStepAudio(narrationSteps, renderId, voice, language);
+      audioDir = stepAudio.outputDir;
+      // The lines are kept in the timing manifest, so re-renders keep them too
+      const manifest = buildTimingManifest(stepAudio.clips);
+      timing = {
+        ...manifest,
+        steps: manifest.steps.map(step => ({ ...step, lines: stepLines[step.index] || {} }))
+      };
+      await assembleNarrationTrack(stepAudio.clips, timing, audioFilePath);
+      console.log(`Narration track is ${timing.totalDuration}s across ${timing.steps.length} steps`);
+
+      // Known patterns are drawn from the trace by a template; anything else
+      // gets a Manim script generated and paced to the narration timing
+      onStage('script');
+      const template = trace ? buildTemplateScript(approach, trace, timing) : null;
+      if (template) {
+        scriptContent = template.script;
+        console.log(`Using the ${template.label} template for render:`, renderId);
+      } else {
+        ({ scriptContent } = await generateManimScript(code, narrationSteps, { timing, language, trace }));
+        console.log('Generated Manim script for render:', renderId);
+      }
+    }
+
+    console.log(`Running Manim in directory: ${renderDir}`);
+
+    // Render, feeding any traceback back into the script generator. A stored
+    // script already rendered once, so it is not sent back to the model.
+    onStage('render');
+    const render = await renderWithRepair({
+      renderDir,
+      script: scriptContent,
+      quality,
+      repairScript: sourceRenderId ? null : async (script, error) => {
+        const repaired = await generateManimScript(code, narrationSteps, {
+          timing,
+          language,
+          trace,
+          repair: { script, error }
+        });
+        return repaired.scriptContent;
+      },
+      onProgress
+    });
+    saveRenderLog(renderId, render.attempts);
+
+    if (!render.success) {
+      console.error('Manim failed with output:', render.output);
+      console.error('Manim failed with error:', render.errorOutput);
+
+      if (render.sandbox) {
+        throw new PipelineError(render.sandbox.message, {
+          status: 422,
+          details: {
+            code: 'SANDBOX_VIOLATION',
+            sandbox: render.sandbox,
+            renderId,
+            attempts: render.attempts
+          }
+        });
+      }
+
+      throw new PipelineError(`Manim failed after ${render.attempts.length} attempts`, {
+        details: {
+          renderId,
+          attempts: render.attempts,
+          output: render.output,
+          errorOutput: render.errorOutput
+        }
+      });
+    }
+
+    const videoPath = render.videoPath;
+    console.log('Found video file at:', videoPath);
+
+    // Create final video directory
+    const publicDir = path.join(videosDir, renderId);
+    fs.mkdirSync(publicDir, { recursive: true });
+    fs.writeFileSync(path.join(publicDir, 'timing.json'), JSON.stringify(timing, null, 2));
+    // Kept so the render can be redone at another quality without re-recording
+    fs.copyFileSync(audioFilePath, path.join(publicDir, 'narration.wav'));
+    const captionsPath = path.join(publicDir, 'captions.vtt');
+    fs.writeFileSync(captionsPath, buildWebVtt(timing));
+    const chapters = buildChapters(timing);
+    fs.writeFileSync(path.join(publicDir, 'chapters.json'), JSON.stringify(chapters, null, 2));
+    const chaptersPath = path.join(renderDir, 'chapters.txt');
+    fs.writeFileSync(chaptersPath, buildFfmetadata(chapters));
+
+    // Combine video and audio
+    onStage('mux');
+    const videoFileName = path.basename(videoPath);
+    const baseFileName = videoFileName.replace('.mp4', '');
+    const finalVideoPath = path.join(publicDir, `${baseFileName}_with_audio.mp4`);
+
+    await combineVideoAndAudio(videoPath, audioFilePath, finalVideoPath, {
+      captionsPath: burnCaptions ? captionsPath : null,
+      chaptersPath
+    });
+
+    const videoUrl = `/videos/${renderId}/${baseFileName}_with_audio.mp4`;
+    const captionsUrl = `/videos/${renderId}/captions.vtt`;
+    const chaptersUrl = `/videos/${renderId}/chapters.json`;
+
+    // Optionally add adaptive streaming; the MP4 stays the fallback, so a
+    // packaging failure does not fail the render
+    let hlsUrl = null;
+    if (isHlsEnabled()) {
+      try {
+        await packageHls(finalVideoPath, path.join(publicDir, 'hls'), {
+          sourceHeight: getQualityPreset(quality).resolution[1]
+        });
+        hlsUrl = `/videos/${renderId}/hls/master.m3u8`;
+      } catch (error) {
+        console.error('HLS packaging failed, serving MP4 only:', error);
+      }
+    }
+    console.log(`Video with audio successfully generated and available at: ${videoUrl}`);
+
+    return { videoUrl, captionsUrl, chaptersUrl, hlsUrl, renderId, language, quality, attempts: render.attempts, narrationSteps, timing, script: render.script };
+  } finally {
+    // CLEANUP: Delete temporary files
+    if (renderDir) deleteDirectory(renderDir);
+    if (audioDir) deleteDirectory(audioDir);
+  }
+}
+
+module.exports = {
+  PIPELINE_STAGES,
+  PipelineError,
+  normalizeRenderOptions,
+  loadRenderSource,
+  getRenderCacheKey,
+  runAnimationPipeline
+};
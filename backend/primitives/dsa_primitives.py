@@ -0,0 +1,581 @@
+"""Data-structure primitives for generated Manim scripts.
+
+Generated scripts import this module instead of drawing arrays, pointers and
+trees from Rectangles and Arrows themselves:
+
+    from manim import *
+    from dsa_primitives import *
+
+Every primitive is a VGroup, so it can be positioned, added and faded like any
+other mobject. Operations (highlight, swap, push, ...) update the primitive's
+state and return an animation to pass to self.play(), e.g.
+
+    array = ArrayViz([5, 2, 8, 1]).move_to(ORIGIN)
+    i = Pointer(array, 0, "i")
+    self.play(Create(array), FadeIn(i))
+    self.play(array.swap(0, 1), run_time=0.8)
+    self.play(i.move_to_index(2))
+"""
+import numpy as np
+from manim import *
+
+__all__ = [
+    "ArrayViz",
+    "Pointer",
+    "LinkedListViz",
+    "BinaryTreeViz",
+    "GraphViz",
+    "HashMapViz",
+    "StackViz",
+    "QueueViz",
+    "MatrixViz",
+    "VariablePanel",
+    "HIGHLIGHT",
+    "VISITED",
+    "ACTIVE",
+]
+
+BASE_FILL = "#3D5A80"
+HIGHLIGHT = "#E07A5F"
+VISITED = "#81B29A"
+ACTIVE = "#F2CC8F"
+FILL_OPACITY = 0.85
+
+
+def _text(value, size, limit=5):
+    """A value as Text, shortened so it fits inside its cell."""
+    text = "" if value is None else str(value)
+    if len(text) > limit:
+        text = text[: limit - 1] + ".."
+    return Text(text, font_size=size)
+
+
+def _group(animations):
+    """Several animations played together; a short pause if there are none."""
+    animations = [animation for animation in animations if animation is not None]
+    if not animations:
+        return Wait(0.1)
+    return animations[0] if len(animations) == 1 else AnimationGroup(*animations)
+
+
+class _Cell(VGroup):
+    """A filled square with a value in it."""
+
+    def __init__(self, value, size):
+        super().__init__()
+        self.side = size
+        self.value = value
+        self.box = Square(side_length=size, stroke_color=WHITE, stroke_width=2)
+        self.box.set_fill(BASE_FILL, opacity=FILL_OPACITY)
+        self.label = _text(value, int(size * 32)).move_to(self.box)
+        self.add(self.box, self.label)
+
+    def recolor(self, color):
+        return self.box.animate.set_fill(color, opacity=FILL_OPACITY)
+
+    def relabel(self, value):
+        self.value = value
+        return Transform(self.label, _text(value, int(self.side * 32)).move_to(self.box))
+
+
+class ArrayViz(VGroup):
+    """A row of cells with optional index labels and a name on the left.
+
+    Operations: highlight(*indices, color), unhighlight(*indices), swap(i, j),
+    set_value(i, value), dim_outside(low, high), cell(i).
+    """
+
+    def __init__(self, values, cell_size=0.8, show_indices=True, label=None):
+        super().__init__()
+        self.cell_size = cell_size
+        self.cells = [_Cell(value, cell_size) for value in values]
+        self.row = VGroup(*self.cells).arrange(RIGHT, buff=0)
+        self.add(self.row)
+
+        self.indices = VGroup()
+        if show_indices:
+            for index, cell in enumerate(self.cells):
+                self.indices.add(Text(str(index), font_size=18, color=GRAY_B).next_to(cell, UP, buff=0.12))
+            self.add(self.indices)
+
+        if label:
+            self.add(Text(label, font_size=26).next_to(self.row, LEFT, buff=0.3))
+
+    @property
+    def values(self):
+        return [cell.value for cell in self.cells]
+
+    def cell(self, index):
+        return self.cells[index]
+
+    def highlight(self, *indices, color=HIGHLIGHT):
+        return _group([self.cells[index].recolor(color) for index in indices])
+
+    def unhighlight(self, *indices):
+        targets = indices or range(len(self.cells))
+        return _group([self.cells[index].recolor(BASE_FILL) for index in targets])
+
+    def set_value(self, index, value):
+        return self.cells[index].relabel(value)
+
+    def swap(self, i, j):
+        """Move the two cells into each other's place along arcs."""
+        if i == j:
+            return Wait(0.1)
+        first, second = self.cells[i], self.cells[j]
+        self.cells[i], self.cells[j] = second, first
+        return AnimationGroup(
+            first.animate(path_arc=PI / 2).move_to(second.get_center()),
+            second.animate(path_arc=PI / 2).move_to(first.get_center()),
+        )
+
+    def dim_outside(self, low, high):
+        """Fade the cells outside low..high (inclusive), e.g. a binary search range."""
+        animations = []
+        for index, cell in enumerate(self.cells):
+            opacity = 1 if low <= index <= high else 0.25
+            animations.append(cell.animate.set_opacity(opacity))
+        return _group(animations)
+
+
+class Pointer(VGroup):
+    """A labelled arrow pointing at a cell of an ArrayViz (below it by default).
+
+    Operations: move_to_index(index).
+    """
+
+    def __init__(self, array, index, label, color=ACTIVE, direction=DOWN):
+        super().__init__()
+        self.array = array
+        self.index = index
+        self.direction = direction
+        self.arrow = Arrow(start=ORIGIN, end=-direction * 0.7, buff=0, color=color, stroke_width=5)
+        self.label = Text(label, font_size=24, color=color).next_to(self.arrow, direction, buff=0.08)
+        self.add(self.arrow, self.label)
+        self.move_to(self._target(index))
+
+    def _target(self, index):
+        """Where the pointer's centre goes to point at a cell; one past the end is allowed."""
+        cells = self.array.cells
+        if index < len(cells):
+            anchor = cells[index].get_edge_center(self.direction)
+        else:
+            anchor = cells[-1].get_edge_center(self.direction) + RIGHT * self.array.cell_size
+        return anchor + self.direction * (0.1 + self.height / 2)
+
+    def move_to_index(self, index):
+        self.index = index
+        return self.animate.move_to(self._target(index))
+
+
+class LinkedListViz(VGroup):
+    """Nodes in a row joined by arrows.
+
+    Operations: highlight(*indices, color), unhighlight(*indices),
+    set_value(i, value), append(value), reverse_link(i), node(i).
+    """
+
+    def __init__(self, values, node_radius=0.4, spacing=1.4):
+        super().__init__()
+        self.node_radius = node_radius
+        self.spacing = spacing
+        self.nodes = []
+        self.links = []
+        for value in values:
+            self._add_node(value)
+
+    def _make_node(self, value, position):
+        circle = Circle(radius=self.node_radius, stroke_color=WHITE, stroke_width=2)
+        circle.set_fill(BASE_FILL, opacity=FILL_OPACITY)
+        node = VGroup(circle, _text(value, int(self.node_radius * 60)))
+        node.value = value
+        return node.move_to(position)
+
+    def _link(self, start, end):
+        return Arrow(start.get_right(), end.get_left(), buff=0.05, stroke_width=4, color=WHITE)
+
+    def _add_node(self, value):
+        position = self.nodes[-1].get_center() + RIGHT * self.spacing if self.nodes else ORIGIN
+        node = self._make_node(value, position)
+        created = [node]
+        if self.nodes:
+            link = self._link(self.nodes[-1], node)
+            self.links.append(link)
+            self.add(link)
+            created.append(link)
+        self.nodes.append(node)
+        self.add(node)
+        return created
+
+    @property
+    def values(self):
+        return [node.value for node in self.nodes]
+
+    def node(self, index):
+        return self.nodes[index]
+
+    def highlight(self, *indices, color=HIGHLIGHT):
+        return _group([self.nodes[index][0].animate.set_fill(color, opacity=FILL_OPACITY) for index in indices])
+
+    def unhighlight(self, *indices):
+        targets = indices or range(len(self.nodes))
+        return _group([self.nodes[index][0].animate.set_fill(BASE_FILL, opacity=FILL_OPACITY) for index in targets])
+
+    def set_value(self, index, value):
+        node = self.nodes[index]
+        node.value = value
+        return Transform(node[1], _text(value, int(self.node_radius * 60)).move_to(node))
+
+    def append(self, value):
+        return _group([FadeIn(mobject) for mobject in self._add_node(value)])
+
+    def reverse_link(self, index):
+        """Point the link between node index and index + 1 backwards."""
+        link = self.links[index]
+        reversed_link = Arrow(
+            self.nodes[index + 1].get_left(), self.nodes[index].get_right(),
+            buff=0.05, stroke_width=4, color=ACTIVE,
+        )
+        return Transform(link, reversed_link)
+
+
+class BinaryTreeViz(VGroup):
+    """A binary tree from a level-order list, with None for missing children
+    (the LeetCode format, e.g. [3, 9, 20, None, None, 15, 7]).
+
+    Operations: highlight(*positions, color), unhighlight(*positions),
+    set_value(position, value), node(position). Positions are indices into
+    the level-order list.
+    """
+
+    def __init__(self, values, node_radius=0.35, level_height=1.1, width=10):
+        super().__init__()
+        self.node_radius = node_radius
+        self.nodes = {}
+        self.edges = VGroup()
+
+        # Place each present node under its parent, halving the spread per level
+        positions = {}
+        children = self._children(values)
+        if values and values[0] is not None:
+            positions[0] = UP * 2
+            queue = [(0, width / 4)]
+            while queue:
+                position, spread = queue.pop(0)
+                left, right = children.get(position, (None, None))
+                for child, offset in ((left, -spread), (right, spread)):
+                    if child is not None:
+                        positions[child] = positions[position] + RIGHT * offset + DOWN * level_height
+                        queue.append((child, spread / 2))
+
+        for position, center in positions.items():
+            circle = Circle(radius=node_radius, stroke_color=WHITE, stroke_width=2)
+            circle.set_fill(BASE_FILL, opacity=FILL_OPACITY)
+            node = VGroup(circle, _text(values[position], int(node_radius * 60))).move_to(center)
+            node.value = values[position]
+            self.nodes[position] = node
+
+        for parent, (left, right) in children.items():
+            for child in (left, right):
+                if child is not None and parent in self.nodes and child in self.nodes:
+                    self.edges.add(Line(
+                        self.nodes[parent].get_center(), self.nodes[child].get_center(),
+                        buff=node_radius, stroke_width=3, color=GRAY_B,
+                    ))
+
+        self.add(self.edges, *self.nodes.values())
+
+    @staticmethod
+    def _children(values):
+        """Map each present node's list index to its children's indices."""
+        children = {}
+        next_index = 1
+        for index, value in enumerate(values):
+            if value is None:
+                continue
+            left = next_index if next_index < len(values) and values[next_index] is not None else None
+            right = next_index + 1 if next_index + 1 < len(values) and values[next_index + 1] is not None else None
+            children[index] = (left, right)
+            next_index += 2
+        return children
+
+    def node(self, position):
+        return self.nodes[position]
+
+    def highlight(self, *positions, color=HIGHLIGHT):
+        return _group([self.nodes[position][0].animate.set_fill(color, opacity=FILL_OPACITY) for position in positions])
+
+    def unhighlight(self, *positions):
+        targets = positions or list(self.nodes)
+        return _group([self.nodes[position][0].animate.set_fill(BASE_FILL, opacity=FILL_OPACITY) for position in targets])
+
+    def set_value(self, position, value):
+        node = self.nodes[position]
+        node.value = value
+        return Transform(node[1], _text(value, int(self.node_radius * 60)).move_to(node))
+
+
+class GraphViz(VGroup):
+    """Vertices on a circle joined by edges, e.g. GraphViz([(0, 1), (1, 2)]).
+
+    Operations: highlight_node(v, color), highlight_edge(u, v, color),
+    unhighlight(), node(v).
+    """
+
+    def __init__(self, edges, nodes=None, directed=False, radius=2.5, node_radius=0.35):
+        super().__init__()
+        if nodes is None:
+            nodes = []
+            for u, v in edges:
+                for vertex in (u, v):
+                    if vertex not in nodes:
+                        nodes.append(vertex)
+
+        self.nodes = {}
+        for index, vertex in enumerate(nodes):
+            angle = PI / 2 - TAU * index / max(len(nodes), 1)
+            circle = Circle(radius=node_radius, stroke_color=WHITE, stroke_width=2)
+            circle.set_fill(BASE_FILL, opacity=FILL_OPACITY)
+            position = radius * (np.cos(angle) * RIGHT + np.sin(angle) * UP)
+            self.nodes[vertex] = VGroup(circle, _text(vertex, int(node_radius * 60))).move_to(position)
+
+        self.edges = {}
+        edge_class = Arrow if directed else Line
+        for u, v in edges:
+            edge = edge_class(
+                self.nodes[u].get_center(), self.nodes[v].get_center(),
+                buff=node_radius, stroke_width=3, color=GRAY_B,
+            )
+            self.edges[(u, v)] = edge
+
+        self.add(*self.edges.values(), *self.nodes.values())
+
+    def node(self, vertex):
+        return self.nodes[vertex]
+
+    def _edge(self, u, v):
+        # Mobjects without submobjects are falsy, so look the key up explicitly
+        return self.edges[(u, v)] if (u, v) in self.edges else self.edges[(v, u)]
+
+    def highlight_node(self, vertex, color=HIGHLIGHT):
+        return self.nodes[vertex][0].animate.set_fill(color, opacity=FILL_OPACITY)
+
+    def highlight_edge(self, u, v, color=HIGHLIGHT):
+        return self._edge(u, v).animate.set_color(color).set_stroke(width=6)
+
+    def unhighlight(self):
+        animations = [node[0].animate.set_fill(BASE_FILL, opacity=FILL_OPACITY) for node in self.nodes.values()]
+        animations += [edge.animate.set_color(GRAY_B).set_stroke(width=3) for edge in self.edges.values()]
+        return _group(animations)
+
+
+class HashMapViz(VGroup):
+    """A two-column table of key -> value rows, headed by a title.
+
+    Operations: put(key, value), delete(key), highlight(key, color),
+    unhighlight().
+    """
+
+    def __init__(self, entries=None, title="map", row_height=0.5, width=3.2):
+        super().__init__()
+        self.row_height = row_height
+        self.column_width = width
+        self.header = Text(title, font_size=26)
+        self.add(self.header)
+        self.rows = {}
+        for key, value in (entries or {}).items():
+            self._add_row(key, value)
+
+    def _row_position(self, index):
+        return self.header.get_bottom() + DOWN * (0.35 + self.row_height * (index + 0.5))
+
+    def _make_row(self, key, value, index):
+        box = Rectangle(width=self.column_width, height=self.row_height, stroke_color=WHITE, stroke_width=1.5)
+        box.set_fill(BASE_FILL, opacity=FILL_OPACITY)
+        text = Text(str(key) + "  ->  " + str(value), font_size=22)
+        if text.width > self.column_width - 0.2:
+            text.scale_to_fit_width(self.column_width - 0.2)
+        return VGroup(box, text.move_to(box)).move_to(self._row_position(index))
+
+    def _add_row(self, key, value):
+        row = self._make_row(key, value, len(self.rows))
+        self.rows[key] = row
+        self.add(row)
+        return row
+
+    def put(self, key, value):
+        if key in self.rows:
+            row = self.rows[key]
+            return Transform(row[1], self._make_row(key, value, list(self.rows).index(key))[1])
+        return FadeIn(self._add_row(key, value), shift=LEFT * 0.3)
+
+    def delete(self, key):
+        """Fade a row out and close the gap it leaves."""
+        row = self.rows.pop(key)
+        self.remove(row)
+        animations = [FadeOut(row)]
+        for index, other in enumerate(self.rows.values()):
+            animations.append(other.animate.move_to(self._row_position(index)))
+        return _group(animations)
+
+    def highlight(self, key, color=HIGHLIGHT):
+        return self.rows[key][0].animate.set_fill(color, opacity=FILL_OPACITY)
+
+    def unhighlight(self):
+        return _group([row[0].animate.set_fill(BASE_FILL, opacity=FILL_OPACITY) for row in self.rows.values()])
+
+
+class _CellSequence(VGroup):
+    """Cells that grow from one end, shared by StackViz and QueueViz."""
+
+    def __init__(self, values, cell_size, direction, across, label):
+        super().__init__()
+        self.cell_size = cell_size
+        self.direction = direction
+        # The line the cells rest on, across the direction they grow in
+        self.base = Line(ORIGIN, across * cell_size * 1.2, stroke_width=3).move_to(ORIGIN)
+        self.add(self.base)
+        if label:
+            self.add(Text(label, font_size=24).next_to(self.base, -direction, buff=0.2))
+        self.cells = []
+        for value in values:
+            self._append_cell(value)
+
+    def _slot(self, index):
+        return self.base.get_center() + self.direction * self.cell_size * (index + 0.55)
+
+    def _append_cell(self, value):
+        cell = _Cell(value, self.cell_size).move_to(self._slot(len(self.cells)))
+        self.cells.append(cell)
+        self.add(cell)
+        return cell
+
+    @property
+    def values(self):
+        return [cell.value for cell in self.cells]
+
+    def highlight(self, *indices, color=HIGHLIGHT):
+        return _group([self.cells[index].recolor(color) for index in indices])
+
+    def unhighlight(self):
+        return _group([cell.recolor(BASE_FILL) for cell in self.cells])
+
+
+class StackViz(_CellSequence):
+    """A vertical stack growing upwards from its label.
+
+    Operations: push(value), pop(), highlight(*indices), unhighlight(), top().
+    """
+
+    def __init__(self, values=(), cell_size=0.6, label="stack"):
+        super().__init__(values, cell_size, UP, RIGHT, label)
+
+    def top(self):
+        return self.cells[-1] if self.cells else None
+
+    def push(self, value):
+        cell = self._append_cell(value)
+        return FadeIn(cell, shift=DOWN * 0.5)
+
+    def pop(self):
+        if not self.cells:
+            return Wait(0.1)
+        cell = self.cells.pop()
+        self.remove(cell)
+        return FadeOut(cell, shift=UP * 0.5)
+
+
+class QueueViz(_CellSequence):
+    """A horizontal queue: values join at the right and leave from the left.
+
+    Operations: enqueue(value), dequeue(), highlight(*indices), unhighlight(),
+    front().
+    """
+
+    def __init__(self, values=(), cell_size=0.6, label="queue"):
+        super().__init__(values, cell_size, RIGHT, UP, label)
+
+    def front(self):
+        return self.cells[0] if self.cells else None
+
+    def enqueue(self, value):
+        cell = self._append_cell(value)
+        return FadeIn(cell, shift=LEFT * 0.5)
+
+    def dequeue(self):
+        """Remove the front cell and shift the rest forward."""
+        if not self.cells:
+            return Wait(0.1)
+        cell = self.cells.pop(0)
+        self.remove(cell)
+        animations = [FadeOut(cell, shift=LEFT * 0.5)]
+        for index, other in enumerate(self.cells):
+            animations.append(other.animate.move_to(self._slot(index)))
+        return _group(animations)
+
+
+class MatrixViz(VGroup):
+    """A grid of cells, e.g. a board or a DP table; None cells are left blank.
+
+    Operations: highlight(*cells, color) with (row, col) pairs,
+    unhighlight(*cells), set_value(row, col, value), cell(row, col).
+    """
+
+    def __init__(self, rows, cell_size=0.6, row_labels=None, col_labels=None):
+        super().__init__()
+        self.cell_size = cell_size
+        self.grid = [[_Cell(value, cell_size) for value in row] for row in rows]
+        for r, row in enumerate(self.grid):
+            for c, cell in enumerate(row):
+                cell.move_to(RIGHT * c * cell_size + DOWN * r * cell_size)
+                self.add(cell)
+
+        for r, label in enumerate(row_labels or []):
+            self.add(Text(str(label), font_size=18, color=GRAY_B).next_to(self.grid[r][0], LEFT, buff=0.15))
+        for c, label in enumerate(col_labels or []):
+            self.add(Text(str(label), font_size=18, color=GRAY_B).next_to(self.grid[0][c], UP, buff=0.15))
+        self.move_to(ORIGIN)
+
+    def cell(self, row, col):
+        return self.grid[row][col]
+
+    def highlight(self, *cells, color=HIGHLIGHT):
+        return _group([self.grid[r][c].recolor(color) for r, c in cells])
+
+    def unhighlight(self, *cells):
+        targets = cells or [(r, c) for r, row in enumerate(self.grid) for c in range(len(row))]
+        return _group([self.grid[r][c].recolor(BASE_FILL) for r, c in targets])
+
+    def set_value(self, row, col, value):
+        return self.grid[row][col].relabel(value)
+
+
+class VariablePanel(VGroup):
+    """A column of "name = value" lines, e.g. VariablePanel(sum=0, best=0).
+
+    Operations: set_value(name, value), which also adds new names.
+    """
+
+    def __init__(self, font_size=26, **values):
+        super().__init__()
+        self.font_size = font_size
+        self.lines = {}
+        for name, value in values.items():
+            self._add_line(name, value)
+
+    def _line_text(self, name, value):
+        return Text(str(name) + " = " + str(value), font_size=self.font_size)
+
+    def _add_line(self, name, value):
+        line = self._line_text(name, value)
+        if self.lines:
+            line.next_to(list(self.lines.values())[-1], DOWN, aligned_edge=LEFT, buff=0.2)
+        self.lines[name] = line
+        self.add(line)
+        return line
+
+    def set_value(self, name, value):
+        if name not in self.lines:
+            return FadeIn(self._add_line(name, value))
+        line = self.lines[name]
+        return Transform(line, self._line_text(name, value).move_to(line, aligned_edge=LEFT))
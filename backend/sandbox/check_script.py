@@ -0,0 +1,153 @@
+"""Static safety check for LLM-generated Manim scripts.
+
+Reads a Python script from stdin, walks its AST and prints a JSON object
+{"violations": [...]} listing every import, call or attribute access that is
+outside the allowlist. Extra importable modules can be passed as arguments.
+"""
+import ast
+import json
+import sys
+
+ALLOWED_MODULES = {
+    "manim",
+    "math",
+    "cmath",
+    "numpy",
+    "random",
+    "itertools",
+    "collections",
+    "functools",
+    "operator",
+    "typing",
+    "dataclasses",
+    "enum",
+    "string",
+    "copy",
+    "heapq",
+    "bisect",
+    "statistics",
+    "fractions",
+    "decimal",
+    "colour",
+}
+
+BLOCKED_CALLS = {
+    "eval",
+    "exec",
+    "compile",
+    "open",
+    "__import__",
+    "input",
+    "breakpoint",
+    "globals",
+    "locals",
+    "vars",
+    "getattr",
+    "setattr",
+    "delattr",
+    "memoryview",
+    "exit",
+    "quit",
+    "help",
+}
+
+# numpy functions that touch the filesystem or raw memory
+BLOCKED_ATTRIBUTES = {
+    "load",
+    "save",
+    "savez",
+    "savez_compressed",
+    "loadtxt",
+    "savetxt",
+    "genfromtxt",
+    "fromfile",
+    "tofile",
+    "memmap",
+    "ctypeslib",
+    "DataSource",
+}
+
+# Module internals that lead back to sys, os or the import system,
+# e.g. collections._sys.modules["os"]
+BLOCKED_INTERNALS = {
+    "modules",
+}
+
+ALLOWED_DUNDERS = {"__init__", "__name__"}
+
+
+class Checker(ast.NodeVisitor):
+    def __init__(self, allowed_modules):
+        self.allowed_modules = allowed_modules
+        self.violations = []
+
+    def add(self, kind, name, node, message):
+        self.violations.append({
+            "type": kind,
+            "name": name,
+            "line": getattr(node, "lineno", None),
+            "message": message,
+        })
+
+    def check_module(self, name, node):
+        if name.split(".")[0] not in self.allowed_modules:
+            self.add("import", name, node, f"Import of '{name}' is not allowed")
+
+    def visit_Import(self, node):
+        for alias in node.names:
+            self.check_module(alias.name, node)
+        self.generic_visit(node)
+
+    def visit_ImportFrom(self, node):
+        if node.level:
+            self.add("import", "." * node.level + (node.module or ""), node,
+                     "Relative imports are not allowed")
+        else:
+            self.check_module(node.module or "", node)
+        self.generic_visit(node)
+
+    def visit_Call(self, node):
+        if isinstance(node.func, ast.Name) and node.func.id in BLOCKED_CALLS:
+            self.add("call", node.func.id, node, f"Call to '{node.func.id}()' is not allowed")
+        self.generic_visit(node)
+
+    def visit_Attribute(self, node):
+        name = node.attr
+        # Private attributes of allowed modules (collections._sys, ...) reach
+        # modules that are not allowed, so anything starting with _ is rejected
+        if name.startswith("_") and name not in ALLOWED_DUNDERS:
+            self.add("attribute", name, node, f"Access to '{name}' is not allowed")
+        elif name in BLOCKED_INTERNALS:
+            self.add("attribute", name, node, f"Access to '{name}' is not allowed")
+        elif name in BLOCKED_ATTRIBUTES:
+            self.add("attribute", name, node, f"Use of '.{name}' is not allowed")
+        self.generic_visit(node)
+
+    def visit_Name(self, node):
+        if node.id.startswith("__") and node.id.endswith("__") and node.id not in ALLOWED_DUNDERS:
+            self.add("name", node.id, node, f"Use of '{node.id}' is not allowed")
+        self.generic_visit(node)
+
+
+def main():
+    source = sys.stdin.read()
+    allowed_modules = ALLOWED_MODULES | set(sys.argv[1:])
+
+    try:
+        tree = ast.parse(source, filename="animation.py")
+    except SyntaxError as error:
+        print(json.dumps({"violations": [{
+            "type": "syntax",
+            "name": "SyntaxError",
+            "line": error.lineno,
+            "message": f"SyntaxError: {error.msg}",
+        }]}))
+        return
+
+    checker = Checker(allowed_modules)
+    checker.visit(tree)
+    print(json.dumps({"violations": checker.violations}))
+
+
+if __name__ == "__main__":
+    main()
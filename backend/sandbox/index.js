@@ -0,0 +1,319 @@
+const path = require('path');
+const fs = require('fs');
+const os = require('os');
+const { spawn } = require('child_process');
+
+const sandboxDir = __dirname;
+const backendDir = path.dirname(__dirname);
+
+// Helper module generated scripts may import; it lives in the backend, so
+// its directory is put on the path and exempted from the read protection
+const primitivesDir = path.join(backendDir, 'primitives');
+const PRIMITIVES_MODULE = 'dsa_primitives';
+
+function readNumber(name, fallback) {
+  const value = Number(process.env[name]);
+  return Number.isFinite(value) && value > 0 ? value : fallback;
+}
+
+// Function to read the resource limits applied to generated scripts
+function getSandboxLimits() {
+  return {
+    cpuSeconds: readNumber('SANDBOX_CPU_SECONDS', 300),
+    memoryMb: readNumber('SANDBOX_MEMORY_MB', 2048),
+    maxFileMb: readNumber('SANDBOX_MAX_FILE_MB', 500),
+    timeoutMs: readNumber('SANDBOX_TIMEOUT_MS', 10 * 60 * 1000)
+  };
+}
+
+// Function to statically check a script against the import/call allowlist
+function checkScript(script, extraModules = []) {
+  return new Promise((resolve, reject) => {
+    const checker = spawn('python', [path.join(sandboxDir, 'check_script.py'), PRIMITIVES_MODULE, ...extraModules], {
+      stdio: ['pipe', 'pipe', 'pipe']
+    });
+
+    let output = '';
+    let errorOutput = '';
+    const timer = setTimeout(() => checker.kill(), 15000);
+
+    checker.stdout.on('data', (data) => {
+      output += data.toString();
+    });
+
+    checker.stderr.on('data', (data) => {
+      errorOutput += data.toString();
+    });
+
+    checker.on('close', (code) => {
+      clearTimeout(timer);
+      try {
+        resolve(JSON.parse(output).violations);
+      } catch {
+        reject(new Error(`Script check failed with code ${code}: ${errorOutput}`));
+      }
+    });
+
+    checker.on('error', (error) => {
+      clearTimeout(timer);
+      reject(new Error(`Failed to start script check: ${error.message}`));
+    });
+
+    checker.stdin.end(script);
+  });
+}
+
+// V8 reserves far more address space than its heap uses, so Node's address
+// space limit is its heap limit plus this much
+const NODE_ADDRESS_SPACE_HEADROOM_MB = 1024;
+
+// Secrets outside the backend that untrusted code should not read either
+const HOME_SECRET_DIRS = ['.ssh', '.aws', '.gnupg', '.docker', '.kube'];
+
+// Function to list the directories hidden from untrusted code: the backend
+// (its .env, database and renders), common credential directories in the home
+// directory, and any listed in SANDBOX_HIDDEN_DIRS
+function getHiddenDirs() {
+  const extra = (process.env.SANDBOX_HIDDEN_DIRS || '').split(path.delimiter).filter(Boolean);
+  return [
+    backendDir,
+    ...HOME_SECRET_DIRS.map(name => path.join(os.homedir(), name)),
+    ...extra.map(dir => path.resolve(dir))
+  ];
+}
+
+// Function to build the run_limited.py arguments that cut untrusted code off
+// from the network and the hidden directories. SANDBOX_ISOLATION=off turns
+// this off for platforms without Linux namespaces.
+function isolationArgs() {
+  if (process.env.SANDBOX_ISOLATION === 'off') return [];
+  return ['--isolate', ...getHiddenDirs().flatMap(dir => ['--hide', dir])];
+}
+
+// Only pass through what Python needs, so API keys never reach the script
+function sandboxEnv(cwd) {
+  const env = {
+    PATH: process.env.PATH,
+    HOME: cwd,
+    LANG: process.env.LANG || 'C.UTF-8',
+    PYTHONDONTWRITEBYTECODE: '1',
+    PYTHONPATH: primitivesDir,
+    SANDBOX_ROOT: cwd,
+    SANDBOX_PROTECTED_DIRS: backendDir,
+    SANDBOX_READ_DIRS: primitivesDir
+  };
+
+  // Windows needs these to start Python at all
+  ['SYSTEMROOT', 'TEMP', 'TMP', 'PATHEXT'].forEach(name => {
+    if (process.env[name]) env[name] = process.env[name];
+  });
+
+  return env;
+}
+
+// Function to describe why a sandboxed process was stopped, if it was
+function classifyFailure({ signal, timedOut, errorOutput }, limits) {
+  if (timedOut) {
+    return {
+      type: 'limit',
+      limit: 'wallClock',
+      message: `Render exceeded the ${Math.round(limits.timeoutMs / 1000)}s time limit`
+    };
+  }
+
+  const policy = errorOutput.match(/Sandbox violation \[(\w+)\]: (.+)/);
+  if (policy) {
+    return { type: 'policy', limit: policy[1], message: `Script blocked by sandbox: ${policy[2].trim()}` };
+  }
+
+  if (signal === 'SIGXCPU' || signal === 'SIGKILL') {
+    return { type: 'limit', limit: 'cpu', message: `Render exceeded the ${limits.cpuSeconds}s CPU limit` };
+  }
+  if (signal === 'SIGXFSZ' || /File too large/.test(errorOutput)) {
+    return { type: 'limit', limit: 'filesystem', message: `Render wrote a file larger than ${limits.maxFileMb}MB` };
+  }
+  if (/MemoryError|Cannot allocate memory|std::bad_alloc/.test(errorOutput)) {
+    return { type: 'limit', limit: 'memory', message: `Render exceeded the ${limits.memoryMb}MB memory limit` };
+  }
+
+  return null;
+}
+
+// Function to run a Python module under resource limits and the audit-hook guard
+function runSandboxed(args, { cwd, onOutput }) {
+  const limits = getSandboxLimits();
+
+  return new Promise((resolve, reject) => {
+    const child = spawn('python', [
+      path.join(sandboxDir, 'run_limited.py'),
+      '--cpu', String(limits.cpuSeconds),
+      '--memory', String(limits.memoryMb),
+      '--fsize', String(limits.maxFileMb),
+      '--',
+      'python', path.join(sandboxDir, 'manim_guard.py'),
+      ...args
+    ], {
+      cwd,
+      env: sandboxEnv(cwd),
+      stdio: ['ignore', 'pipe', 'pipe'],
+      detached: process.platform !== 'win32'
+    });
+
+    let output = '';
+    let errorOutput = '';
+    let timedOut = false;
+
+    const timer = setTimeout(() => {
+      timedOut = true;
+      try {
+        // Kill the whole process group so LaTeX/FFmpeg children go too
+        if (process.platform !== 'win32') process.kill(-child.pid, 'SIGKILL');
+        else child.kill('SIGKILL');
+      } catch (error) {
+        console.error('Error killing sandboxed process:', error);
+      }
+    }, limits.timeoutMs);
+
+    child.stdout.on('data', (data) => {
+      output += data.toString();
+      if (onOutput) onOutput(data.toString());
+    });
+
+    child.stderr.on('data', (data) => {
+      errorOutput += data.toString();
+      if (onOutput) onOutput(data.toString());
+    });
+
+    child.on('close', (code, signal) => {
+      clearTimeout(timer);
+      const sandbox = code === 0 ? null : classifyFailure({ signal, timedOut, errorOutput }, limits);
+      resolve({ code, signal, output, errorOutput, sandbox });
+    });
+
+    child.on('error', (error) => {
+      clearTimeout(timer);
+      reject(new Error(`Failed to start sandboxed process: ${error.message}`));
+    });
+  });
+}
+
+// Untrusted code gets a bare environment: no API keys, no module paths
+function untrustedEnv(cwd) {
+  const env = {
+    PATH: process.env.PATH,
+    HOME: cwd,
+    LANG: process.env.LANG || 'C.UTF-8'
+  };
+  ['SYSTEMROOT', 'TEMP', 'TMP', 'PATHEXT'].forEach(name => {
+    if (process.env[name]) env[name] = process.env[name];
+  });
+  return env;
+}
+
+// Function to run any command under the given resource limits with a wall-clock
+// timeout, feeding it `input` on stdin. Used to run untrusted solution code, so
+// the command is isolated: no network, and the hidden directories are empty.
+// Run it in a throwaway directory outside the hidden ones.
+function runLimited(command, args, { cwd, input = '', cpuSeconds = 0, memoryMb = 0, maxFileMb = 0, maxFiles = 0, timeoutMs }) {
+  return new Promise((resolve, reject) => {
+    const child = spawn('python', [
+      path.join(sandboxDir, 'run_limited.py'),
+      '--cpu', String(cpuSeconds),
+      '--memory', String(memoryMb),
+      '--fsize', String(maxFileMb),
+      '--nofile', String(maxFiles),
+      ...isolationArgs(),
+      '--',
+      command,
+      ...args
+    ], {
+      cwd,
+      env: untrustedEnv(cwd),
+      stdio: ['pipe', 'pipe', 'pipe'],
+      detached: process.platform !== 'win32'
+    });
+
+    let output = '';
+    let errorOutput = '';
+    let timedOut = false;
+
+    const timer = setTimeout(() => {
+      timedOut = true;
+      try {
+        if (process.platform !== 'win32') process.kill(-child.pid, 'SIGKILL');
+        else child.kill('SIGKILL');
+      } catch (error) {
+        console.error('Error killing sandboxed process:', error);
+      }
+    }, timeoutMs);
+
+    child.stdout.on('data', (data) => {
+      output += data.toString();
+    });
+
+    child.stderr.on('data', (data) => {
+      errorOutput += data.toString();
+    });
+
+    child.on('close', (code, signal) => {
+      clearTimeout(timer);
+      resolve({ code, signal, output, errorOutput, timedOut });
+    });
+
+    child.on('error', (error) => {
+      clearTimeout(timer);
+      reject(new Error(`Failed to start sandboxed process: ${error.message}`));
+    });
+
+    // The process may exit before reading its input
+    child.stdin.on('error', () => {});
+    child.stdin.end(input);
+  });
+}
+
+// Function to run one of the backend's Node scripts, which runs untrusted
+// code, through runLimited. The backend is hidden from the child, so the
+// script and the backend modules it requires are copied into a throwaway
+// directory, keeping their paths relative to the backend. `data` is sent as
+// JSON on stdin, and every line the script prints is parsed as a JSON message.
+async function runNodeScript(script, { modules = [], data, heapMb, nodeFlags = [], cpuSeconds = 0, timeoutMs }) {
+  const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'code2concept-node-'));
+  const copyOf = file => path.join(workDir, path.relative(backendDir, file));
+
+  try {
+    for (const file of [script, ...modules]) {
+      fs.mkdirSync(path.dirname(copyOf(file)), { recursive: true });
+      fs.copyFileSync(file, copyOf(file));
+    }
+
+    const result = await runLimited(process.execPath, [`--max-old-space-size=${heapMb}`, ...nodeFlags, copyOf(script)], {
+      cwd: workDir,
+      input: JSON.stringify(data),
+      cpuSeconds,
+      memoryMb: heapMb + NODE_ADDRESS_SPACE_HEADROOM_MB,
+      maxFileMb: 10,
+      maxFiles: 64,
+      timeoutMs
+    });
+
+    const messages = result.output.split('\n').flatMap(line => {
+      try {
+        return line.trim() ? [JSON.parse(line)] : [];
+      } catch {
+        return [];
+      }
+    });
+    return { ...result, messages };
+  } finally {
+    fs.rmSync(workDir, { recursive: true, force: true });
+  }
+}
+
+module.exports = {
+  NODE_ADDRESS_SPACE_HEADROOM_MB,
+  getSandboxLimits,
+  checkScript,
+  runSandboxed,
+  runLimited,
+  runNodeScript
+};
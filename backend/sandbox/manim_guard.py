@@ -0,0 +1,151 @@
+"""Run Manim with a runtime audit hook that confines the generated script.
+
+The hook blocks network access, process spawning other than the tools Manim
+itself needs, writes outside the render directory and reads outside the
+paths a render needs: the render and temp directories, the Python
+installation and shared system data (fonts, TeX, ...). Protected directories
+(such as the backend with its .env file) stay unreadable even inside those.
+
+Configured through the environment:
+  SANDBOX_ROOT            render directory the script may write to
+  SANDBOX_PROTECTED_DIRS  os.pathsep separated directories the script may not read
+  SANDBOX_READ_DIRS       os.pathsep separated extra directories the script may
+                          read, also inside protected dirs
+"""
+import os
+import runpy
+import sys
+import tempfile
+
+ALLOWED_EXECUTABLES = {
+    "ffmpeg",
+    "ffprobe",
+    "latex",
+    "pdflatex",
+    "xelatex",
+    "lualatex",
+    "dvisvgm",
+}
+
+
+def _split_dirs(value):
+    return [os.path.realpath(item) for item in (value or "").split(os.pathsep) if item]
+
+
+# Shared data Manim and its libraries read: fonts, TeX, locales, time zones
+SYSTEM_READ_DIRS = [
+    "/usr/share",
+    "/usr/local/share",
+    "/usr/lib",
+    "/usr/local/lib",
+    "/usr/local/texlive",
+    "/etc/fonts",
+    "/etc/texmf",
+    "/var/lib/texmf",
+    "/var/cache/fontconfig",
+    "/dev/null",
+    "/dev/urandom",
+    "/etc/localtime",
+    "/etc/mime.types",
+]
+
+ROOT = os.path.realpath(os.environ.get("SANDBOX_ROOT", os.getcwd()))
+WRITE_DIRS = [ROOT, os.path.realpath(tempfile.gettempdir())]
+PROTECTED_DIRS = _split_dirs(os.environ.get("SANDBOX_PROTECTED_DIRS"))
+# Readable even inside a protected dir: the render, the Python installation
+# and the directories passed in
+EXEMPT_DIRS = (
+    [ROOT, os.path.realpath(sys.prefix), os.path.realpath(sys.base_prefix)]
+    + [os.path.realpath(entry) for entry in sys.path if entry]
+    + _split_dirs(os.environ.get("SANDBOX_READ_DIRS"))
+)
+READ_DIRS = EXEMPT_DIRS + WRITE_DIRS + [os.path.realpath(path) for path in SYSTEM_READ_DIRS]
+
+WRITE_FLAGS = os.O_WRONLY | os.O_RDWR | os.O_APPEND | os.O_CREAT | os.O_TRUNC
+
+
+class SandboxViolation(PermissionError):
+    pass
+
+
+def _inside(path, directories):
+    return any(path == directory or path.startswith(directory + os.sep) for directory in directories)
+
+
+def _resolve(path):
+    if isinstance(path, int):
+        return None
+    path = os.fsdecode(path)
+    return os.path.realpath(path)
+
+
+def _deny(kind, detail):
+    raise SandboxViolation(f"Sandbox violation [{kind}]: {detail}")
+
+
+def _check_read(path):
+    if os.path.basename(path).startswith(".env") or path.endswith("/environ"):
+        _deny("filesystem", f"reading {path} is not allowed")
+    if _inside(path, PROTECTED_DIRS) and not _inside(path, EXEMPT_DIRS):
+        _deny("filesystem", f"reading {path} is not allowed")
+    if not _inside(path, READ_DIRS):
+        _deny("filesystem", f"reading {path} is not allowed")
+
+
+def _check_write(path):
+    if not _inside(path, WRITE_DIRS):
+        _deny("filesystem", f"writing {path} is not allowed")
+
+
+def _check_executable(executable):
+    name = os.path.splitext(os.path.basename(os.fsdecode(executable)))[0]
+    if name not in ALLOWED_EXECUTABLES:
+        _deny("process", f"starting '{name}' is not allowed")
+
+
+def audit(event, args):
+    if event == "open":
+        path = _resolve(args[0])
+        if path is None:
+            return
+        mode, flags = args[1], args[2]
+        writing = (mode and any(char in mode for char in "wax+")) or (flags & WRITE_FLAGS)
+        if writing:
+            _check_write(path)
+        else:
+            _check_read(path)
+    elif event in ("os.remove", "os.rmdir", "os.mkdir", "os.chmod", "shutil.rmtree"):
+        path = _resolve(args[0])
+        if path is not None:
+            _check_write(path)
+    elif event == "os.rename":
+        for item in args[:2]:
+            path = _resolve(item)
+            if path is not None:
+                _check_write(path)
+    elif event == "subprocess.Popen":
+        executable, popen_args = args[0], args[1]
+        if executable is None:
+            if isinstance(popen_args, (str, bytes)):
+                executable = os.fsdecode(popen_args).split()[0]
+            else:
+                executable = list(popen_args)[0]
+        _check_executable(executable)
+    elif event == "os.system":
+        _check_executable(os.fsdecode(args[0]).split()[0])
+    elif event in ("os.exec", "os.spawn", "os.posix_spawn"):
+        _check_executable(args[1] if event == "os.spawn" else args[0])
+    elif event in ("os.fork", "os.forkpty", "os.kill", "os.killpg"):
+        _deny("process", f"{event} is not allowed")
+    elif event in ("socket.connect", "socket.bind", "socket.getaddrinfo"):
+        _deny("network", f"{event} is not allowed")
+
+
+def main():
+    sys.addaudithook(audit)
+    sys.argv = ["manim"] + sys.argv[1:]
+    runpy.run_module("manim", run_name="__main__", alter_sys=True)
+
+
+if __name__ == "__main__":
+    main()
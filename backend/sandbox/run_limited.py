@@ -0,0 +1,128 @@
+"""Apply resource limits to the current process, then exec a command.
+
+Usage: python run_limited.py --cpu SECONDS --memory MB --fsize MB
+           [--isolate [--hide DIR]...] -- command [args...]
+
+Limits are inherited by the command and anything it spawns. On platforms
+without the `resource` module (Windows) the command runs without limits.
+
+With --isolate (Linux only) the command also runs in its own network
+namespace, which has no interfaces up, so it cannot reach the network, and
+in its own mount namespace where every --hide directory is covered by an
+empty, unreadable tmpfs. The covering mounts are made before entering a
+further user namespace, which locks them: the command cannot unmount them
+even as root inside its namespaces. It also cannot gain privileges through
+setuid binaries. If isolation cannot be set up the command is not run.
+"""
+import argparse
+import ctypes
+import os
+import sys
+
+CLONE_NEWNS = 0x00020000
+CLONE_NEWUSER = 0x10000000
+CLONE_NEWNET = 0x40000000
+MS_NOSUID = 0x2
+MS_NODEV = 0x4
+MS_NOEXEC = 0x8
+MS_REC = 0x4000
+MS_PRIVATE = 0x40000
+PR_SET_NO_NEW_PRIVS = 38
+
+# Exit status when isolation was requested but could not be set up
+ISOLATION_FAILED = 126
+
+
+class IsolationError(Exception):
+    pass
+
+
+def call(libc, name, *args):
+    if getattr(libc, name)(*args) != 0:
+        error = ctypes.get_errno()
+        raise IsolationError(name + ": " + os.strerror(error))
+
+
+def write(path, text):
+    with open(path, "w") as handle:
+        handle.write(text)
+
+
+def enter_user_namespace(libc, flags):
+    """Unshare with a new user namespace, staying the same user (as root inside)."""
+    uid, gid = os.geteuid(), os.getegid()
+    call(libc, "unshare", CLONE_NEWUSER | flags)
+    write("/proc/self/setgroups", "deny")
+    write("/proc/self/uid_map", "0 %d 1" % uid)
+    write("/proc/self/gid_map", "0 %d 1" % gid)
+
+
+def isolate(hidden):
+    if not sys.platform.startswith("linux"):
+        raise IsolationError("namespaces are only available on Linux")
+
+    libc = ctypes.CDLL(None, use_errno=True)
+    libc.mount.argtypes = [ctypes.c_char_p, ctypes.c_char_p, ctypes.c_char_p, ctypes.c_ulong, ctypes.c_char_p]
+
+    # Root can create mount and network namespaces directly; anyone else
+    # needs a user namespace to hold the capabilities for it
+    if os.geteuid() == 0:
+        call(libc, "unshare", CLONE_NEWNS | CLONE_NEWNET)
+    else:
+        enter_user_namespace(libc, CLONE_NEWNS | CLONE_NEWNET)
+
+    # Keep the mounts below from propagating back to the host
+    call(libc, "mount", None, b"/", None, MS_REC | MS_PRIVATE, None)
+    for directory in hidden:
+        if os.path.isdir(directory):
+            call(libc, "mount", b"tmpfs", os.fsencode(directory), b"tmpfs",
+                 MS_NOSUID | MS_NODEV | MS_NOEXEC, b"size=4k,mode=000")
+
+    # Mounts inherited into a less privileged namespace can no longer be removed
+    enter_user_namespace(libc, CLONE_NEWNS)
+    call(libc, "prctl", PR_SET_NO_NEW_PRIVS, 1, 0, 0, 0)
+
+
+def main():
+    parser = argparse.ArgumentParser()
+    parser.add_argument("--cpu", type=int, default=0, help="CPU seconds")
+    parser.add_argument("--memory", type=int, default=0, help="address space in MB")
+    parser.add_argument("--fsize", type=int, default=0, help="largest writable file in MB")
+    parser.add_argument("--nofile", type=int, default=0, help="open file descriptors")
+    parser.add_argument("--isolate", action="store_true", help="no network, --hide directories covered")
+    parser.add_argument("--hide", action="append", default=[], help="directory to hide when isolated")
+    parser.add_argument("command", nargs=argparse.REMAINDER)
+    args = parser.parse_args()
+
+    command = args.command[1:] if args.command[:1] == ["--"] else args.command
+    if not command:
+        parser.error("no command given")
+
+    if args.isolate:
+        try:
+            isolate(args.hide)
+        except (IsolationError, OSError) as error:
+            print("run_limited: cannot isolate the command: %s" % error, file=sys.stderr)
+            sys.exit(ISOLATION_FAILED)
+
+    try:
+        import resource
+    except ImportError:
+        print("run_limited: resource limits are not supported on this platform", file=sys.stderr)
+    else:
+        limits = [
+            (resource.RLIMIT_CPU, args.cpu),
+            (resource.RLIMIT_AS, args.memory * 1024 * 1024),
+            (resource.RLIMIT_FSIZE, args.fsize * 1024 * 1024),
+            (resource.RLIMIT_NOFILE, args.nofile),
+        ]
+        for limit, value in limits:
+            if value > 0:
+                # Soft limit first so SIGXCPU/SIGXFSZ are raised before the hard kill
+                resource.setrlimit(limit, (value, value + 1 if limit == resource.RLIMIT_CPU else value))
+
+    os.execvp(command[0], command)
+
+
+if __name__ == "__main__":
+    main()
@@ -0,0 +1,333 @@
+// JSON Schemas for the structured data we ask the LLM to produce
+
+const CODE_LANGUAGES = ['javaCode', 'pythonCode', 'cppCode', 'jsCode'];
+
+const approachSchema = {
+  type: 'object',
+  required: [
+    'title',
+    'timeComplexity',
+    'spaceComplexity',
+    'description',
+    'code',
+    'pros',
+    'cons',
+    'concepts'
+  ],
+  properties: {
+    title: { type: 'string', minLength: 1 },
+    timeComplexity: { type: 'string', minLength: 1 },
+    spaceComplexity: { type: 'string', minLength: 1 },
+    description: { type: 'string', minLength: 1 },
+    code: {
+      type: 'object',
+      required: CODE_LANGUAGES,
+      properties: Object.fromEntries(
+        CODE_LANGUAGES.map(language => [language, { type: 'string', minLength: 1 }])
+      )
+    },
+    pros: { type: 'array', items: { type: 'string' } },
+    cons: { type: 'array', items: { type: 'string' } },
+    concepts: { type: 'array', items: { type: 'string' } }
+  }
+};
+
+const approachesSchema = {
+  type: 'array',
+  minItems: 1,
+  items: approachSchema
+};
+
+// The prose of one approach, as sent for translation; code and complexities stay as they are
+const APPROACH_TEXT_FIELDS = ['title', 'description', 'pros', 'cons', 'concepts'];
+
+const translationSchema = {
+  type: 'array',
+  minItems: 1,
+  items: {
+    type: 'object',
+    required: APPROACH_TEXT_FIELDS,
+    properties: {
+      title: { type: 'string', minLength: 1 },
+      description: { type: 'string' },
+      pros: { type: 'array', items: { type: 'string' } },
+      cons: { type: 'array', items: { type: 'string' } },
+      concepts: { type: 'array', items: { type: 'string' } }
+    }
+  }
+};
+
+const narrationStepsSchema = {
+  type: 'array',
+  minItems: 1,
+  items: { type: 'string', minLength: 1 }
+};
+
+// First and last line (1-based) of the code a narration step talks about
+const lineRangeSchema = {
+  anyOf: [
+    { type: 'array', minItems: 2, maxItems: 2, items: { type: 'integer', minimum: 1 } },
+    { type: 'null' }
+  ]
+};
+
+// One object per narration step, with a line range in each language's code
+const stepLinesSchema = {
+  type: 'array',
+  items: {
+    type: 'object',
+    properties: Object.fromEntries(
+      CODE_LANGUAGES.map(language => [language, lineRangeSchema])
+    )
+  }
+};
+
+// One complete, runnable test program per language
+const harnessesSchema = {
+  type: 'object',
+  required: CODE_LANGUAGES,
+  properties: Object.fromEntries(
+    CODE_LANGUAGES.map(language => [language, { type: 'string', minLength: 1 }])
+  )
+};
+
+// Scalars the trace visualizer can print in a cell or variable panel
+const traceValueSchema = {
+  anyOf: ['string', 'number', 'boolean', 'null'].map(type => ({ type }))
+};
+
+const traceSchema = {
+  type: 'object',
+  required: ['input', 'steps'],
+  properties: {
+    input: { type: 'string' },
+    steps: {
+      type: 'array',
+      minItems: 1,
+      items: {
+        type: 'object',
+        required: ['line', 'description'],
+        properties: {
+          line: { type: 'integer', minimum: 1 },
+          description: { type: 'string', minLength: 1 },
+          arrays: {
+            type: 'array',
+            items: {
+              type: 'object',
+              required: ['name', 'values'],
+              properties: {
+                name: { type: 'string', minLength: 1 },
+                values: { type: 'array', items: traceValueSchema },
+                highlight: { type: 'array', items: { type: 'integer' } }
+              }
+            }
+          },
+          pointers: {
+            type: 'array',
+            items: {
+              type: 'object',
+              required: ['name', 'array', 'index'],
+              properties: {
+                name: { type: 'string', minLength: 1 },
+                array: { type: 'string', minLength: 1 },
+                index: { type: 'integer' }
+              }
+            }
+          },
+          variables: {
+            type: 'object',
+            additionalProperties: traceValueSchema
+          }
+        }
+      }
+    }
+  }
+};
+
+// Longest trace kept, so a runaway response cannot flood the visualizer
+const MAX_TRACE_STEPS = 200;
+
+const CODE_PLACEHOLDERS = {
+  javaCode: '// Java solution not available',
+  pythonCode: '# Python solution not available',
+  cppCode: '// C++ solution not available',
+  jsCode: '// JavaScript solution not available'
+};
+
+function toString(value, fallback) {
+  if (typeof value === 'string' && value.trim()) return value;
+  if (typeof value === 'number') return String(value);
+  return fallback;
+}
+
+function toStringArray(value) {
+  if (typeof value === 'string') return value.trim() ? [value] : [];
+  if (!Array.isArray(value)) return [];
+  return value
+    .map(item => toString(item, null))
+    .filter(item => item !== null);
+}
+
+// Function to fill safe defaults into whatever approach data survived repair
+function normalizeApproaches(data) {
+  const list = Array.isArray(data) ? data : [data];
+
+  return list
+    .filter(item => item && typeof item === 'object')
+    .map((item, index) => {
+      const code = item.code && typeof item.code === 'object' ? item.code : {};
+      return {
+        title: toString(item.title, `Approach ${index + 1}`),
+        timeComplexity: toString(item.timeComplexity, 'Not specified'),
+        spaceComplexity: toString(item.spaceComplexity, 'Not specified'),
+        description: toString(item.description, ''),
+        code: Object.fromEntries(
+          CODE_LANGUAGES.map(language => [
+            language,
+            toString(code[language], CODE_PLACEHOLDERS[language])
+          ])
+        ),
+        pros: toStringArray(item.pros),
+        cons: toStringArray(item.cons),
+        concepts: toStringArray(item.concepts)
+      };
+    });
+}
+
+// Function to copy translated prose onto the original approaches. Code and
+// complexities always come from the originals; prose the model left out stays
+// untranslated.
+function normalizeTranslation(data, { approaches }) {
+  const items = Array.isArray(data) ? data : [];
+  return approaches.map((approach, index) => {
+    const item = items[index] && typeof items[index] === 'object' ? items[index] : {};
+    const text = field => toString(item[field], approach[field]);
+    // A list with items missing or added cannot be matched to the original
+    const list = field => {
+      const translated = toStringArray(item[field]);
+      return translated.length === approach[field].length ? translated : approach[field];
+    };
+    return {
+      ...approach,
+      title: text('title'),
+      description: text('description'),
+      pros: list('pros'),
+      cons: list('cons'),
+      concepts: list('concepts')
+    };
+  });
+}
+
+// Function to fill safe defaults into narration steps
+function normalizeNarrationSteps(data) {
+  const steps = toStringArray(data);
+  return steps.length > 0
+    ? steps
+    : ['Let us walk through this algorithm step by step.'];
+}
+
+// Function to keep the test programs that came back; missing languages are null
+function normalizeHarnesses(data) {
+  const harnesses = data && typeof data === 'object' ? data : {};
+  return Object.fromEntries(
+    CODE_LANGUAGES.map(language => [language, toString(harnesses[language], null)])
+  );
+}
+
+// Nested values are shown as JSON text rather than dropped
+function toTraceValue(value) {
+  if (value === null || ['string', 'number', 'boolean'].includes(typeof value)) return value;
+  if (value === undefined) return null;
+  return JSON.stringify(value);
+}
+
+function toInteger(value, fallback) {
+  const number = Number(value);
+  return Number.isFinite(number) ? Math.round(number) : fallback;
+}
+
+// Function to fill safe defaults into an execution trace, keeping each step's
+// line within the traced code's lineCount
+function normalizeTrace(data, { lineCount = Infinity } = {}) {
+  const trace = data && typeof data === 'object' && !Array.isArray(data) ? data : { steps: data };
+  const rawSteps = Array.isArray(trace.steps) ? trace.steps : [];
+
+  const steps = rawSteps
+    .filter(step => step && typeof step === 'object')
+    .slice(0, MAX_TRACE_STEPS)
+    .map((step, index) => {
+      const arrays = (Array.isArray(step.arrays) ? step.arrays : [])
+        .filter(array => array && typeof array === 'object' && Array.isArray(array.values))
+        .map((array, arrayIndex) => ({
+          name: toString(array.name, `array${arrayIndex + 1}`),
+          values: array.values.map(toTraceValue),
+          highlight: (Array.isArray(array.highlight) ? array.highlight : [])
+            .map(value => toInteger(value, -1))
+            .filter(value => value >= 0 && value < array.values.length)
+        }));
+
+      const pointers = (Array.isArray(step.pointers) ? step.pointers : [])
+        .filter(pointer => pointer && typeof pointer === 'object')
+        .map(pointer => ({
+          name: toString(pointer.name, '?'),
+          array: toString(pointer.array, arrays[0]?.name || ''),
+          index: toInteger(pointer.index, 0)
+        }))
+        .filter(pointer => arrays.some(array => array.name === pointer.array));
+
+      const variables = step.variables && typeof step.variables === 'object' && !Array.isArray(step.variables)
+        ? Object.fromEntries(Object.entries(step.variables).map(([name, value]) => [name, toTraceValue(value)]))
+        : {};
+
+      return {
+        line: Math.min(Math.max(toInteger(step.line, 1), 1), lineCount),
+        description: toString(step.description, `Step ${index + 1}`),
+        arrays,
+        pointers,
+        variables
+      };
+    });
+
+  return {
+    input: toString(trace.input, ''),
+    steps
+  };
+}
+
+function toLineRange(value, lineCount) {
+  if (!Array.isArray(value) || value.length === 0) return null;
+  const first = toInteger(value[0], 0);
+  const last = Math.min(toInteger(value[value.length - 1], first), lineCount);
+  return first >= 1 && first <= last ? [first, last] : null;
+}
+
+// Function to keep one entry per narration step, holding the line ranges that
+// fall inside each language's code (lineCounts); unusable ranges are left out
+function normalizeStepLines(data, { stepCount, lineCounts }) {
+  const items = Array.isArray(data) ? data : [];
+  return Array.from({ length: stepCount }, (_, index) => {
+    const item = items[index] && typeof items[index] === 'object' ? items[index] : {};
+    return Object.fromEntries(
+      CODE_LANGUAGES
+        .map(language => [language, toLineRange(item[language], lineCounts[language] || 0)])
+        .filter(([, range]) => range)
+    );
+  });
+}
+
+module.exports = {
+  CODE_LANGUAGES,
+  APPROACH_TEXT_FIELDS,
+  approachesSchema,
+  translationSchema,
+  narrationStepsSchema,
+  stepLinesSchema,
+  traceSchema,
+  harnessesSchema,
+  normalizeApproaches,
+  normalizeTranslation,
+  normalizeNarrationSteps,
+  normalizeStepLines,
+  normalizeTrace,
+  normalizeHarnesses
+};
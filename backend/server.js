@@ -1,584 +1,406 @@
 require('dotenv').config();
 const express = require('express');
 const cors = require('cors');
-const { GoogleGenerativeAI } = require('@google/generative-ai');
 const path = require('path');
 const fs = require('fs');
-const { v4: uuidv4 } = require('uuid');
-const { spawn } = require('child_process');
+const { STAGES, getStageConfig } = require('./llm');
+const { generateApproaches, translateApproaches } = require('./generators');
+const { normalizeApproaches } = require('./schemas');
+const { jobEvents, createJob, getJob, waitForJob } = require('./jobs');
+const { deleteDirectory } = require('./utils');
+const { dropCachedRenders } = require('./cache');
+const { saveProblem, listProblems, getProblem, deleteProblem } = require('./db');
+const { IngestError, isProblemUrl, ingestProblem, toQuestionText } = require('./ingest');
+const { DEFAULT_LANGUAGE, isSupportedLanguage, listLanguages } = require('./languages');
+const { loadRenderSource } = require('./pipeline');
+const { ExportError, listExports, createExport } = require('./exports');
+const { getTrace } = require('./traces');
+const { verifyApproach } = require('./verify');
+const { BenchmarkError, benchmarkApproach } = require('./benchmark');
+const { listQualityPresets } = require('./manim');
+const { TTS_ENGINES, SPEED_RANGE, PITCH_RANGE, getDefaultEngine, listEngines } = require('./tts');
 
 const app = express();
 const port = process.env.PORT || 5000;
 
-// Initialize Gemini
-const genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
-
+// CORS comes first so the player can load caption tracks from /videos
+app.use(cors());
 // Serve static video files
 app.use('/videos', express.static(path.join(__dirname, 'videos')));
-app.use(cors());
 app.use(express.json());
 
-const rendersDir = path.join(__dirname, 'renders');
 const videosDir = path.join(__dirname, 'videos');
-const audioDir = path.join(__dirname, 'audio');
-fs.mkdirSync(rendersDir, { recursive: true });
 fs.mkdirSync(videosDir, { recursive: true });
-fs.mkdirSync(audioDir, { recursive: true });
 
-// Function to recursively delete directory
-function deleteDirectory(dirPath) {
+// Route to handle problem analysis
+app.post('/api/analyze', async (req, res) => {
   try {
-    if (fs.existsSync(dirPath)) {
-      fs.rmSync(dirPath, { recursive: true, force: true });
-      console.log(`Successfully deleted directory: ${dirPath}`);
-    }
-  } catch (error) {
-    console.error(`Error deleting directory ${dirPath}:`, error);
-  }
-}
+    let { question, language = DEFAULT_LANGUAGE } = req.body;
 
-// Function to find video file recursively
-function findVideoFile(dir, baseName = '') {
-  try {
-    if (!fs.existsSync(dir)) return null;
-    
-    const items = fs.readdirSync(dir, { withFileTypes: true });
-    
-    // First, look for .mp4 files in current directory
-    for (const item of items) {
-      if (item.isFile() && item.name.endsWith('.mp4')) {
-        return path.join(dir, item.name);
-      }
+    if (!question) {
+      return res.status(400).json({ error: 'Question is required' });
     }
-    
-    // Then, recursively search subdirectories
-    for (const item of items) {
-      if (item.isDirectory()) {
-        const result = findVideoFile(path.join(dir, item.name), baseName);
-        if (result) return result;
-      }
+    if (!isSupportedLanguage(language)) {
+      return res.status(400).json({ error: `Unsupported language "${language}"` });
     }
-    
-    return null;
-  } catch (error) {
-    console.error('Error finding video file:', error);
-    return null;
-  }
-}
 
-// Function to clean JSON response
-function cleanJsonResponse(text) {
-  text = text.replace(/```json\n?/g, '');
-  text = text.replace(/```\n?/g, '');
-  text = text.trim();
-  return text;
-}
+    // A pasted LeetCode/GFG link is imported and normalized before analysis
+    let source = null;
+    if (isProblemUrl(question)) {
+      const imported = await ingestProblem(question);
+      source = { site: imported.source, url: imported.url };
+      question = toQuestionText(imported);
+    }
 
-// Function to clean Python code response
-function cleanPythonResponse(text) {
-  text = text.replace(/```python\n?/g, '');
-  text = text.replace(/```\n?/g, '');
-  text = text.trim();
-  return text;
-}
+    const approaches = await generateApproaches(question, { language });
+    const problem = saveProblem({ question, approaches, language });
 
-// Function to generate narration steps
-async function generateNarrationSteps(code) {
-  const model = genAI.getGenerativeModel({ model: "gemini-2.0-flash" });
+    res.json({
+      id: problem.id,
+      question,
+      language,
+      title: problem.title,
+      source,
+      approaches: problem.approaches
+    });
+  } catch (error) {
+    console.error('Error in /api/analyze:', error);
+    if (error instanceof IngestError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    res.status(500).json({ error: 'Failed to analyze problem' });
+  }
+});
 
-  const prompt = `You are an expert DSA educator. Generate clear, concise narration steps that explain what's happening in the algorithm visualization.
+// Route to switch an analysis to another language: only the prose of the
+// approaches is translated, so their code stays exactly as it was. The
+// translation is saved as a new analysis, like /api/analyze.
+app.post('/api/translate', async (req, res) => {
+  try {
+    const { question, approaches, language } = req.body;
 
-Create a JSON array of narration steps. Each step should be a short, clear sentence that explains what's happening at that moment in the algorithm execution.
+    if (!question || !Array.isArray(approaches) || approaches.length === 0) {
+      return res.status(400).json({ error: 'Question and approaches are required' });
+    }
+    if (!isSupportedLanguage(language)) {
+      return res.status(400).json({ error: `Unsupported language "${language}"` });
+    }
 
-Requirements:
-- Each step should be 1-2 sentences maximum
-- Use simple, clear language suitable for audio narration
-- Focus on the key operations: comparisons, swaps, movements, updates
-- Explain the "why" behind each action when relevant
-- Keep each step under 150 characters for natural speech flow
+    // Stored ids and renders belong to the original analysis
+    const translated = await translateApproaches(normalizeApproaches(approaches), { language });
+    const problem = saveProblem({ question, approaches: translated, language });
 
-Return ONLY a JSON array of strings, no markdown formatting.
+    res.json({
+      id: problem.id,
+      question,
+      language,
+      title: problem.title,
+      approaches: problem.approaches
+    });
+  } catch (error) {
+    console.error('Error in /api/translate:', error);
+    res.status(500).json({ error: 'Failed to translate explanation' });
+  }
+});
 
-Example format:
-[
-  "We start with an unsorted array of 6 elements",
-  "The algorithm compares the first two elements: 5 and 2",
-  "Since 5 is greater than 2, we swap their positions",
-  "Now we move to the next pair and repeat the comparison"
-]
+// Route to import a problem from a LeetCode/GeeksforGeeks URL without analyzing it
+app.post('/api/ingest', async (req, res) => {
+  try {
+    const { url } = req.body;
+    if (!url) {
+      return res.status(400).json({ error: 'URL is required' });
+    }
 
-Algorithm code:
-${code}`;
+    const problem = await ingestProblem(url);
+    res.json({ ...problem, question: toQuestionText(problem) });
+  } catch (error) {
+    console.error('Error in /api/ingest:', error);
+    const status = error instanceof IngestError ? error.status : 500;
+    res.status(status).json({ error: error.message });
+  }
+});
 
+// Route to list stored analyses, newest first
+app.get('/api/problems', (req, res) => {
   try {
-    const result = await model.generateContent(prompt);
-    const response = await result.response;
-    const text = response.text();
-    const cleanedText = cleanJsonResponse(text);
-    const steps = JSON.parse(cleanedText);
-    console.log("Generated narration steps:", steps);
-    return steps;
+    const limit = Math.min(Number(req.query.limit) || 20, 100);
+    const offset = Number(req.query.offset) || 0;
+    res.json(listProblems({ limit, offset }));
   } catch (error) {
-    console.error('Error generating narration steps:', error);
-    throw error;
+    console.error('Error in /api/problems:', error);
+    res.status(500).json({ error: 'Failed to list problems' });
   }
-}
+});
 
-// Function to generate text-to-speech audio
-async function generateAudio(narrationSteps, audioId) {
+// Route to reopen a stored analysis without calling the LLM again
+app.get('/api/problems/:id', (req, res) => {
   try {
-    const audioFilePath = path.join(audioDir, `${audioId}.wav`);
-    const fullNarration = narrationSteps.join('. ');
-    
-    console.log('Generating audio for narration:', fullNarration.substring(0, 100) + '...');
-
-    // Using pyttsx3 for text-to-speech (you'll need to install it: pip install pyttsx3)
-    const pythonScript = `
-import pyttsx3
-import sys
+    const problem = getProblem(req.params.id);
+    if (!problem) {
+      return res.status(404).json({ error: 'Problem not found' });
+    }
+    res.json(problem);
+  } catch (error) {
+    console.error('Error in /api/problems/:id:', error);
+    res.status(500).json({ error: 'Failed to load problem' });
+  }
+});
 
-def generate_speech(text, output_path):
-    engine = pyttsx3.init()
-    
-    # Set properties
-    engine.setProperty('rate', 150)  # Speed of speech
-    engine.setProperty('volume', 0.8)  # Volume level (0.0 to 1.0)
-    
-    # Get available voices
-    voices = engine.getProperty('voices')
-    if len(voices) > 1:
-        engine.setProperty('voice', voices[1].id)  # Use female voice if available
-    
-    # Save to file
-    engine.save_to_file(text, output_path)
-    engine.runAndWait()
-    print(f"Audio saved to: {output_path}")
-
-if __name__ == "__main__":
-    text = """${fullNarration.replace(/"/g, '\\"')}"""
-    output_path = "${audioFilePath.replace(/\\/g, '\\\\')}"
-    generate_speech(text, output_path)
-`;
-
-    const scriptPath = path.join(audioDir, `${audioId}_script.py`);
-    fs.writeFileSync(scriptPath, pythonScript);
-
-    return new Promise((resolve, reject) => {
-      const pythonProcess = spawn('python', [scriptPath], {
-        stdio: ['pipe', 'pipe', 'pipe']
-      });
-
-      let output = '';
-      let errorOutput = '';
-
-      pythonProcess.stdout.on('data', (data) => {
-        output += data.toString();
-      });
-
-      pythonProcess.stderr.on('data', (data) => {
-        errorOutput += data.toString();
-      });
-
-      pythonProcess.on('close', (code) => {
-        // Clean up the script file
-        try {
-          fs.unlinkSync(scriptPath);
-        } catch (err) {
-          console.error('Error cleaning up script file:', err);
-        }
-
-        if (code === 0 && fs.existsSync(audioFilePath)) {
-          console.log('Audio generated successfully');
-          resolve(audioFilePath);
-        } else {
-          console.error('Audio generation failed:', errorOutput);
-          reject(new Error(`Audio generation failed: ${errorOutput}`));
-        }
-      });
-
-      pythonProcess.on('error', (error) => {
-        reject(new Error(`Failed to start audio generation: ${error.message}`));
-      });
-    });
+app.delete('/api/problems/:id', (req, res) => {
+  try {
+    const removedRenders = deleteProblem(req.params.id);
+    if (!removedRenders) {
+      return res.status(404).json({ error: 'Problem not found' });
+    }
+    // Renders no other saved analysis uses leave the cache and the disk
+    dropCachedRenders(removedRenders);
+    removedRenders.forEach(renderId => deleteDirectory(path.join(videosDir, renderId)));
+    res.json({ message: `Problem ${req.params.id} deleted successfully` });
   } catch (error) {
-    console.error('Error in generateAudio:', error);
-    throw error;
+    console.error('Error deleting problem:', error);
+    res.status(500).json({ error: 'Failed to delete problem' });
   }
+});
+
+// Function to read render options from a request; `language` may also be
+// given at the top level of the body
+function readRenderOptions(body) {
+  const options = { ...body.options };
+  if (body.language) options.language = body.language;
+  return options;
 }
 
-// Function to combine video and audio using FFmpeg
-async function combineVideoAndAudio(videoPath, audioPath, outputPath) {
-  return new Promise((resolve, reject) => {
-    const ffmpeg = spawn('ffmpeg', [
-      '-i', videoPath,           // Input video
-      '-i', audioPath,           // Input audio
-      '-c:v', 'copy',            // Copy video stream without re-encoding
-      '-c:a', 'aac',             // Encode audio to AAC
-      '-shortest',               // End when shortest stream ends
-      '-y',                      // Overwrite output file
-      outputPath
-    ]);
-
-    let output = '';
-    let errorOutput = '';
-
-    ffmpeg.stdout.on('data', (data) => {
-      output += data.toString();
-    });
+// Function to reject render options the pipeline cannot honour
+function validateRenderOptions(options) {
+  if (options.language && !isSupportedLanguage(options.language)) {
+    return `Unsupported language "${options.language}"`;
+  }
+  if (options.quality && !listQualityPresets().some(preset => preset.name === options.quality)) {
+    return `Unknown quality preset "${options.quality}"`;
+  }
+  const engine = options.voice?.engine;
+  if (engine && !TTS_ENGINES.includes(engine)) {
+    return `Unknown TTS engine "${engine}". Expected one of: ${TTS_ENGINES.join(', ')}`;
+  }
+  return null;
+}
 
-    ffmpeg.stderr.on('data', (data) => {
-      errorOutput += data.toString();
-    });
+// Route to list the languages explanations and narration can be generated in
+app.get('/api/languages', (req, res) => {
+  res.json({ defaultLanguage: DEFAULT_LANGUAGE, languages: listLanguages() });
+});
 
-    ffmpeg.on('close', (code) => {
-      if (code === 0) {
-        console.log('Video and audio combined successfully');
-        resolve(outputPath);
-      } else {
-        console.error('FFmpeg failed:', errorOutput);
-        reject(new Error(`FFmpeg failed with code ${code}: ${errorOutput}`));
-      }
-    });
+// Route to list the render quality presets
+app.get('/api/quality-presets', (req, res) => {
+  res.json({ presets: listQualityPresets() });
+});
 
-    ffmpeg.on('error', (error) => {
-      reject(new Error(`Failed to start FFmpeg: ${error.message}`));
+// Route to list the TTS engines and voices renders can be narrated with
+app.get('/api/tts/engines', async (req, res) => {
+  try {
+    res.json({
+      defaultEngine: getDefaultEngine(),
+      speedRange: SPEED_RANGE,
+      pitchRange: PITCH_RANGE,
+      engines: await listEngines()
     });
-  });
-}
+  } catch (error) {
+    console.error('Error in /api/tts/engines:', error);
+    res.status(500).json({ error: 'Failed to list TTS engines' });
+  }
+});
 
-// Function to generate approaches using Gemini
-async function generateApproaches(question) {
-  console.log("question:", question);
-
-  const model = genAI.getGenerativeModel({ model: "gemini-2.0-flash" });
-
-  const prompt = `You are an expert DSA mentor. For the given DSA problem, provide all possible solution approaches.
-
-Return ONLY a JSON array of objects, with NO markdown formatting, NO explanations, and NO extra text. Each object must have these exact fields:
-{
-  "title": string,
-  "timeComplexity": string,
-  "spaceComplexity": string,
-  "description": string,
-  "code": {
-  "javaCode": string (Java code),
-  "pythonCode": string (Python code),
-  "cppCode": string (C++ code),
-  "jsCode": string (JavaScript code),
+// Route to queue an animation render; returns the job to poll. With
+// sourceRenderId, that render's script and narration are rendered again with
+// the new options (e.g. a higher quality) without calling the LLM. With the
+// question, the solution is traced on one of its examples to guide the video.
+app.post('/api/animations', (req, res) => {
+  const { approach, sourceRenderId, question } = req.body;
+  if (!approach || !approach.code) {
+    return res.status(400).json({ error: 'Approach details are required' });
+  }
+  const options = readRenderOptions(req.body);
+  const optionsError = validateRenderOptions(options);
+  if (optionsError) {
+    return res.status(400).json({ error: optionsError });
+  }
+  if (sourceRenderId && !loadRenderSource(sourceRenderId)) {
+    return res.status(404).json({ error: 'Render not found or no longer available to re-render' });
   }
-  
-  "pros": string[],
-  "cons": string[],
-  "concepts": string[]
-}
 
-Problem:
-${question}`;
+  const job = createJob(approach, options, { sourceRenderId, question });
+  res.status(202).json(job);
+});
 
-  try {
-    const result = await model.generateContent(prompt);
-    const response = await result.response;
-    const text = response.text();
-
-    const cleanedText = cleanJsonResponse(text);
-    const approaches = JSON.parse(cleanedText);
-    console.log("approaches:", approaches);
-    return approaches;
-  } catch (error) {
-    console.error('Error generating approaches:', error);
-    throw error;
+// Route to report a render job's stage, timestamps and result or error
+app.get('/api/animations/:jobId', (req, res) => {
+  const job = getJob(req.params.jobId);
+  if (!job) {
+    return res.status(404).json({ error: 'Job not found' });
   }
-}
+  res.json(job);
+});
 
-async function generateManimScript(code, narrationSteps) {
-  const scriptId = uuidv4();
-  const model = genAI.getGenerativeModel({ model: "gemini-2.0-flash" });
-
-//   const prompt = `You are an expert in the Manim animation library.
-
-// Generate a clean, error-free Manim script that visually demonstrates the working of the given Java algorithm using a specific example input. The animation should be synchronized with the provided narration steps.
-
-// Narration Steps: ${JSON.stringify(narrationSteps)}
-
-// Constraints:
-// - Do not include or reference the original code in the video.
-// - Explain the algorithm only through animations using a step-by-step example.
-// - Use appropriate Manim classes like Rectangle, Text, VGroup, and Arrow.
-// - Animate index pointers (like i and j), variable values (like sum, count), and array traversal clearly.
-// - Each animation step should correspond to a narration step
-// - Add appropriate wait times between steps to match audio pacing (use self.wait(2) between major steps)
-// - Ensure all elements are visible within screen bounds and do not overlap.
-// - Make sure the text or any element does not overlap with each other. Everything should be clearly visible on the screen.
-// - There should be proper spacing between texts and any other element.
-// - All texts, shapes, and animations should be well-aligned and spaced.
-// - Return only the Manim Python code, nothing else. Do not include markdown formatting.
-
-// Code:
-// ${code}
-// `;
-
-const prompt = `You are an expert in the Manim animation library. Generate a clean, error-free Manim script that visually demonstrates the working of the given Java algorithm using a specific example input.
-
-CRITICAL REQUIREMENTS FOR ERROR-FREE CODE:
-1. Always import required Manim classes at the top: from manim import *
-2. Use proper Manim syntax and method names (e.g., Create() not create(), FadeIn() not fade_in())
-3. All animations must use self.play() to execute
-4. Use self.wait() for pauses, not wait()
-5. Ensure proper scene class inheritance from Scene
-6. Use correct positioning methods like .to_edge(), .next_to(), .shift()
-7. Always check that referenced objects exist before animating them
-8. Use proper color constants (RED, BLUE, GREEN, etc.)
-
-ANIMATION STRUCTURE:
-- Create a Scene class that inherits from Scene
-- Implement construct(self) method
-- Use concrete example data (e.g., array = [3, 7, 1, 9, 2] for sorting algorithms)
-- Show algorithm execution step-by-step with the example data
-
-VISUAL ELEMENTS GUIDELINES:
-- Arrays: Use Rectangle objects arranged horizontally with Text labels inside
-- Pointers/Indices: Use Arrow objects pointing to array elements, with Text labels (i, j, etc.)
-- Variables: Display as Text objects in a dedicated area (top-right corner)
-- Comparisons: Highlight compared elements with color changes
-- Swaps/Moves: Use Transform or ReplacementTransform animations
-- Status Messages: Use Text objects to show current operation
-
-SPACING AND LAYOUT:
-- Position arrays in center: array_group.move_to(ORIGIN)
-- Place variables at top-right: variables.to_edge(UP + RIGHT)
-- Position pointers below arrays with proper spacing: .shift(DOWN * 0.8)
-- Ensure minimum 0.5 unit spacing between text elements
-- Use .arrange(RIGHT, buff=0.1) for horizontal arrangement
-- Use .arrange(DOWN, buff=0.3) for vertical arrangement
-
-ANIMATION SYNCHRONIZATION:
-- Each animation step should correspond to a narration step
-- Use self.wait(2) between major algorithm steps
-- Use self.wait(1) for minor transitions
-- Add self.wait(0.5) after highlighting elements
-
-ERROR PREVENTION CHECKLIST:
-- Verify all object names match throughout the script
-- Check that all animations use self.play()
-- Ensure all waits use self.wait()
-- Confirm proper import statement
-- Validate that scene class extends Scene
-- Check method is named construct(self)
-
-EXAMPLE STRUCTURE:
-python
-from manim import *
-
-class AlgorithmDemo(Scene):
-    def construct(self):
-        # Create visual elements
-        # Show initial state
-        # Step through algorithm with example
-        # Each step: animate + wait
-
-
-Narration Steps: ${JSON.stringify(narrationSteps)}
-
-Algorithm Code: ${code}
-
-Generate ONLY the Python Manim code with no markdown formatting or explanations.`;
+// Route to stream a render job's progress as Server-Sent Events
+app.get('/api/animations/:jobId/events', (req, res) => {
+  const { jobId } = req.params;
+  const job = getJob(jobId);
+  if (!job) {
+    return res.status(404).json({ error: 'Job not found' });
+  }
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+
+  const isFinished = (current) => current.status === 'completed' || current.status === 'failed';
+  const send = (current) => {
+    res.write(`data: ${JSON.stringify(current)}\n\n`);
+    if (isFinished(current)) {
+      cleanup();
+      res.end();
+    }
+  };
+
+  const onUpdate = (updated) => {
+    if (updated.id === jobId) send(updated);
+  };
+
+  // Re-send periodically so the time estimate keeps moving between stage changes
+  const refresh = setInterval(() => {
+    const current = getJob(jobId);
+    if (current) send(current);
+  }, 2000);
+
+  const cleanup = () => {
+    clearInterval(refresh);
+    jobEvents.off('update', onUpdate);
+  };
+
+  jobEvents.on('update', onUpdate);
+  req.on('close', cleanup);
+  send(job);
+});
 
+// Blocking route kept for older clients: queues a job and waits for it
+app.post('/api/getAnimation', async (req, res) => {
   try {
-    const result = await model.generateContent(prompt);
-    const response = await result.response;
-    const scriptContent = cleanPythonResponse(response.text());
+    const { approach, question } = req.body;
+    if (!approach || !approach.code) {
+      return res.status(400).json({ error: 'Approach details are required' });
+    }
+    const options = readRenderOptions(req.body);
+    const optionsError = validateRenderOptions(options);
+    if (optionsError) {
+      return res.status(400).json({ error: optionsError });
+    }
 
-    return { scriptId, scriptContent };
+    const job = await waitForJob(createJob(approach, options, { question }).id);
+
+    if (job.status === 'completed') {
+      return res.json(job.result);
+    }
+
+    const { message, status, ...details } = job.error;
+    res.status(status).json({ error: message, ...details });
   } catch (error) {
-    console.error('Error generating Manim script:', error);
-    throw error;
+    console.error('Error in /api/getAnimation:', error);
+    res.status(500).json({ 
+      error: 'Failed to generate animation with audio',
+      details: error.message
+    });
   }
-}
+});
 
-// Route to handle problem analysis
-app.post('/api/analyze', async (req, res) => {
+// Route to get the step-by-step execution trace the in-browser visualizer
+// plays, recorded from a run on the question's first example (written by the
+// model when the code cannot be run); built once, then served from the database
+app.post('/api/traces', async (req, res) => {
   try {
-    const { question } = req.body;
-
-    if (!question) {
-      return res.status(400).json({ error: 'Question is required' });
+    const { approach, question, language = DEFAULT_LANGUAGE } = req.body;
+    if (!approach?.code?.jsCode) {
+      return res.status(400).json({ error: 'Approach with JavaScript code is required' });
+    }
+    if (!isSupportedLanguage(language)) {
+      return res.status(400).json({ error: `Unsupported language "${language}"` });
     }
 
-    const approaches = await generateApproaches(question);
-
-    res.json({
-      question,
-      title: "Problem Analysis",
-      approaches
-    });
+    const trace = await getTrace(approach, { question, language });
+    res.json(trace);
   } catch (error) {
-    console.error('Error in /api/analyze:', error);
-    res.status(500).json({ error: 'Failed to analyze problem' });
+    console.error('Error in /api/traces:', error);
+    res.status(500).json({ error: 'Failed to generate trace' });
   }
 });
 
-// Enhanced route to get animation URL with audio
-app.post('/api/getAnimation', async (req, res) => {
-  let renderDir = null;
-  let audioFilePath = null;
-  
+// Route to run an approach's code in every language against the examples in
+// the question, in sandboxed processes; returns pass/fail per language
+app.post('/api/verify', async (req, res) => {
   try {
-    const { approach } = req.body;
-    if (!approach) {
-      return res.status(400).json({ error: 'Approach details are required' });
+    const { question, approach } = req.body;
+    if (!question || !approach?.code) {
+      return res.status(400).json({ error: 'Question and approach are required' });
     }
-    
-    console.log("---------------------");
-    console.log("Generating animation with audio for approach:", approach.title);
 
-    let code = approach.code.javaCode 
-        || approach.code.cppCode 
-        || approach.code.pythonCode 
-        || approach.code.jsCode;
+    res.json(await verifyApproach(question, approach));
+  } catch (error) {
+    console.error('Error in /api/verify:', error);
+    res.status(500).json({ error: 'Failed to verify approach' });
+  }
+});
 
-    // Generate narration steps
-    const narrationSteps = await generateNarrationSteps(code);
-    
-    // Generate Manim script with narration awareness
-    const { scriptContent, scriptId } = await generateManimScript(code, narrationSteps);
-    console.log('Generated Manim script with ID:', scriptId);
-
-    // Create a unique directory for this render
-    const renderId = scriptId;
-    renderDir = path.join(rendersDir, renderId);
-    fs.mkdirSync(renderDir, { recursive: true });
-
-    // Write the Python script to a file
-    const scriptPath = path.join(renderDir, 'animation.py');
-    fs.writeFileSync(scriptPath, scriptContent);
-
-    // Generate audio
-    audioFilePath = await generateAudio(narrationSteps, renderId);
-    console.log('Audio generated at:', audioFilePath);
-
-    console.log(`Running Manim in directory: ${renderDir}`);
-    console.log(`Script path: ${scriptPath}`);
-
-    // Use child_process.spawn for better control over the Manim process
-    const manim = spawn('python', ['-m', 'manim', 'animation.py', '-ql'], {
-      cwd: renderDir,
-      stdio: ['pipe', 'pipe', 'pipe']
-    });
+// Route to measure an approach's JavaScript code on growing inputs and compare
+// the fitted growth with its stated time and space complexity
+app.post('/api/benchmark', async (req, res) => {
+  try {
+    const { question, approach } = req.body;
+    if (!question || !approach?.code?.jsCode) {
+      return res.status(400).json({ error: 'Question and approach with JavaScript code are required' });
+    }
 
-    let output = '';
-    let errorOutput = '';
+    res.json(await benchmarkApproach(question, approach));
+  } catch (error) {
+    console.error('Error in /api/benchmark:', error);
+    const status = error instanceof BenchmarkError ? error.status : 500;
+    res.status(status).json({ error: error.message });
+  }
+});
 
-    manim.stdout.on('data', (data) => {
-      const dataStr = data.toString();
-      output += dataStr;
-    });
+// Route to inspect the render attempts (errors and script diffs) of a render
+app.get('/api/renders/:renderId/log', (req, res) => {
+  const logPath = path.join(__dirname, 'logs', 'renders', `${path.basename(req.params.renderId)}.json`);
 
-    manim.stderr.on('data', (data) => {
-      const dataStr = data.toString();
-      errorOutput += dataStr;
-    });
-
-    manim.on('close', async (code) => {
-      console.log(`Manim process exited with code ${code}`);
-
-      if (code !== 0) {
-        console.error('Manim failed with output:', output);
-        console.error('Manim failed with error:', errorOutput);
-        
-        // Clean up on failure
-        if (renderDir) deleteDirectory(renderDir);
-        if (audioFilePath && fs.existsSync(audioFilePath)) fs.unlinkSync(audioFilePath);
-        
-        return res.status(500).json({ 
-          error: `Manim failed with code ${code}`, 
-          output: output,
-          errorOutput: errorOutput
-        });
-      }
-
-      try {
-        // Find the generated video file recursively
-        const videoPath = findVideoFile(renderDir);
-
-        if (!videoPath) {
-          console.error('No video file found in render directory:', renderDir);
-          
-          // Clean up on failure
-          if (renderDir) deleteDirectory(renderDir);
-          if (audioFilePath && fs.existsSync(audioFilePath)) fs.unlinkSync(audioFilePath);
-          
-          return res.status(500).json({ 
-            error: 'No video file generated',
-            output: output,
-            errorOutput: errorOutput
-          });
-        }
-
-        console.log('Found video file at:', videoPath);
-
-        // Create final video directory
-        const publicDir = path.join(videosDir, renderId);
-        fs.mkdirSync(publicDir, { recursive: true });
-
-        // Combine video and audio
-        const videoFileName = path.basename(videoPath);
-        const baseFileName = videoFileName.replace('.mp4', '');
-        const finalVideoPath = path.join(publicDir, `${baseFileName}_with_audio.mp4`);
-
-        await combineVideoAndAudio(videoPath, audioFilePath, finalVideoPath);
-
-        const videoUrl = `/videos/${renderId}/${baseFileName}_with_audio.mp4`;
-        console.log(`Video with audio successfully generated and available at: ${videoUrl}`);
-
-        // CLEANUP: Delete temporary files
-        deleteDirectory(renderDir);
-        if (audioFilePath && fs.existsSync(audioFilePath)) {
-          fs.unlinkSync(audioFilePath);
-        }
-        console.log(`Cleaned up temporary files`);
-
-        res.json({ videoUrl });
-        
-      } catch (error) {
-        console.error('Error processing video/audio combination:', error);
-        
-        // Clean up on error
-        if (renderDir) deleteDirectory(renderDir);
-        if (audioFilePath && fs.existsSync(audioFilePath)) fs.unlinkSync(audioFilePath);
-        
-        res.status(500).json({ 
-          error: 'Error processing generated video with audio',
-          details: error.message,
-          output: output,
-          errorOutput: errorOutput
-        });
-      }
-    });
+  if (!fs.existsSync(logPath)) {
+    return res.status(404).json({ error: 'Render log not found' });
+  }
+  res.sendFile(logPath);
+});
 
-    manim.on('error', (error) => {
-      console.error('Failed to start Manim process:', error);
-      
-      // Clean up on error
-      if (renderDir) deleteDirectory(renderDir);
-      if (audioFilePath && fs.existsSync(audioFilePath)) fs.unlinkSync(audioFilePath);
-      
-      res.status(500).json({ 
-        error: 'Failed to start Manim process',
-        details: error.message
-      });
-    });
+// Route to list the download formats of a render and which are ready
+app.get('/api/renders/:renderId/exports', (req, res) => {
+  try {
+    res.json({ exports: listExports(req.params.renderId) });
+  } catch (error) {
+    console.error('Error listing exports:', error);
+    const status = error instanceof ExportError ? error.status : 500;
+    res.status(status).json({ error: error.message });
+  }
+});
 
+// Route to make a GIF, WebM or storyboard export of a render; returns its URL
+app.post('/api/renders/:renderId/exports/:format', async (req, res) => {
+  try {
+    const { renderId, format } = req.params;
+    const url = await createExport(renderId, format);
+    res.json({ format, url });
   } catch (error) {
-    console.error('Error in /api/getAnimation:', error);
-    
-    // Clean up on error
-    if (renderDir) deleteDirectory(renderDir);
-    if (audioFilePath && fs.existsSync(audioFilePath)) fs.unlinkSync(audioFilePath);
-    
-    res.status(500).json({ 
-      error: 'Failed to generate animation with audio',
-      details: error.message
-    });
+    console.error('Error creating export:', error);
+    const status = error instanceof ExportError ? error.status : 500;
+    res.status(status).json({ error: error.message });
   }
 });
 
@@ -623,4 +445,8 @@ app.delete('/api/cleanup-all', (req, res) => {
 
 app.listen(port, () => {
   console.log(`Server is running on port ${port}`);
+  STAGES.forEach(stage => {
+    const { provider, model } = getStageConfig(stage);
+    console.log(`LLM for ${stage}: ${provider} (${model})`);
+  });
 });
\ No newline at end of file
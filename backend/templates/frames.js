@@ -0,0 +1,117 @@
+// Most frames a template scene animates; longer traces are sampled
+const MAX_FRAMES = 48;
+
+// Largest inputs the scenes can lay out legibly
+const MAX_ARRAY_LENGTH = 20;
+const MAX_GRID_SIZE = 10;
+
+// Variable names read as indices into the array being animated
+const POINTER_NAME = /^(i|j|k|l|r|m|p|q|lo|hi|low|high|mid|middle|left|right|start|end|begin|slow|fast|window(start|end))$|(index|idx|ptr|pointer)$/i;
+
+// Most scalar variables shown next to the animation
+const MAX_SCALARS = 4;
+
+const isPrimitive = value => ['number', 'string', 'boolean'].includes(typeof value) || value === null;
+const isIndex = value => Number.isInteger(value);
+
+// Strings are animated as arrays of characters
+function asArray(value) {
+  if (typeof value === 'string') return value.split('');
+  return Array.isArray(value) && value.every(isPrimitive) ? value : null;
+}
+
+function asGrid(value) {
+  return Array.isArray(value) && value.length > 0 && value.every(row => Array.isArray(row) && row.every(isPrimitive))
+    ? value
+    : null;
+}
+
+// Function to pick the input array a scene is built around: the longest
+// one-dimensional array (or string) passed to the traced function
+function findMainArray(trace) {
+  const candidates = Object.entries(trace.steps[0].variables)
+    .map(([name, value]) => ({ name, values: asArray(value) }))
+    .filter(candidate => candidate.values && candidate.values.length > 1);
+  if (candidates.length === 0) return null;
+
+  const main = candidates.reduce((best, candidate) => (candidate.values.length > best.values.length ? candidate : best));
+  return main.values.length <= MAX_ARRAY_LENGTH ? main.name : null;
+}
+
+// Function to pick the input grid of a grid search, or null if there is none
+// small enough to draw
+function findMainGrid(trace) {
+  const entry = Object.entries(trace.steps[0].variables).find(([, value]) => asGrid(value));
+  if (!entry) return null;
+  const grid = entry[1];
+  return grid.length <= MAX_GRID_SIZE && grid[0].length <= MAX_GRID_SIZE ? entry[0] : null;
+}
+
+// Function to find the first array variable, other than `exclude`, whose name
+// matches a pattern at any step of the trace
+function findArrayNamed(trace, pattern, exclude = []) {
+  for (const step of trace.steps) {
+    const name = Object.keys(step.variables)
+      .find(candidate => !exclude.includes(candidate) && pattern.test(candidate) && asArray(step.variables[candidate]));
+    if (name) return name;
+  }
+  return null;
+}
+
+// Function to list the pointer variables of a step that index into an array
+function readPointers(variables, length) {
+  return Object.fromEntries(Object.entries(variables)
+    .filter(([name, value]) => POINTER_NAME.test(name) && isIndex(value) && value >= 0 && value <= length));
+}
+
+// Function to pick the scalar variables worth showing, e.g. sums and counts
+function readScalars(variables, skip) {
+  return Object.fromEntries(Object.entries(variables)
+    .filter(([name, value]) => !skip.includes(name) && !POINTER_NAME.test(name) && isPrimitive(value) && value !== null)
+    .slice(0, MAX_SCALARS));
+}
+
+// Function to find the first variable of a step named in `names`
+function pickPointer(pointers, names) {
+  const name = names.find(candidate => pointers[candidate] !== undefined);
+  return name === undefined ? null : pointers[name];
+}
+
+// Function to read the indices written in a step's array mutations
+function changedIndices(step, name) {
+  return step.mutations
+    .filter(change => change.array === name && change.index !== undefined)
+    .map(change => change.index);
+}
+
+// Function to drop frames that look like the one before them, then sample the
+// rest evenly (always keeping the first and last) down to MAX_FRAMES
+function condenseFrames(frames) {
+  // The executed line alone does not make a frame worth showing
+  const state = frame => JSON.stringify({ ...frame, note: null });
+  const distinct = frames.filter((frame, index) => index === 0 || state(frame) !== state(frames[index - 1]));
+  if (distinct.length <= MAX_FRAMES) return distinct;
+
+  return Array.from({ length: MAX_FRAMES }, (_, index) =>
+    distinct[Math.round(index * (distinct.length - 1) / (MAX_FRAMES - 1))]);
+}
+
+// Function to describe the executed source line shown under the animation
+function describeLine(trace, step) {
+  const source = (trace.code.split('\n')[step.line - 1] || '').trim();
+  return `line ${step.line}: ${source.length > 60 ? `${source.slice(0, 57)}...` : source}`;
+}
+
+module.exports = {
+  asArray,
+  asGrid,
+  findMainArray,
+  findMainGrid,
+  findArrayNamed,
+  readPointers,
+  readScalars,
+  pickPointer,
+  changedIndices,
+  condenseFrames,
+  describeLine
+};
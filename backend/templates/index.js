@@ -0,0 +1,268 @@
+const path = require('path');
+const fs = require('fs');
+const {
+  asArray,
+  asGrid,
+  findMainArray,
+  findMainGrid,
+  findArrayNamed,
+  readPointers,
+  readScalars,
+  pickPointer,
+  changedIndices,
+  condenseFrames,
+  describeLine
+} = require('./frames');
+
+// Bump whenever a template or scene changes in a way that affects rendered
+// videos, so cached renders made with the old templates are not reused
+const TEMPLATE_VERSION = 1;
+
+const scenesDir = path.join(__dirname, 'scenes');
+
+// Line of a scene file replaced by the data the scene animates
+const DATA_MARKER = '# TEMPLATE DATA';
+
+// Pointer names read as the two ends of a range, most specific first
+const LEFT_POINTERS = ['left', 'l', 'start', 'windowStart', 'begin', 'lo', 'low'];
+const RIGHT_POINTERS = ['right', 'r', 'end', 'windowEnd', 'hi', 'high', 'j', 'i'];
+const MID_POINTERS = ['mid', 'm', 'middle'];
+
+// Row and column variable pairs read as the cell a grid search is visiting
+const CELL_POINTERS = [['r', 'c'], ['row', 'col'], ['nr', 'nc'], ['i', 'j'], ['x', 'y']];
+
+// Function to build one frame per trace step for the array scene. `extend`
+// returns the pattern's own fields for a step (a window, a search range, extra
+// rows), which replace the defaults.
+function buildArrayFrames(trace, extend) {
+  const main = findMainArray(trace);
+  if (!main) return null;
+
+  let values = asArray(trace.steps[0].variables[main]);
+  return trace.steps.map(step => {
+    // Helper functions may not see the array, so it keeps its last value
+    values = asArray(step.variables[main]) || values;
+    const pointers = readPointers(step.variables, values.length);
+    return {
+      values,
+      pointers,
+      highlight: changedIndices(step, main),
+      window: null,
+      range: null,
+      rows: [],
+      scalars: readScalars(step.variables, [main]),
+      note: describeLine(trace, step),
+      ...extend({ step, main, values, pointers })
+    };
+  });
+}
+
+// Function to read one of the extra arrays drawn under the main one
+function readRow(step, name, label = name) {
+  const values = asArray(step.variables[name]);
+  return values ? [{ label, values, highlight: changedIndices(step, name) }] : [];
+}
+
+// Function to clamp a range to the array, or null if it is empty
+function clampRange(lo, hi, length) {
+  if (lo === null || hi === null) return null;
+  const range = [Math.max(0, lo), Math.min(hi, length - 1)];
+  return range[0] <= range[1] ? range : null;
+}
+
+// Function to build one frame per trace step for the grid scene: the grid,
+// the cells changed or visited so far, the cell being visited and the queue
+// or stack of cells still to visit
+function buildGridFrames(trace) {
+  const main = findMainGrid(trace);
+  if (!main) return null;
+
+  // A separate visited (or distance) grid marks cells as well as changes to the grid itself
+  const findVisited = step => Object.keys(step.variables)
+    .find(name => name !== main && /visit|seen|dist/i.test(name) && asGrid(step.variables[name]));
+  const firstVisitedStep = trace.steps.find(findVisited);
+  const visitedName = firstVisitedStep ? findVisited(firstVisitedStep) : null;
+  const initialVisited = visitedName ? firstVisitedStep.variables[visitedName] : null;
+
+  const initial = trace.steps[0].variables[main];
+  let cells = initial;
+  let visited = initialVisited;
+  return trace.steps.map(step => {
+    cells = asGrid(step.variables[main]) || cells;
+    visited = (visitedName && asGrid(step.variables[visitedName])) || visited;
+
+    const marked = [];
+    cells.forEach((row, r) => row.forEach((value, c) => {
+      const changed = value !== initial[r]?.[c];
+      const seen = visited && visited[r]?.[c] !== initialVisited[r]?.[c];
+      if (changed || seen) marked.push([r, c]);
+    }));
+
+    const pair = CELL_POINTERS.find(([row, col]) =>
+      Number.isInteger(step.variables[row]) && Number.isInteger(step.variables[col])
+      && step.variables[row] >= 0 && step.variables[row] < cells.length
+      && step.variables[col] >= 0 && step.variables[col] < cells[0].length);
+
+    const frontier = Object.keys(step.variables)
+      .find(name => /queue|^q$|stack|^st$|frontier/i.test(name) && Array.isArray(step.variables[name]));
+    return {
+      cells,
+      marked,
+      current: pair ? [step.variables[pair[0]], step.variables[pair[1]]] : null,
+      frontier: frontier ? `${frontier}: ${JSON.stringify(step.variables[frontier])}` : null,
+      depth: step.callStack.length,
+      scalars: readScalars(step.variables, [main, visitedName, ...(pair || [])]),
+      note: describeLine(trace, step)
+    };
+  });
+}
+
+// Supported patterns, tried in order: the first whose concepts match and
+// whose frames can be built from the trace is used
+const TEMPLATES = [
+  {
+    name: 'monotonic-stack',
+    label: 'Monotonic stack',
+    concepts: /monoton(ic|e) (stack|queue|deque)/i,
+    scene: 'array.py',
+    buildFrames: trace => {
+      const main = findMainArray(trace);
+      const stack = main && findArrayNamed(trace, /stack|stk|^st$|deque|dq|queue/i, [main]);
+      if (!stack) return null;
+      const result = findArrayNamed(trace, /^(res|result|ans|answer|output|out|next\w*|greater\w*|smaller\w*)$/i, [main, stack]);
+      return buildArrayFrames(trace, ({ step }) => ({
+        rows: [...readRow(step, stack, `${stack} (top at right)`), ...(result ? readRow(step, result) : [])]
+      }));
+    }
+  },
+  {
+    name: 'sliding-window',
+    label: 'Sliding window',
+    concepts: /sliding[- ]window/i,
+    scene: 'array.py',
+    buildFrames: trace => buildArrayFrames(trace, ({ values, pointers }) => {
+      const right = pickPointer(pointers, RIGHT_POINTERS);
+      // A loop over i with a j ahead of it uses i as the left end
+      const left = pickPointer(pointers, LEFT_POINTERS) ?? (pointers.j !== undefined ? pointers.i ?? null : null);
+      return { window: clampRange(left, right, values.length) };
+    }),
+    fits: frames => frames.some(frame => frame.window)
+  },
+  {
+    name: 'binary-search',
+    label: 'Binary search',
+    concepts: /binary[- ]search/i,
+    scene: 'array.py',
+    buildFrames: trace => buildArrayFrames(trace, ({ values, pointers }) => {
+      const mid = pickPointer(pointers, MID_POINTERS);
+      return {
+        range: clampRange(pickPointer(pointers, LEFT_POINTERS), pickPointer(pointers, ['hi', 'high', 'right', 'r', 'end']), values.length),
+        highlight: mid !== null && mid < values.length ? [mid] : []
+      };
+    }),
+    fits: frames => frames.some(frame => frame.range)
+  },
+  {
+    name: 'prefix-sums',
+    label: 'Prefix sums',
+    concepts: /prefix[- ]sums?|cumulative sums?|running sums?/i,
+    scene: 'array.py',
+    buildFrames: trace => {
+      const main = findMainArray(trace);
+      const prefix = main && findArrayNamed(trace, /prefix|^pre|cum|psum|sums?$|running/i, [main]);
+      if (!prefix) return null;
+      return buildArrayFrames(trace, ({ step }) => ({ rows: readRow(step, prefix) }));
+    },
+    fits: frames => frames.some(frame => frame.rows.length > 0)
+  },
+  {
+    name: 'grid-search',
+    label: 'Grid search',
+    concepts: /\b(bfs|dfs)\b|breadth[- ]first|depth[- ]first|flood[- ]fill/i,
+    scene: 'grid.py',
+    buildFrames: buildGridFrames,
+    fits: frames => frames.some(frame => frame.current || frame.marked.length > 0)
+  },
+  {
+    name: 'two-pointers',
+    label: 'Two pointers',
+    concepts: /two[- ]pointers?|fast (and|&) slow pointers?/i,
+    scene: 'array.py',
+    buildFrames: trace => buildArrayFrames(trace, () => ({})),
+    fits: frames => frames.some(frame => Object.keys(frame.pointers).length >= 2)
+  }
+];
+
+// Function to write a JSON value as a Python literal
+function toPython(value) {
+  if (value === null || value === undefined) return 'None';
+  if (typeof value === 'boolean') return value ? 'True' : 'False';
+  if (typeof value === 'number') {
+    if (Number.isFinite(value)) return String(value);
+    return Number.isNaN(value) ? 'float("nan")' : `float("${value > 0 ? 'inf' : '-inf'}")`;
+  }
+  if (typeof value === 'string') return JSON.stringify(value);
+  if (Array.isArray(value)) return `[${value.map(toPython).join(', ')}]`;
+  return `{${Object.entries(value).map(([key, item]) => `${JSON.stringify(key)}: ${toPython(item)}`).join(', ')}}`;
+}
+
+// Function to share the frames out over the narration steps, so each step's
+// animation lasts exactly as long as its audio clip. The first frame is on
+// screen from the start, so the rest are spread over the steps.
+function buildSegments(frameCount, timing) {
+  const steps = timing.steps;
+  const moves = frameCount - 1;
+  return steps.map((step, index) => ({
+    slot: step.slot,
+    frames: Array.from(
+      { length: Math.floor((index + 1) * moves / steps.length) - Math.floor(index * moves / steps.length) },
+      (_, offset) => 1 + Math.floor(index * moves / steps.length) + offset
+    )
+  }));
+}
+
+// Function to find the template for an approach: the first whose pattern is
+// among the approach's concepts and that can animate the trace. Returns null
+// when none applies, so the script is generated instead.
+function findTemplate(approach, trace) {
+  if (!trace || trace.steps.length === 0) return null;
+  const concepts = Array.isArray(approach.concepts) ? approach.concepts : [];
+
+  for (const template of TEMPLATES) {
+    if (!concepts.some(concept => template.concepts.test(concept))) continue;
+    const frames = template.buildFrames(trace);
+    if (frames && (!template.fits || template.fits(frames))) {
+      return { template, frames: condenseFrames(frames) };
+    }
+  }
+  return null;
+}
+
+// Function to write the Manim script for an approach from a template, paced
+// to the narration timing, or return null if no template applies
+function buildTemplateScript(approach, trace, timing) {
+  const match = findTemplate(approach, trace);
+  if (!match) return null;
+
+  const { template, frames } = match;
+  const scene = fs.readFileSync(path.join(scenesDir, template.scene), 'utf8');
+  const data = [
+    `TITLE = ${toPython(`${approach.title || template.label} (${trace.input})`)}`,
+    `FRAMES = ${toPython(frames)}`,
+    `SEGMENTS = ${toPython(buildSegments(frames.length, timing))}`
+  ].join('\n');
+
+  return {
+    name: template.name,
+    label: template.label,
+    script: scene.replace(DATA_MARKER, data)
+  };
+}
+
+module.exports = {
+  TEMPLATE_VERSION,
+  TEMPLATES,
+  findTemplate,
+  buildSegments,
+  buildTemplateScript
+};
@@ -0,0 +1,172 @@
+"""Template scene for array patterns: two pointers, sliding window, binary
+search, prefix sums and monotonic stacks.
+
+The backend fills in the data below from an execution trace. Each frame is
+one state of the run; SEGMENTS lists, per narration step, how long the step
+lasts and which frames are shown during it.
+"""
+from manim import *
+
+# TEMPLATE DATA
+
+CELL_COLOR = "#3D5A80"
+HIGHLIGHT_COLOR = "#E07A5F"
+WINDOW_COLOR = "#81B29A"
+POINTER_COLOR = "#F2CC8F"
+
+# Animations shorter than this are shown as a cut instead
+MIN_RUN_TIME = 0.1
+MAX_RUN_TIME = 0.6
+
+MAIN_WIDTH = 11.0
+MAIN_Y = 0.9
+ROW_GAP = 1.4
+
+
+def short(value, limit=4):
+    text = str(value)
+    return text if len(text) <= limit else text[: limit - 1] + ".."
+
+
+def cell_size(length):
+    return min(0.9, MAIN_WIDTH / max(length, 1))
+
+
+def cell_x(index, length, cell):
+    return (index - (length - 1) / 2) * cell
+
+
+def draw_cells(values, y, cell, highlight=(), active=None):
+    """One box per value; boxes outside the active range are dimmed."""
+    cells = VGroup()
+    for index, value in enumerate(values):
+        dimmed = active is not None and not (active[0] <= index <= active[1])
+        box = Square(side_length=cell * 0.92, stroke_width=2, stroke_color=GRAY if dimmed else WHITE)
+        box.set_fill(HIGHLIGHT_COLOR if index in highlight else CELL_COLOR, opacity=0.2 if dimmed else 0.85)
+        box.move_to([cell_x(index, len(values), cell), y, 0])
+        label = Text(short(value), font_size=int(cell * 30)).move_to(box)
+        if dimmed:
+            label.set_opacity(0.4)
+        cells.add(VGroup(box, label))
+    return cells
+
+
+def draw_indices(length, y, cell):
+    indices = VGroup()
+    for index in range(length):
+        indices.add(Text(str(index), font_size=16, color=GRAY_B).move_to([cell_x(index, length, cell), y, 0]))
+    return indices
+
+
+def draw_pointers(pointers, length, y, cell):
+    """An arrow under each pointed-at index, labelled with every pointer there."""
+    by_index = {}
+    for name, index in pointers.items():
+        by_index.setdefault(index, []).append(name)
+
+    group = VGroup()
+    for index, names in sorted(by_index.items()):
+        x = cell_x(index, length, cell)
+        arrow = Arrow(start=[x, y - 0.8, 0], end=[x, y, 0], buff=0, color=POINTER_COLOR, stroke_width=4)
+        label = Text(", ".join(names), font_size=22, color=POINTER_COLOR).next_to(arrow, DOWN, buff=0.1)
+        group.add(VGroup(arrow, label))
+    return group
+
+
+def draw_row(row, y, cell):
+    """An extra array drawn under the main one, labelled above its left end."""
+    values = row["values"]
+    cells = draw_cells(values, y, cell, highlight=row["highlight"]) if values else VGroup(
+        Text("empty", font_size=22, color=GRAY_B).move_to([0, y, 0])
+    )
+    label = Text(row["label"], font_size=22, color=GRAY_A).next_to(cells, UP, buff=0.12, aligned_edge=LEFT)
+    return VGroup(cells, label)
+
+
+def draw_scalars(scalars):
+    if not scalars:
+        return VGroup()
+    text = Text("    ".join(name + " = " + short(value, 12) for name, value in scalars.items()), font_size=24)
+    if text.width > 13:
+        text.scale_to_fit_width(13)
+    return text.move_to([0, 2.7, 0])
+
+
+def draw_frame(frame):
+    """Every part of a frame, keyed so matching parts can be morphed into each other."""
+    values = frame["values"]
+    length = len(values)
+    cell = cell_size(max([length] + [len(row["values"]) for row in frame["rows"]]))
+    y = MAIN_Y + (0.5 if frame["rows"] else 0)
+
+    cells = draw_cells(values, y, cell, highlight=frame["highlight"], active=frame["range"])
+    window = VGroup()
+    if frame["window"]:
+        low, high = frame["window"]
+        window = SurroundingRectangle(VGroup(*cells[low: high + 1]), color=WINDOW_COLOR, buff=0.08, stroke_width=5)
+
+    rows = VGroup()
+    for index, row in enumerate(frame["rows"]):
+        rows.add(draw_row(row, y - 2.3 - index * ROW_GAP, cell))
+
+    note = Text(frame["note"], font_size=20, color=GRAY_B)
+    if note.width > 13:
+        note.scale_to_fit_width(13)
+
+    return {
+        "cells": cells,
+        "indices": draw_indices(length, y + cell / 2 + 0.2, cell),
+        "window": window,
+        "pointers": draw_pointers(frame["pointers"], length, y - cell / 2 - 0.05, cell),
+        "rows": rows,
+        "scalars": draw_scalars(frame["scalars"]),
+        "note": note.to_edge(DOWN, buff=0.3),
+    }
+
+
+class TemplateScene(Scene):
+    def construct(self):
+        title = Text(TITLE, font_size=30)
+        if title.width > 13:
+            title.scale_to_fit_width(13)
+        self.add(title.to_edge(UP, buff=0.3))
+
+        shown = draw_frame(FRAMES[0])
+        self.add(*shown.values())
+
+        for segment in SEGMENTS:
+            if not segment["frames"]:
+                self.wait(segment["slot"])
+                continue
+
+            share = segment["slot"] / len(segment["frames"])
+            for index in segment["frames"]:
+                shown = self.show(shown, draw_frame(FRAMES[index]), share)
+
+    def show(self, shown, upcoming, duration):
+        """Move from one frame to the next and hold it, taking exactly `duration` seconds."""
+        run_time = min(MAX_RUN_TIME, duration / 2)
+        if run_time < MIN_RUN_TIME:
+            self.remove(*shown.values())
+            self.add(*upcoming.values())
+            self.wait(duration)
+            return upcoming
+
+        animations = []
+        for key, old in shown.items():
+            new = upcoming[key]
+            old_parts = old.family_members_with_points()
+            new_parts = new.family_members_with_points()
+            if old_parts and len(old_parts) == len(new_parts):
+                animations.append(ReplacementTransform(old, new))
+                continue
+            if old_parts:
+                animations.append(FadeOut(old))
+            if new_parts:
+                animations.append(FadeIn(new))
+        if animations:
+            self.play(*animations, run_time=run_time)
+            self.wait(duration - run_time)
+        else:
+            self.wait(duration)
+        return upcoming
@@ -0,0 +1,133 @@
+"""Template scene for breadth- and depth-first searches on a grid.
+
+The backend fills in the data below from an execution trace. Each frame is
+one state of the run; SEGMENTS lists, per narration step, how long the step
+lasts and which frames are shown during it.
+"""
+from manim import *
+
+# TEMPLATE DATA
+
+CELL_COLOR = "#3D5A80"
+MARKED_COLOR = "#81B29A"
+CURRENT_COLOR = "#E07A5F"
+
+# Animations shorter than this are shown as a cut instead
+MIN_RUN_TIME = 0.1
+MAX_RUN_TIME = 0.6
+
+GRID_CENTER = [-2.2, -0.3, 0]
+GRID_WIDTH = 7.5
+GRID_HEIGHT = 5.6
+PANEL_LEFT = 2.6
+PANEL_WIDTH = 4.2
+
+
+def short(value, limit=3):
+    text = str(value)
+    return text if len(text) <= limit else text[: limit - 1] + ".."
+
+
+def draw_grid(cells, marked, current):
+    """One box per cell: visited cells are filled, the current one outlined."""
+    rows = len(cells)
+    cols = max(len(row) for row in cells)
+    cell = min(0.8, GRID_WIDTH / cols, GRID_HEIGHT / rows)
+    marked = set(tuple(position) for position in marked)
+
+    grid = VGroup()
+    for r, row in enumerate(cells):
+        for c, value in enumerate(row):
+            is_current = current is not None and current[0] == r and current[1] == c
+            box = Square(side_length=cell * 0.94, stroke_width=4 if is_current else 1.5)
+            box.set_stroke(CURRENT_COLOR if is_current else WHITE)
+            box.set_fill(MARKED_COLOR if (r, c) in marked else CELL_COLOR, opacity=0.85)
+            box.move_to([
+                GRID_CENTER[0] + (c - (cols - 1) / 2) * cell,
+                GRID_CENTER[1] - (r - (rows - 1) / 2) * cell,
+                0,
+            ])
+            label = Text(short(value), font_size=int(cell * 28)).move_to(box)
+            grid.add(VGroup(box, label))
+    return grid
+
+
+def draw_panel(frame):
+    """The cell being visited, the frontier, the call depth and other variables."""
+    lines = []
+    if frame["current"] is not None:
+        lines.append("visiting (" + str(frame["current"][0]) + ", " + str(frame["current"][1]) + ")")
+    if frame["frontier"]:
+        lines.append(frame["frontier"])
+    if frame["depth"] > 1:
+        lines.append("call depth: " + str(frame["depth"]))
+    for name, value in frame["scalars"].items():
+        lines.append(name + " = " + short(value, 12))
+    if not lines:
+        return VGroup()
+
+    panel = VGroup(*[Text(line, font_size=24) for line in lines]).arrange(DOWN, aligned_edge=LEFT, buff=0.25)
+    if panel.width > PANEL_WIDTH:
+        panel.scale_to_fit_width(PANEL_WIDTH)
+    return panel.move_to([PANEL_LEFT, 0.5, 0], aligned_edge=LEFT)
+
+
+def draw_frame(frame):
+    """Every part of a frame, keyed so matching parts can be morphed into each other."""
+    note = Text(frame["note"], font_size=20, color=GRAY_B)
+    if note.width > 13:
+        note.scale_to_fit_width(13)
+
+    return {
+        "grid": draw_grid(frame["cells"], frame["marked"], frame["current"]),
+        "panel": draw_panel(frame),
+        "note": note.to_edge(DOWN, buff=0.3),
+    }
+
+
+class TemplateScene(Scene):
+    def construct(self):
+        title = Text(TITLE, font_size=30)
+        if title.width > 13:
+            title.scale_to_fit_width(13)
+        self.add(title.to_edge(UP, buff=0.3))
+
+        shown = draw_frame(FRAMES[0])
+        self.add(*shown.values())
+
+        for segment in SEGMENTS:
+            if not segment["frames"]:
+                self.wait(segment["slot"])
+                continue
+
+            share = segment["slot"] / len(segment["frames"])
+            for index in segment["frames"]:
+                shown = self.show(shown, draw_frame(FRAMES[index]), share)
+
+    def show(self, shown, upcoming, duration):
+        """Move from one frame to the next and hold it, taking exactly `duration` seconds."""
+        run_time = min(MAX_RUN_TIME, duration / 2)
+        if run_time < MIN_RUN_TIME:
+            self.remove(*shown.values())
+            self.add(*upcoming.values())
+            self.wait(duration)
+            return upcoming
+
+        animations = []
+        for key, old in shown.items():
+            new = upcoming[key]
+            old_parts = old.family_members_with_points()
+            new_parts = new.family_members_with_points()
+            if old_parts and len(old_parts) == len(new_parts):
+                animations.append(ReplacementTransform(old, new))
+                continue
+            if old_parts:
+                animations.append(FadeOut(old))
+            if new_parts:
+                animations.append(FadeIn(new))
+        if animations:
+            self.play(*animations, run_time=run_time)
+            self.wait(duration - run_time)
+        else:
+            self.wait(duration)
+        return upcoming
@@ -0,0 +1,50 @@
+const test = require('node:test');
+const assert = require('assert/strict');
+const { fitGrowth, parseComplexity, compareComplexity } = require('../benchmark/growth');
+const { parseExampleInput } = require('../benchmark/inputs');
+
+// Function to make samples that follow f(n) exactly at doubling sizes
+const samplesOf = f => [16, 32, 64, 128, 256, 512].map(n => ({ n, value: f(n) }));
+
+test('reads stated complexities with any variable names', () => {
+  assert.equal(parseComplexity('O(n log n)'), 'O(n log n)');
+  assert.equal(parseComplexity('O(N^2)'), 'O(n^2)');
+  assert.equal(parseComplexity('O(m * n)'), 'O(n^2)');
+  assert.equal(parseComplexity('O(n + n log n)'), 'O(n log n)');
+  assert.equal(parseComplexity('O(√n)'), 'O(sqrt n)');
+  assert.equal(parseComplexity('O(2^n)'), 'O(2^n)');
+  assert.equal(parseComplexity('O(1)'), 'O(1)');
+  assert.equal(parseComplexity('linear'), null);
+  assert.equal(parseComplexity('O(n!)'), null);
+});
+
+test('fits measurements to the class they grow like', () => {
+  assert.equal(fitGrowth(samplesOf(n => 3 * n)).fitted, 'O(n)');
+  assert.equal(fitGrowth(samplesOf(n => n * n / 10)).fitted, 'O(n^2)');
+  assert.equal(fitGrowth(samplesOf(n => n * Math.log2(n))).fitted, 'O(n log n)');
+  assert.equal(fitGrowth(samplesOf(() => 5)).fitted, 'O(1)');
+});
+
+test('needs three usable samples to fit', () => {
+  assert.equal(fitGrowth([{ n: 8, value: 1 }, { n: 16, value: 2 }, { n: 32, value: 0 }]), null);
+});
+
+test('neighbouring classes count as close', () => {
+  assert.equal(compareComplexity('O(n)', 'O(n)'), 'agrees');
+  assert.equal(compareComplexity('O(n log n)', 'O(n)'), 'close');
+  assert.equal(compareComplexity('O(n^2)', 'O(n)'), 'disagrees');
+  assert.equal(compareComplexity(null, 'O(n)'), 'unknown');
+});
+
+test('parses example inputs into named values', () => {
+  assert.deepEqual(parseExampleInput('nums = [2,7,11,15], target = 9'), [
+    { name: 'nums', value: [2, 7, 11, 15] },
+    { name: 'target', value: 9 }
+  ]);
+  assert.deepEqual(parseExampleInput("grid = {{1,0},{0,1}}, s = 'ab'"), [
+    { name: 'grid', value: [[1, 0], [0, 1]] },
+    { name: 's', value: 'ab' }
+  ]);
+  assert.equal(parseExampleInput('root = <a tree>'), null);
+  assert.equal(parseExampleInput(''), null);
+});
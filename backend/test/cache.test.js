@@ -0,0 +1,24 @@
+const test = require('node:test');
+const assert = require('assert/strict');
+const { computeCacheKey } = require('../cache');
+
+test('keys do not depend on property order', () => {
+  const first = computeCacheKey({ code: 'x', options: { voice: 'a', speed: 1 }, language: 'en' });
+  const second = computeCacheKey({ language: 'en', options: { speed: 1, voice: 'a' }, code: 'x' });
+  assert.equal(first, second);
+  assert.match(first, /^[0-9a-f]{64}$/);
+});
+
+test('undefined properties are ignored', () => {
+  assert.equal(computeCacheKey({ code: 'x', quality: undefined }), computeCacheKey({ code: 'x' }));
+});
+
+test('any change to a part changes the key', () => {
+  const base = { code: 'x', options: { speed: 1 }, steps: [1, 2] };
+  const key = computeCacheKey(base);
+
+  assert.notEqual(computeCacheKey({ ...base, code: 'y' }), key);
+  assert.notEqual(computeCacheKey({ ...base, options: { speed: 2 } }), key);
+  assert.notEqual(computeCacheKey({ ...base, steps: [2, 1] }), key);
+  assert.notEqual(computeCacheKey({ ...base, options: { speed: '1' } }), key);
+});
@@ -0,0 +1,54 @@
+const test = require('node:test');
+const assert = require('assert/strict');
+const { formatTimestamp, buildWebVtt } = require('../captions');
+
+test('formats WebVTT timestamps', () => {
+  assert.equal(formatTimestamp(0), '00:00:00.000');
+  assert.equal(formatTimestamp(3723.4567), '01:02:03.457');
+  assert.equal(formatTimestamp(-2), '00:00:00.000');
+});
+
+test('builds one cue per short step', () => {
+  const vtt = buildWebVtt({
+    steps: [
+      { text: 'We start with two pointers.', start: 0, duration: 2.5 },
+      { text: 'If a < b, move left.', start: 3, duration: 1 }
+    ]
+  });
+
+  assert.equal(vtt, [
+    'WEBVTT',
+    '',
+    '1',
+    '00:00:00.000 --> 00:00:02.500',
+    'We start with two pointers.',
+    '',
+    '2',
+    '00:00:03.000 --> 00:00:04.000',
+    'If a &lt; b, move left.',
+    ''
+  ].join('\n'));
+});
+
+test('splits long steps into cues of at most two short lines', () => {
+  const text = 'The outer loop picks each element in turn while the inner loop scans the rest of the array for its complement, which takes quadratic time overall.';
+  const vtt = buildWebVtt({ steps: [{ text, start: 10, duration: 6 }] });
+  const cues = vtt.trim().split('\n\n').slice(1).map(block => block.split('\n'));
+
+  assert.ok(cues.length > 1);
+  cues.forEach(([, , ...lines]) => {
+    assert.ok(lines.length <= 2);
+    lines.forEach(line => assert.ok(line.length <= 42, line));
+  });
+  assert.equal(cues.map(([, , ...lines]) => lines.join(' ')).join(' '), text);
+
+  // The cues share the step's time, back to back
+  assert.match(cues[0][1], /^00:00:10\.000 --> /);
+  assert.match(cues[cues.length - 1][1], / --> 00:00:16\.000$/);
+});
+
+test('breaks text without spaces at the line length', () => {
+  const vtt = buildWebVtt({ steps: [{ text: '双指针'.repeat(20), start: 0, duration: 1 }] });
+  const lines = vtt.split('\n').filter(line => line.startsWith('双'));
+  assert.deepEqual(lines.map(line => line.length), [42, 18]);
+});
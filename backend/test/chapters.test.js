@@ -0,0 +1,50 @@
+const test = require('node:test');
+const assert = require('assert/strict');
+const { buildChapters, buildFfmetadata } = require('../chapters');
+
+const timing = {
+  steps: [
+    { index: 0, text: 'Start with an empty hash map.', start: 0, slot: 2.5, lines: { jsCode: [2, 2] } },
+    {
+      index: 1,
+      text: 'For each number, look up its complement in the map before storing the number with its index.',
+      start: 2.5,
+      slot: 4.1234
+    }
+  ]
+};
+
+test('makes one chapter per narration step, lasting its slot', () => {
+  const chapters = buildChapters(timing);
+
+  assert.deepEqual(chapters[0], {
+    index: 0,
+    title: 'Start with an empty hash map.',
+    text: 'Start with an empty hash map.',
+    start: 0,
+    end: 2.5,
+    lines: { jsCode: [2, 2] }
+  });
+  assert.equal(chapters[1].end, 6.623);
+  assert.deepEqual(chapters[1].lines, {});
+});
+
+test('shortens long titles at a word boundary', () => {
+  const [, chapter] = buildChapters(timing);
+  assert.equal(chapter.title, 'For each number, look up its complement in the map...');
+  assert.ok(chapter.title.length <= 60);
+});
+
+test('writes FFmetadata chapters in milliseconds with escaped titles', () => {
+  const metadata = buildFfmetadata([{ index: 0, title: 'a = b; #1', start: 0, end: 1.5 }]);
+
+  assert.equal(metadata, [
+    ';FFMETADATA1',
+    '[CHAPTER]',
+    'TIMEBASE=1/1000',
+    'START=0',
+    'END=1500',
+    'title=1. a \\= b\\; \\#1',
+    ''
+  ].join('\n'));
+});
@@ -0,0 +1,32 @@
+const test = require('node:test');
+const assert = require('assert/strict');
+const { EXPORT_FORMATS, ExportError, createExport, listExports } = require('../exports');
+
+// Function to check that a promise rejects with an ExportError of `status`
+async function rejectsWithStatus(promise, status, message) {
+  await assert.rejects(promise, error => {
+    assert.ok(error instanceof ExportError);
+    assert.equal(error.status, status);
+    assert.match(error.message, message);
+    return true;
+  });
+}
+
+test('offers GIF, WebM and storyboard exports', () => {
+  assert.deepEqual(Object.keys(EXPORT_FORMATS), ['gif', 'webm', 'storyboard']);
+});
+
+test('unknown formats are rejected before the render is looked up', async () => {
+  await rejectsWithStatus(createExport('missing-render', 'mov'), 400, /Unknown export format "mov"/);
+});
+
+test('inherited property names are not formats', async () => {
+  for (const format of ['constructor', 'toString', '__proto__', 'hasOwnProperty']) {
+    await rejectsWithStatus(createExport('missing-render', format), 400, /Unknown export format/);
+  }
+});
+
+test('renders that do not exist have no exports', async () => {
+  await rejectsWithStatus(createExport('missing-render', 'gif'), 404, /Render not found/);
+  assert.throws(() => listExports('missing-render'), error => error.status === 404);
+});
@@ -0,0 +1,59 @@
+const path = require('path');
+const test = require('node:test');
+const assert = require('assert/strict');
+const { ingestProblem, toQuestionText } = require('../ingest');
+const { parseProblemText } = require('../ingest/html');
+
+// Recorded responses are read instead of going to the network
+process.env.INGEST_FIXTURES_DIR = path.join(__dirname, '..', 'ingest', 'fixtures');
+
+test('normalizes a recorded LeetCode problem', async () => {
+  const problem = await ingestProblem('https://leetcode.com/problems/two-sum/description/');
+
+  assert.equal(problem.source, 'leetcode');
+  assert.equal(problem.title, '1. Two Sum');
+  assert.equal(problem.difficulty, 'Easy');
+  assert.match(problem.statement, /^Given an array of integers nums and an integer target/);
+  assert.deepEqual(problem.examples, [
+    {
+      input: 'nums = [2,7,11,15], target = 9',
+      output: '[0,1]',
+      explanation: 'Because nums[0] + nums[1] == 9, we return [0, 1].'
+    },
+    { input: 'nums = [3,2,4], target = 6', output: '[1,2]', explanation: null },
+    { input: 'nums = [3,3], target = 6', output: '[0,1]', explanation: null }
+  ]);
+  assert.deepEqual(problem.constraints, [
+    '2 <= nums.length <= 10^4',
+    '-10^9 <= nums[i] <= 10^9',
+    '-10^9 <= target <= 10^9',
+    'Only one valid answer exists.'
+  ]);
+});
+
+test('normalizes a recorded GeeksforGeeks practice problem', async () => {
+  const problem = await ingestProblem('https://www.geeksforgeeks.org/problems/key-pair5616/1');
+
+  assert.equal(problem.source, 'gfg');
+  assert.equal(problem.title, 'Two Sum - Pair with Given Sum');
+  assert.equal(problem.difficulty, 'Easy');
+  assert.deepEqual(problem.examples.map(example => [example.input, example.output]), [
+    ['arr[] = [1, 4, 45, 6, 10, 8], target = 16', 'true'],
+    ['arr[] = [1, 2, 4, 3, 6], target = 11', 'false']
+  ]);
+  assert.equal(problem.examples[0].explanation, 'arr[3] + arr[4] = 6 + 10 = 16.');
+  assert.deepEqual(problem.constraints, ['1 ≤ arr.size ≤ 10^5', '1 ≤ arr[i] ≤ 10^5', '1 ≤ target ≤ 2*10^5']);
+});
+
+test('rejects URLs of other sites and missing fixtures', async () => {
+  await assert.rejects(ingestProblem('https://example.com/problems/two-sum'), { status: 400 });
+  await assert.rejects(ingestProblem('https://leetcode.com/problems/not-recorded/'), { status: 404 });
+});
+
+test('question text keeps the examples and constraints readable', async () => {
+  const problem = await ingestProblem('https://leetcode.com/problems/two-sum/');
+  const parsed = parseProblemText(toQuestionText(problem));
+
+  assert.deepEqual(parsed.examples.map(example => example.input), problem.examples.map(example => example.input));
+  assert.deepEqual(parsed.examples.map(example => example.output), problem.examples.map(example => example.output));
+});
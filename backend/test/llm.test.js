@@ -0,0 +1,31 @@
+const test = require('node:test');
+const assert = require('assert/strict');
+const { getStageConfig } = require('../llm');
+
+// Function to read a stage's config with only the given LLM_* variables set
+function configWith(env, stage) {
+  const saved = { ...process.env };
+  Object.keys(process.env).filter(key => key.startsWith('LLM_')).forEach(key => delete process.env[key]);
+  Object.assign(process.env, env);
+  try {
+    return getStageConfig(stage);
+  } finally {
+    process.env = saved;
+  }
+}
+
+test('stage settings override the global ones', () => {
+  const config = configWith({ LLM_PROVIDER: 'openai', LLM_MANIM_PROVIDER: 'ollama', LLM_MANIM_MODEL: 'qwen' }, 'manim');
+  assert.deepEqual(config, { provider: 'ollama', model: 'qwen', temperature: undefined });
+  assert.equal(configWith({ LLM_PROVIDER: 'openai' }, 'narration').model, 'gpt-4o-mini');
+});
+
+test('temperatures are numbers, and unreadable ones are left unset', () => {
+  assert.equal(configWith({ LLM_TEMPERATURE: '0.3' }, 'trace').temperature, 0.3);
+  assert.equal(configWith({ LLM_TEMPERATURE: 'warm' }, 'trace').temperature, undefined);
+  assert.equal(configWith({ LLM_TEMPERATURE: '0.3', LLM_TRACE_TEMPERATURE: 'NaN' }, 'trace').temperature, undefined);
+});
+
+test('unknown providers are rejected', () => {
+  assert.throws(() => configWith({ LLM_PROVIDER: 'nope' }, 'manim'), /Unknown LLM provider "nope"/);
+});
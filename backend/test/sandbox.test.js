@@ -0,0 +1,75 @@
+const test = require('node:test');
+const assert = require('assert/strict');
+const { checkScript } = require('../sandbox');
+
+// Function to list what the checker rejects in a script as "type:name"
+async function violationsOf(script, extraModules) {
+  const violations = await checkScript(script, extraModules);
+  return violations.map(violation => `${violation.type}:${violation.name}`);
+}
+
+test('a plain Manim scene passes', async () => {
+  const script = [
+    'from manim import *',
+    'import numpy as np',
+    'from collections import deque',
+    'from dsa_primitives import ArrayRow',
+    '',
+    'class Animation(Scene):',
+    '    def __init__(self, **kwargs):',
+    '        super().__init__(**kwargs)',
+    '',
+    '    def construct(self):',
+    '        row = ArrayRow([1, 2, 3])',
+    '        self.play(Create(row), run_time=np.sqrt(2))',
+    '        self.wait(len(deque([1])))',
+    '',
+    'if __name__ == "__main__":',
+    '    Animation().render()'
+  ].join('\n');
+
+  assert.deepEqual(await violationsOf(script), []);
+});
+
+test('imports outside the allowlist are rejected', async () => {
+  assert.deepEqual(await violationsOf('import os\nimport subprocess as sp\nfrom pathlib import Path\nfrom . import x'), [
+    'import:os',
+    'import:subprocess',
+    'import:pathlib',
+    'import:.'
+  ]);
+  assert.deepEqual(await violationsOf('import requests', ['requests']), []);
+});
+
+test('calls that run code or open files are rejected', async () => {
+  assert.deepEqual(await violationsOf('eval("1")\nopen("/etc/passwd")\ngetattr(x, "y")'), [
+    'call:eval',
+    'call:open',
+    'call:getattr'
+  ]);
+});
+
+test('private attributes and module internals are rejected', async () => {
+  assert.deepEqual(await violationsOf('import collections\ncollections._sys.modules["os"].system("id")'), [
+    'attribute:modules',
+    'attribute:_sys'
+  ]);
+  assert.deepEqual(await violationsOf('x.__class__.__subclasses__()\n__builtins__'), [
+    'attribute:__subclasses__',
+    'attribute:__class__',
+    'name:__builtins__'
+  ]);
+});
+
+test('numpy file access is rejected', async () => {
+  assert.deepEqual(await violationsOf('import numpy as np\nnp.load("x.npy")\nnp.fromfile("y")'), [
+    'attribute:load',
+    'attribute:fromfile'
+  ]);
+});
+
+test('syntax errors are reported with their line', async () => {
+  const [violation] = await checkScript('def broken(:\n  pass');
+  assert.equal(violation.type, 'syntax');
+  assert.equal(violation.line, 1);
+});
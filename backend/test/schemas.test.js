@@ -0,0 +1,44 @@
+const test = require('node:test');
+const assert = require('assert/strict');
+const { normalizeApproaches, normalizeTranslation } = require('../schemas');
+
+const [approach] = normalizeApproaches([{
+  title: 'Hash Map',
+  timeComplexity: 'O(n)',
+  spaceComplexity: 'O(n)',
+  description: 'Store each number with its index.',
+  code: { jsCode: 'function twoSum() {}' },
+  pros: ['Fast'],
+  cons: ['Extra memory'],
+  concepts: ['Hashing', 'Complements']
+}]);
+
+test('translations keep the code and complexities of the original', () => {
+  const [translated] = normalizeTranslation([{
+    title: 'Mapa hash',
+    description: 'Guarda cada número con su índice.',
+    pros: ['Rápido'],
+    cons: ['Memoria extra'],
+    concepts: ['Hashing', 'Complementos'],
+    code: { jsCode: 'function changed() {}' },
+    timeComplexity: 'O(1)'
+  }], { approaches: [approach] });
+
+  assert.equal(translated.title, 'Mapa hash');
+  assert.deepEqual(translated.pros, ['Rápido']);
+  assert.deepEqual(translated.code, approach.code);
+  assert.equal(translated.timeComplexity, 'O(n)');
+});
+
+test('prose the model left out or miscounted stays untranslated', () => {
+  const [translated, missing] = normalizeTranslation(
+    [{ title: 'Mapa hash', description: '', pros: [], cons: ['Memoria extra'], concepts: ['Hashing'] }],
+    { approaches: [approach, approach] }
+  );
+
+  assert.equal(translated.description, approach.description);
+  assert.deepEqual(translated.pros, approach.pros);
+  assert.deepEqual(translated.cons, ['Memoria extra']);
+  assert.deepEqual(translated.concepts, approach.concepts);
+  assert.deepEqual(missing, approach);
+});
@@ -0,0 +1,43 @@
+const test = require('node:test');
+const assert = require('assert/strict');
+const { findTemplate, buildSegments } = require('../templates');
+
+// A recorded run of a minimum-size subarray solution on "target = 7, nums = [2,3,1,2,4,3]"
+const trace = require('../templates/fixtures/sliding-window-trace.json');
+
+test('a sliding window run gets the sliding-window template', () => {
+  const { template, frames } = findTemplate({ concepts: ['Hash Map', 'Sliding Window'] }, trace);
+
+  assert.equal(template.name, 'sliding-window');
+  assert.deepEqual(frames[0].values, [2, 3, 1, 2, 4, 3]);
+  // Frames where only the executed line changed are dropped
+  assert.ok(frames.length < trace.steps.length);
+  assert.deepEqual(
+    [...new Set(frames.filter(frame => frame.window).map(frame => frame.window.join('-')))],
+    ['0-0', '0-1', '0-2', '0-3', '1-4', '2-4', '3-5', '4-5']
+  );
+  assert.deepEqual(frames[frames.length - 1].scalars, { target: 7, sum: 3, best: 2 });
+});
+
+test('the same run falls through to the next matching pattern', () => {
+  assert.equal(findTemplate({ concepts: ['Two Pointers'] }, trace).template.name, 'two-pointers');
+});
+
+test('approaches without a known pattern, or without a trace, get no template', () => {
+  assert.equal(findTemplate({ concepts: ['Hashing'] }, trace), null);
+  assert.equal(findTemplate({ concepts: ['Sliding Window'] }, null), null);
+  assert.equal(findTemplate({ concepts: ['Sliding Window'] }, { ...trace, steps: [] }), null);
+});
+
+test('frames after the first are split over the narration steps in order', () => {
+  const segments = buildSegments(26, { steps: [{ slot: 2 }, { slot: 3.5 }, { slot: 1 }] });
+
+  assert.deepEqual(segments.map(segment => segment.slot), [2, 3.5, 1]);
+  assert.deepEqual(segments.map(segment => segment.frames.length), [8, 8, 9]);
+  assert.deepEqual(segments.flatMap(segment => segment.frames), Array.from({ length: 25 }, (_, index) => index + 1));
+});
+
+test('steps beyond the frames to show get none', () => {
+  const segments = buildSegments(2, { steps: [{ slot: 1 }, { slot: 1 }, { slot: 1 }] });
+  assert.deepEqual(segments.map(segment => segment.frames), [[], [], [1]]);
+});
@@ -0,0 +1,123 @@
+const vm = require('vm');
+const test = require('node:test');
+const assert = require('assert/strict');
+const { instrument, RUNTIME } = require('../tracer/instrument');
+const { findTraceInput } = require('../tracer');
+
+// Function to run instrumented code with a runtime that records what it reports
+function runInstrumented(code, call) {
+  const events = [];
+  const stack = [];
+  const runtime = {
+    enter(name) {
+      stack.push(name);
+      events.push({ enter: name });
+    },
+    exit() {
+      events.push({ exit: stack.pop() });
+    },
+    step(line, names, getters) {
+      const variables = {};
+      names.forEach((name, index) => {
+        try {
+          variables[name] = getters[index]();
+        } catch {
+          // not declared yet
+        }
+      });
+      events.push({ line, callStack: [...stack], variables: JSON.parse(JSON.stringify(variables)) });
+    }
+  };
+
+  const context = vm.createContext({ [RUNTIME]: runtime });
+  vm.runInContext(instrument(code), context);
+  const result = vm.runInContext(call, context);
+  return { events, steps: events.filter(event => event.line), result };
+}
+
+test('reports every statement with its line and the variables in scope', () => {
+  const code = [
+    'function sum(nums) {',
+    '  let total = 0;',
+    '  for (const n of nums) total += n;',
+    '  return total;',
+    '}'
+  ].join('\n');
+  const { steps, result } = runInstrumented(code, 'sum([4, 5])');
+
+  assert.equal(result, 9);
+  assert.deepEqual(steps.map(step => step.line), [2, 3, 3, 3, 4]);
+  assert.deepEqual(steps[0].variables, { nums: [4, 5] });
+  assert.deepEqual(steps[4].variables, { nums: [4, 5], total: 9 });
+});
+
+test('keeps the behavior of unbraced bodies and early returns', () => {
+  const code = [
+    'function find(nums, target) {',
+    '  for (let i = 0; i < nums.length; i++)',
+    '    if (nums[i] === target) return i;',
+    '    else continue;',
+    '  return -1;',
+    '}'
+  ].join('\n');
+
+  assert.equal(runInstrumented(code, 'find([3, 8, 1], 8)').result, 1);
+  assert.equal(runInstrumented(code, 'find([3, 8, 1], 7)').result, -1);
+});
+
+test('tracks the call stack through recursion and methods', () => {
+  const code = [
+    'class Solution {',
+    '  fib(n) {',
+    '    if (n < 2) return n;',
+    '    return this.fib(n - 1) + this.fib(n - 2);',
+    '  }',
+    '}'
+  ].join('\n');
+  const { events, steps, result } = runInstrumented(code, 'new Solution().fib(3)');
+
+  assert.equal(result, 2);
+  assert.equal(events.filter(event => event.enter).length, events.filter(event => event.exit).length);
+  assert.deepEqual(steps[0].callStack, ['fib']);
+  assert.ok(steps.some(step => step.callStack.length === 3));
+});
+
+test('nested functions see their own and enclosing variables only', () => {
+  const code = [
+    'function outer(a) {',
+    '  const helper = (b) => {',
+    '    const c = a + b;',
+    '    return c;',
+    '  };',
+    '  const d = 1;',
+    '  return helper(d);',
+    '}'
+  ].join('\n');
+  const { steps, result } = runInstrumented(code, 'outer(2)');
+
+  assert.equal(result, 3);
+  const inner = steps.find(step => step.line === 4);
+  assert.deepEqual(inner.callStack, ['outer', 'helper']);
+  // helper is a function, which the JSON copy leaves out
+  assert.deepEqual(inner.variables, { a: 2, d: 1, b: 1, c: 3 });
+});
+
+test('rejects code that does not parse', () => {
+  assert.throws(() => instrument('function broken( {'), SyntaxError);
+});
+
+test('picks the first example input made of plain values', () => {
+  const question = [
+    'Given a tree, ...',
+    'Example 1:',
+    'Input: root = <a picture>',
+    'Output: 3',
+    'Example 2:',
+    'Input: nums = [1,2,3], k = 2',
+    'Output: 2'
+  ].join('\n');
+
+  assert.equal(findTraceInput(question), 'nums = [1,2,3], k = 2');
+  assert.equal(findTraceInput('No examples here'), null);
+  assert.equal(findTraceInput(undefined), null);
+});
@@ -0,0 +1,41 @@
+const test = require('node:test');
+const assert = require('assert/strict');
+const { parseJsonLoose, validateSchema } = require('../validation');
+
+test('parses JSON wrapped in a markdown fence and prose', () => {
+  const text = 'Here is the result:\n```json\n{ "title": "Two Sum", "steps": [1, 2] }\n```\nHope this helps!';
+  assert.deepEqual(parseJsonLoose(text), { title: 'Two Sum', steps: [1, 2] });
+});
+
+test('drops trailing commas but keeps commas inside strings', () => {
+  const text = '{ "items": [1, 2, 3,], "note": "a, }", }';
+  assert.deepEqual(parseJsonLoose(text), { items: [1, 2, 3], note: 'a, }' });
+});
+
+test('parses a top-level array', () => {
+  assert.deepEqual(parseJsonLoose('Steps: [{ "a": 1 }, { "a": 2 },]'), [{ a: 1 }, { a: 2 }]);
+});
+
+test('throws on text without JSON', () => {
+  assert.throws(() => parseJsonLoose('I cannot help with that.'), SyntaxError);
+});
+
+const schema = {
+  type: 'object',
+  required: ['title', 'steps'],
+  properties: {
+    title: { type: 'string' },
+    steps: { type: 'array', items: { type: 'number' } }
+  }
+};
+
+test('valid data has no errors', () => {
+  assert.deepEqual(validateSchema(schema, { title: 'x', steps: [1] }), []);
+});
+
+test('lists every error with the path it applies to', () => {
+  const errors = validateSchema(schema, { steps: [1, 'two'] });
+  assert.equal(errors.length, 2);
+  assert.ok(errors.includes("(root) must have required property 'title'"));
+  assert.ok(errors.includes('/steps/1 must be number'));
+});
@@ -0,0 +1,23 @@
+const test = require('node:test');
+const assert = require('assert/strict');
+const { canonicalOutput, outputMatches } = require('../verify/outputs');
+
+test('JSON outputs match regardless of spacing and number format', () => {
+  assert.ok(outputMatches('[0, 1]\n', '[0,1]'));
+  assert.ok(outputMatches('2.0', '2'));
+  assert.ok(outputMatches('{"a": [1, 2]}', '{ "a": [1,2] }'));
+  assert.ok(outputMatches('true', 'true'));
+});
+
+test('other outputs are compared without whitespace', () => {
+  assert.equal(canonicalOutput(' a b\tc \n'), 'abc');
+  assert.ok(outputMatches('[a, b]', '[a,b]'));
+  assert.ok(outputMatches('"ab"', '"ab"'));
+});
+
+test('different values and missing lines do not match', () => {
+  assert.equal(outputMatches('[1,0]', '[0,1]'), false);
+  assert.equal(outputMatches('3', '"3"'), false);
+  assert.equal(outputMatches('false', 'true'), false);
+  assert.equal(outputMatches(null, '[]'), false);
+});
@@ -0,0 +1,51 @@
+const vm = require('vm');
+
+// Function to list the functions and classes the code declares at top level
+function findDeclaredNames(code) {
+  const pattern = /(?:^|\n)\s*(?:function\s*\*?\s*([A-Za-z_$][\w$]*)|(?:const|let|var)\s+([A-Za-z_$][\w$]*)\s*=\s*(?:async\s+)?(?:function\b|\(|[A-Za-z_$][\w$]*\s*=>)|class\s+([A-Za-z_$][\w$]*))/g;
+  const names = [];
+  let match;
+  while ((match = pattern.exec(code)) !== null) {
+    names.push(match[1] || match[2] || match[3]);
+  }
+  return names;
+}
+
+// Function to pick the function to call: the one taking as many arguments as
+// the example has, preferring functions the code never calls itself (helpers
+// are called, the entry point is not). Class methods are called on an instance.
+function findEntry(code, context, argumentCount) {
+  const candidates = [];
+  findDeclaredNames(code).forEach(name => {
+    const value = vm.runInContext(`typeof ${name} === 'undefined' ? undefined : ${name}`, context);
+    if (typeof value !== 'function') return;
+
+    const methods = Object.getOwnPropertyNames(value.prototype || {})
+      .filter(method => method !== 'constructor' && typeof value.prototype[method] === 'function');
+    if (/^class\b/.test(Function.prototype.toString.call(value)) && methods.length > 0) {
+      const instance = new value();
+      methods.forEach(method => candidates.push({
+        name: `${name}.${method}`,
+        length: value.prototype[method].length,
+        calls: (code.match(new RegExp(`\\b${method}\\s*\\(`, 'g')) || []).length,
+        fn: (...args) => instance[method](...args)
+      }));
+    } else {
+      candidates.push({
+        name,
+        length: value.length,
+        calls: (code.match(new RegExp(`\\b${name.replace(/\$/g, '\\$')}\\s*\\(`, 'g')) || []).length,
+        fn: value
+      });
+    }
+  });
+
+  const matching = candidates.filter(candidate => candidate.length === argumentCount);
+  const pool = matching.length > 0 ? matching : candidates;
+  return pool.sort((a, b) => a.calls - b.calls)[0] || null;
+}
+
+module.exports = {
+  findDeclaredNames,
+  findEntry
+};
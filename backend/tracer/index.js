@@ -0,0 +1,126 @@
+const path = require('path');
+const { instrument, RUNTIME } = require('./instrument');
+const { runNodeScript } = require('../sandbox');
+const { parseExampleInput } = require('../benchmark/inputs');
+const { parseProblemText } = require('../ingest/html');
+
+// Longest trace recorded; solutions that run longer are cut off
+const MAX_TRACE_STEPS = 400;
+
+function readNumber(name, fallback) {
+  const value = Number(process.env[name]);
+  return Number.isFinite(value) && value > 0 ? value : fallback;
+}
+
+// Function to pick the example input to trace: the first one in the question
+// whose values are plain data. Returns null when there is none.
+function findTraceInput(question) {
+  if (typeof question !== 'string' || !question) return null;
+  const example = parseProblemText(question).examples.find(candidate => parseExampleInput(candidate.input));
+  return example ? example.input : null;
+}
+
+// Function to run the tracing script on untrusted code in a sandboxed child
+// process and return its last message
+async function runWorker(data) {
+  const timeoutMs = readNumber('TRACE_TIMEOUT_MS', 10000);
+  let result;
+  try {
+    result = await runNodeScript(path.join(__dirname, 'worker.js'), {
+      modules: [path.join(__dirname, 'entry.js')],
+      data,
+      heapMb: readNumber('TRACE_MEMORY_MB', 256),
+      cpuSeconds: Math.ceil(timeoutMs / 1000),
+      timeoutMs
+    });
+  } catch (error) {
+    return { type: 'error', message: error.message };
+  }
+
+  if (result.timedOut) return { type: 'error', message: 'Tracing timed out' };
+  const outcome = result.messages[result.messages.length - 1];
+  if (outcome) return outcome;
+  const reason = result.errorOutput.trim().split('\n').pop();
+  return { type: 'error', message: reason || 'Tracing stopped unexpectedly' };
+}
+
+// Function to run an approach's JavaScript on an example input with every
+// executed line, variable value, array change and the call stack recorded.
+// Returns null (and logs why) when the code cannot be traced.
+async function traceApproach(approach, input) {
+  const code = approach.code?.jsCode;
+  const params = input && parseExampleInput(input);
+  if (!code || !params) return null;
+
+  let instrumented;
+  try {
+    instrumented = instrument(code);
+  } catch (error) {
+    console.warn(`Cannot trace ${approach.title || 'approach'}: ${error.message}`);
+    return null;
+  }
+
+  const outcome = await runWorker({
+    code,
+    instrumented,
+    runtimeName: RUNTIME,
+    args: params.map(param => param.value),
+    maxSteps: MAX_TRACE_STEPS
+  });
+  if (outcome.type !== 'done' || outcome.steps.length === 0) {
+    console.warn(`Cannot trace ${approach.title || 'approach'}: ${outcome.message || 'no steps were recorded'}`);
+    return null;
+  }
+
+  console.log(`Traced ${approach.title || 'approach'}: ${outcome.steps.length} steps`);
+  return {
+    input,
+    code,
+    entry: outcome.entry,
+    steps: outcome.steps,
+    returned: outcome.returned,
+    truncated: outcome.truncated,
+    error: outcome.error
+  };
+}
+
+const formatValue = value => JSON.stringify(value);
+
+// Function to write a trace as compact text for a prompt: the full state at
+// the first step, then only what changed, one line per step
+function formatTrace(trace, maxLines = 120) {
+  const sourceLines = trace.code.split('\n');
+  let previous = {};
+  const lines = trace.steps.slice(0, maxLines).map((step, index) => {
+    const changed = Object.entries(step.variables)
+      .filter(([name, value]) => formatValue(previous[name]) !== formatValue(value))
+      .map(([name, value]) => `${name} = ${formatValue(value)}`);
+    previous = step.variables;
+
+    const mutations = step.mutations.map(change => (change.index !== undefined
+      ? `${change.array}[${change.index}]: ${formatValue(change.from)} -> ${formatValue(change.to)}`
+      : `${change.array} length ${change.lengthFrom} -> ${change.lengthTo}`));
+
+    return [
+      `${index + 1}. line ${step.line} in ${step.callStack.join(' > ') || 'top level'}: ${(sourceLines[step.line - 1] || '').trim().slice(0, 80)}`,
+      changed.length > 0 ? `   ${changed.join(', ')}` : null,
+      mutations.length > 0 ? `   changed: ${mutations.join(', ')}` : null
+    ].filter(Boolean).join('\n');
+  });
+
+  const omitted = trace.steps.length - lines.length;
+  return [
+    `Input: ${trace.input}`,
+    `Function called: ${trace.entry}`,
+    ...lines,
+    omitted > 0 ? `... ${omitted} more steps not shown` : null,
+    trace.truncated ? '(the run was cut off before it finished)' : null,
+    trace.error ? `The run threw: ${trace.error}` : `Returned: ${formatValue(trace.returned)}`
+  ].filter(Boolean).join('\n');
+}
+
+module.exports = {
+  findTraceInput,
+  traceApproach,
+  formatTrace
+};
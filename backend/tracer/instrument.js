@@ -0,0 +1,136 @@
+const acorn = require('acorn');
+
+// Name of the runtime object instrumented code reports to
+const RUNTIME = '__trace';
+
+const FUNCTION_TYPES = ['FunctionDeclaration', 'FunctionExpression', 'ArrowFunctionExpression'];
+
+// Statements whose body may be a single unbraced statement
+const BODY_KEYS = {
+  IfStatement: ['consequent', 'alternate'],
+  ForStatement: ['body'],
+  ForInStatement: ['body'],
+  ForOfStatement: ['body'],
+  WhileStatement: ['body'],
+  DoWhileStatement: ['body'],
+  LabeledStatement: ['body']
+};
+
+// Declarations are hoisted, so a step before them would point at a line that does nothing
+const SKIPPED_STATEMENTS = ['FunctionDeclaration', 'ClassDeclaration', 'EmptyStatement'];
+
+function childNodes(node) {
+  return Object.keys(node).flatMap(key => {
+    const value = node[key];
+    if (Array.isArray(value)) return value.filter(item => item && typeof item.type === 'string');
+    return value && typeof value.type === 'string' ? [value] : [];
+  });
+}
+
+// Function to collect the names bound by a declaration pattern such as `[a, { b }]`
+function patternNames(pattern) {
+  if (!pattern) return [];
+  switch (pattern.type) {
+    case 'Identifier': return [pattern.name];
+    case 'ArrayPattern': return pattern.elements.flatMap(patternNames);
+    case 'ObjectPattern': return pattern.properties.flatMap(property => patternNames(property.value || property.argument));
+    case 'AssignmentPattern': return patternNames(pattern.left);
+    case 'RestElement': return patternNames(pattern.argument);
+    default: return [];
+  }
+}
+
+// Function to list the variables a function (or the program) declares,
+// without looking into nested functions
+function scopeNames(scope) {
+  const names = new Set(FUNCTION_TYPES.includes(scope.type) ? scope.params.flatMap(patternNames) : []);
+  const visit = (node) => {
+    if (node.type === 'VariableDeclaration') {
+      node.declarations.forEach(declaration => patternNames(declaration.id).forEach(name => names.add(name)));
+    } else if (node.type === 'CatchClause' && node.param) {
+      patternNames(node.param).forEach(name => names.add(name));
+    }
+    childNodes(node).forEach(child => {
+      if (!FUNCTION_TYPES.includes(child.type) && child.type !== 'ClassDeclaration' && child.type !== 'ClassExpression') {
+        visit(child);
+      }
+    });
+  };
+  childNodes(FUNCTION_TYPES.includes(scope.type) ? scope.body : scope).forEach(visit);
+  return [...names];
+}
+
+function functionName(node, parent) {
+  if (node.id) return node.id.name;
+  if (parent?.type === 'VariableDeclarator' && parent.id.type === 'Identifier') return parent.id.name;
+  if (parent?.type === 'MethodDefinition' || parent?.type === 'Property') return parent.key.name || parent.key.value || 'anonymous';
+  if (parent?.type === 'AssignmentExpression' && parent.left.type === 'Identifier') return parent.left.name;
+  return 'anonymous';
+}
+
+// Function to rewrite JavaScript so it reports every statement it runs (with
+// the variables in scope) and every call into and out of its functions.
+// Throws a SyntaxError if the code does not parse.
+function instrument(code) {
+  const ast = acorn.parse(code, { ecmaVersion: 'latest', sourceType: 'script', locations: true, preserveParens: true });
+  const inserts = [];
+  // Inserts at the same position are ordered by `order`: openers of outer
+  // constructs come first, closers of inner constructs come first
+  const insert = (position, text, order) => inserts.push({ position, text, order, index: inserts.length });
+
+  const stepCall = (statement, names) => {
+    const getters = names.map(name => `() => ${name}`).join(', ');
+    return `${RUNTIME}.step(${statement.loc.start.line}, ${JSON.stringify(names)}, [${getters}]);`;
+  };
+
+  const visit = (node, parent, scopes, depth) => {
+    let innerScopes = scopes;
+
+    if (FUNCTION_TYPES.includes(node.type) && node.body.type === 'BlockStatement') {
+      innerScopes = [...scopes, scopeNames(node)];
+      const name = JSON.stringify(functionName(node, parent));
+      insert(node.body.start + 1, `${RUNTIME}.enter(${name}); try {`, depth);
+      insert(node.body.end - 1, `} finally { ${RUNTIME}.exit(); }`, -depth);
+    }
+
+    const visible = () => [...new Set(innerScopes.flat())];
+    const instrumentStatement = (statement, wrap) => {
+      if (SKIPPED_STATEMENTS.includes(statement.type)) return;
+      const step = stepCall(statement, visible());
+      if (wrap) {
+        insert(statement.start, `{ ${step} `, depth + 1);
+        insert(statement.end, ' }', -(depth + 1));
+      } else {
+        insert(statement.start, step, depth + 1);
+      }
+    };
+
+    if (node.type === 'BlockStatement' || node.type === 'Program') {
+      node.body.forEach(statement => instrumentStatement(statement, false));
+    } else if (node.type === 'SwitchCase') {
+      node.consequent.forEach(statement => instrumentStatement(statement, false));
+    } else if (BODY_KEYS[node.type]) {
+      BODY_KEYS[node.type].forEach(key => {
+        const body = node[key];
+        if (body && body.type !== 'BlockStatement') instrumentStatement(body, true);
+      });
+    }
+
+    childNodes(node).forEach(child => visit(child, node, innerScopes, depth + 2));
+  };
+
+  // Top-level statements only declare the solution, so only function bodies report steps
+  childNodes(ast).forEach(child => visit(child, ast, [], 1));
+
+  inserts.sort((a, b) => b.position - a.position || b.order - a.order || b.index - a.index);
+  let output = code;
+  inserts.forEach(({ position, text }) => {
+    output = output.slice(0, position) + text + output.slice(position);
+  });
+  return output;
+}
+
+module.exports = {
+  RUNTIME,
+  instrument
+};
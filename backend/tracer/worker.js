@@ -0,0 +1,130 @@
+// Runs in a sandboxed child process (see sandbox/runNodeScript): reads the
+// instrumented code and one example input as JSON on stdin, executes it and
+// prints the recorded trace as one JSON line. The process has no network, no
+// secrets in its environment and no access to the backend directory, so code
+// that escapes the vm context below gains nothing it could not do anyway.
+const fs = require('fs');
+const vm = require('vm');
+const { findEntry } = require('./entry');
+
+const send = message => process.stdout.write(`${JSON.stringify(message)}\n`);
+
+// Limits that keep one snapshot, and the whole trace, readable
+const MAX_ARRAY_ITEMS = 30;
+const MAX_OBJECT_KEYS = 10;
+const MAX_DEPTH = 3;
+
+// Thrown to stop the solution once the trace is long enough
+class TraceLimitReached extends Error {}
+
+// Function to copy a value into plain JSON data: arrays stay arrays, Maps and
+// Sets become arrays of entries and objects keep their first few fields
+function snapshot(value, depth = 0) {
+  if (value === null || value === undefined) return null;
+  if (['number', 'string', 'boolean'].includes(typeof value)) return value;
+  if (typeof value === 'bigint') return value.toString();
+  if (typeof value !== 'object') return String(value);
+  if (depth >= MAX_DEPTH) return Array.isArray(value) ? `[${value.length} items]` : '{...}';
+
+  const items = (list) => {
+    const copied = list.slice(0, MAX_ARRAY_ITEMS).map(item => snapshot(item, depth + 1));
+    if (list.length > MAX_ARRAY_ITEMS) copied.push(`...${list.length - MAX_ARRAY_ITEMS} more`);
+    return copied;
+  };
+
+  // The solution runs in its own context, so its Maps and Sets are not
+  // instances of this thread's classes; their tag still says what they are
+  const tag = Object.prototype.toString.call(value);
+  if (Array.isArray(value) || ArrayBuffer.isView(value)) return items(Array.from(value));
+  if (tag === '[object Map]') return { Map: items([...value]) };
+  if (tag === '[object Set]') return { Set: items([...value]) };
+
+  const entries = Object.entries(value).slice(0, MAX_OBJECT_KEYS);
+  return Object.fromEntries(entries.map(([key, item]) => [key, snapshot(item, depth + 1)]));
+}
+
+// Function to list the elements of `before` that differ in `after`
+function diffArrays(name, before, after) {
+  if (before.length !== after.length) {
+    return [{ array: name, lengthFrom: before.length, lengthTo: after.length }];
+  }
+  return after
+    .map((item, index) => ({ array: name, index, from: before[index], to: item }))
+    .filter(change => JSON.stringify(change.from) !== JSON.stringify(change.to));
+}
+
+function createRuntime(maxSteps) {
+  const steps = [];
+  const stack = [];
+
+  return {
+    steps,
+    enter(name) {
+      stack.push({ name, arrays: {} });
+    },
+    exit() {
+      stack.pop();
+    },
+    step(line, names, getters) {
+      if (steps.length >= maxSteps) throw new TraceLimitReached();
+      const frame = stack[stack.length - 1] || { arrays: {} };
+      const variables = {};
+      const mutations = [];
+
+      names.forEach((name, index) => {
+        let value;
+        try {
+          value = getters[index]();
+        } catch {
+          return; // not declared yet at this point
+        }
+        if (value === undefined || typeof value === 'function') return;
+
+        variables[name] = snapshot(value);
+        if (Array.isArray(variables[name])) {
+          // Array changes are relative to the previous step in the same call
+          if (frame.arrays[name]) mutations.push(...diffArrays(name, frame.arrays[name], variables[name]));
+          frame.arrays[name] = variables[name];
+        }
+      });
+
+      steps.push({ line, callStack: stack.map(entry => entry.name), variables, mutations });
+    }
+  };
+}
+
+function run() {
+  const { code, instrumented, runtimeName, args, maxSteps } = JSON.parse(fs.readFileSync(0, 'utf8'));
+  const runtime = createRuntime(maxSteps);
+  const context = vm.createContext({ [runtimeName]: runtime });
+  vm.runInContext('globalThis.console = { log() {}, error() {}, warn() {} };', context);
+
+  try {
+    vm.runInContext(instrumented, context, { timeout: 5000 });
+  } catch (error) {
+    send({ type: 'error', message: `The code failed to load: ${error.message}` });
+    return;
+  }
+
+  const entry = findEntry(code, context, args.length);
+  if (!entry) {
+    send({ type: 'error', message: 'No function to trace was found in the JavaScript code' });
+    return;
+  }
+
+  let returned = null;
+  let truncated = false;
+  let error = null;
+  try {
+    // Arguments are copied into the context, so the solution's own built-ins apply to them
+    const contextArgs = vm.runInContext(`(${JSON.stringify(args)})`, context);
+    returned = snapshot(entry.fn(...contextArgs));
+  } catch (caught) {
+    if (caught instanceof TraceLimitReached) truncated = true;
+    else error = caught.message;
+  }
+
+  send({ type: 'done', entry: entry.name, steps: runtime.steps, returned, truncated, error });
+}
+
+run();
@@ -0,0 +1,144 @@
+const { TRACE_PROMPT_VERSION, generateTrace } = require('./generators');
+const { computeCacheKey } = require('./cache');
+const { getStoredTrace, saveTrace } = require('./db');
+const { DEFAULT_LANGUAGE } = require('./languages');
+const { normalizeTrace } = require('./schemas');
+const { findTraceInput, traceApproach } = require('./tracer');
+
+// Bump when recorded runs are turned into visualizer steps differently
+const RECORDED_TRACE_VERSION = 1;
+
+// Integer variables with these names are shown as pointers into an array
+const POINTER_NAME = /^(?:[ijklpqr]|lo|hi|low|high|mid|left|right|start|end|slow|fast|ptr|idx|index|\w+Index)\d*$/;
+
+// Traces being built, so concurrent requests for one approach share the work
+const inflightTraces = new Map();
+
+// Function to get the stored trace for `key`, or build it once with
+// `build` and store it. Builds that return null are not stored.
+function shareTrace(key, build) {
+  const stored = getStoredTrace(key);
+  if (stored) return Promise.resolve(stored);
+
+  if (!inflightTraces.has(key)) {
+    const run = build()
+      .then(trace => {
+        if (trace) saveTrace(key, trace);
+        return trace;
+      })
+      .finally(() => inflightTraces.delete(key));
+    inflightTraces.set(key, run);
+  }
+
+  return inflightTraces.get(key);
+}
+
+const isScalar = value => value === null || ['number', 'string', 'boolean'].includes(typeof value);
+const formatValue = value => (typeof value === 'string' ? value : JSON.stringify(value));
+
+// Function to turn a recorded value into the cells of a visualizer array, or
+// null when it is not a collection. Maps and Sets become "key: value" cells.
+function toCells(value) {
+  if (Array.isArray(value)) return value;
+  if (value && Array.isArray(value.Map)) return value.Map.map(([key, item]) => `${formatValue(key)}: ${formatValue(item)}`);
+  if (value && Array.isArray(value.Set)) return value.Set;
+  return null;
+}
+
+// Function to describe a recorded step: the line that ran and what it changed
+// by the time the next step was recorded
+function describeStep(step, after, sourceLines) {
+  const changed = after === step ? [] : Object.entries(after.variables)
+    .filter(([name, value]) => JSON.stringify(step.variables[name]) !== JSON.stringify(value) && isScalar(value))
+    .map(([name, value]) => `${name} = ${formatValue(value)}`);
+  const mutations = (after === step ? [] : after.mutations).map(change => (change.index !== undefined
+    ? `${change.array}[${change.index}] = ${formatValue(change.to)}`
+    : `${change.array} now has ${change.lengthTo} items`));
+
+  const source = (sourceLines[step.line - 1] || '').trim();
+  const where = step.callStack.length > 0 ? ` in ${step.callStack[step.callStack.length - 1]}` : '';
+  const effects = [...changed, ...mutations];
+  return `Runs \`${source}\`${where}${effects.length > 0 ? `: ${effects.join(', ')}` : ''}`;
+}
+
+// Function to convert a trace recorded by the tracer into the steps the
+// visualizer plays: collections become arrays with their changed cells
+// highlighted, index-like integers become pointers and the rest are variables.
+// The tracer records the state before each line runs, so every step shows the
+// state recorded at the next one.
+function toVisualizerTrace(recorded) {
+  const sourceLines = recorded.code.split('\n');
+
+  const steps = recorded.steps.map((step, index) => {
+    const after = recorded.steps[index + 1] || step;
+    const arrays = [];
+    const variables = {};
+    Object.entries(after.variables).forEach(([name, value]) => {
+      const cells = toCells(value);
+      if (cells) {
+        const highlight = (after === step ? [] : after.mutations)
+          .filter(change => change.array === name && change.index !== undefined)
+          .map(change => change.index);
+        arrays.push({ name, values: cells, highlight });
+      } else {
+        variables[name] = value;
+      }
+    });
+
+    const pointers = Object.entries(variables)
+      .filter(([name, value]) => POINTER_NAME.test(name) && Number.isInteger(value))
+      .map(([name, value]) => {
+        const array = arrays.find(candidate => value >= 0 && value < candidate.values.length);
+        return array ? { name, array: array.name, index: value } : null;
+      })
+      .filter(Boolean);
+
+    let description = describeStep(step, after, sourceLines);
+
+    if (index === recorded.steps.length - 1) {
+      if (recorded.error) {
+        description += `, then throws: ${recorded.error}`;
+      } else if (recorded.truncated) {
+        description += ' (the run is cut off here)';
+      } else {
+        variables.result = recorded.returned;
+      }
+    }
+
+    return { line: step.line, description, arrays, pointers, variables };
+  });
+
+  return normalizeTrace({ input: recorded.input, steps }, { lineCount: sourceLines.length });
+}
+
+// Function to get the execution trace of an approach's JavaScript code. The
+// code is run on the first example input in the question and the run is
+// recorded; only when that is not possible does the model write a trace, which
+// is labeled with source 'generated' since its values may be made up.
+// Traces are built once and reused afterwards.
+async function getTrace(approach, { question, language = DEFAULT_LANGUAGE } = {}) {
+  const code = approach.code.jsCode;
+
+  const input = findTraceInput(question);
+  if (input) {
+    const key = computeCacheKey({ code, input, version: RECORDED_TRACE_VERSION });
+    const recorded = await shareTrace(key, async () => {
+      const run = await traceApproach(approach, input);
+      return run && toVisualizerTrace(run);
+    });
+    if (recorded && recorded.steps.length > 0) return { ...recorded, source: 'recorded' };
+  }
+
+  console.warn(`Cannot record a trace for ${approach.title || 'approach'}, so the model writes one`);
+  const key = computeCacheKey({ code, language, promptVersion: TRACE_PROMPT_VERSION });
+  const generated = await shareTrace(key, async () => {
+    const trace = await generateTrace(code, { language });
+    console.log(`Generated trace with ${trace.steps.length} steps for ${approach.title || 'approach'}`);
+    return trace;
+  });
+  return { ...generated, source: 'generated' };
+}
+
+module.exports = {
+  getTrace
+};
@@ -0,0 +1,38 @@
+const { runProcess } = require('./process');
+const { getLanguage } = require('../languages');
+
+// espeak-ng's defaults: 175 words per minute and pitch 50 on a 0-99 scale
+const BASE_WORDS_PER_MINUTE = 175;
+const BASE_PITCH = 50;
+
+// Adapter for the espeak-ng command line synthesizer
+function createEspeakEngine({ command = process.env.ESPEAK_COMMAND || 'espeak-ng' } = {}) {
+  return {
+    name: 'espeak-ng',
+    supportsPitch: true,
+
+    async synthesize({ text, outputPath, voice, speed, pitch, language }) {
+      const args = [
+        '-w', outputPath,
+        '-s', String(Math.round(BASE_WORDS_PER_MINUTE * speed)),
+        '-p', String(Math.min(Math.max(Math.round(BASE_PITCH * pitch), 0), 99)),
+        '--stdin'
+      ];
+      const voiceName = voice || (language && getLanguage(language).espeak);
+      if (voiceName) args.unshift('-v', voiceName);
+
+      await runProcess(command, args, { input: text });
+    },
+
+    // Parses the `espeak-ng --voices` table: Pty Language Age/Gender VoiceName File Other
+    async listVoices() {
+      const output = await runProcess(command, ['--voices']);
+      return output.split('\n').slice(1)
+        .map(line => line.trim().split(/\s+/))
+        .filter(columns => columns.length >= 4)
+        .map(columns => ({ id: columns[1], name: `${columns[3]} (${columns[1]})` }));
+    }
+  };
+}
+
+module.exports = { createEspeakEngine };
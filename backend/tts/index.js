@@ -0,0 +1,98 @@
+const path = require('path');
+const { createEspeakEngine } = require('./espeak');
+const { createPiperEngine } = require('./piper');
+const { createPyttsx3Engine } = require('./pyttsx3');
+const { createSilentEngine } = require('./silent');
+
+// Offline speech engines narration can be recorded with. The default comes
+// from TTS_ENGINE; each request can pick its own engine, voice, speed and pitch.
+const engineFactories = {
+  'espeak-ng': () => createEspeakEngine(),
+  piper: () => createPiperEngine(),
+  pyttsx3: () => createPyttsx3Engine(),
+  silent: () => createSilentEngine()
+};
+
+const TTS_ENGINES = Object.keys(engineFactories);
+
+const DEFAULT_ENGINE = 'pyttsx3';
+
+// Speed and pitch are multipliers of each engine's normal voice
+const SPEED_RANGE = [0.5, 2];
+const PITCH_RANGE = [0.5, 1.5];
+
+const engines = {};
+
+function getEngine(name) {
+  if (!engines[name]) {
+    engines[name] = engineFactories[name]();
+  }
+  return engines[name];
+}
+
+function getDefaultEngine() {
+  const engine = (process.env.TTS_ENGINE || DEFAULT_ENGINE).toLowerCase();
+  if (!engineFactories[engine]) {
+    throw new Error(`Unknown TTS engine "${engine}"`);
+  }
+  return engine;
+}
+
+function clampNumber(value, [min, max], fallback) {
+  const number = Number(value);
+  if (value === undefined || value === null || value === '' || !Number.isFinite(number)) {
+    return fallback;
+  }
+  return Math.min(Math.max(number, min), max);
+}
+
+// Function to fill in defaults for the voice settings of a request
+function normalizeVoiceSettings(settings) {
+  settings = settings || {};
+  const engine = engineFactories[settings.engine] ? settings.engine : getDefaultEngine();
+  return {
+    engine,
+    voice: typeof settings.voice === 'string' && settings.voice.trim() ? settings.voice.trim() : null,
+    speed: clampNumber(settings.speed, SPEED_RANGE, 1),
+    pitch: getEngine(engine).supportsPitch ? clampNumber(settings.pitch, PITCH_RANGE, 1) : 1
+  };
+}
+
+// Function to record each narration step to outputDir/step_<index>.wav. Without
+// an explicit voice, engines pick one for `language`.
+async function synthesizeSteps(narrationSteps, outputDir, settings, { language } = {}) {
+  const { engine, voice, speed, pitch } = normalizeVoiceSettings(settings);
+  const tts = getEngine(engine);
+
+  const clipPaths = [];
+  for (let index = 0; index < narrationSteps.length; index++) {
+    const outputPath = path.join(outputDir, `step_${index}.wav`);
+    await tts.synthesize({ text: narrationSteps[index], outputPath, voice, speed, pitch, language });
+    clipPaths.push(outputPath);
+  }
+  return clipPaths;
+}
+
+// Function to list each engine with its voices, marking engines that are not
+// installed on this machine as unavailable
+async function listEngines() {
+  return Promise.all(TTS_ENGINES.map(async name => {
+    const engine = getEngine(name);
+    try {
+      const voices = await engine.listVoices();
+      return { name, available: true, supportsPitch: engine.supportsPitch, voices };
+    } catch (error) {
+      return { name, available: false, supportsPitch: engine.supportsPitch, voices: [], error: error.message };
+    }
+  }));
+}
+
+module.exports = {
+  TTS_ENGINES,
+  SPEED_RANGE,
+  PITCH_RANGE,
+  getDefaultEngine,
+  normalizeVoiceSettings,
+  synthesizeSteps,
+  listEngines
+};
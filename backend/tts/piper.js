@@ -0,0 +1,50 @@
+const path = require('path');
+const fs = require('fs');
+const { runProcess } = require('./process');
+
+// Adapter for the Piper neural synthesizer. Voices are the .onnx models (with
+// their .onnx.json configs) in PIPER_MODELS_DIR; Piper has no pitch control.
+function createPiperEngine({
+  command = process.env.PIPER_COMMAND || 'piper',
+  modelsDir = process.env.PIPER_MODELS_DIR || path.join(__dirname, 'voices'),
+  defaultVoice = process.env.PIPER_VOICE
+} = {}) {
+  const listModels = () => {
+    if (!fs.existsSync(modelsDir)) return [];
+    return fs.readdirSync(modelsDir)
+      .filter(file => file.endsWith('.onnx'))
+      .map(file => file.replace(/\.onnx$/, ''));
+  };
+
+  return {
+    name: 'piper',
+    supportsPitch: false,
+
+    async synthesize({ text, outputPath, voice, speed, language }) {
+      // Piper models are named after their locale, e.g. es_ES-davefx-medium
+      const models = listModels();
+      const languageModel = language && models.find(model => model.split(/[_-]/)[0] === language);
+      const model = voice || languageModel || defaultVoice || models[0];
+      if (!model) {
+        throw new Error(`No Piper voice models found in ${modelsDir}`);
+      }
+
+      await runProcess(command, [
+        '--model', path.join(modelsDir, `${path.basename(model)}.onnx`),
+        '--output_file', outputPath,
+        // Piper stretches time rather than setting a rate, so speed is inverted
+        '--length_scale', (1 / speed).toFixed(3)
+      ], { input: text });
+    },
+
+    async listVoices() {
+      const models = listModels();
+      if (models.length === 0) {
+        throw new Error(`No Piper voice models found in ${modelsDir}`);
+      }
+      return models.map(model => ({ id: model, name: model }));
+    }
+  };
+}
+
+module.exports = { createPiperEngine };
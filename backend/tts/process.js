@@ -0,0 +1,37 @@
+const { spawn } = require('child_process');
+
+// Function to run a TTS command, feeding `input` on stdin so narration text
+// never ends up in a command line or in generated source code
+function runProcess(command, args, { input = '' } = {}) {
+  return new Promise((resolve, reject) => {
+    const child = spawn(command, args, { stdio: ['pipe', 'pipe', 'pipe'] });
+
+    let output = '';
+    let errorOutput = '';
+
+    child.stdout.on('data', (data) => {
+      output += data.toString();
+    });
+
+    child.stderr.on('data', (data) => {
+      errorOutput += data.toString();
+    });
+
+    child.on('close', (code) => {
+      if (code === 0) {
+        resolve(output);
+      } else {
+        reject(new Error(`${command} exited with code ${code}: ${errorOutput}`));
+      }
+    });
+
+    child.on('error', (error) => {
+      reject(new Error(`Failed to start ${command}: ${error.message}`));
+    });
+
+    child.stdin.on('error', () => {});
+    child.stdin.end(input);
+  });
+}
+
+module.exports = { runProcess };
@@ -0,0 +1,37 @@
+const path = require('path');
+const { runProcess } = require('./process');
+
+const scriptPath = path.join(__dirname, 'pyttsx3_tts.py');
+
+// pyttsx3's rate is in words per minute
+const BASE_RATE = 150;
+const VOLUME = 0.8;
+
+// Adapter for pyttsx3, which drives the platform's own speech engine
+// (SAPI5, NSSpeechSynthesizer or espeak). It has no pitch control.
+function createPyttsx3Engine({ python = 'python' } = {}) {
+  return {
+    name: 'pyttsx3',
+    supportsPitch: false,
+
+    async synthesize({ text, outputPath, voice, speed, language }) {
+      await runProcess(python, [scriptPath], {
+        input: JSON.stringify({
+          text,
+          outputPath,
+          rate: Math.round(BASE_RATE * speed),
+          volume: VOLUME,
+          voice,
+          language
+        })
+      });
+    },
+
+    async listVoices() {
+      const output = await runProcess(python, [scriptPath, '--list']);
+      return JSON.parse(output);
+    }
+  };
+}
+
+module.exports = { createPyttsx3Engine };
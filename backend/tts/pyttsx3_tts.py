@@ -0,0 +1,59 @@
+"""Speaks one narration clip with pyttsx3.
+
+Reads a JSON request on stdin: {"text", "outputPath", "rate", "volume", "voice",
+"language"}, where voice is a pyttsx3 voice id or an index into the installed
+voices. Without a voice, the first voice for the language code is used.
+With --list, prints the installed voices as JSON instead.
+"""
+import json
+import sys
+
+import pyttsx3
+
+
+def find_voice(voices, voice):
+    if voice is None:
+        return None
+    if str(voice).isdigit() and int(voice) < len(voices):
+        return voices[int(voice)].id
+    for candidate in voices:
+        if candidate.id == voice or candidate.name == voice:
+            return candidate.id
+    return None
+
+
+def find_language_voice(voices, language):
+    if not language:
+        return None
+    for candidate in voices:
+        # The espeak driver reports languages as bytes behind a priority byte, e.g. b'\x05en-gb'
+        codes = [code.decode(errors='ignore') if isinstance(code, bytes) else str(code)
+                 for code in (candidate.languages or [])]
+        if any(code.lstrip('\x05').lower().startswith(language) for code in codes):
+            return candidate.id
+    return None
+
+
+def main():
+    engine = pyttsx3.init()
+    voices = engine.getProperty('voices')
+
+    if '--list' in sys.argv:
+        print(json.dumps([{'id': voice.id, 'name': voice.name} for voice in voices]))
+        return
+
+    request = json.load(sys.stdin)
+    engine.setProperty('rate', request['rate'])
+    engine.setProperty('volume', request['volume'])
+
+    voice_id = (find_voice(voices, request.get('voice'))
+                or find_language_voice(voices, request.get('language')))
+    if voice_id:
+        engine.setProperty('voice', voice_id)
+
+    engine.save_to_file(request['text'], request['outputPath'])
+    engine.runAndWait()
+
+
+if __name__ == '__main__':
+    main()
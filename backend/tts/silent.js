@@ -0,0 +1,47 @@
+const fs = require('fs');
+
+const SAMPLE_RATE = 16000;
+const WORDS_PER_MINUTE = 150;
+
+// Function to write a mono 16-bit PCM WAV file of silence
+function writeSilentWav(outputPath, seconds) {
+  const dataSize = Math.round(seconds * SAMPLE_RATE) * 2;
+  const buffer = Buffer.alloc(44 + dataSize);
+
+  buffer.write('RIFF', 0, 'ascii');
+  buffer.writeUInt32LE(36 + dataSize, 4);
+  buffer.write('WAVE', 8, 'ascii');
+  buffer.write('fmt ', 12, 'ascii');
+  buffer.writeUInt32LE(16, 16);
+  buffer.writeUInt16LE(1, 20);
+  buffer.writeUInt16LE(1, 22);
+  buffer.writeUInt32LE(SAMPLE_RATE, 24);
+  buffer.writeUInt32LE(SAMPLE_RATE * 2, 28);
+  buffer.writeUInt16LE(2, 32);
+  buffer.writeUInt16LE(16, 34);
+  buffer.write('data', 36, 'ascii');
+  buffer.writeUInt32LE(dataSize, 40);
+
+  fs.writeFileSync(outputPath, buffer);
+}
+
+// Backend for tests and machines without a synthesizer: writes silence as long
+// as the text would take to speak, so timing and captions still line up
+function createSilentEngine() {
+  return {
+    name: 'silent',
+    supportsPitch: false,
+
+    async synthesize({ text, outputPath, speed }) {
+      const words = text.split(/\s+/).filter(Boolean).length;
+      const seconds = Math.max(words / (WORDS_PER_MINUTE * speed / 60), 0.5);
+      writeSilentWav(outputPath, seconds);
+    },
+
+    async listVoices() {
+      return [];
+    }
+  };
+}
+
+module.exports = { createSilentEngine };
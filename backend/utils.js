@@ -0,0 +1,15 @@
+const fs = require('fs');
+
+// Function to recursively delete directory
+function deleteDirectory(dirPath) {
+  try {
+    if (fs.existsSync(dirPath)) {
+      fs.rmSync(dirPath, { recursive: true, force: true });
+      console.log(`Successfully deleted directory: ${dirPath}`);
+    }
+  } catch (error) {
+    console.error(`Error deleting directory ${dirPath}:`, error);
+  }
+}
+
+module.exports = { deleteDirectory };
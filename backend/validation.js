@@ -0,0 +1,121 @@
+const Ajv = require('ajv');
+const { generateText } = require('./llm');
+
+const ajv = new Ajv({ allErrors: true });
+const validators = new WeakMap();
+
+function getMaxRepairAttempts() {
+  const value = Number(process.env.LLM_REPAIR_ATTEMPTS);
+  return Number.isInteger(value) && value >= 0 ? value : 2;
+}
+
+// Function to remove trailing commas outside of string literals
+function stripTrailingCommas(text) {
+  let result = '';
+  let inString = false;
+  let escaped = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (inString) {
+      result += char;
+      if (escaped) escaped = false;
+      else if (char === '\\') escaped = true;
+      else if (char === '"') inString = false;
+      continue;
+    }
+
+    if (char === '"') {
+      inString = true;
+    } else if (char === ',') {
+      const rest = text.slice(i + 1).trimStart();
+      if (rest.startsWith('}') || rest.startsWith(']')) continue;
+    }
+    result += char;
+  }
+
+  return result;
+}
+
+// Function to parse JSON from model output, tolerating fences, prose and trailing commas
+function parseJsonLoose(text) {
+  let cleaned = text.replace(/```(?:json)?\n?/g, '').trim();
+
+  const start = cleaned.search(/[[{]/);
+  if (start > 0) cleaned = cleaned.slice(start);
+  const end = Math.max(cleaned.lastIndexOf(']'), cleaned.lastIndexOf('}'));
+  if (end !== -1) cleaned = cleaned.slice(0, end + 1);
+
+  try {
+    return JSON.parse(cleaned);
+  } catch {
+    return JSON.parse(stripTrailingCommas(cleaned));
+  }
+}
+
+// Function to validate data against a JSON Schema, returning readable errors
+function validateSchema(schema, data) {
+  if (!validators.has(schema)) {
+    validators.set(schema, ajv.compile(schema));
+  }
+  const validate = validators.get(schema);
+
+  if (validate(data)) return [];
+  return validate.errors.map(error => `${error.instancePath || '(root)'} ${error.message}`);
+}
+
+function buildRepairPrompt(prompt, previousText, errors) {
+  return `${prompt}
+
+Your previous response could not be used because it did not match the required format.
+
+Validation errors:
+${errors.map(error => `- ${error}`).join('\n')}
+
+Previous response:
+${previousText}
+
+Return ONLY the corrected JSON, with no markdown formatting and no extra text.`;
+}
+
+// Function to ask the LLM for JSON matching a schema, sending validation errors
+// back for a bounded number of repair attempts before falling back to defaults
+async function generateValidatedJson({ stage, prompt, schema, normalize }) {
+  const maxRepairs = getMaxRepairAttempts();
+  let currentPrompt = prompt;
+  let lastParsed;
+  let errors = [];
+
+  for (let attempt = 0; attempt <= maxRepairs; attempt++) {
+    const text = await generateText(stage, currentPrompt);
+
+    try {
+      const parsed = parseJsonLoose(text);
+      lastParsed = parsed;
+      errors = validateSchema(schema, parsed);
+    } catch (error) {
+      errors = [`Response is not valid JSON: ${error.message}`];
+    }
+
+    if (errors.length === 0) {
+      return normalize(lastParsed);
+    }
+
+    console.warn(`Invalid ${stage} response (attempt ${attempt + 1}/${maxRepairs + 1}):`, errors);
+    currentPrompt = buildRepairPrompt(prompt, text, errors);
+  }
+
+  if (lastParsed === undefined) {
+    throw new Error(`Model did not return valid JSON for ${stage}: ${errors.join('; ')}`);
+  }
+
+  console.warn(`Filling defaults for ${stage} after ${maxRepairs} repair attempts`);
+  return normalize(lastParsed);
+}
+
+module.exports = {
+  parseJsonLoose,
+  validateSchema,
+  generateValidatedJson
+};
@@ -0,0 +1,118 @@
+const { CODE_LANGUAGES } = require('../schemas');
+const { HARNESS_PROMPT_VERSION, generateHarnesses } = require('../generators');
+const { parseProblemText } = require('../ingest/html');
+const { computeCacheKey } = require('../cache');
+const { getStoredVerification, saveVerification } = require('../db');
+const { LANGUAGE_RUNNERS, isLanguageAvailable, runProgram } = require('./runners');
+const { outputMatches } = require('./outputs');
+
+function readNumber(name, fallback) {
+  const value = Number(process.env[name]);
+  return Number.isFinite(value) && value > 0 ? value : fallback;
+}
+
+// Function to read the limits applied to each solution run
+function getVerifyLimits() {
+  return {
+    timeoutMs: readNumber('VERIFY_TIMEOUT_MS', 5000),
+    memoryMb: readNumber('VERIFY_MEMORY_MB', 256),
+    compileTimeoutMs: readNumber('VERIFY_COMPILE_TIMEOUT_MS', 60000)
+  };
+}
+
+// Function to run one language's test program and check each printed line
+// against the example's expected output
+async function verifyLanguage(language, harness, examples, limits) {
+  const label = LANGUAGE_RUNNERS[language].label;
+
+  if (!isLanguageAvailable(language)) {
+    return { label, status: 'unavailable', message: `${LANGUAGE_RUNNERS[language].tools.join(' and ')} not installed on the server` };
+  }
+  if (!harness) {
+    return { label, status: 'error', message: 'No test program could be generated' };
+  }
+
+  const run = await runProgram(language, harness, limits);
+  if (run.status !== 'ran') {
+    return { label, ...run };
+  }
+
+  const cases = examples.map((example, index) => {
+    const actual = run.lines[index] ?? null;
+    return {
+      input: example.input,
+      expected: example.output,
+      actual,
+      passed: outputMatches(actual, example.output)
+    };
+  });
+  const passedCount = cases.filter(testCase => testCase.passed).length;
+
+  return {
+    label,
+    status: passedCount === cases.length ? 'passed' : 'failed',
+    passed: passedCount,
+    total: cases.length,
+    cases
+  };
+}
+
+// An approach fails if any language that ran got an example wrong, crashed or
+// timed out, and passes if every language that ran got them all right
+function summarize(languages) {
+  const statuses = Object.values(languages).map(result => result.status);
+  if (statuses.some(status => ['failed', 'error', 'timeout'].includes(status))) return 'failed';
+  if (statuses.includes('passed')) return 'passed';
+  return 'unverified';
+}
+
+// Verifications run one at a time, so compilers and solutions never compete for CPU
+let queue = Promise.resolve();
+const inflightVerifications = new Map();
+
+function enqueue(task) {
+  const run = queue.then(task);
+  queue = run.catch(() => {});
+  return run;
+}
+
+// Function to check an approach's code in every language against the sample
+// inputs and outputs in the question, reusing earlier results for the same code
+async function verifyApproach(question, approach) {
+  const { examples } = parseProblemText(question);
+  if (examples.length === 0) {
+    return { status: 'unverified', message: 'The question has no examples with an input and output to check against', languages: {} };
+  }
+
+  // Results depend on which toolchains are installed, so installing one re-verifies
+  const available = CODE_LANGUAGES.filter(isLanguageAvailable);
+  const key = computeCacheKey({ examples, code: approach.code, available, promptVersion: HARNESS_PROMPT_VERSION });
+
+  const stored = getStoredVerification(key);
+  if (stored) return stored;
+
+  if (!inflightVerifications.has(key)) {
+    const run = enqueue(async () => {
+      const limits = getVerifyLimits();
+      const harnesses = available.length > 0 ? await generateHarnesses(approach.code, examples) : {};
+
+      const languages = {};
+      for (const language of CODE_LANGUAGES) {
+        languages[language] = await verifyLanguage(language, harnesses[language], examples, limits);
+      }
+
+      const verification = { status: summarize(languages), examples: examples.length, languages };
+      saveVerification(key, verification);
+      console.log(`Verified ${approach.title || 'approach'}: ${verification.status}`);
+      return verification;
+    }).finally(() => inflightVerifications.delete(key));
+    inflightVerifications.set(key, run);
+  }
+
+  return inflightVerifications.get(key);
+}
+
+module.exports = {
+  getVerifyLimits,
+  verifyApproach
+};
@@ -0,0 +1,21 @@
+// Outputs are compared as JSON where possible, so spacing and number
+// formatting (2 vs 2.0) do not matter
+function canonicalOutput(text) {
+  const trimmed = text.trim();
+  try {
+    return JSON.stringify(JSON.parse(trimmed));
+  } catch {
+    return trimmed.replace(/\s+/g, '');
+  }
+}
+
+// Function to check a printed line against an example's expected output; a
+// missing line never matches
+function outputMatches(actual, expected) {
+  return actual !== null && canonicalOutput(actual) === canonicalOutput(expected);
+}
+
+module.exports = {
+  canonicalOutput,
+  outputMatches
+};
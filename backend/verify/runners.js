@@ -0,0 +1,130 @@
+const path = require('path');
+const fs = require('fs');
+const os = require('os');
+const { runLimited, NODE_ADDRESS_SPACE_HEADROOM_MB } = require('../sandbox');
+
+// The JVM's code cache, class metadata and thread stacks live outside its heap
+const JVM_FLAGS = ['-XX:+UseSerialGC', '-XX:ReservedCodeCacheSize=64m', '-XX:MaxMetaspaceSize=128m', '-XX:CompressedClassSpaceSize=64m'];
+const JVM_ADDRESS_SPACE_HEADROOM_MB = 1024;
+
+// How each language's test program is compiled and run. The JVM and V8 reserve
+// far more address space than they use, so their heap is capped with their own
+// flags and their address-space limit leaves room above the heap.
+const LANGUAGE_RUNNERS = {
+  javaCode: {
+    label: 'Java',
+    fileName: 'Main.java',
+    tools: ['javac', 'java'],
+    compile: ['javac', ['-encoding', 'UTF-8', 'Main.java']],
+    run: ({ memoryMb }) => ['java', [`-Xmx${memoryMb}m`, '-Xss64m', ...JVM_FLAGS, '-cp', '.', 'Main']],
+    addressSpaceMb: ({ memoryMb }) => memoryMb + JVM_ADDRESS_SPACE_HEADROOM_MB
+  },
+  pythonCode: {
+    label: 'Python',
+    fileName: 'main.py',
+    tools: ['python3'],
+    run: () => ['python3', ['-I', 'main.py']],
+    addressSpaceMb: ({ memoryMb }) => memoryMb
+  },
+  cppCode: {
+    label: 'C++',
+    fileName: 'main.cpp',
+    tools: ['g++'],
+    compile: ['g++', ['-std=c++17', '-O2', '-o', 'main', 'main.cpp']],
+    run: () => ['./main', []],
+    addressSpaceMb: ({ memoryMb }) => memoryMb
+  },
+  jsCode: {
+    label: 'JavaScript',
+    fileName: 'main.js',
+    tools: ['node'],
+    run: ({ memoryMb }) => ['node', [`--max-old-space-size=${memoryMb}`, 'main.js']],
+    addressSpaceMb: ({ memoryMb }) => memoryMb + NODE_ADDRESS_SPACE_HEADROOM_MB
+  }
+};
+
+const toolCache = new Map();
+
+// Function to check whether a command is on the PATH
+function commandExists(command) {
+  if (!toolCache.has(command)) {
+    const extensions = process.platform === 'win32' ? ['.exe', '.cmd', ''] : [''];
+    const found = (process.env.PATH || '').split(path.delimiter).some(dir =>
+      extensions.some(extension => fs.existsSync(path.join(dir, command + extension)))
+    );
+    toolCache.set(command, found);
+  }
+  return toolCache.get(command);
+}
+
+function isLanguageAvailable(language) {
+  return LANGUAGE_RUNNERS[language].tools.every(commandExists);
+}
+
+// Keep error messages short enough to show in a tooltip
+function tail(text, maxLength = 2000) {
+  const trimmed = text.trim();
+  return trimmed.length > maxLength ? `...${trimmed.slice(-maxLength)}` : trimmed;
+}
+
+// Function to compile (if needed) and run one test program in a throwaway
+// directory, returning its output lines or why it did not finish. runLimited
+// isolates both steps: no network and no access to the backend directory.
+// See the README for what the sandbox does not cover.
+async function runProgram(language, source, limits) {
+  const runner = LANGUAGE_RUNNERS[language];
+  const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'code2concept-verify-'));
+
+  try {
+    fs.writeFileSync(path.join(workDir, runner.fileName), source);
+
+    if (runner.compile) {
+      const [command, args] = runner.compile;
+      const compiled = await runLimited(command, args, {
+        cwd: workDir,
+        cpuSeconds: Math.ceil(limits.compileTimeoutMs / 1000),
+        maxFileMb: 100,
+        timeoutMs: limits.compileTimeoutMs
+      });
+      if (compiled.timedOut) {
+        return { status: 'error', message: 'Compilation timed out' };
+      }
+      if (compiled.code !== 0) {
+        return { status: 'error', message: `Compilation failed:\n${tail(compiled.errorOutput || compiled.output)}` };
+      }
+    }
+
+    const [command, args] = runner.run(limits);
+    const result = await runLimited(command, args, {
+      cwd: workDir,
+      cpuSeconds: Math.ceil(limits.timeoutMs / 1000),
+      memoryMb: runner.addressSpaceMb(limits),
+      maxFileMb: 10,
+      maxFiles: 64,
+      timeoutMs: limits.timeoutMs
+    });
+
+    if (result.timedOut || result.signal === 'SIGXCPU') {
+      return { status: 'timeout', message: `Did not finish within ${limits.timeoutMs / 1000}s` };
+    }
+    if (/MemoryError|std::bad_alloc|heap out of memory|OutOfMemoryError/.test(result.errorOutput)) {
+      return { status: 'error', message: `Exceeded the ${limits.memoryMb}MB memory limit` };
+    }
+    if (result.code !== 0) {
+      return { status: 'error', message: tail(result.errorOutput || `Exited with code ${result.code ?? result.signal}`) };
+    }
+
+    return {
+      status: 'ran',
+      lines: result.output.split('\n').map(line => line.trim()).filter(Boolean)
+    };
+  } finally {
+    fs.rmSync(workDir, { recursive: true, force: true });
+  }
+}
+
+module.exports = {
+  LANGUAGE_RUNNERS,
+  isLanguageAvailable,
+  runProgram
+};
@@ -5,13 +5,16 @@ import { AppProvider, useApp } from './context/AppContext';
 import { VideoProvider } from './context/VideoContext';
 
 const AppContent = () => {
-  const { currentPage, questionData, handleBackToHome } = useApp();
+  const { currentPage, questionData, loading, error, handleBackToHome, handleChangeLanguage } = useApp();
 
   if (currentPage === 'explanation') {
     return (
       <DSAExplanationPage 
         questionData={{ ...questionData }} 
         onBack={handleBackToHome}
+        onChangeLanguage={handleChangeLanguage}
+        loading={loading}
+        error={error}
       />
     );
   }
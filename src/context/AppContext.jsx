@@ -1,13 +1,34 @@
-import { createContext, useContext, useState } from "react";
-import { analyzeProblem } from "../services/api";
+import { createContext, useContext, useEffect, useRef, useState } from "react";
+import { analyzeProblem, getProblem, translateAnalysis } from "../services/api";
 
 const AppContext = createContext();
 
+// The current analysis is kept across reloads so in-progress renders can resume
+const QUESTION_STORAGE_KEY = "code2concept:questionData";
+
+const loadStoredQuestion = () => {
+  try {
+    return JSON.parse(localStorage.getItem(QUESTION_STORAGE_KEY));
+  } catch {
+    return null;
+  }
+};
+
 export const AppProvider = ({ children }) => {
-  const [currentPage, setCurrentPage] = useState("home");
-  const [questionData, setQuestionData] = useState(null);
+  const [questionData, setQuestionData] = useState(loadStoredQuestion);
+  const [currentPage, setCurrentPage] = useState(() => (questionData ? "explanation" : "home"));
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
+  // Each language an analysis was shown in, so switching back is instant
+  const translationsRef = useRef(new Map());
+
+  useEffect(() => {
+    if (questionData) {
+      localStorage.setItem(QUESTION_STORAGE_KEY, JSON.stringify(questionData));
+    } else {
+      localStorage.removeItem(QUESTION_STORAGE_KEY);
+    }
+  }, [questionData]);
 
   const handleGenerate = async (userInput) => {
     console.log("userInput:", userInput.url);
@@ -15,7 +36,7 @@ export const AppProvider = ({ children }) => {
     try {
       setLoading(true);
       setError(null);
-      const data = await analyzeProblem(userInput.url);
+      const data = await analyzeProblem(userInput.url, userInput.language);
       setQuestionData(data);
       setCurrentPage("explanation");
     } catch (err) {
@@ -25,6 +46,46 @@ export const AppProvider = ({ children }) => {
     }
   };
 
+  const handleOpenProblem = async (problemId) => {
+    try {
+      setLoading(true);
+      setError(null);
+      const data = await getProblem(problemId);
+      setQuestionData(data);
+      setCurrentPage("explanation");
+    } catch (err) {
+      setError(err.message || "Failed to load analysis");
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Translates the current explanation into another language. Only the prose
+  // changes; the approaches and their code stay the same.
+  const handleChangeLanguage = async (language) => {
+    const currentLanguage = questionData?.language || "en";
+    if (!questionData || language === currentLanguage) return;
+
+    const translations = translationsRef.current;
+    translations.set(`${questionData.question}\n${currentLanguage}`, questionData);
+    const known = translations.get(`${questionData.question}\n${language}`);
+    if (known) {
+      setQuestionData(known);
+      return;
+    }
+
+    try {
+      setLoading(true);
+      setError(null);
+      const data = await translateAnalysis(questionData.question, questionData.approaches, language);
+      setQuestionData({ ...data, source: questionData.source });
+    } catch (err) {
+      setError(err.message || "Failed to translate explanation");
+    } finally {
+      setLoading(false);
+    }
+  };
+
   const handleBackToHome = () => {
     setCurrentPage("home");
     setQuestionData(null);
@@ -39,6 +100,8 @@ export const AppProvider = ({ children }) => {
         loading,
         error,
         handleGenerate,
+        handleOpenProblem,
+        handleChangeLanguage,
         handleBackToHome,
       }}
     >
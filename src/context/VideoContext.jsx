@@ -1,39 +1,125 @@
-import { createContext, useContext, useState } from 'react';
+import { createContext, useCallback, useContext, useEffect, useRef, useState } from 'react';
+import { API_ORIGIN, createAnimationJob } from '../services/api';
 
 const VideoContext = createContext();
 
+// Render job ids survive a page reload so an in-progress render can be resumed
+const JOB_STORAGE_KEY = 'code2concept:animationJobs';
+
+// Render settings (e.g. the narration voice) apply to every render requested afterwards
+const OPTIONS_STORAGE_KEY = 'code2concept:renderOptions';
+
+const loadStored = (key) => {
+  try {
+    return JSON.parse(localStorage.getItem(key)) || {};
+  } catch {
+    return {};
+  }
+};
+
 export const VideoProvider = ({ children }) => {
-  const [videoUrls, setVideoUrls] = useState({});
-  const [requestedVideos, setRequestedVideos] = useState({});
+  // Approach id -> { url, quality, hlsUrl } of its finished video
+  const [videos, setVideos] = useState({});
+  const [jobIds, setJobIds] = useState(() => loadStored(JOB_STORAGE_KEY));
+  const [renderOptions, setRenderOptions] = useState(() => loadStored(OPTIONS_STORAGE_KEY));
+  const pendingJobRequests = useRef({});
+  // Videos dropped with resetAnimation, whose saved render must not come back
+  const droppedVideos = useRef(new Set());
 
-  const setVideoUrl = (approachId, url) => {
-    setVideoUrls(prev => ({
-      ...prev,
-      [approachId]: url
-    }));
-  };
+  useEffect(() => {
+    localStorage.setItem(JOB_STORAGE_KEY, JSON.stringify(jobIds));
+  }, [jobIds]);
 
-  const getVideoUrl = (approachId) => {
-    return videoUrls[approachId];
-  };
+  useEffect(() => {
+    localStorage.setItem(OPTIONS_STORAGE_KEY, JSON.stringify(renderOptions));
+  }, [renderOptions]);
 
-  const setVideoRequested = (approachId, requested) => {
-    setRequestedVideos(prev => ({
+  const setVideoUrl = useCallback((approachId, url, details = {}) => {
+    setVideos(prev => ({
       ...prev,
-      [approachId]: requested
+      [approachId]: url ? { ...details, url } : null
     }));
-  };
+  }, []);
 
-  const isVideoRequested = (approachId) => {
-    return requestedVideos[approachId] || false;
-  };
+  const getVideoUrl = useCallback((approachId) => {
+    return videos[approachId]?.url;
+  }, [videos]);
+
+  // Returns what is known about a finished video besides its URL, e.g. quality and hlsUrl
+  const getVideoDetails = useCallback((approachId) => {
+    return videos[approachId] || {};
+  }, [videos]);
+
+  const setJobId = useCallback((approachId, jobId) => {
+    setJobIds(prev => {
+      const next = { ...prev };
+      if (jobId) {
+        next[approachId] = jobId;
+      } else {
+        delete next[approachId];
+      }
+      return next;
+    });
+  }, []);
+
+  const getJobId = useCallback((approachId) => {
+    return jobIds[approachId];
+  }, [jobIds]);
+
+  // Only one job is created per approach even if several components ask at once.
+  // `key` overrides the approach title as the id the job is stored under,
+  // `sourceRenderId` re-renders an earlier render's script, `question` lets the
+  // server trace the solution on an example, and any other options are added
+  // to the render options for this job.
+  const requestAnimationJob = useCallback((approach, { key, sourceRenderId, question, ...options } = {}) => {
+    const approachId = key || approach.title;
+    if (!pendingJobRequests.current[approachId]) {
+      pendingJobRequests.current[approachId] = createAnimationJob(
+        approach,
+        { ...renderOptions, ...options },
+        sourceRenderId,
+        question
+      )
+        .then(job => {
+          setJobId(approachId, job.id);
+          return job;
+        })
+        .finally(() => {
+          delete pendingJobRequests.current[approachId];
+        });
+    }
+    return pendingJobRequests.current[approachId];
+  }, [renderOptions, setJobId]);
+
+  // Plays the render stored with a saved analysis (approach.render) instead of
+  // rendering the approach again, with its stream and quality if it had them.
+  // Returns false when there is none to play.
+  const loadSavedRender = useCallback((approachId, approach) => {
+    const { videoUrl: savedUrl, quality, hlsUrl } = approach.render || {};
+    if (!savedUrl || droppedVideos.current.has(approachId)) return false;
+    setVideoUrl(approachId, `${API_ORIGIN}${savedUrl}`, { quality, hlsUrl });
+    return true;
+  }, [setVideoUrl]);
+
+  // Drops an approach's video and job so it is rendered again with the current settings
+  const resetAnimation = useCallback((approachId) => {
+    droppedVideos.current.add(approachId);
+    setVideoUrl(approachId, null);
+    setJobId(approachId, null);
+  }, [setVideoUrl, setJobId]);
 
   return (
     <VideoContext.Provider value={{ 
       setVideoUrl, 
       getVideoUrl, 
-      setVideoRequested, 
-      isVideoRequested 
+      getVideoDetails,
+      setJobId,
+      getJobId,
+      requestAnimationJob,
+      loadSavedRender,
+      renderOptions,
+      setRenderOptions,
+      resetAnimation
     }}>
       {children}
     </VideoContext.Provider>
@@ -46,4 +132,4 @@ export const useVideo = () => {
     throw new Error('useVideo must be used within a VideoProvider');
   }
   return context;
-};
\ No newline at end of file
+};
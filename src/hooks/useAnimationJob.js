@@ -0,0 +1,119 @@
+import { useEffect, useState } from 'react';
+import { useVideo } from '../context/VideoContext';
+import { API_ORIGIN, getAnimationJob, getVideoKey, subscribeToAnimationJob } from '../services/api';
+
+const JOB_POLL_INTERVAL_MS = 2000;
+
+// Follows the video of an approach: plays its saved render, or else starts a
+// render job for it or resumes following the stored one. Progress streams over
+// SSE; polling is the fallback when the stream fails. Returns the job being
+// followed, the error if any and, once finished, the video URL. `reset` clears
+// the job and error before the caller drops the video; `retry` also forgets
+// the job so a new one is requested.
+export const useAnimationJob = (approach, { question, language = 'en' } = {}) => {
+  const [job, setJob] = useState(null);
+  const [error, setError] = useState(null);
+  const [isLoading, setIsLoading] = useState(true);
+
+  const { getVideoUrl, setVideoUrl, getJobId, setJobId, requestAnimationJob, loadSavedRender } = useVideo();
+
+  const videoKey = getVideoKey(approach, language);
+  const jobId = getJobId(videoKey);
+  const videoUrl = getVideoUrl(videoKey);
+
+  useEffect(() => {
+    if (videoUrl) {
+      setIsLoading(false);
+      return;
+    }
+    if (!jobId && loadSavedRender(videoKey, approach)) return;
+
+    let cancelled = false;
+    let pollTimeout = null;
+    let unsubscribe = null;
+
+    // Returns true once the job has finished
+    const handleJobUpdate = (currentJob) => {
+      setJob(currentJob);
+
+      if (currentJob.status === 'completed') {
+        const fullUrl = `${API_ORIGIN}${currentJob.result.videoUrl}`;
+        setVideoUrl(videoKey, fullUrl, {
+          quality: currentJob.result.quality,
+          hlsUrl: currentJob.result.hlsUrl
+        });
+        setIsLoading(false);
+        console.log('Video URL cached:', fullUrl);
+        return true;
+      }
+      if (currentJob.status === 'failed') {
+        setError(currentJob.error?.message || 'Failed to generate animation');
+        setIsLoading(false);
+        return true;
+      }
+      return false;
+    };
+
+    const pollJob = async () => {
+      try {
+        const currentJob = await getAnimationJob(jobId);
+        if (cancelled) return;
+
+        if (!currentJob) {
+          // The server forgot the job (e.g. it restarted), so queue a new one
+          setJobId(videoKey, null);
+          return;
+        }
+
+        if (!handleJobUpdate(currentJob)) {
+          pollTimeout = setTimeout(pollJob, JOB_POLL_INTERVAL_MS);
+        }
+      } catch (error) {
+        if (cancelled) return;
+        console.error('Error polling animation job:', error);
+        setError(error.message);
+        setIsLoading(false);
+      }
+    };
+
+    setIsLoading(true);
+    setError(null);
+
+    if (jobId) {
+      unsubscribe = subscribeToAnimationJob(
+        jobId,
+        (currentJob) => {
+          if (!cancelled) handleJobUpdate(currentJob);
+        },
+        () => {
+          if (!cancelled) pollJob();
+        }
+      );
+    } else {
+      console.log('Requesting animation for approach:', approach.title);
+      requestAnimationJob(approach, { key: videoKey, language, question }).catch(error => {
+        if (cancelled) return;
+        setError(error.message);
+        setIsLoading(false);
+      });
+    }
+
+    return () => {
+      cancelled = true;
+      clearTimeout(pollTimeout);
+      if (unsubscribe) unsubscribe();
+    };
+  }, [approach, question, videoKey, language, jobId, videoUrl, loadSavedRender, requestAnimationJob, setJobId, setVideoUrl]);
+
+  const reset = () => {
+    setError(null);
+    setJob(null);
+  };
+
+  const retry = () => {
+    reset();
+    setJobId(videoKey, null);
+  };
+
+  return { videoKey, job, error, setError, isLoading, videoUrl, reset, retry };
+};
@@ -1,11 +1,12 @@
 import HeroSection from '../section/Hero';
 import SearchInput from '../section/SearchInput';
 import QuestionInputForm from '../section/QuestionInputForm';
+import ProblemHistory from '../section/ProblemHistory';
 import { useApp } from '../context/AppContext';
 import './HomePage.css';
 
 const HomePage = () => {
-  const { handleGenerate, loading, error } = useApp();
+  const { handleGenerate, handleOpenProblem, loading, error } = useApp();
 
   return (
     <div className="min-h-screen relative overflow-hidden ">
@@ -25,8 +26,9 @@ const HomePage = () => {
               <span className="block sm:inline">{error}</span>
             </div>
           )}
-          {/* <SearchInput onGenerate={handleGenerate} disabled={loading} /> */}
+          <SearchInput onGenerate={handleGenerate} disabled={loading} />
           <QuestionInputForm onGenerate={handleGenerate} disabled={loading} />
+          <ProblemHistory onOpen={handleOpenProblem} disabled={loading} />
         </div>
       </main>
 
@@ -0,0 +1,39 @@
+import { ListOrdered } from 'lucide-react';
+
+const formatTime = (time) => {
+  const minutes = Math.floor(time / 60);
+  const seconds = Math.floor(time % 60);
+  return `${minutes}:${seconds.toString().padStart(2, '0')}`;
+};
+
+// Clickable list of a video's chapters (one per narration step), highlighting the current one
+const ChapterList = ({ chapters, currentIndex, onSelect }) => {
+  return (
+    <div className="bg-[#8B7355]/20 rounded-lg p-4 border border-[#2C2522]">
+      <h4 className="font-medium mb-2 flex items-center gap-2 text-[#2C2522]">
+        <ListOrdered className="w-4 h-4" />
+        Steps
+      </h4>
+      <ol className="space-y-1 max-h-64 overflow-y-auto">
+        {chapters.map((chapter, index) => (
+          <li key={chapter.index}>
+            <button
+              onClick={() => onSelect(chapter)}
+              title={chapter.text}
+              className={`w-full flex items-start gap-3 text-left text-sm px-2 py-1.5 rounded-md transition-colors ${
+                index === currentIndex
+                  ? 'bg-[#6B574A] text-[#e6ddd6]'
+                  : 'text-[#2C2522] hover:bg-[#8B7355]/30'
+              }`}
+            >
+              <span className="font-mono text-xs pt-0.5 shrink-0">{formatTime(chapter.start)}</span>
+              <span>{chapter.index + 1}. {chapter.title}</span>
+            </button>
+          </li>
+        ))}
+      </ol>
+    </div>
+  );
+};
+
+export default ChapterList;
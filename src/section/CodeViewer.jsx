@@ -0,0 +1,67 @@
+import { useEffect, useMemo, useRef } from 'react';
+import { highlightCode } from '../utils/highlight';
+
+const TOKEN_CLASSES = {
+  keyword: 'text-[#D4A373] font-semibold',
+  type: 'text-[#A3B18A]',
+  function: 'text-[#E9C46A]',
+  string: 'text-[#9CC5A1]',
+  number: 'text-[#E07A5F]',
+  comment: 'text-[#e6ddd6]/50 italic',
+  meta: 'text-[#C4B5A5]'
+};
+
+// Syntax-highlighted code with line numbers. The lines in `activeLines`
+// ([first, last], 1-based) are marked and kept in view; lines for which
+// `isLineLinked` returns true can be clicked to call onLineClick(line).
+const CodeViewer = ({ code, language, activeLines = null, isLineLinked = () => false, onLineClick, className = '' }) => {
+  const lines = useMemo(() => highlightCode(code || '', language), [code, language]);
+  const containerRef = useRef(null);
+  const activeLineRef = useRef(null);
+
+  // Scroll the code block, not the page, when the active line is out of view
+  const firstActiveLine = activeLines ? activeLines[0] : null;
+  useEffect(() => {
+    const container = containerRef.current;
+    const line = activeLineRef.current;
+    if (!container || !line) return;
+
+    const isVisible = line.offsetTop >= container.scrollTop
+      && line.offsetTop + line.offsetHeight <= container.scrollTop + container.clientHeight;
+    if (!isVisible) {
+      container.scrollTo({ top: line.offsetTop - container.clientHeight / 3, behavior: 'smooth' });
+    }
+  }, [firstActiveLine, code]);
+
+  return (
+    <pre ref={containerRef} className={`relative py-4 text-sm font-mono overflow-auto ${className}`}>
+      {lines.map((tokens, index) => {
+        const number = index + 1;
+        const isActive = activeLines !== null && number >= activeLines[0] && number <= activeLines[1];
+        const isLinked = Boolean(onLineClick) && isLineLinked(number);
+        return (
+          <div
+            key={index}
+            ref={number === firstActiveLine ? activeLineRef : undefined}
+            onClick={isLinked ? () => onLineClick(number) : undefined}
+            title={isLinked ? 'Play the step that explains this line' : undefined}
+            className={`flex px-4 transition-colors ${isActive ? 'bg-[#8B7355]/60' : ''} ${
+              isLinked ? 'cursor-pointer hover:bg-[#6B574A]/50' : ''
+            }`}
+          >
+            <span className="w-8 shrink-0 text-right pr-3 select-none text-[#e6ddd6]/40">{number}</span>
+            <code className="flex-1 text-[#e6ddd6] whitespace-pre-wrap break-words">
+              {tokens.length === 0 ? ' ' : tokens.map((token, tokenIndex) => (
+                <span key={tokenIndex} className={token.kind ? TOKEN_CLASSES[token.kind] : undefined}>
+                  {token.text}
+                </span>
+              ))}
+            </code>
+          </div>
+        );
+      })}
+    </pre>
+  );
+};
+
+export default CodeViewer;
@@ -0,0 +1,44 @@
+import { useAnimationJob } from '../hooks/useAnimationJob';
+import RenderProgress from './RenderProgress';
+
+// One of the two videos in the comparison view. It shares the render jobs and
+// cached videos of the single-approach view, but has no controls of its own:
+// the comparison view plays it through `videoRef`. The MP4 is played rather
+// than the HLS stream, so seeking both videos lands on exact times.
+const ComparisonVideo = ({ approach, question, language = 'en', videoRef, onDuration }) => {
+  const { job, error, videoUrl, retry } = useAnimationJob(approach, { question, language });
+
+  return (
+    <div className="bg-slate-900/80 rounded-lg aspect-video overflow-hidden border border-slate-700 relative">
+      {error ? (
+        <div className="absolute inset-0 flex flex-col items-center justify-center bg-[#2C2522]/90">
+          <div className="text-center p-4">
+            <span className="text-red-400 mb-4 block">{error}</span>
+            <button
+              onClick={retry}
+              className="bg-[#8B7355] hover:bg-[#6B574A] px-4 py-2 rounded-lg text-[#e6ddd6] transition-colors"
+            >
+              Retry
+            </button>
+          </div>
+        </div>
+      ) : videoUrl ? (
+        <video
+          ref={videoRef}
+          src={videoUrl}
+          crossOrigin="anonymous"
+          playsInline
+          className="w-full h-full object-cover"
+          onLoadedMetadata={(e) => onDuration(e.currentTarget.duration)}
+          onError={(e) => console.error('Video error:', e)}
+        />
+      ) : (
+        <div className="absolute inset-0 flex flex-col items-center justify-center bg-[#2C2522]/90">
+          <RenderProgress job={job} />
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ComparisonVideo;
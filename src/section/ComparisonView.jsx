@@ -0,0 +1,347 @@
+import { useEffect, useRef, useState } from 'react';
+import { Play, Pause, RotateCcw, Volume2, VolumeX, Clock, TrendingUp, Zap, AlertTriangle, Code } from 'lucide-react';
+import ComparisonVideo from './ComparisonVideo';
+import GrowthChart from './GrowthChart';
+import CodeViewer from './CodeViewer';
+import { estimateOperations } from '../utils/complexity';
+
+// How often the following video is checked against the leading one, and how
+// far apart they may drift before it is moved back into step
+const SYNC_INTERVAL_MS = 250;
+const SYNC_TOLERANCE_S = 0.25;
+
+const SIDES = ['left', 'right'];
+const SIDE_COLORS = { left: '#7B4A4A', right: '#4A7B5A' };
+const SPEEDS = [0.5, 1, 1.5, 2];
+const CODE_LANGUAGES = ['javaCode', 'pythonCode', 'cppCode', 'jsCode'];
+
+const formatTime = (time) => {
+  const minutes = Math.floor(time / 60);
+  const seconds = Math.floor(time % 60);
+  return `${minutes}:${seconds.toString().padStart(2, '0')}`;
+};
+
+const formatOperations = (value) => (value >= 1e6 ? value.toExponential(1).replace('e+', 'e') : `${Math.round(value)}`);
+
+const ApproachSummary = ({ approach, color }) => (
+  <div className="bg-[#C4B5A5] rounded-lg p-4 border border-[#2C2522] space-y-3">
+    <h3 className="font-semibold flex items-center gap-2">
+      <span className="inline-block w-3 h-3 rounded-full" style={{ backgroundColor: color }} />
+      {approach.title}
+    </h3>
+    <div className="flex flex-wrap gap-3">
+      <div className="flex items-center gap-2 bg-[#4A7B5A]/20 px-3 py-2 rounded-lg border border-[#4A7B5A]">
+        <Clock className="w-4 h-4 text-[#4A7B5A]" />
+        <div>
+          <span className="text-xs">Time</span>
+          <span className="block text-sm font-mono">{approach.timeComplexity}</span>
+        </div>
+      </div>
+      <div className="flex items-center gap-2 bg-[#7B4A4A]/20 px-3 py-2 rounded-lg border border-[#7B4A4A]">
+        <TrendingUp className="w-4 h-4 text-[#7B4A4A]" />
+        <div>
+          <span className="text-xs">Space</span>
+          <span className="block text-sm font-mono">{approach.spaceComplexity}</span>
+        </div>
+      </div>
+    </div>
+    <div className="grid grid-cols-1 sm:grid-cols-2 gap-3">
+      <div className="bg-[#4A7B5A]/20 rounded-lg p-3 border border-[#4A7B5A]">
+        <h4 className="font-medium text-[#4A7B5A] mb-2 flex items-center gap-1">
+          <Zap className="w-4 h-4" />
+          Pros
+        </h4>
+        <ul className="text-sm space-y-1">
+          {approach.pros.map((pro, index) => (
+            <li key={index} className="flex items-start gap-2">
+              <span className="text-[#4A7B5A]">✓</span>
+              <span>{pro}</span>
+            </li>
+          ))}
+        </ul>
+      </div>
+      <div className="bg-[#7B4A4A]/20 rounded-lg p-3 border border-[#7B4A4A]">
+        <h4 className="font-medium text-[#7B4A4A] mb-2 flex items-center gap-1">
+          <AlertTriangle className="w-4 h-4" />
+          Cons
+        </h4>
+        <ul className="text-sm space-y-1">
+          {approach.cons.map((con, index) => (
+            <li key={index} className="flex items-start gap-2">
+              <span className="text-[#7B4A4A]">✗</span>
+              <span>{con}</span>
+            </li>
+          ))}
+        </ul>
+      </div>
+    </div>
+  </div>
+);
+
+// Two approaches side by side: their videos play together under one set of
+// controls, followed by their complexities, pros and cons, code and a chart
+// of how their stated time complexities grow
+const ComparisonView = ({ approaches, question, language = 'en' }) => {
+  const [selected, setSelected] = useState({ left: 0, right: Math.min(1, approaches.length - 1) });
+  const [durations, setDurations] = useState({ left: 0, right: 0 });
+  const [isPlaying, setIsPlaying] = useState(false);
+  const [currentTime, setCurrentTime] = useState(0);
+  // Only one narration is heard at a time, so the two don't talk over each other
+  const [audioSide, setAudioSide] = useState('left');
+  const [speed, setSpeed] = useState(1);
+  const [activeLanguage, setActiveLanguage] = useState('javaCode');
+
+  const leftVideo = useRef(null);
+  const rightVideo = useRef(null);
+  const videoRefs = { left: leftVideo, right: rightVideo };
+
+  const loadedVideos = () => SIDES.map(side => videoRefs[side].current).filter(Boolean);
+
+  // The longer video drives the shared clock; the shorter one stops at its end
+  const duration = Math.max(durations.left, durations.right);
+  const leadingSide = durations.right > durations.left ? 'right' : 'left';
+
+  // Keep the shorter video in step with the longer one while both play
+  useEffect(() => {
+    if (!isPlaying) return;
+
+    const timer = setInterval(() => {
+      const leader = (leadingSide === 'left' ? leftVideo : rightVideo).current;
+      const follower = (leadingSide === 'left' ? rightVideo : leftVideo).current;
+      if (!leader) return;
+
+      setCurrentTime(leader.currentTime);
+      if (leader.ended) {
+        setIsPlaying(false);
+        return;
+      }
+      if (!follower || leader.currentTime >= follower.duration) return;
+
+      if (Math.abs(follower.currentTime - leader.currentTime) > SYNC_TOLERANCE_S) {
+        follower.currentTime = leader.currentTime;
+      }
+      // It may have ended before a seek back, or finished rendering mid-play
+      if (follower.paused) {
+        follower.play().catch(e => console.error('Error playing video:', e));
+      }
+    }, SYNC_INTERVAL_MS);
+
+    return () => clearInterval(timer);
+  }, [isPlaying, leadingSide, leftVideo, rightVideo]);
+
+  // A video is only in the DOM once its render has finished, so these are
+  // applied again whenever one loads
+  useEffect(() => {
+    for (const side of SIDES) {
+      const video = videoRefs[side].current;
+      if (!video) continue;
+      video.muted = audioSide !== side;
+      video.playbackRate = speed;
+    }
+  });
+
+  const selectApproach = (side, index) => {
+    loadedVideos().forEach(video => video.pause());
+    setIsPlaying(false);
+    setCurrentTime(0);
+    setDurations(prev => ({ ...prev, [side]: 0 }));
+    setSelected(prev => ({ ...prev, [side]: index }));
+  };
+
+  const seekTo = (time) => {
+    loadedVideos().forEach(video => {
+      video.currentTime = Math.min(time, video.duration || 0);
+    });
+    setCurrentTime(time);
+  };
+
+  const playAll = () => {
+    loadedVideos().forEach(video => {
+      if (video.currentTime < video.duration) {
+        video.play().catch(e => console.error('Error playing video:', e));
+      }
+    });
+    setIsPlaying(true);
+  };
+
+  const handlePlayPause = () => {
+    if (isPlaying) {
+      loadedVideos().forEach(video => video.pause());
+      setIsPlaying(false);
+      return;
+    }
+    if (currentTime >= duration) seekTo(0);
+    playAll();
+  };
+
+  const handleRestart = () => {
+    seekTo(0);
+    playAll();
+  };
+
+  const sides = SIDES.map(side => ({ side, approach: approaches[selected[side]] }));
+  const estimates = sides.map(({ side, approach }) => ({
+    label: approach.title,
+    color: SIDE_COLORS[side],
+    points: estimateOperations(approach.timeComplexity) || [],
+    dashed: side === 'right'
+  }));
+  const unreadable = sides.filter((_, index) => estimates[index].points.length === 0);
+
+  return (
+    <div className="bg-[#8B7355] rounded-xl border border-[#2C2522] overflow-hidden shadow-xl text-[#2C2522]">
+      <div className="border-b border-[#2C2522] p-4 flex flex-wrap items-center justify-between gap-4">
+        <h2 className="text-xl font-semibold text-[#e6ddd6]">Compare Approaches</h2>
+        <div className="flex flex-wrap items-center gap-3 text-[#e6ddd6]">
+          {sides.map(({ side }, index) => (
+            <label key={side} className="flex items-center gap-2 text-sm">
+              <span className="inline-block w-3 h-3 rounded-full" style={{ backgroundColor: SIDE_COLORS[side] }} />
+              <span className="sr-only">{index === 0 ? 'Left approach' : 'Right approach'}</span>
+              <select
+                value={selected[side]}
+                onChange={(e) => selectApproach(side, Number(e.target.value))}
+                className="bg-transparent border border-current rounded-md px-2 py-1 focus:outline-none"
+              >
+                {approaches.map((approach, approachIndex) => (
+                  <option
+                    key={approachIndex}
+                    value={approachIndex}
+                    disabled={approachIndex === selected[SIDES[1 - index]]}
+                    className="text-[#2C2522]"
+                  >
+                    {approach.title}
+                  </option>
+                ))}
+              </select>
+            </label>
+          ))}
+        </div>
+      </div>
+
+      <div className="p-6 bg-[#C4B5A5] space-y-6">
+        <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+          {sides.map(({ side, approach }) => (
+            <ComparisonVideo
+              key={`${side}-${selected[side]}`}
+              approach={approach}
+              question={question}
+              language={language}
+              videoRef={videoRefs[side]}
+              onDuration={(value) => setDurations(prev => ({ ...prev, [side]: value }))}
+            />
+          ))}
+        </div>
+
+        {/* Shared controls */}
+        <div className="flex flex-wrap items-center gap-3 bg-[#2C2522] rounded-lg px-4 py-3 text-[#e6ddd6]">
+          <button
+            onClick={handlePlayPause}
+            disabled={duration === 0}
+            className="bg-white/20 hover:bg-white/30 rounded-full p-2 transition-colors disabled:opacity-50"
+            title={isPlaying ? 'Pause both' : 'Play both'}
+          >
+            {isPlaying ? <Pause className="w-5 h-5" /> : <Play className="w-5 h-5" />}
+          </button>
+          <button
+            onClick={handleRestart}
+            disabled={duration === 0}
+            className="bg-white/20 hover:bg-white/30 rounded-full p-2 transition-colors disabled:opacity-50"
+            title="Restart both"
+          >
+            <RotateCcw className="w-4 h-4" />
+          </button>
+
+          <input
+            type="range"
+            min="0"
+            max={duration || 0}
+            step="0.1"
+            value={Math.min(currentTime, duration)}
+            onChange={(e) => seekTo(parseFloat(e.target.value))}
+            disabled={duration === 0}
+            className="flex-1 min-w-[120px] accent-[#8B7355] cursor-pointer"
+            aria-label="Seek both videos"
+          />
+          <span className="text-sm font-mono">
+            {formatTime(currentTime)} / {formatTime(duration)}
+          </span>
+
+          <label className="flex items-center gap-2 text-sm">
+            {audioSide === 'off' ? <VolumeX className="w-4 h-4" /> : <Volume2 className="w-4 h-4" />}
+            <span className="sr-only">Narration</span>
+            <select
+              value={audioSide}
+              onChange={(e) => setAudioSide(e.target.value)}
+              className="bg-transparent border border-current rounded-md px-2 py-1 focus:outline-none"
+            >
+              {sides.map(({ side, approach }) => (
+                <option key={side} value={side} className="text-[#2C2522]">{approach.title}</option>
+              ))}
+              <option value="off" className="text-[#2C2522]">Muted</option>
+            </select>
+          </label>
+
+          <label className="flex items-center gap-2 text-sm">
+            <span className="sr-only">Playback speed</span>
+            <select
+              value={speed}
+              onChange={(e) => setSpeed(Number(e.target.value))}
+              className="bg-transparent border border-current rounded-md px-2 py-1 focus:outline-none"
+            >
+              {SPEEDS.map(value => (
+                <option key={value} value={value} className="text-[#2C2522]">{value}x</option>
+              ))}
+            </select>
+          </label>
+        </div>
+
+        <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+          {sides.map(({ side, approach }) => (
+            <ApproachSummary key={side} approach={approach} color={SIDE_COLORS[side]} />
+          ))}
+        </div>
+
+        <div className="bg-[#C4B5A5] rounded-lg p-4 border border-[#2C2522] space-y-2">
+          <h3 className="font-semibold">Estimated operations as the input grows</h3>
+          <p className="text-xs">
+            Drawn from each approach&apos;s stated time complexity with a constant factor of 1, reading every variable as n.
+            {unreadable.length > 0 && ` ${unreadable.map(({ approach }) => approach.timeComplexity).join(' and ')} could not be read.`}
+          </p>
+          <GrowthChart yLabel="Operations" formatValue={formatOperations} series={estimates} />
+        </div>
+
+        {/* Code, in the same language on both sides */}
+        <div className="bg-[#2C2522] rounded-lg overflow-hidden border border-[#2C2522] shadow-lg">
+          <div className="flex items-center gap-2 bg-[#6B574A] px-4 py-2 border-b border-[#2C2522]">
+            <Code className="w-4 h-4 text-[#e6ddd6]" />
+            <div className="flex gap-1">
+              {CODE_LANGUAGES.map((lang) => (
+                <button
+                  key={lang}
+                  onClick={() => setActiveLanguage(lang)}
+                  className={`px-3 py-1 rounded-md text-sm font-medium ${
+                    activeLanguage === lang
+                      ? 'bg-[#2C2522] text-[#e6ddd6]'
+                      : 'text-[#e6ddd6]/70 hover:bg-[#2C2522]/30'
+                  }`}
+                >
+                  {lang.replace('Code', '')}
+                </button>
+              ))}
+            </div>
+          </div>
+          <div className="grid grid-cols-1 lg:grid-cols-2 divide-y lg:divide-y-0 lg:divide-x divide-[#6B574A]">
+            {sides.map(({ side, approach }) => (
+              <div key={side}>
+                <div className="px-4 pt-3 text-xs text-[#e6ddd6]/70">{approach.title}</div>
+                <CodeViewer code={approach.code[activeLanguage]} language={activeLanguage} className="min-h-[200px] max-h-[400px]" />
+              </div>
+            ))}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ComparisonView;
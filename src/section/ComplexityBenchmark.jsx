@@ -0,0 +1,100 @@
+import { useState } from 'react';
+import { Gauge, Loader2 } from 'lucide-react';
+import { benchmarkApproach } from '../services/api';
+import GrowthChart from './GrowthChart';
+
+const VERDICTS = {
+  agrees: { text: 'matches', className: 'bg-[#4A7B5A]/20 border-[#4A7B5A] text-[#4A7B5A]' },
+  close: { text: 'close to', className: 'bg-[#8B7355]/20 border-[#8B7355] text-[#6B574A]' },
+  disagrees: { text: 'does not match', className: 'bg-[#7B4A4A]/20 border-[#7B4A4A] text-[#7B4A4A]' },
+  unknown: { text: 'cannot be compared with', className: 'bg-[#2C2522]/10 border-[#6B574A] text-[#6B574A]' }
+};
+
+const formatMs = (value) => (value >= 1 ? `${+value.toFixed(1)}ms` : `${+(value * 1000).toPrecision(2)}µs`);
+
+const formatBytes = (value) => {
+  if (value >= 1024 * 1024) return `${+(value / (1024 * 1024)).toFixed(1)}MB`;
+  if (value >= 1024) return `${+(value / 1024).toFixed(1)}KB`;
+  return `${Math.round(value)}B`;
+};
+
+const Verdict = ({ kind, analysis }) => {
+  const verdict = VERDICTS[analysis.verdict] || VERDICTS.unknown;
+  return (
+    <p className={`inline-block text-xs px-2 py-1 rounded-lg border ${verdict.className}`}>
+      Measured {kind} {analysis.fitted ? `grows like ${analysis.fitted}` : 'is too small to fit'}, which {verdict.text} the stated {analysis.stated}
+    </p>
+  );
+};
+
+// Runs the approach's JavaScript on growing inputs on the server and charts
+// the measured time and memory against the best-fitting growth curve
+const ComplexityBenchmark = ({ question, approach }) => {
+  const [state, setState] = useState({ status: 'idle' });
+
+  const runBenchmark = async () => {
+    setState({ status: 'running' });
+    try {
+      const result = await benchmarkApproach(question, approach);
+      setState({ status: 'done', result });
+    } catch (err) {
+      setState({ status: 'error', error: err.message });
+    }
+  };
+
+  if (state.status !== 'done') {
+    return (
+      <div className="flex flex-wrap items-center gap-3">
+        <button
+          onClick={runBenchmark}
+          disabled={state.status === 'running' || !question}
+          className="flex items-center gap-2 bg-[#6B574A] hover:bg-[#8B7355] px-3 py-1.5 rounded-lg text-sm text-[#e6ddd6] transition-colors disabled:opacity-50"
+        >
+          {state.status === 'running' ? <Loader2 className="w-4 h-4 animate-spin" /> : <Gauge className="w-4 h-4" />}
+          <span>{state.status === 'running' ? 'Measuring...' : 'Measure complexity'}</span>
+        </button>
+        {state.status === 'error' && <span className="text-sm text-[#7B4A4A]">{state.error}</span>}
+      </div>
+    );
+  }
+
+  const { result } = state;
+  const timePoints = result.samples.map(sample => ({ n: sample.n, value: sample.timeMs }));
+  const memoryPoints = result.samples.map(sample => ({ n: sample.n, value: sample.memoryBytes }));
+
+  return (
+    <div className="space-y-4 text-[#2C2522]">
+      <p className="text-xs">
+        Ran <span className="font-mono">{result.entry}</span> on {result.input} for n = {result.samples[0]?.n} to {result.samples[result.samples.length - 1]?.n}
+        {result.stoppedEarly && ' (stopped at the time limit)'}.
+        {result.message && ` ${result.message}`}
+      </p>
+
+      <div className="space-y-2">
+        <Verdict kind="time" analysis={result.time} />
+        <GrowthChart
+          yLabel="Runtime"
+          formatValue={formatMs}
+          series={[
+            { label: 'measured', color: '#4A7B5A', points: timePoints },
+            { label: result.time.fitted || 'fit', color: '#2C2522', points: result.time.curve, dashed: true }
+          ]}
+        />
+      </div>
+
+      <div className="space-y-2">
+        <Verdict kind="memory" analysis={result.space} />
+        <GrowthChart
+          yLabel="Heap growth"
+          formatValue={formatBytes}
+          series={[
+            { label: 'measured', color: '#7B4A4A', points: memoryPoints },
+            { label: result.space.fitted || 'fit', color: '#2C2522', points: result.space.curve, dashed: true }
+          ]}
+        />
+      </div>
+    </div>
+  );
+};
+
+export default ComplexityBenchmark;
@@ -1,21 +1,57 @@
-import { useState } from 'react';
+import { useEffect, useState } from 'react';
 import { motion } from 'framer-motion';
-import { ArrowLeft } from 'lucide-react';
+import { ArrowLeft, Columns2, Loader2 } from 'lucide-react';
 import ExplanationSection from './ExplanationSection';
 import VideoSection from './VideoSection';
+import ComparisonView from './ComparisonView';
+import LanguagePicker from './LanguagePicker';
+import { verifyApproach } from '../services/api';
 
-const DSAExplanationPage = ({ questionData, onBack }) => {
+const DSAExplanationPage = ({ questionData, onBack, onChangeLanguage, loading, error }) => {
   console.log("recieved questionData:",questionData);
   
   const [activeApproach, setActiveApproach] = useState(0);
   const [isPlaying, setIsPlaying] = useState(false);
+  const [isComparing, setIsComparing] = useState(false);
+  // The video's chapters and current chapter, shared with the code viewer,
+  // and the code viewer's latest request to seek the video
+  const [narration, setNarration] = useState({ chapters: [], currentIndex: -1 });
+  const [seekRequest, setSeekRequest] = useState(null);
 
   const togglePlay = () => {
     setIsPlaying(!isPlaying);
   };
 
   
-  const { approaches, title } = questionData;
+  const { approaches, title, question, language = 'en' } = questionData;
+
+  // Verification results by approach index; approaches are checked one after another
+  const [verifications, setVerifications] = useState({});
+
+  useEffect(() => {
+    let cancelled = false;
+    setVerifications({});
+
+    const verifyAll = async () => {
+      for (const [index, approach] of approaches.entries()) {
+        if (cancelled || !question) return;
+        setVerifications(prev => ({ ...prev, [index]: { status: 'pending', languages: {} } }));
+        try {
+          const result = await verifyApproach(question, approach);
+          if (!cancelled) setVerifications(prev => ({ ...prev, [index]: result }));
+        } catch (err) {
+          if (!cancelled) {
+            setVerifications(prev => ({ ...prev, [index]: { status: 'unverified', message: err.message, languages: {} } }));
+          }
+        }
+      }
+    };
+    verifyAll();
+
+    return () => {
+      cancelled = true;
+    };
+  }, [question, approaches]);
 
   return (
     <div className="min-h-screen bg-[#] text-[#2C2522] relative">
@@ -43,30 +79,67 @@ const DSAExplanationPage = ({ questionData, onBack }) => {
             </button>
             <h1 className="text-2xl font-bold text-[#2C2522]">{title}</h1>
             <div className="flex items-center gap-2">
-              
+              {approaches.length > 1 && (
+                <button
+                  onClick={() => {
+                    // The single-approach video stops when the page switches views
+                    setIsPlaying(false);
+                    setIsComparing(prev => !prev);
+                  }}
+                  className={`flex items-center gap-2 px-3 py-1 rounded-md border border-[#2C2522] transition-colors ${
+                    isComparing ? 'bg-[#2C2522] text-[#e6ddd6]' : 'text-[#2C2522] hover:bg-[#8B7355]/20'
+                  }`}
+                  title="Show two approaches side by side"
+                >
+                  <Columns2 className="w-4 h-4" />
+                  <span>Compare</span>
+                </button>
+              )}
+              {loading && <Loader2 className="w-4 h-4 animate-spin text-[#8B7355]" />}
+              <LanguagePicker
+                value={language}
+                onChange={onChangeLanguage}
+                disabled={loading}
+                className="text-[#2C2522]"
+              />
             </div>
           </div>
+          {error && (
+            <p className="mt-2 text-sm text-red-700 text-right" role="alert">{error}</p>
+          )}
         </div>
       </motion.div>
 
       <div className="container mx-auto px-6 py-8 relative ">
-        <motion.div 
-          initial={{ opacity: 0 }}
-          animate={{ opacity: 1 }}
-          className="grid grid-cols-1 lg:grid-cols-2 gap-8 min-h-[calc(100vh-200px)]"
-        >
-          <ExplanationSection 
-            approaches={approaches}
-            activeApproach={activeApproach}
-            setActiveApproach={setActiveApproach}
-          />
-          
-          <VideoSection 
-            approach={approaches[activeApproach]}
-            isPlaying={isPlaying}
-            togglePlay={togglePlay}
-          />
-        </motion.div>
+        {isComparing && approaches.length > 1 ? (
+          <ComparisonView approaches={approaches} question={question} language={language} />
+        ) : (
+          <motion.div 
+            initial={{ opacity: 0 }}
+            animate={{ opacity: 1 }}
+            className="grid grid-cols-1 lg:grid-cols-2 gap-8 min-h-[calc(100vh-200px)]"
+          >
+            <ExplanationSection 
+              approaches={approaches}
+              activeApproach={activeApproach}
+              setActiveApproach={setActiveApproach}
+              verifications={verifications}
+              question={question}
+              narration={narration}
+              onSeek={(time) => setSeekRequest({ time })}
+            />
+            
+            <VideoSection 
+              approach={approaches[activeApproach]}
+              question={question}
+              language={language}
+              isPlaying={isPlaying}
+              togglePlay={togglePlay}
+              onNarrationChange={setNarration}
+              seekRequest={seekRequest}
+            />
+          </motion.div>
+        )}
       </div>
     </div>
   );
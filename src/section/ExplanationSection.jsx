@@ -1,8 +1,27 @@
 import { useState } from 'react';
 import { motion, AnimatePresence } from 'framer-motion';
 import { Code, Clock, TrendingUp, Copy, Check, ChevronRight, ChevronDown, Zap, AlertTriangle } from 'lucide-react';
+import VerificationBadges from './VerificationBadges';
+import ComplexityBenchmark from './ComplexityBenchmark';
+import CodeViewer from './CodeViewer';
 
-const ExplanationSection = ({ approaches, activeApproach, setActiveApproach }) => {
+// Whether a video chapter explains a line of the code in a language
+const coversLine = (chapter, language, line) => {
+  const range = chapter.lines?.[language];
+  return Boolean(range) && line >= range[0] && line <= range[1];
+};
+
+// `narration` holds the playing video's chapters and the index of the current
+// one; the code viewer marks that chapter's lines and seeks with onSeek
+const ExplanationSection = ({
+  approaches,
+  activeApproach,
+  setActiveApproach,
+  verifications = {},
+  question,
+  narration = { chapters: [], currentIndex: -1 },
+  onSeek
+}) => {
   const [copiedCode, setCopiedCode] = useState(false);
   const [expandedSections, setExpandedSections] = useState({
     complexity: true,
@@ -16,6 +35,17 @@ const ExplanationSection = ({ approaches, activeApproach, setActiveApproach }) =
     setTimeout(() => setCopiedCode(false), 2000);
   };
 
+  const { chapters, currentIndex } = narration;
+  const activeLines = chapters[currentIndex]?.lines?.[activeLanguage] || null;
+
+  // A line can be explained by several steps, so clicking it again moves on
+  // to the next of them
+  const seekToLine = (line) => {
+    const covering = chapters.filter(chapter => coversLine(chapter, activeLanguage, line));
+    const next = covering.find(chapter => chapter.index > currentIndex) || covering[0];
+    if (next) onSeek(next.start);
+  };
+
   const toggleSection = (section) => {
     setExpandedSections(prev => ({
       ...prev,
@@ -35,12 +65,14 @@ const ExplanationSection = ({ approaches, activeApproach, setActiveApproach }) =
               whileHover={{ scale: 1.05 }}
               whileTap={{ scale: 0.95 }}
               onClick={() => setActiveApproach(index)}
-              className={`px-4 py-2 rounded-lg text-sm font-medium transition-all ${
+              className={`flex items-center gap-1.5 px-4 py-2 rounded-lg text-sm font-medium transition-all ${
                 activeApproach === index
                   ? 'bg-[#2C2522] text-[#e6ddd6]'
                   : 'bg-[#6B574A] text-[#e6ddd6]'
               }`}
+              title={verifications[index]?.status === 'failed' ? 'This approach failed the examples in at least one language' : undefined}
             >
+              {verifications[index]?.status === 'failed' && <AlertTriangle className="w-4 h-4 text-[#f0b4a0]" />}
               {approach.title}
             </motion.button>
           ))}
@@ -95,6 +127,10 @@ const ExplanationSection = ({ approaches, activeApproach, setActiveApproach }) =
                       </div>
                     </div>
                   </div>
+                  <div className="mb-6">
+                    {/* Keyed by approach, so switching approaches clears the last measurement */}
+                    <ComplexityBenchmark key={activeApproach} question={question} approach={approaches[activeApproach]} />
+                  </div>
                 </motion.div>
               )}
             </AnimatePresence>
@@ -157,6 +193,8 @@ const ExplanationSection = ({ approaches, activeApproach, setActiveApproach }) =
             </AnimatePresence>
           </div>
 
+          <VerificationBadges verification={verifications[activeApproach]} activeLanguage={activeLanguage} />
+
           {/* Code Section */}
           <div className="bg-[#2C2522] rounded-lg overflow-hidden border border-[#2C2522] shadow-lg">
             <div className="flex items-center justify-between bg-[#6B574A] px-4 py-2 border-b border-[#2C2522] sticky top-0">
@@ -197,13 +235,14 @@ const ExplanationSection = ({ approaches, activeApproach, setActiveApproach }) =
                 )}
               </motion.button>
             </div>
-            <div className="overflow-x-auto">
-              <pre className="p-4 text-sm min-h-[200px] max-h-[400px] overflow-y-auto">
-                <code className="text-[#e6ddd6] font-mono whitespace-pre-wrap break-words">
-                  {approaches[activeApproach].code[activeLanguage]}
-                </code>
-              </pre>
-            </div>
+            <CodeViewer
+              code={approaches[activeApproach].code[activeLanguage]}
+              language={activeLanguage}
+              activeLines={activeLines}
+              isLineLinked={(line) => chapters.some(chapter => coversLine(chapter, activeLanguage, line))}
+              onLineClick={onSeek ? seekToLine : undefined}
+              className="min-h-[200px] max-h-[400px]"
+            />
           </div>
         </div>
       </div>
@@ -0,0 +1,81 @@
+const WIDTH = 320;
+const HEIGHT = 180;
+const PADDING = { top: 10, right: 10, bottom: 28, left: 48 };
+
+const formatCount = (value) => {
+  if (value >= 1e6) return `${+(value / 1e6).toFixed(1)}M`;
+  if (value >= 1e3) return `${+(value / 1e3).toFixed(1)}k`;
+  return `${+value.toPrecision(2)}`;
+};
+
+// Line chart of values against input size n on log-log axes, where
+// polynomial growth shows as a straight line whose slope is the exponent.
+// Each series is { label, color, points: [{ n, value }], dashed }.
+const GrowthChart = ({ series, yLabel, formatValue = formatCount }) => {
+  const points = series.flatMap(line => line.points).filter(point => point.n > 0 && point.value > 0);
+  if (points.length === 0) {
+    return null;
+  }
+
+  const logN = points.map(point => Math.log10(point.n));
+  const logV = points.map(point => Math.log10(point.value));
+  const [minX, maxX] = [Math.min(...logN), Math.max(...logN)];
+  const [minY, maxY] = [Math.min(...logV), Math.max(...logV)];
+  const spanX = maxX - minX || 1;
+  const spanY = maxY - minY || 1;
+
+  const x = (n) => PADDING.left + ((Math.log10(n) - minX) / spanX) * (WIDTH - PADDING.left - PADDING.right);
+  const y = (value) => HEIGHT - PADDING.bottom - ((Math.log10(value) - minY) / spanY) * (HEIGHT - PADDING.top - PADDING.bottom);
+
+  return (
+    <div>
+      <svg viewBox={`0 0 ${WIDTH} ${HEIGHT}`} className="w-full max-w-md" role="img" aria-label={`${yLabel} against input size`}>
+        <line x1={PADDING.left} y1={HEIGHT - PADDING.bottom} x2={WIDTH - PADDING.right} y2={HEIGHT - PADDING.bottom} stroke="#2C2522" />
+        <line x1={PADDING.left} y1={PADDING.top} x2={PADDING.left} y2={HEIGHT - PADDING.bottom} stroke="#2C2522" />
+
+        {[minX, maxX].map(value => (
+          <text key={`x${value}`} x={x(10 ** value)} y={HEIGHT - PADDING.bottom + 14} fontSize="10" textAnchor="middle" fill="#2C2522">
+            {formatCount(10 ** value)}
+          </text>
+        ))}
+        <text x={(WIDTH + PADDING.left) / 2} y={HEIGHT - 2} fontSize="10" textAnchor="middle" fill="#2C2522">input size n</text>
+
+        {[minY, maxY].map(value => (
+          <text key={`y${value}`} x={PADDING.left - 4} y={y(10 ** value) + 3} fontSize="10" textAnchor="end" fill="#2C2522">
+            {formatValue(10 ** value)}
+          </text>
+        ))}
+
+        {series.map(line => {
+          const visible = line.points.filter(point => point.n > 0 && point.value > 0);
+          return (
+            <g key={line.label}>
+              <polyline
+                points={visible.map(point => `${x(point.n)},${y(point.value)}`).join(' ')}
+                fill="none"
+                stroke={line.color}
+                strokeWidth="2"
+                strokeDasharray={line.dashed ? '5 4' : undefined}
+              />
+              {!line.dashed && visible.map(point => (
+                <circle key={point.n} cx={x(point.n)} cy={y(point.value)} r="2.5" fill={line.color} />
+              ))}
+            </g>
+          );
+        })}
+      </svg>
+
+      <div className="flex flex-wrap gap-3 text-xs text-[#2C2522]">
+        {series.map(line => (
+          <span key={line.label} className="flex items-center gap-1">
+            <span className="inline-block w-4 border-t-2" style={{ borderColor: line.color, borderStyle: line.dashed ? 'dashed' : 'solid' }} />
+            {line.label}
+          </span>
+        ))}
+        <span className="opacity-70">{yLabel}, log-log scale</span>
+      </div>
+    </div>
+  );
+};
+
+export default GrowthChart;
@@ -0,0 +1,37 @@
+import { useEffect, useState } from 'react';
+import { Languages } from 'lucide-react';
+import { getLanguages } from '../services/api';
+
+// Used until the server's list arrives, or if it can't be loaded
+const FALLBACK_LANGUAGES = [{ code: 'en', name: 'English' }];
+
+const LanguagePicker = ({ value, onChange, disabled, className = '' }) => {
+  const [languages, setLanguages] = useState(FALLBACK_LANGUAGES);
+
+  useEffect(() => {
+    getLanguages()
+      .then(data => setLanguages(data.languages))
+      .catch(() => setLanguages(FALLBACK_LANGUAGES));
+  }, []);
+
+  return (
+    <label className={`flex items-center gap-2 ${className}`}>
+      <Languages className="w-4 h-4" />
+      <span className="sr-only">Explanation language</span>
+      <select
+        value={value}
+        onChange={(e) => onChange(e.target.value)}
+        disabled={disabled}
+        className="bg-transparent border border-current rounded-md px-2 py-1 focus:outline-none disabled:opacity-50"
+      >
+        {languages.map(language => (
+          <option key={language.code} value={language.code} className="text-[#2C2522]">
+            {language.name}
+          </option>
+        ))}
+      </select>
+    </label>
+  );
+};
+
+export default LanguagePicker;
@@ -0,0 +1,107 @@
+import { useEffect, useState } from 'react';
+import { Mic, RefreshCw } from 'lucide-react';
+import { getTtsEngines } from '../services/api';
+
+const NarrationSettings = ({ voice = {}, onApply, disabled }) => {
+  const [catalog, setCatalog] = useState(null);
+  const [draft, setDraft] = useState({ engine: '', voice: '', speed: 1, pitch: 1, ...voice });
+
+  useEffect(() => {
+    getTtsEngines()
+      .then(setCatalog)
+      .catch(() => setCatalog(null));
+  }, []);
+
+  if (!catalog) {
+    return (
+      <p className="text-sm text-[#2C2522]">Narration settings are unavailable right now.</p>
+    );
+  }
+
+  const engineName = draft.engine || catalog.defaultEngine;
+  const engine = catalog.engines.find(candidate => candidate.name === engineName);
+  const [minSpeed, maxSpeed] = catalog.speedRange;
+  const [minPitch, maxPitch] = catalog.pitchRange;
+
+  const update = (changes) => setDraft(prev => ({ ...prev, ...changes }));
+
+  return (
+    <div className="space-y-3 text-sm text-[#2C2522]">
+      <label className="block">
+        <span className="font-medium">Engine</span>
+        <select
+          value={engineName}
+          onChange={(e) => update({ engine: e.target.value, voice: '' })}
+          className="mt-1 w-full bg-[#e6ddd6] border border-[#2C2522] rounded-md px-2 py-1"
+        >
+          {catalog.engines.map(candidate => (
+            <option key={candidate.name} value={candidate.name} disabled={!candidate.available}>
+              {candidate.name}{candidate.available ? '' : ' (not installed)'}
+            </option>
+          ))}
+        </select>
+      </label>
+
+      {engine?.voices.length > 0 && (
+        <label className="block">
+          <span className="font-medium">Voice</span>
+          <select
+            value={draft.voice}
+            onChange={(e) => update({ voice: e.target.value })}
+            className="mt-1 w-full bg-[#e6ddd6] border border-[#2C2522] rounded-md px-2 py-1"
+          >
+            <option value="">Default voice</option>
+            {engine.voices.map(option => (
+              <option key={option.id} value={option.id}>{option.name}</option>
+            ))}
+          </select>
+        </label>
+      )}
+
+      <label className="block">
+        <span className="font-medium">Speed: {Number(draft.speed).toFixed(2)}x</span>
+        <input
+          type="range"
+          min={minSpeed}
+          max={maxSpeed}
+          step="0.05"
+          value={draft.speed}
+          onChange={(e) => update({ speed: parseFloat(e.target.value) })}
+          className="w-full accent-[#6B574A]"
+        />
+      </label>
+
+      <label className="block">
+        <span className="font-medium">
+          Pitch: {Number(draft.pitch).toFixed(2)}x
+          {engine && !engine.supportsPitch && ' (not supported by this engine)'}
+        </span>
+        <input
+          type="range"
+          min={minPitch}
+          max={maxPitch}
+          step="0.05"
+          value={draft.pitch}
+          disabled={engine && !engine.supportsPitch}
+          onChange={(e) => update({ pitch: parseFloat(e.target.value) })}
+          className="w-full accent-[#6B574A] disabled:opacity-50"
+        />
+      </label>
+
+      <button
+        onClick={() => onApply({ ...draft, engine: engineName })}
+        disabled={disabled}
+        className="flex items-center gap-2 bg-[#6B574A] hover:bg-[#8B7355] px-3 py-1.5 rounded-lg transition-colors text-[#e6ddd6] disabled:opacity-50"
+      >
+        <RefreshCw className="w-4 h-4" />
+        <span>Re-record narration</span>
+      </button>
+      <p className="flex items-center gap-1 text-xs text-[#2C2522]/80">
+        <Mic className="w-3 h-3" />
+        Applies to this video and every video rendered after it.
+      </p>
+    </div>
+  );
+};
+
+export default NarrationSettings;
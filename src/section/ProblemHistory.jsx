@@ -0,0 +1,64 @@
+import { useEffect, useState } from 'react';
+import { History, Trash2, ChevronRight } from 'lucide-react';
+import { listProblems, deleteProblem } from '../services/api';
+
+const ProblemHistory = ({ onOpen, disabled }) => {
+  const [problems, setProblems] = useState([]);
+
+  useEffect(() => {
+    listProblems()
+      .then(data => setProblems(data.problems))
+      .catch(() => setProblems([]));
+  }, []);
+
+  const handleDelete = async (problemId) => {
+    try {
+      await deleteProblem(problemId);
+      setProblems(prev => prev.filter(problem => problem.id !== problemId));
+    } catch (error) {
+      console.error('Error deleting problem:', error);
+    }
+  };
+
+  if (problems.length === 0) {
+    return null;
+  }
+
+  return (
+    <div className="w-full px-4 sm:px-6 lg:px-8 max-w-3xl mx-auto mt-12 text-left">
+      <h3 className="flex items-center gap-2 text-[#E6D5B8] font-medium mb-3">
+        <History className="w-5 h-5 text-[#8B7355]" />
+        Recent analyses
+      </h3>
+      <ul className="bg-[#2C2522] border border-[#8B7355] rounded-xl divide-y divide-[#8B7355]/30 overflow-hidden shadow-lg">
+        {problems.map(problem => (
+          <li key={problem.id} className="flex items-center hover:bg-[#1C1917] transition-colors group">
+            <button
+              onClick={() => onOpen(problem.id)}
+              disabled={disabled}
+              className="flex-1 min-w-0 flex items-center gap-3 px-4 py-3 text-left disabled:opacity-50"
+            >
+              <div className="flex-1 min-w-0">
+                <span className="block text-[#E6D5B8] font-medium truncate">{problem.title}</span>
+                <span className="text-xs text-[#8B7355]">
+                  {new Date(problem.createdAt).toLocaleString()} · {problem.approachCount} approaches
+                </span>
+              </div>
+              <ChevronRight className="w-4 h-4 text-[#8B7355] group-hover:translate-x-1 transition-transform" />
+            </button>
+            <button
+              onClick={() => handleDelete(problem.id)}
+              disabled={disabled}
+              className="p-2 mr-2 rounded-md text-[#8B7355] hover:text-[#E6D5B8] hover:bg-[#8B7355]/30 transition-colors disabled:opacity-50"
+              aria-label="Delete analysis"
+            >
+              <Trash2 className="w-4 h-4" />
+            </button>
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+};
+
+export default ProblemHistory;
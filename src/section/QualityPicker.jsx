@@ -0,0 +1,38 @@
+import { useEffect, useState } from 'react';
+import { MonitorPlay } from 'lucide-react';
+import { getQualityPresets } from '../services/api';
+
+// Re-renders the current video's script at another quality preset
+const QualityPicker = ({ value, onChange, disabled }) => {
+  const [presets, setPresets] = useState([]);
+
+  useEffect(() => {
+    getQualityPresets()
+      .then(data => setPresets(data.presets))
+      .catch(() => setPresets([]));
+  }, []);
+
+  if (presets.length === 0) {
+    return null;
+  }
+
+  return (
+    <label className="flex items-center gap-2 text-sm text-[#2C2522]">
+      <MonitorPlay className="w-4 h-4" />
+      <span className="sr-only">Video quality</span>
+      <select
+        value={value}
+        onChange={(e) => onChange(e.target.value)}
+        disabled={disabled}
+        title="Re-render this video at another quality without regenerating it"
+        className="bg-[#e6ddd6] border border-[#2C2522] rounded-md px-2 py-1 disabled:opacity-50"
+      >
+        {presets.map(preset => (
+          <option key={preset.name} value={preset.name}>{preset.label}</option>
+        ))}
+      </select>
+    </label>
+  );
+};
+
+export default QualityPicker;
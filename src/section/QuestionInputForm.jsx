@@ -1,16 +1,18 @@
 import { useState, useRef, useEffect } from 'react';
 import { Sparkles } from 'lucide-react';
+import LanguagePicker from './LanguagePicker';
 
 const QuestionInputForm = ({ onGenerate, disabled }) => {
   const [questionText, setQuestionText] = useState('');
   const [showForm, setShowForm] = useState(false);
+  const [language, setLanguage] = useState('en');
   const textareaRef = useRef(null);
 
   const handleSubmit = (e) => {
     e.preventDefault();
     if (questionText.trim()) {
       console.log('Question submitted:', questionText);
-      onGenerate({ url: questionText, type: 'url' });
+      onGenerate({ url: questionText, type: 'url', language });
     }
   };
 
@@ -49,9 +51,12 @@ Constraints:
         <div className="bg-[#2C2522] border border-[#8B7355] p-8 rounded-xl  shadow-[0_0_15px_rgba(163,145,121,0.1)]">
           <form onSubmit={handleSubmit}>
             <div className="space-y-4">
-              <h2 className="text-[#A39179] mb-4 text-2xl font-medium tracking-wide">
-                Paste your complete DSA question:
-              </h2>
+              <div className="flex items-center justify-between gap-4 mb-4">
+                <h2 className="text-[#A39179] text-2xl font-medium tracking-wide">
+                  Paste your complete DSA question:
+                </h2>
+                <LanguagePicker value={language} onChange={setLanguage} className="text-[#A39179]" />
+              </div>
               <div className="bg-[#1C1917] rounded-xl border border-[#2D2522] overflow-hidden shadow-[inset_0_0_15px_rgba(0,0,0,0.2)]">
                 <textarea
                   ref={textareaRef}
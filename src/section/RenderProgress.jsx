@@ -0,0 +1,81 @@
+import { Check, Loader2, Circle } from 'lucide-react';
+
+const STAGES = [
+  { id: 'narration', label: 'Writing narration' },
+  { id: 'tts', label: 'Recording audio narration' },
+  { id: 'script', label: 'Generating animation script' },
+  { id: 'render', label: 'Rendering animation' },
+  { id: 'mux', label: 'Adding audio and packaging the video' }
+];
+
+const formatEta = (seconds) => {
+  if (seconds === null || seconds === undefined) return '';
+  if (seconds < 60) return `about ${Math.max(seconds, 1)}s left`;
+  return `about ${Math.round(seconds / 60)} min left`;
+};
+
+const RenderProgress = ({ job }) => {
+  if (!job) {
+    return (
+      <div className="flex flex-col items-center">
+        <Loader2 className="w-8 h-8 text-[#8B7355] animate-spin mb-2" />
+        <span className="text-[#8B7355] text-center">Starting render...</span>
+      </div>
+    );
+  }
+
+  const currentIndex = STAGES.findIndex(stage => stage.id === job.stage);
+  const overall = Math.round((job.progress?.overall || 0) * 100);
+  const animation = job.progress?.animation;
+
+  return (
+    <div className="w-full max-w-xs px-4">
+      <ul className="space-y-1.5 mb-4">
+        {STAGES.map((stage, index) => {
+          const isDone = currentIndex > index;
+          const isCurrent = currentIndex === index;
+          return (
+            <li
+              key={stage.id}
+              className={`flex items-center gap-2 text-sm ${
+                isCurrent ? 'text-[#e6ddd6]' : isDone ? 'text-[#8B7355]' : 'text-[#8B7355]/50'
+              }`}
+            >
+              {isDone ? (
+                <Check className="w-4 h-4" />
+              ) : isCurrent ? (
+                <Loader2 className="w-4 h-4 animate-spin" />
+              ) : (
+                <Circle className="w-4 h-4" />
+              )}
+              <span>{stage.label}</span>
+              {isCurrent && stage.id === 'render' && animation && (
+                <span className="text-xs text-[#8B7355] ml-auto">
+                  {animation.index + 1}/{animation.total}
+                  {animation.attempt > 1 ? ` · retry ${animation.attempt - 1}` : ''}
+                </span>
+              )}
+            </li>
+          );
+        })}
+      </ul>
+
+      <div className="w-full h-2 bg-white/10 rounded-full overflow-hidden">
+        <div
+          className="h-full bg-[#8B7355] rounded-full transition-all duration-500"
+          style={{ width: `${overall}%` }}
+        />
+      </div>
+      <div className="flex justify-between text-xs text-[#8B7355] mt-1">
+        <span>
+          {job.status === 'queued' && job.queuePosition
+            ? `Position ${job.queuePosition} in queue`
+            : `${overall}%`}
+        </span>
+        <span>{formatEta(job.progress?.etaSeconds)}</span>
+      </div>
+    </div>
+  );
+};
+
+export default RenderProgress;
@@ -0,0 +1,241 @@
+import { useEffect, useState } from 'react';
+import { Play, Pause, SkipBack, SkipForward, RotateCcw, Loader2 } from 'lucide-react';
+import { getTrace } from '../services/api';
+
+const PLAY_SPEEDS = [0.5, 1, 2, 4];
+const STEP_INTERVAL_MS = 1200;
+
+const formatValue = (value) => (value === null ? 'null' : String(value));
+
+// One array as a row of cells, with highlighted cells and the pointers into it
+const TraceArray = ({ array, pointers }) => (
+  <div>
+    <div className="text-xs font-mono text-[#2C2522]/80 mb-1">{array.name}</div>
+    <div className="flex flex-wrap gap-1">
+      {array.values.map((value, index) => {
+        const here = pointers.filter(pointer => pointer.index === index);
+        return (
+          <div key={index} className="flex flex-col items-center min-w-[2.25rem]">
+            <div
+              className={`w-full px-1.5 py-1 text-center text-sm font-mono rounded border transition-colors ${
+                array.highlight.includes(index)
+                  ? 'bg-[#6B574A] text-[#e6ddd6] border-[#2C2522]'
+                  : 'bg-[#e6ddd6] text-[#2C2522] border-[#8B7355]'
+              }`}
+            >
+              {formatValue(value)}
+            </div>
+            <div className="text-[10px] text-[#2C2522]/60">{index}</div>
+            {here.length > 0 && (
+              <div className="text-xs font-mono font-semibold text-[#6B574A]">
+                ↑ {here.map(pointer => pointer.name).join(', ')}
+              </div>
+            )}
+          </div>
+        );
+      })}
+    </div>
+  </div>
+);
+
+// Plays an approach's execution trace in the browser: the running line, the
+// arrays with their pointers, and the variables, one step at a time
+const TraceVisualizer = ({ approach, question, language = 'en' }) => {
+  const [trace, setTrace] = useState(null);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [stepIndex, setStepIndex] = useState(0);
+  const [isPlaying, setIsPlaying] = useState(false);
+  const [speed, setSpeed] = useState(1);
+  const [attempt, setAttempt] = useState(0);
+
+  useEffect(() => {
+    let cancelled = false;
+    setIsLoading(true);
+    setError(null);
+    setTrace(null);
+    setStepIndex(0);
+    setIsPlaying(false);
+
+    getTrace(approach, language, question)
+      .then(loaded => {
+        if (!cancelled) setTrace(loaded);
+      })
+      .catch(err => {
+        if (!cancelled) setError(err.message);
+      })
+      .finally(() => {
+        if (!cancelled) setIsLoading(false);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [approach, question, language, attempt]);
+
+  const lastStep = trace ? trace.steps.length - 1 : 0;
+
+  useEffect(() => {
+    if (!isPlaying) return;
+    if (stepIndex >= lastStep) {
+      setIsPlaying(false);
+      return;
+    }
+    const timeout = setTimeout(() => setStepIndex(index => index + 1), STEP_INTERVAL_MS / speed);
+    return () => clearTimeout(timeout);
+  }, [isPlaying, stepIndex, lastStep, speed]);
+
+  if (isLoading) {
+    return (
+      <div className="flex flex-col items-center justify-center h-full min-h-[12rem] bg-[#8B7355]/20 rounded-lg border border-[#2C2522] text-[#2C2522]">
+        <Loader2 className="w-6 h-6 animate-spin mb-2" />
+        <span className="text-sm">Tracing an example input...</span>
+      </div>
+    );
+  }
+
+  if (error || !trace) {
+    return (
+      <div className="flex flex-col items-center justify-center h-full min-h-[12rem] bg-[#8B7355]/20 rounded-lg border border-[#2C2522] text-[#2C2522] p-4 text-center">
+        <span className="text-sm mb-3">{error || 'No trace available for this approach.'}</span>
+        <button
+          onClick={() => setAttempt(prev => prev + 1)}
+          className="bg-[#8B7355] hover:bg-[#6B574A] px-3 py-1.5 rounded-lg text-sm text-[#e6ddd6] transition-colors"
+        >
+          Retry
+        </button>
+      </div>
+    );
+  }
+
+  const step = trace.steps[stepIndex];
+  const codeLines = approach.code.jsCode.split('\n');
+  const variables = Object.entries(step.variables);
+
+  const togglePlay = () => {
+    if (stepIndex >= lastStep) setStepIndex(0);
+    setIsPlaying(prev => !prev);
+  };
+
+  const controlClass = 'bg-[#6B574A] hover:bg-[#8B7355] rounded-full p-2 text-[#e6ddd6] transition-colors disabled:opacity-50';
+
+  return (
+    <div className="flex flex-col gap-3 bg-[#8B7355]/20 rounded-lg border border-[#2C2522] p-4 text-[#2C2522]">
+      {trace.input && (
+        <div className="text-xs">
+          <span className="font-medium">Example: </span>
+          <span className="font-mono">{trace.input}</span>
+        </div>
+      )}
+
+      {trace.source === 'generated' ? (
+        <div className="text-xs bg-[#7B4A4A]/15 border border-[#7B4A4A] text-[#7B4A4A] rounded px-2 py-1">
+          The code could not be run on an example, so this trace was written by the model. Its values may be wrong.
+        </div>
+      ) : (
+        <div className="text-xs text-[#4A7B5A]">Recorded from a real run of the code.</div>
+      )}
+
+      <pre className="bg-[#2C2522] rounded-md py-2 text-xs max-h-48 overflow-auto">
+        {codeLines.map((line, index) => (
+          <div
+            key={index}
+            className={`px-2 whitespace-pre ${
+              index + 1 === step.line ? 'bg-[#8B7355] text-white' : 'text-[#e6ddd6]/80'
+            }`}
+          >
+            <span className="inline-block w-6 text-right mr-3 select-none opacity-60">{index + 1}</span>
+            {line}
+          </div>
+        ))}
+      </pre>
+
+      <p className="text-sm min-h-[2.5rem]">{step.description}</p>
+
+      {step.arrays.length > 0 && (
+        <div className="space-y-3">
+          {step.arrays.map(array => (
+            <TraceArray
+              key={array.name}
+              array={array}
+              pointers={step.pointers.filter(pointer => pointer.array === array.name)}
+            />
+          ))}
+        </div>
+      )}
+
+      {variables.length > 0 && (
+        <div className="flex flex-wrap gap-2">
+          {variables.map(([name, value]) => (
+            <span key={name} className="bg-[#e6ddd6] border border-[#8B7355] rounded px-2 py-0.5 text-xs font-mono">
+              {name} = {formatValue(value)}
+            </span>
+          ))}
+        </div>
+      )}
+
+      <input
+        type="range"
+        min="0"
+        max={lastStep}
+        value={stepIndex}
+        onChange={(e) => {
+          setIsPlaying(false);
+          setStepIndex(Number(e.target.value));
+        }}
+        className="w-full accent-[#6B574A]"
+        aria-label="Trace step"
+      />
+
+      <div className="flex items-center justify-between">
+        <div className="flex items-center gap-2">
+          <button
+            onClick={() => setStepIndex(index => Math.max(index - 1, 0))}
+            disabled={stepIndex === 0}
+            className={controlClass}
+            title="Previous step"
+          >
+            <SkipBack className="w-4 h-4" />
+          </button>
+          <button onClick={togglePlay} className={controlClass} title={isPlaying ? 'Pause' : 'Play'}>
+            {isPlaying ? <Pause className="w-4 h-4" /> : <Play className="w-4 h-4" />}
+          </button>
+          <button
+            onClick={() => setStepIndex(index => Math.min(index + 1, lastStep))}
+            disabled={stepIndex === lastStep}
+            className={controlClass}
+            title="Next step"
+          >
+            <SkipForward className="w-4 h-4" />
+          </button>
+          <button
+            onClick={() => {
+              setIsPlaying(false);
+              setStepIndex(0);
+            }}
+            className={controlClass}
+            title="Restart"
+          >
+            <RotateCcw className="w-4 h-4" />
+          </button>
+        </div>
+
+        <div className="flex items-center gap-3 text-xs">
+          <span>Step {stepIndex + 1} / {trace.steps.length}</span>
+          <select
+            value={speed}
+            onChange={(e) => setSpeed(Number(e.target.value))}
+            className="bg-[#e6ddd6] border border-[#2C2522] rounded-md px-1 py-0.5"
+            aria-label="Play speed"
+          >
+            {PLAY_SPEEDS.map(option => (
+              <option key={option} value={option}>{option}x</option>
+            ))}
+          </select>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default TraceVisualizer;
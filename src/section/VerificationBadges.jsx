@@ -0,0 +1,79 @@
+import { Check, X, Clock, Loader2, MinusCircle } from 'lucide-react';
+
+const LANGUAGES = ['javaCode', 'pythonCode', 'cppCode', 'jsCode'];
+
+const STATUS_STYLES = {
+  passed: { icon: Check, className: 'bg-[#4A7B5A]/20 border-[#4A7B5A] text-[#4A7B5A]', text: 'passed' },
+  failed: { icon: X, className: 'bg-[#7B4A4A]/20 border-[#7B4A4A] text-[#7B4A4A]', text: 'wrong answer' },
+  error: { icon: X, className: 'bg-[#7B4A4A]/20 border-[#7B4A4A] text-[#7B4A4A]', text: 'error' },
+  timeout: { icon: Clock, className: 'bg-[#7B4A4A]/20 border-[#7B4A4A] text-[#7B4A4A]', text: 'timed out' },
+  unavailable: { icon: MinusCircle, className: 'bg-[#2C2522]/10 border-[#6B574A] text-[#6B574A]', text: 'not run' }
+};
+
+// Pass/fail badge per language for an approach's run against the question's
+// examples, with the details of whatever went wrong in the selected language
+const VerificationBadges = ({ verification, activeLanguage }) => {
+  if (!verification) {
+    return null;
+  }
+
+  if (verification.status === 'pending') {
+    return (
+      <div className="flex items-center gap-2 text-sm text-[#2C2522] mb-4">
+        <Loader2 className="w-4 h-4 animate-spin" />
+        <span>Running the solutions against the examples...</span>
+      </div>
+    );
+  }
+
+  if (Object.keys(verification.languages).length === 0) {
+    return verification.message ? (
+      <p className="text-xs text-[#2C2522]/80 mb-4">Not verified: {verification.message}</p>
+    ) : null;
+  }
+
+  const active = verification.languages[activeLanguage];
+
+  return (
+    <div className="mb-4">
+      <div className="flex flex-wrap items-center gap-2">
+        <span className="text-sm font-medium text-[#2C2522]">
+          Checked against {verification.examples} example{verification.examples === 1 ? '' : 's'}:
+        </span>
+        {LANGUAGES.filter(language => verification.languages[language]).map(language => {
+          const result = verification.languages[language];
+          const style = STATUS_STYLES[result.status] || STATUS_STYLES.unavailable;
+          const Icon = style.icon;
+          return (
+            <span
+              key={language}
+              title={result.message || `${result.passed}/${result.total} examples passed`}
+              className={`flex items-center gap-1 px-2 py-0.5 rounded-full border text-xs font-medium ${style.className}`}
+            >
+              <Icon className="w-3 h-3" />
+              {result.label}
+              {result.total ? ` ${result.passed}/${result.total}` : ` ${style.text}`}
+            </span>
+          );
+        })}
+      </div>
+
+      {active && active.status !== 'passed' && active.status !== 'unavailable' && (
+        <div className="mt-2 bg-[#7B4A4A]/10 border border-[#7B4A4A] rounded-lg p-3 text-xs text-[#2C2522] space-y-2">
+          {active.message && (
+            <pre className="whitespace-pre-wrap break-words font-mono max-h-32 overflow-y-auto">{active.message}</pre>
+          )}
+          {active.cases?.filter(testCase => !testCase.passed).map((testCase, index) => (
+            <div key={index} className="font-mono">
+              <div>Input: {testCase.input}</div>
+              <div>Expected: {testCase.expected}</div>
+              <div>Got: {testCase.actual ?? '(no output)'}</div>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default VerificationBadges;
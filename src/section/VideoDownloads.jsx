@@ -0,0 +1,83 @@
+import { useEffect, useState } from 'react';
+import { Download, Loader2 } from 'lucide-react';
+import { API_ORIGIN, createRenderExport, getRenderIdFromVideoUrl, listRenderExports } from '../services/api';
+
+// Download links for a rendered video: the MP4 itself plus GIF, WebM and
+// storyboard exports, which the server makes the first time they are asked for
+const VideoDownloads = ({ videoUrl }) => {
+  const renderId = getRenderIdFromVideoUrl(videoUrl);
+  const [exports, setExports] = useState([]);
+  const [pending, setPending] = useState({});
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (!renderId) return;
+    setError(null);
+    listRenderExports(renderId)
+      .then(data => setExports(data.exports))
+      .catch(() => setExports([]));
+  }, [renderId]);
+
+  const download = (url) => {
+    const link = document.createElement('a');
+    link.href = `${API_ORIGIN}${url}`;
+    link.download = '';
+    link.target = '_blank';
+    link.rel = 'noopener';
+    link.click();
+  };
+
+  const handleExport = async (item) => {
+    if (item.url) {
+      download(item.url);
+      return;
+    }
+
+    setError(null);
+    setPending(prev => ({ ...prev, [item.format]: true }));
+    try {
+      const { url } = await createRenderExport(renderId, item.format);
+      setExports(prev => prev.map(entry => entry.format === item.format ? { ...entry, url } : entry));
+      download(url);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setPending(prev => ({ ...prev, [item.format]: false }));
+    }
+  };
+
+  if (!renderId) {
+    return null;
+  }
+
+  const buttonClass = 'flex items-center gap-2 bg-[#8B7355]/20 hover:bg-[#8B7355]/40 border border-[#2C2522] px-3 py-1.5 rounded-lg text-sm text-[#2C2522] transition-colors disabled:opacity-50';
+
+  return (
+    <div>
+      <div className="flex flex-wrap items-center gap-2">
+        <a href={videoUrl} download target="_blank" rel="noopener noreferrer" className={buttonClass}>
+          <Download className="w-4 h-4" />
+          <span>MP4 video</span>
+        </a>
+        {exports.map(item => (
+          <button
+            key={item.format}
+            onClick={() => handleExport(item)}
+            disabled={pending[item.format]}
+            className={buttonClass}
+          >
+            {pending[item.format] ? (
+              <Loader2 className="w-4 h-4 animate-spin" />
+            ) : (
+              <Download className="w-4 h-4" />
+            )}
+            <span>{pending[item.format] ? `Preparing ${item.label}...` : item.label}</span>
+          </button>
+        ))}
+      </div>
+      {error && <p className="mt-2 text-sm text-red-700">{error}</p>}
+    </div>
+  );
+};
+
+export default VideoDownloads;
@@ -1,14 +1,26 @@
-import { useState, useRef, useEffect, useCallback } from 'react';
+import { useState, useRef, useEffect } from 'react';
+import Hls from 'hls.js';
 import { motion, AnimatePresence } from 'framer-motion';
-import { Play, Pause, BookOpen, Zap, ChevronDown, ChevronRight, Maximize2, Minimize2, Loader2, Volume2, VolumeX, RotateCcw, SkipForward, SkipBack } from 'lucide-react';
+import { Play, Pause, BookOpen, Zap, ChevronDown, ChevronRight, Maximize2, Minimize2, Loader2, Volume2, VolumeX, RotateCcw, SkipForward, SkipBack, Captions, CaptionsOff } from 'lucide-react';
 import { useVideo } from '../context/VideoContext';
-
-const VideoSection = ({ approach, isPlaying, togglePlay }) => {
+import { useAnimationJob } from '../hooks/useAnimationJob';
+import { API_ORIGIN, getCaptionsUrl, getChapters, getRenderIdFromVideoUrl } from '../services/api';
+import RenderProgress from './RenderProgress';
+import NarrationSettings from './NarrationSettings';
+import QualityPicker from './QualityPicker';
+import VideoDownloads from './VideoDownloads';
+import ChapterList from './ChapterList';
+import TraceVisualizer from './TraceVisualizer';
+
+// onNarrationChange receives the chapters and the index of the one playing,
+// so the code viewer can follow the video; a new seekRequest ({ time })
+// moves the video to that time
+const VideoSection = ({ approach, question, language = 'en', isPlaying, togglePlay, onNarrationChange, seekRequest }) => {
   const [expandedSections, setExpandedSections] = useState({
-    videoDetails: true
+    videoDetails: true,
+    narration: false
   });
   const [isFullscreen, setIsFullscreen] = useState(false);
-  const [isLoading, setIsLoading] = useState(true);
   const [currentTime, setCurrentTime] = useState(0);
   const [duration, setDuration] = useState(0);
   const [volume, setVolume] = useState(0.8);
@@ -17,80 +29,36 @@ const VideoSection = ({ approach, isPlaying, togglePlay }) => {
   const [isHovering, setIsHovering] = useState(false);
   const [isDragging, setIsDragging] = useState(false);
   const [isBuffering, setIsBuffering] = useState(false);
-  const [error, setError] = useState(null);
+  const [showCaptions, setShowCaptions] = useState(false);
+  const [chapters, setChapters] = useState([]);
   
   const videoRef = useRef(null);
   const videoContainerRef = useRef(null);
   const progressRef = useRef(null);
   const controlsTimeoutRef = useRef(null);
   
-  const { getVideoUrl, setVideoUrl, isVideoRequested, setVideoRequested } = useVideo();
+  const {
+    getVideoDetails,
+    requestAnimationJob,
+    renderOptions,
+    setRenderOptions,
+    resetAnimation
+  } = useVideo();
   
   console.log("approach:", approach);
 
-  // Memoize the fetch function to prevent recreation on every render
-  const fetchVideoUrl = useCallback(async () => {
-    // Check if we already have the URL cached
-    const cachedUrl = getVideoUrl(approach.title);
-    if (cachedUrl) {
-      setIsLoading(false);
-      return;
-    }
-
-    // Prevent multiple simultaneous requests for the same approach
-    if (isVideoRequested(approach.title)) {
-      return;
-    }
-
-    try {
-      setIsLoading(true);
-      setError(null);
-      setVideoRequested(approach.title, true);
-      
-      console.log('Fetching video URL for approach:', approach.title);
-      
-      const response = await fetch('http://localhost:5000/api/getAnimation', {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify({ approach }),
-      });
-
-      if (!response.ok) {
-        const errorData = await response.json().catch(() => ({}));
-        throw new Error(errorData.error || `Server error: ${response.statusText}`);
-      }
-
-      const data = await response.json();
-      console.log('Received video data:', data);
-      
-      // Cache the URL - use the correct property name
-      if (data.videoUrl) {
-        const fullUrl = `http://localhost:5000${data.videoUrl}`;
-        setVideoUrl(approach.title, fullUrl);
-        console.log('Video URL cached:', fullUrl);
-      } else {
-        throw new Error('No video URL in response');
-      }
-    } catch (error) {
-      console.error('Error fetching video URL:', error);
-      setError(error.message);
-      setVideoRequested(approach.title, false); // Reset on error to allow retry
-    } finally {
-      setIsLoading(false);
-    }
-  }, [approach.title, approach, getVideoUrl, setVideoUrl, isVideoRequested, setVideoRequested]);
-
-  useEffect(() => {
-    // Check if we have cached URL first
-    const cachedUrl = getVideoUrl(approach.title);
-    if (cachedUrl) {
-      setIsLoading(false);
-    } else {
-      fetchVideoUrl();
-    }
-  }, [approach.title, fetchVideoUrl, getVideoUrl]);
+  const {
+    videoKey,
+    job,
+    error,
+    setError,
+    isLoading,
+    videoUrl: cachedVideoUrl,
+    reset,
+    retry
+  } = useAnimationJob(approach, { question, language });
+  const videoDetails = getVideoDetails(videoKey);
+  const hlsUrl = videoDetails.hlsUrl ? `${API_ORIGIN}${videoDetails.hlsUrl}` : null;
 
   // Video event handlers
   useEffect(() => {
@@ -158,7 +126,55 @@ const VideoSection = ({ approach, isPlaying, togglePlay }) => {
       video.removeEventListener('error', handleError);
       video.removeEventListener('ended', handleEnded);
     };
-  }, [videoRef.current, togglePlay]);
+  }, [videoRef.current, togglePlay, setError]);
+
+  // Stream over HLS when the render was packaged for it: natively where the
+  // browser supports it, otherwise through hls.js. The MP4 remains the fallback.
+  useEffect(() => {
+    const video = videoRef.current;
+    if (!video || !hlsUrl || isLoading || error) return;
+
+    if (video.canPlayType('application/vnd.apple.mpegurl')) {
+      video.src = hlsUrl;
+      return;
+    }
+    if (!Hls.isSupported()) return;
+
+    const hls = new Hls();
+    hls.on(Hls.Events.ERROR, (_event, data) => {
+      if (data.fatal) {
+        console.error('HLS playback failed, falling back to MP4:', data);
+        hls.destroy();
+        video.src = cachedVideoUrl;
+      }
+    });
+    hls.loadSource(hlsUrl);
+    hls.attachMedia(video);
+
+    return () => hls.destroy();
+  }, [hlsUrl, cachedVideoUrl, isLoading, error]);
+
+  // Chapters (one per narration step) drive the step buttons, progress ticks and step list
+  useEffect(() => {
+    setChapters([]);
+    if (!cachedVideoUrl) return;
+
+    let cancelled = false;
+    getChapters(cachedVideoUrl).then(loaded => {
+      if (!cancelled) setChapters(loaded);
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, [cachedVideoUrl]);
+
+  // The caption track is always loaded; the toggle only shows or hides it
+  useEffect(() => {
+    const track = videoRef.current?.textTracks[0];
+    if (track) {
+      track.mode = showCaptions ? 'showing' : 'hidden';
+    }
+  }, [showCaptions, cachedVideoUrl, isLoading]);
 
   // Auto-hide controls
   useEffect(() => {
@@ -257,15 +273,50 @@ const VideoSection = ({ approach, isPlaying, togglePlay }) => {
     }
   };
 
-  const handleSkipForward = () => {
+  // Index of the chapter playing now, or -1 before the first one
+  const currentChapterIndex = chapters.reduce(
+    (current, chapter, index) => (currentTime >= chapter.start ? index : current),
+    -1
+  );
+
+  useEffect(() => {
+    if (onNarrationChange) onNarrationChange({ chapters, currentIndex: currentChapterIndex });
+  }, [chapters, currentChapterIndex, onNarrationChange]);
+
+  useEffect(() => {
+    if (seekRequest && videoRef.current) {
+      videoRef.current.currentTime = seekRequest.time;
+    }
+  }, [seekRequest]);
+
+  const seekTo = (time) => {
     if (videoRef.current) {
-      videoRef.current.currentTime = Math.min(duration, currentTime + 10);
+      videoRef.current.currentTime = Math.max(0, Math.min(duration || time, time));
     }
   };
 
-  const handleSkipBackward = () => {
-    if (videoRef.current) {
-      videoRef.current.currentTime = Math.max(0, currentTime - 10);
+  // Renders made before chapters existed fall back to 10-second skips
+  const handleNextStep = () => {
+    if (chapters.length === 0) {
+      seekTo(currentTime + 10);
+      return;
+    }
+    const next = chapters[currentChapterIndex + 1];
+    if (next) seekTo(next.start);
+  };
+
+  // Goes back to the start of the current step, or to the previous step
+  // when already near the start
+  const handlePreviousStep = () => {
+    if (chapters.length === 0) {
+      seekTo(currentTime - 10);
+      return;
+    }
+    const current = chapters[currentChapterIndex];
+    if (current && currentTime - current.start > 1.5) {
+      seekTo(current.start);
+    } else {
+      seekTo(chapters[Math.max(currentChapterIndex - 1, 0)].start);
     }
   };
 
@@ -279,10 +330,20 @@ const VideoSection = ({ approach, isPlaying, togglePlay }) => {
     }
   };
 
-  const retryLoading = () => {
-    setError(null);
-    setVideoRequested(approach.title, false);
-    fetchVideoUrl();
+  const applyNarrationSettings = (voice) => {
+    setRenderOptions(prev => ({ ...prev, voice }));
+    reset();
+    resetAnimation(videoKey);
+  };
+
+  // Renders the current script again at another quality; the job is requested
+  // before the video is dropped so the loading effect picks up this job
+  const changeQuality = (quality) => {
+    const sourceRenderId = getRenderIdFromVideoUrl(cachedVideoUrl);
+    reset();
+    requestAnimationJob(approach, { key: videoKey, language, quality, sourceRenderId })
+      .catch(error => setError(error.message));
+    resetAnimation(videoKey);
   };
 
   useEffect(() => {
@@ -327,7 +388,7 @@ const VideoSection = ({ approach, isPlaying, togglePlay }) => {
     return `${minutes}:${seconds.toString().padStart(2, '0')}`;
   };
 
-  const videoUrl = getVideoUrl(approach.title);
+  const videoUrl = cachedVideoUrl;
   const progressPercentage = duration > 0 ? (currentTime / duration) * 100 : 0;
 
   return (
@@ -337,217 +398,249 @@ const VideoSection = ({ approach, isPlaying, togglePlay }) => {
       </div>
       
       <div className="p-6 h-full flex flex-col">
-        <div 
-          className="relative mb-6" 
-          ref={videoContainerRef}
-          onMouseEnter={() => setIsHovering(true)}
-          onMouseLeave={() => setIsHovering(false)}
-        >
-          <motion.div 
-            whileHover={{ scale: 1.01 }}
-            className="bg-slate-900/80 rounded-lg aspect-video overflow-hidden border border-slate-700 cursor-pointer relative"
-            onClick={handlePlayPause}
+        {/* The trace plays in the browser, so it is ready while the video renders */}
+        <div className="grid grid-cols-1 2xl:grid-cols-2 gap-6 mb-6">
+          <div 
+            className="relative" 
+            ref={videoContainerRef}
+            onMouseEnter={() => setIsHovering(true)}
+            onMouseLeave={() => setIsHovering(false)}
           >
-            {isLoading ? (
-              <div className="absolute inset-0 flex flex-col items-center justify-center bg-[#2C2522]/90">
-                <Loader2 className="w-8 h-8 text-[#8B7355] animate-spin mb-2" />
-                <span className="text-[#8B7355] text-center">
-                  Generating animation with audio narration...<br/>
-                  <span className="text-sm">This may take a moment</span>
-                </span>
-              </div>
-            ) : error ? (
-              <div className="absolute inset-0 flex flex-col items-center justify-center bg-[#2C2522]/90">
-                <div className="text-center p-4">
-                  <span className="text-red-400 mb-4 block">{error}</span>
-                  <button
-                    onClick={(e) => {
-                      e.stopPropagation();
-                      retryLoading();
-                    }}
-                    className="bg-[#8B7355] hover:bg-[#6B574A] px-4 py-2 rounded-lg text-[#e6ddd6] transition-colors"
-                  >
-                    Retry
-                  </button>
+            <motion.div 
+              whileHover={{ scale: 1.01 }}
+              className="bg-slate-900/80 rounded-lg aspect-video overflow-hidden border border-slate-700 cursor-pointer relative"
+              onClick={handlePlayPause}
+            >
+              {isLoading ? (
+                <div className="absolute inset-0 flex flex-col items-center justify-center bg-[#2C2522]/90">
+                  <RenderProgress job={job} />
                 </div>
-              </div>
-            ) : videoUrl ? (
-              <>
-                <video
-                  ref={videoRef}
-                  src={videoUrl}
-                  className="w-full h-full object-cover"
-                  volume={volume}
-                  muted={isMuted}
-                  poster="/video-poster.jpg"
-                  onLoadStart={() => console.log('Video loading started')}
-                  onLoadedData={() => console.log('Video loaded successfully')}
-                  onError={(e) => console.error('Video error:', e)}
-                />
-                
-                {/* Buffering indicator */}
-                {isBuffering && (
-                  <div className="absolute inset-0 flex items-center justify-center bg-black/50">
-                    <Loader2 className="w-6 h-6 text-white animate-spin" />
-                  </div>
-                )}
-              </>
-            ) : (
-              <div className="absolute inset-0 flex items-center justify-center bg-[#2C2522]/90">
-                <span className="text-[#8B7355]">Failed to load animation!! Trying again...</span>
-              </div>
-            )}
-            
-            {!isPlaying && !isLoading && !error && videoUrl && (
-              <motion.div 
-                initial={{ opacity: 0 }}
-                animate={{ opacity: 1 }}
-                className="absolute inset-0 flex items-center justify-center bg-[#2C2522]/80"
-              >
-                <div className="text-center">
-                  <div className="w-20 h-20 bg-[#8B7355] rounded-full flex items-center justify-center mb-4 mx-auto hover:bg-[#6B574A] transition-colors">
-                    <Play className="w-8 h-8 text-[#e6ddd6] ml-1" />
+              ) : error ? (
+                <div className="absolute inset-0 flex flex-col items-center justify-center bg-[#2C2522]/90">
+                  <div className="text-center p-4">
+                    <span className="text-red-400 mb-4 block">{error}</span>
+                    <button
+                      onClick={(e) => {
+                        e.stopPropagation();
+                        retry();
+                      }}
+                      className="bg-[#8B7355] hover:bg-[#6B574A] px-4 py-2 rounded-lg text-[#e6ddd6] transition-colors"
+                    >
+                      Retry
+                    </button>
                   </div>
-                  <h3 className="text-lg font-medium mb-2 text-[#e6ddd6]">Step-by-Step Walkthrough</h3>
-                  <p className="text-sm text-[#e6ddd6]/80">With audio narration</p>
                 </div>
-              </motion.div>
-            )}
-
-            {/* Enhanced Controls Overlay */}
-            <AnimatePresence>
-              {(showControls || !isPlaying) && !isLoading && !error && videoUrl && (
-                <motion.div
+              ) : videoUrl ? (
+                <>
+                  <video
+                    ref={videoRef}
+                    src={videoUrl}
+                    crossOrigin="anonymous"
+                    className="w-full h-full object-cover"
+                    volume={volume}
+                    muted={isMuted}
+                    poster="/video-poster.jpg"
+                    onLoadStart={() => console.log('Video loading started')}
+                    onLoadedData={() => console.log('Video loaded successfully')}
+                    onError={(e) => console.error('Video error:', e)}
+                  >
+                    <track kind="captions" src={getCaptionsUrl(videoUrl)} srcLang={language} label="Captions" />
+                  </video>
+                  
+                  {/* Buffering indicator */}
+                  {isBuffering && (
+                    <div className="absolute inset-0 flex items-center justify-center bg-black/50">
+                      <Loader2 className="w-6 h-6 text-white animate-spin" />
+                    </div>
+                  )}
+                </>
+              ) : (
+                <div className="absolute inset-0 flex items-center justify-center bg-[#2C2522]/90">
+                  <span className="text-[#8B7355]">Failed to load animation!! Trying again...</span>
+                </div>
+              )}
+              
+              {!isPlaying && !isLoading && !error && videoUrl && (
+                <motion.div 
                   initial={{ opacity: 0 }}
                   animate={{ opacity: 1 }}
-                  exit={{ opacity: 0 }}
-                  className="absolute bottom-0 left-0 right-0 bg-gradient-to-t from-black/80 to-transparent p-4"
+                  className="absolute inset-0 flex items-center justify-center bg-[#2C2522]/80"
                 >
-                  {/* Progress Bar */}
-                  {duration > 0 && (
-                    <div className="mb-3">
-                      <div 
-                        ref={progressRef}
-                        className="w-full h-2 bg-white/20 rounded-full cursor-pointer relative"
-                        onClick={handleProgressClick}
-                        onMouseDown={handleProgressMouseDown}
-                      >
-                        <div 
-                          className="h-full bg-[#8B7355] rounded-full transition-all duration-150"
-                          style={{ width: `${progressPercentage}%` }}
-                        />
+                  <div className="text-center">
+                    <div className="w-20 h-20 bg-[#8B7355] rounded-full flex items-center justify-center mb-4 mx-auto hover:bg-[#6B574A] transition-colors">
+                      <Play className="w-8 h-8 text-[#e6ddd6] ml-1" />
+                    </div>
+                    <h3 className="text-lg font-medium mb-2 text-[#e6ddd6]">Step-by-Step Walkthrough</h3>
+                    <p className="text-sm text-[#e6ddd6]/80">With audio narration</p>
+                  </div>
+                </motion.div>
+              )}
+
+              {/* Enhanced Controls Overlay */}
+              <AnimatePresence>
+                {(showControls || !isPlaying) && !isLoading && !error && videoUrl && (
+                  <motion.div
+                    initial={{ opacity: 0 }}
+                    animate={{ opacity: 1 }}
+                    exit={{ opacity: 0 }}
+                    className="absolute bottom-0 left-0 right-0 bg-gradient-to-t from-black/80 to-transparent p-4"
+                  >
+                    {/* Progress Bar */}
+                    {duration > 0 && (
+                      <div className="mb-3">
                         <div 
-                          className="absolute top-1/2 -translate-y-1/2 w-3 h-3 bg-[#8B7355] rounded-full shadow-lg transition-all duration-150"
-                          style={{ left: `${progressPercentage}%`, transform: 'translateX(-50%) translateY(-50%)' }}
-                        />
+                          ref={progressRef}
+                          className="w-full h-2 bg-white/20 rounded-full cursor-pointer relative"
+                          onClick={handleProgressClick}
+                          onMouseDown={handleProgressMouseDown}
+                        >
+                          <div 
+                            className="h-full bg-[#8B7355] rounded-full transition-all duration-150"
+                            style={{ width: `${progressPercentage}%` }}
+                          />
+                          {chapters.slice(1).map(chapter => (
+                            <div
+                              key={chapter.index}
+                              className="absolute top-0 h-full w-0.5 bg-white/70"
+                              style={{ left: `${(chapter.start / duration) * 100}%` }}
+                              title={chapter.title}
+                            />
+                          ))}
+                          <div 
+                            className="absolute top-1/2 -translate-y-1/2 w-3 h-3 bg-[#8B7355] rounded-full shadow-lg transition-all duration-150"
+                            style={{ left: `${progressPercentage}%`, transform: 'translateX(-50%) translateY(-50%)' }}
+                          />
+                        </div>
                       </div>
-                    </div>
-                  )}
+                    )}
 
-                  {/* Control Buttons */}
-                  <div className="flex items-center justify-between">
-                    <div className="flex items-center gap-2">
-                      {/* Play/Pause */}
-                      <button
-                        onClick={(e) => {
-                          e.stopPropagation();
-                          handlePlayPause();
-                        }}
-                        className="bg-white/20 hover:bg-white/30 rounded-full p-2 transition-colors"
-                      >
-                        {isPlaying ? (
-                          <Pause className="w-5 h-5 text-white" />
-                        ) : (
-                          <Play className="w-5 h-5 text-white" />
-                        )}
-                      </button>
-
-                      {/* Skip Buttons */}
-                      <button
-                        onClick={(e) => {
-                          e.stopPropagation();
-                          handleSkipBackward();
-                        }}
-                        className="bg-white/20 hover:bg-white/30 rounded-full p-2 transition-colors"
-                      >
-                        <SkipBack className="w-4 h-4 text-white" />
-                      </button>
-
-                      <button
-                        onClick={(e) => {
-                          e.stopPropagation();
-                          handleSkipForward();
-                        }}
-                        className="bg-white/20 hover:bg-white/30 rounded-full p-2 transition-colors"
-                      >
-                        <SkipForward className="w-4 h-4 text-white" />
-                      </button>
-
-                      {/* Restart */}
-                      <button
-                        onClick={(e) => {
-                          e.stopPropagation();
-                          handleRestart();
-                        }}
-                        className="bg-white/20 hover:bg-white/30 rounded-full p-2 transition-colors"
-                      >
-                        <RotateCcw className="w-4 h-4 text-white" />
-                      </button>
-
-                      {/* Volume Controls */}
-                      <div className="flex items-center gap-2 ml-2">
+                    {/* Control Buttons */}
+                    <div className="flex items-center justify-between">
+                      <div className="flex items-center gap-2">
+                        {/* Play/Pause */}
                         <button
                           onClick={(e) => {
                             e.stopPropagation();
-                            toggleMute();
+                            handlePlayPause();
                           }}
                           className="bg-white/20 hover:bg-white/30 rounded-full p-2 transition-colors"
                         >
-                          {isMuted ? (
-                            <VolumeX className="w-4 h-4 text-white" />
+                          {isPlaying ? (
+                            <Pause className="w-5 h-5 text-white" />
                           ) : (
-                            <Volume2 className="w-4 h-4 text-white" />
+                            <Play className="w-5 h-5 text-white" />
                           )}
                         </button>
-                        <input
-                          type="range"
-                          min="0"
-                          max="1"
-                          step="0.1"
-                          value={isMuted ? 0 : volume}
-                          onChange={handleVolumeChange}
-                          onClick={(e) => e.stopPropagation()}
-                          className="w-16 h-1 bg-white/20 rounded-lg slider cursor-pointer"
-                        />
+
+                        {/* Step Buttons */}
+                        <button
+                          onClick={(e) => {
+                            e.stopPropagation();
+                            handlePreviousStep();
+                          }}
+                          className="bg-white/20 hover:bg-white/30 rounded-full p-2 transition-colors"
+                          title="Previous step"
+                        >
+                          <SkipBack className="w-4 h-4 text-white" />
+                        </button>
+
+                        <button
+                          onClick={(e) => {
+                            e.stopPropagation();
+                            handleNextStep();
+                          }}
+                          className="bg-white/20 hover:bg-white/30 rounded-full p-2 transition-colors"
+                          title="Next step"
+                        >
+                          <SkipForward className="w-4 h-4 text-white" />
+                        </button>
+
+                        {/* Restart */}
+                        <button
+                          onClick={(e) => {
+                            e.stopPropagation();
+                            handleRestart();
+                          }}
+                          className="bg-white/20 hover:bg-white/30 rounded-full p-2 transition-colors"
+                        >
+                          <RotateCcw className="w-4 h-4 text-white" />
+                        </button>
+
+                        {/* Volume Controls */}
+                        <div className="flex items-center gap-2 ml-2">
+                          <button
+                            onClick={(e) => {
+                              e.stopPropagation();
+                              toggleMute();
+                            }}
+                            className="bg-white/20 hover:bg-white/30 rounded-full p-2 transition-colors"
+                          >
+                            {isMuted ? (
+                              <VolumeX className="w-4 h-4 text-white" />
+                            ) : (
+                              <Volume2 className="w-4 h-4 text-white" />
+                            )}
+                          </button>
+                          <input
+                            type="range"
+                            min="0"
+                            max="1"
+                            step="0.1"
+                            value={isMuted ? 0 : volume}
+                            onChange={handleVolumeChange}
+                            onClick={(e) => e.stopPropagation()}
+                            className="w-16 h-1 bg-white/20 rounded-lg slider cursor-pointer"
+                          />
+                        </div>
+
+                        {/* Time Display */}
+                        {duration > 0 && (
+                          <span className="text-white text-sm ml-2">
+                            {formatTime(currentTime)} / {formatTime(duration)}
+                          </span>
+                        )}
                       </div>
 
-                      {/* Time Display */}
-                      {duration > 0 && (
-                        <span className="text-white text-sm ml-2">
-                          {formatTime(currentTime)} / {formatTime(duration)}
-                        </span>
-                      )}
+                      <div className="flex items-center gap-2">
+                        {/* Captions */}
+                        <button
+                          onClick={(e) => {
+                            e.stopPropagation();
+                            setShowCaptions(prev => !prev);
+                          }}
+                          className="bg-white/20 hover:bg-white/30 rounded-full p-2 transition-colors"
+                          title={showCaptions ? 'Hide captions' : 'Show captions'}
+                        >
+                          {showCaptions ? (
+                            <Captions className="w-5 h-5 text-white" />
+                          ) : (
+                            <CaptionsOff className="w-5 h-5 text-white" />
+                          )}
+                        </button>
+
+                        {/* Fullscreen */}
+                        <button
+                          onClick={(e) => {
+                            e.stopPropagation();
+                            toggleFullscreen();
+                          }}
+                          className="bg-white/20 hover:bg-white/30 rounded-full p-2 transition-colors"
+                        >
+                          {isFullscreen ? (
+                            <Minimize2 className="w-5 h-5 text-white" />
+                          ) : (
+                            <Maximize2 className="w-5 h-5 text-white" />
+                          )}
+                        </button>
+                      </div>
                     </div>
+                  </motion.div>
+                )}
+              </AnimatePresence>
+            </motion.div>
+          </div>
 
-                    {/* Fullscreen */}
-                    <button
-                      onClick={(e) => {
-                        e.stopPropagation();
-                        toggleFullscreen();
-                      }}
-                      className="bg-white/20 hover:bg-white/30 rounded-full p-2 transition-colors"
-                    >
-                      {isFullscreen ? (
-                        <Minimize2 className="w-5 h-5 text-white" />
-                      ) : (
-                        <Maximize2 className="w-5 h-5 text-white" />
-                      )}
-                    </button>
-                  </div>
-                </motion.div>
-              )}
-            </AnimatePresence>
-          </motion.div>
+          <TraceVisualizer approach={approach} question={question} language={language} />
         </div>
 
         <div className="space-y-4">
@@ -579,13 +672,34 @@ const VideoSection = ({ approach, isPlaying, togglePlay }) => {
               </motion.button>
             )}
             
-            {!isLoading && !error && videoUrl && duration > 0 && (
-              <div className="text-sm text-gray-400">
-                Duration: {formatTime(duration)}
+            {!isLoading && !error && videoUrl && (
+              <div className="flex items-center gap-4">
+                <QualityPicker
+                  value={videoDetails.quality || 'draft'}
+                  onChange={changeQuality}
+                  disabled={isBuffering}
+                />
+                {duration > 0 && (
+                  <div className="text-sm text-gray-400">
+                    Duration: {formatTime(duration)}
+                  </div>
+                )}
               </div>
             )}
           </div>
 
+          {!isLoading && !error && videoUrl && chapters.length > 0 && (
+            <ChapterList
+              chapters={chapters}
+              currentIndex={currentChapterIndex}
+              onSelect={(chapter) => seekTo(chapter.start)}
+            />
+          )}
+
+          {!isLoading && !error && videoUrl && (
+            <VideoDownloads videoUrl={videoUrl} />
+          )}
+
           <div>
             <button 
               onClick={() => toggleSection('videoDetails')}
@@ -655,6 +769,26 @@ const VideoSection = ({ approach, isPlaying, togglePlay }) => {
               )}
             </AnimatePresence>
           </div>
+
+          <div>
+            <button 
+              onClick={() => toggleSection('narration')}
+              className="flex items-center gap-2 w-full text-left mb-2 text-[#2C2522]"
+            >
+              {expandedSections.narration ? <ChevronDown className="w-4 h-4" /> : <ChevronRight className="w-4 h-4" />}
+              <span className="font-medium">Narration Settings</span>
+            </button>
+
+            {expandedSections.narration && (
+              <div className="bg-[#8B7355]/20 rounded-lg p-4 border border-[#2C2522]">
+                <NarrationSettings
+                  voice={renderOptions.voice}
+                  onApply={applyNarrationSettings}
+                  disabled={isLoading}
+                />
+              </div>
+            )}
+          </div>
         </div>
       </div>
 
@@ -1,13 +1,14 @@
-const API_BASE_URL = 'http://localhost:5000/api';
+export const API_ORIGIN = 'http://localhost:5000';
+const API_BASE_URL = `${API_ORIGIN}/api`;
 
-export const analyzeProblem = async (question) => {
+export const analyzeProblem = async (question, language = 'en') => {
   try {
     const response = await fetch(`${API_BASE_URL}/analyze`, {
       method: 'POST',
       headers: {
         'Content-Type': 'application/json',
       },
-      body: JSON.stringify({ question }),
+      body: JSON.stringify({ question, language }),
     });
 
     if (!response.ok) {
@@ -20,4 +21,314 @@ export const analyzeProblem = async (question) => {
     console.error('Error analyzing problem:', error);
     throw error;
   }
-}; 
\ No newline at end of file
+}; 
+
+// Translates the prose of an analysis into another language, keeping the code;
+// resolves to the translated analysis, saved like a new one
+export const translateAnalysis = async (question, approaches, language) => {
+  try {
+    const response = await fetch(`${API_BASE_URL}/translate`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify({ question, approaches, language }),
+    });
+
+    if (!response.ok) {
+      const errorData = await response.json().catch(() => ({}));
+      throw new Error(errorData.error || `Server error: ${response.statusText}`);
+    }
+
+    return await response.json();
+  } catch (error) {
+    console.error('Error translating analysis:', error);
+    throw error;
+  }
+};
+
+// With sourceRenderId, the server re-renders that render's script with the new options;
+// the question lets the server trace the solution on one of its examples
+export const createAnimationJob = async (approach, options = {}, sourceRenderId = null, question = null) => {
+  try {
+    const response = await fetch(`${API_BASE_URL}/animations`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify({ approach, options, sourceRenderId, question }),
+    });
+
+    if (!response.ok) {
+      const errorData = await response.json().catch(() => ({}));
+      throw new Error(errorData.error || `Server error: ${response.statusText}`);
+    }
+
+    return await response.json();
+  } catch (error) {
+    console.error('Error creating animation job:', error);
+    throw error;
+  }
+};
+
+// Resolves to null when the server no longer knows the job (e.g. after a restart)
+export const getAnimationJob = async (jobId) => {
+  try {
+    const response = await fetch(`${API_BASE_URL}/animations/${jobId}`);
+
+    if (response.status === 404) {
+      return null;
+    }
+    if (!response.ok) {
+      throw new Error(`Server error: ${response.statusText}`);
+    }
+
+    return await response.json();
+  } catch (error) {
+    console.error('Error fetching animation job:', error);
+    throw error;
+  }
+};
+
+// Streams job updates over Server-Sent Events; returns a function that closes the stream
+export const subscribeToAnimationJob = (jobId, onUpdate, onError) => {
+  const source = new EventSource(`${API_BASE_URL}/animations/${jobId}/events`);
+
+  source.onmessage = (event) => {
+    const job = JSON.parse(event.data);
+    onUpdate(job);
+    if (job.status === 'completed' || job.status === 'failed') {
+      source.close();
+    }
+  };
+
+  source.onerror = () => {
+    source.close();
+    onError();
+  };
+
+  return () => source.close();
+};
+
+// Resolves to the execution trace { input, steps, source } the in-browser
+// visualizer plays. source is 'recorded' when the approach was run on the
+// question's first example and 'generated' when the model wrote the trace.
+export const getTrace = async (approach, language = 'en', question = null) => {
+  try {
+    const response = await fetch(`${API_BASE_URL}/traces`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify({ approach, language, question }),
+    });
+
+    if (!response.ok) {
+      const errorData = await response.json().catch(() => ({}));
+      throw new Error(errorData.error || `Server error: ${response.statusText}`);
+    }
+
+    return await response.json();
+  } catch (error) {
+    console.error('Error loading trace:', error);
+    throw error;
+  }
+};
+
+// Runs the approach's code against the question's examples on the server;
+// resolves to { status, languages } with pass/fail per language
+export const verifyApproach = async (question, approach) => {
+  try {
+    const response = await fetch(`${API_BASE_URL}/verify`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify({ question, approach }),
+    });
+
+    if (!response.ok) {
+      const errorData = await response.json().catch(() => ({}));
+      throw new Error(errorData.error || `Server error: ${response.statusText}`);
+    }
+
+    return await response.json();
+  } catch (error) {
+    console.error('Error verifying approach:', error);
+    throw error;
+  }
+};
+
+// Measures the approach's JavaScript on growing inputs; resolves to the samples,
+// the fitted time/space growth and whether they agree with the stated complexity
+export const benchmarkApproach = async (question, approach) => {
+  try {
+    const response = await fetch(`${API_BASE_URL}/benchmark`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify({ question, approach }),
+    });
+
+    if (!response.ok) {
+      const errorData = await response.json().catch(() => ({}));
+      throw new Error(errorData.error || `Server error: ${response.statusText}`);
+    }
+
+    return await response.json();
+  } catch (error) {
+    console.error('Error benchmarking approach:', error);
+    throw error;
+  }
+};
+
+export const listProblems = async () => {
+  try {
+    const response = await fetch(`${API_BASE_URL}/problems`);
+
+    if (!response.ok) {
+      throw new Error('Failed to load past analyses');
+    }
+
+    return await response.json();
+  } catch (error) {
+    console.error('Error listing problems:', error);
+    throw error;
+  }
+};
+
+export const getProblem = async (problemId) => {
+  try {
+    const response = await fetch(`${API_BASE_URL}/problems/${problemId}`);
+
+    if (!response.ok) {
+      throw new Error('Failed to load analysis');
+    }
+
+    return await response.json();
+  } catch (error) {
+    console.error('Error loading problem:', error);
+    throw error;
+  }
+};
+
+export const deleteProblem = async (problemId) => {
+  try {
+    const response = await fetch(`${API_BASE_URL}/problems/${problemId}`, {
+      method: 'DELETE',
+    });
+
+    if (!response.ok) {
+      throw new Error('Failed to delete analysis');
+    }
+
+    return await response.json();
+  } catch (error) {
+    console.error('Error deleting problem:', error);
+    throw error;
+  }
+};
+
+// Every render serves its WebVTT captions next to the video file
+export const getCaptionsUrl = (videoUrl) => videoUrl.replace(/[^/]+$/, 'captions.vtt');
+
+// Resolves to the render's chapters, one per narration step, or [] if it has none
+export const getChapters = async (videoUrl) => {
+  try {
+    const response = await fetch(videoUrl.replace(/[^/]+$/, 'chapters.json'));
+    if (!response.ok) {
+      return [];
+    }
+    return await response.json();
+  } catch (error) {
+    console.error('Error loading chapters:', error);
+    return [];
+  }
+};
+
+// Video URLs have the form /videos/<renderId>/<file>
+export const getRenderIdFromVideoUrl = (videoUrl) => videoUrl.match(/\/videos\/([^/]+)\//)?.[1] || null;
+
+// Videos are per language, so the same approach title in another language is rendered separately
+export const getVideoKey = (approach, language = 'en') =>
+  language === 'en' ? approach.title : `${approach.title} [${language}]`;
+
+export const getTtsEngines = async () => {
+  try {
+    const response = await fetch(`${API_BASE_URL}/tts/engines`);
+
+    if (!response.ok) {
+      throw new Error('Failed to load narration voices');
+    }
+
+    return await response.json();
+  } catch (error) {
+    console.error('Error loading TTS engines:', error);
+    throw error;
+  }
+};
+
+export const getLanguages = async () => {
+  try {
+    const response = await fetch(`${API_BASE_URL}/languages`);
+
+    if (!response.ok) {
+      throw new Error('Failed to load languages');
+    }
+
+    return await response.json();
+  } catch (error) {
+    console.error('Error loading languages:', error);
+    throw error;
+  }
+};
+
+export const getQualityPresets = async () => {
+  try {
+    const response = await fetch(`${API_BASE_URL}/quality-presets`);
+
+    if (!response.ok) {
+      throw new Error('Failed to load quality presets');
+    }
+
+    return await response.json();
+  } catch (error) {
+    console.error('Error loading quality presets:', error);
+    throw error;
+  }
+};
+
+export const listRenderExports = async (renderId) => {
+  try {
+    const response = await fetch(`${API_BASE_URL}/renders/${renderId}/exports`);
+
+    if (!response.ok) {
+      throw new Error('Failed to load download options');
+    }
+
+    return await response.json();
+  } catch (error) {
+    console.error('Error listing exports:', error);
+    throw error;
+  }
+};
+
+// Resolves once the export exists on the server; may take a while the first time
+export const createRenderExport = async (renderId, format) => {
+  try {
+    const response = await fetch(`${API_BASE_URL}/renders/${renderId}/exports/${format}`, {
+      method: 'POST',
+    });
+
+    if (!response.ok) {
+      const errorData = await response.json().catch(() => ({}));
+      throw new Error(errorData.error || `Server error: ${response.statusText}`);
+    }
+
+    return await response.json();
+  } catch (error) {
+    console.error('Error creating export:', error);
+    throw error;
+  }
+};
@@ -0,0 +1,58 @@
+// Input sizes the operation-count estimates are drawn at: 2, 4, ... about a million
+export const ESTIMATE_SIZES = Array.from({ length: 20 }, (_, i) => 2 ** (i + 1));
+
+// Largest count drawn; exponential curves stop once they pass it
+const MAX_OPERATIONS = 1e18;
+
+// Reads a stated complexity such as "O(n log n)", "O(N^2)", "O(m * n)" or
+// "O(2^n)" as base^n * n^degree * (log n)^logs, keeping the dominant term of
+// a sum. Every variable is read as n. Returns null when it cannot be read.
+export const parseComplexity = (text) => {
+  const inner = String(text || '').match(/O\s*\(([^]*)\)/i)?.[1];
+  if (!inner) return null;
+
+  const normalized = inner
+    .toLowerCase()
+    .replace(/²/g, '^2')
+    .replace(/³/g, '^3')
+    .replace(/√\s*/g, 'sqrt')
+    .replace(/\s+/g, '')
+    .replace(/log_?2?\(([a-z])\)/g, 'log$1')
+    .replace(/log_?2?/g, 'L')
+    .replace(/sqrt\(?([a-z])\)?/g, 'S')
+    .replace(/[a-z]/g, 'n');
+
+  const exponential = normalized.match(/^(\d+)\^n$/);
+  if (exponential) {
+    return { base: Number(exponential[1]), degree: 0, logs: 0 };
+  }
+
+  const terms = normalized.split('+').map(term => {
+    const cleaned = term.replace(/[*·().]/g, '');
+    if (!/^(n(\^\d)?|L|Ln|S|1)*$/.test(cleaned)) return null;
+    const degree = (cleaned.match(/n(\^\d)?/g) || [])
+      .reduce((sum, factor) => sum + (factor.length > 1 ? Number(factor.slice(2)) : 1), 0)
+      - (cleaned.match(/Ln/g) || []).length
+      + 0.5 * (cleaned.match(/S/g) || []).length;
+    return { base: 1, degree, logs: (cleaned.match(/L/g) || []).length };
+  });
+  if (terms.some(term => term === null)) return null;
+
+  return terms.reduce((max, term) =>
+    term.degree > max.degree || (term.degree === max.degree && term.logs > max.logs) ? term : max
+  );
+};
+
+// Estimated operation counts of a stated complexity at each input size, taking
+// the constant factor as 1, or null when the complexity cannot be read
+export const estimateOperations = (text, sizes = ESTIMATE_SIZES) => {
+  const growth = parseComplexity(text);
+  if (!growth) return null;
+
+  return sizes
+    .map(n => ({
+      n,
+      value: Math.max(growth.base ** n * n ** growth.degree * Math.log2(n) ** growth.logs, 1)
+    }))
+    .filter(point => point.value <= MAX_OPERATIONS);
+};
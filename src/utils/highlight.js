@@ -0,0 +1,86 @@
+// Reserved words of each solution language, keyed like approach.code
+const KEYWORDS = {
+  javaCode: `abstract assert boolean break byte case catch char class const continue default do double else enum
+    extends final finally float for if implements import instanceof int interface long native new package private
+    protected public record return short static super switch synchronized this throw throws transient try var void
+    volatile while yield true false null`,
+  pythonCode: `and as assert async await break case class continue def del elif else except finally for from global
+    if import in is lambda match nonlocal not or pass raise return self try while with yield True False None`,
+  cppCode: `auto bool break case catch char class const constexpr continue default delete do double else enum
+    explicit extern float for friend if inline int long mutable namespace new noexcept operator private protected
+    public return short signed sizeof static struct switch template this throw try typedef typename union unsigned
+    using virtual void volatile while true false nullptr`,
+  jsCode: `async await break case catch class const continue debugger default delete do else export extends
+    finally for function if import in instanceof let new of return static super switch this throw try typeof var
+    void while with yield true false null undefined`
+};
+
+const keywordSets = Object.fromEntries(
+  Object.entries(KEYWORDS).map(([language, words]) => [language, new Set(words.split(/\s+/))])
+);
+
+const C_COMMENT = String.raw`\/\/[^\n]*|\/\*[\s\S]*?(?:\*\/|$)`;
+const QUOTED = String.raw`"(?:\\.|[^"\\\n])*"?|'(?:\\.|[^'\\\n])*'?`;
+
+// Comments, strings and annotations (decorators, preprocessor lines) per language
+const SYNTAX = {
+  javaCode: { comment: C_COMMENT, string: QUOTED, meta: String.raw`@\w+` },
+  pythonCode: {
+    comment: String.raw`#[^\n]*`,
+    string: String.raw`[rbfRBF]{0,2}(?:"""[\s\S]*?(?:"""|$)|'''[\s\S]*?(?:'''|$)|${QUOTED})`,
+    meta: String.raw`@[\w.]+`
+  },
+  cppCode: { comment: C_COMMENT, string: QUOTED, meta: String.raw`#[ \t]*\w+(?:[ \t]*<[^>\n]*>)?` },
+  jsCode: { comment: C_COMMENT, string: String.raw`\`(?:\\.|[^\`\\])*\`?|${QUOTED}` }
+};
+
+const NUMBER = String.raw`\b(?:0[xX][\da-fA-F]+|\d[\d_]*(?:\.\d+)?(?:[eE][+-]?\d+)?)[lLfFuU]*\b`;
+const WORD = String.raw`[A-Za-z_$][\w$]*`;
+
+// Earlier kinds win, so a number inside a comment stays part of the comment
+const patterns = Object.fromEntries(Object.entries(SYNTAX).map(([language, syntax]) => {
+  const kinds = { ...syntax, number: NUMBER, word: WORD };
+  const alternatives = Object.entries(kinds).map(([kind, source]) => `(?<${kind}>${source})`);
+  return [language, new RegExp(alternatives.join('|'), 'g')];
+}));
+
+// Function to name the kind of an identifier: a keyword, a type (capitalized,
+// e.g. HashMap), a function being called or defined, or plain (null)
+const classifyWord = (word, language, rest) => {
+  if (keywordSets[language].has(word)) return 'keyword';
+  if (/^[A-Z]/.test(word)) return 'type';
+  if (/^\s*\(/.test(rest)) return 'function';
+  return null;
+};
+
+// Function to split source code into highlighted lines: one array of
+// { kind, text } tokens per line, where kind is 'keyword', 'type',
+// 'function', 'string', 'number', 'comment', 'meta' or null for plain text.
+// Unknown languages come back as plain text.
+export const highlightCode = (code, language) => {
+  const tokens = [];
+  const pattern = patterns[language];
+
+  let position = 0;
+  for (const match of pattern ? code.matchAll(pattern) : []) {
+    if (match.index > position) tokens.push({ kind: null, text: code.slice(position, match.index) });
+    const [kind] = Object.entries(match.groups).find(([, value]) => value !== undefined);
+    const end = match.index + match[0].length;
+    tokens.push({
+      kind: kind === 'word' ? classifyWord(match[0], language, code.slice(end, end + 20)) : kind,
+      text: match[0]
+    });
+    position = end;
+  }
+  if (position < code.length) tokens.push({ kind: null, text: code.slice(position) });
+
+  // Block comments and strings can span lines, so tokens are cut at newlines
+  const lines = [[]];
+  for (const token of tokens) {
+    token.text.split('\n').forEach((text, index) => {
+      if (index > 0) lines.push([]);
+      if (text) lines[lines.length - 1].push({ kind: token.kind, text });
+    });
+  }
+  return lines;
+};
@@ -0,0 +1,51 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { highlightCode } from './highlight.js';
+
+// Function to list the highlighted tokens of a line as "kind:text"
+const kinds = (line) => line.filter(token => token.kind).map(token => `${token.kind}:${token.text}`);
+
+test('splits code into one token list per line', () => {
+  const lines = highlightCode('const a = 1;\n\nreturn a;', 'jsCode');
+  assert.equal(lines.length, 3);
+  assert.deepEqual(lines[1], []);
+  assert.equal(lines[0].map(token => token.text).join(''), 'const a = 1;');
+});
+
+test('marks keywords, types, calls, strings and numbers', () => {
+  const [line] = highlightCode('Map<Integer, Integer> seen = new HashMap<>(); seen.put("a", 42);', 'javaCode');
+  assert.deepEqual(kinds(line), [
+    'type:Map',
+    'type:Integer',
+    'type:Integer',
+    'keyword:new',
+    'type:HashMap',
+    'function:put',
+    'string:"a"',
+    'number:42'
+  ]);
+});
+
+test('keeps numbers and keywords inside comments and strings', () => {
+  const [line] = highlightCode('x = "for 1"  # return 2', 'pythonCode');
+  assert.deepEqual(kinds(line), ['string:"for 1"', 'comment:# return 2']);
+});
+
+test('cuts multi-line comments and strings at line breaks', () => {
+  const lines = highlightCode('/* first\nsecond */ int x;', 'cppCode');
+  assert.deepEqual(kinds(lines[0]), ['comment:/* first']);
+  assert.deepEqual(kinds(lines[1]), ['comment:second */', 'keyword:int']);
+
+  const python = highlightCode('s = """a\nb"""', 'pythonCode');
+  assert.deepEqual(kinds(python[1]), ['string:b"""']);
+});
+
+test('marks annotations, decorators and preprocessor lines', () => {
+  assert.deepEqual(kinds(highlightCode('#include <vector>', 'cppCode')[0]), ['meta:#include <vector>']);
+  assert.deepEqual(kinds(highlightCode('@lru_cache(None)', 'pythonCode')[0]), ['meta:@lru_cache', 'keyword:None']);
+  assert.deepEqual(kinds(highlightCode('@Override', 'javaCode')[0]), ['meta:@Override']);
+});
+
+test('returns unknown languages as plain text', () => {
+  assert.deepEqual(highlightCode('let x = 1;\ny', 'rustCode'), [[{ kind: null, text: 'let x = 1;' }], [{ kind: null, text: 'y' }]]);
+});